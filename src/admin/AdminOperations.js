@@ -6,6 +6,8 @@
  * - GM resets all team scores to zero
  * - GM adjusts individual team scores (add/subtract points)
  * - GM deletes erroneous transactions
+ * - GM moves a transaction credited to the wrong team
+ * - GM notes a transaction or flags it as disputed
  *
  * @module admin/AdminOperations
  */
@@ -49,6 +51,31 @@ export class AdminOperations {
     return sendCommand(this.connection, 'transaction:delete', { transactionId });
   }
 
+  /**
+   * Credit a transaction to a different team
+   * The backend rescores both teams (including group completion bonuses)
+   * @param {string} transactionId - Transaction ID to move
+   * @param {string} teamId - Destination team
+   * @param {string} [reason='Reassigned by GM'] - Reason for audit trail
+   * @returns {Promise<Object>} Reassignment response
+   */
+  async reassignTransaction(transactionId, teamId, reason = 'Reassigned by GM') {
+    return sendCommand(this.connection, 'transaction:reassign', { transactionId, teamId, reason });
+  }
+
+  /**
+   * Set a note and/or the disputed flag on a transaction
+   * Broadcast to every station as transaction:annotated; scores are unaffected
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} annotation
+   * @param {string} [annotation.note] - Free-text note (empty clears it)
+   * @param {boolean} [annotation.disputed] - Dispute flag
+   * @returns {Promise<Object>} Annotation response
+   */
+  async annotateTransaction(transactionId, { note, disputed } = {}) {
+    return sendCommand(this.connection, 'transaction:annotate', { transactionId, note, disputed });
+  }
+
   /**
    * Trigger on-demand health check for a service
    * @param {string} serviceId - Service to check (e.g., 'vlc', 'music', 'audio')
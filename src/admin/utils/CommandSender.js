@@ -1,20 +1,22 @@
 /**
- * CommandSender - Shared WebSocket Command Utility
- * Eliminates duplicated _sendCommand code across admin modules
- *
- * Pattern: Send gm:command via WebSocket, wait for gm:command:ack
- * Timeout: 5 seconds (configurable)
+ * CommandSender - Admin module entry point to the command bus
+ * Keeps the admin controllers' sendCommand(connection, ...) call shape; the
+ * sending, ack correlation, timeouts, resends and command events all live in
+ * network/commandBus (one bus per connection, shared with
+ * OrchestratorClient.sendCommand).
  *
  * @module admin/utils/CommandSender
  */
 
+import { CommandBus } from '../../network/commandBus.js';
+
 /**
  * Send an admin command via WebSocket and wait for acknowledgment
  *
  * @param {Object} connection - OrchestratorClient instance (EventTarget)
  * @param {string} action - Command action (e.g., 'session:create', 'video:play')
  * @param {Object} payload - Command payload data
- * @param {number} [timeout=5000] - Timeout in milliseconds
+ * @param {number} [timeout] - Timeout in milliseconds (defaults to the command definition, usually 5000)
  * @returns {Promise<Object>} Resolves with response data on success
  * @throws {Error} On timeout or command failure
  *
@@ -26,44 +28,8 @@
  * // Play video with custom timeout
  * const response = await sendCommand(connection, 'video:play', {}, 10000);
  */
-export function sendCommand(connection, action, payload, timeout = 5000) {
-  return new Promise((resolve, reject) => {
-    const timeoutId = setTimeout(() => {
-      connection.removeEventListener('message:received', ackHandler);
-      reject(new Error(`${action} timeout after ${timeout}ms`));
-    }, timeout);
-
-    // One-time handler for gm:command:ack
-    const ackHandler = (event) => {
-      const { type, payload: response } = event.detail;
-
-      // Only process gm:command:ack events
-      if (type !== 'gm:command:ack') return;
-
-      // Only consume acks for OUR action (prevent cross-command mismatch)
-      if (response.action !== action) return;
-
-      // Cleanup
-      clearTimeout(timeoutId);
-      connection.removeEventListener('message:received', ackHandler);
-
-      // Check response (response IS the data, already unwrapped by OrchestratorClient)
-      if (response.success) {
-        resolve(response);
-      } else {
-        reject(new Error(response.message || `Command failed: ${action}`));
-      }
-    };
-
-    // Register one-time listener
-    connection.addEventListener('message:received', ackHandler);
-
-    // Send command via OrchestratorClient (uses AsyncAPI envelope wrapper)
-    connection.send('gm:command', {
-      action: action,
-      payload: payload
-    });
-  });
+export function sendCommand(connection, action, payload, timeout) {
+  return CommandBus.for(connection).send(action, payload, { timeout });
 }
 
 export default { sendCommand };
@@ -71,6 +71,7 @@ class App {
     this.nfcReadErrorCount = 0; // consecutive readingerror count → escalate to Manual Entry (NFC-6)
     this._scanningActive = false; // true while NFC scanning is armed (on scan screen)
     this.currentInterventionTeamId = null; // For GM intervention features
+    this.pendingPromotion = null; // SessionPromotion waiting on the connection wizard
     this.viewController = this._createViewController();
 
     // Domain objects (Phase-2 structural split, decision C1)
@@ -117,6 +118,7 @@ class App {
 
     // Load token database (Phase 1A)
     await this.initializationSteps.loadTokenDatabase(this.tokenManager, this.uiManager);
+    this.tokenManager.watchForUpdates?.(this.config.TOKEN_RELOAD_INTERVAL);
 
     // Apply URL parameter mode override (Phase 1B)
     this.initializationSteps.applyURLModeOverride(window.location.search, this.settings);
@@ -244,6 +246,43 @@ class App {
         this.dataManager.unmarkTokenAsScanned(tokenId);
       }
     });
+
+    // A queued scan becomes undoable only once the orchestrator accepted it,
+    // under the transaction ID it assigned: a rejected or duplicate scan
+    // leaves no history entry whose undo could delete another transaction
+    this.networkedSession.addEventListener('transaction:accepted', (event) => {
+      const { transaction, result } = event.detail || {};
+      if (!transaction) return;
+      this.dataManager.recordAction('transaction:add', {
+        transaction: { ...transaction, id: result?.transactionId }
+      });
+    });
+
+    // Admin command lifecycle (CommandBus) — keep the pending-command list current
+    ['command:sent', 'command:acked', 'command:failed', 'command:timeout', 'command:cancelled', 'command:deferred'].forEach(type => {
+      this.networkedSession.addEventListener(type, () => this.refreshCommandStatus());
+    });
+
+    // Admin commands queued while offline (CommandQueue) — the GM reviews them
+    // on reconnect; nothing is sent on its own
+    this.networkedSession.addEventListener('commands:changed', () => this.refreshQueuedCommands());
+    this.networkedSession.addEventListener('commands:expired', (event) => {
+      const entries = event.detail?.entries || [];
+      this.uiManager.showToast(
+        `Dropped ${entries.length} expired queued command${entries.length !== 1 ? 's' : ''}: ${entries.map(e => e.action).join(', ')}`,
+        'warning',
+        6000
+      );
+    });
+    this.networkedSession.addEventListener('commands:review', (event) => {
+      const count = event.detail?.entries?.length || 0;
+      this.uiManager.showToast(
+        `${count} admin command${count !== 1 ? 's' : ''} queued while offline - review them in the admin panel`,
+        'warning',
+        8000
+      );
+      this.refreshQueuedCommands();
+    });
   }
 
   /**
@@ -306,6 +345,14 @@ class App {
             this.initAdminModules();
           }
           app.updateAdminPanel();
+          app.refreshSessionArchive();
+          app.refreshSessionSnapshots();
+          app.refreshUndoHistory();
+          app.refreshStorageHealth();
+          app.refreshCommandStatus();
+          app.refreshQueuedCommands();
+        } else if (viewName === 'debug') {
+          app.renderTokenReport();
         }
       },
 
@@ -381,6 +428,13 @@ class App {
     }
 
     try {
+      // The wizard was opened to move a standalone session onto the
+      // orchestrator: the mode is already locked (standalone), so hand back
+      if (mode === 'networked' && this.pendingPromotion) {
+        await this.pendingPromotion.resume();
+        return;
+      }
+
       // For networked mode: Check auth token first before locking mode
       if (mode === 'networked') {
         const token = localStorage.getItem('aln_auth_token');
@@ -441,15 +495,18 @@ class App {
     document.body.classList.remove('networked-mode');
 
     // Clear phantom data from previous sessions (fresh selection only —
-    // a reload restore must keep the persisted session)
+    // a reload restore must keep the persisted session). An IndexedDB
+    // session is archived rather than deleted.
     if (!preserveSession) {
       localStorage.removeItem('standaloneSession');
+      localStorage.removeItem('standaloneJournal');
     }
 
     // Initialize UnifiedDataManager for standalone mode
-    // This creates LocalStorage strategy and loads from localStorage if available
+    // This creates the storage strategy and loads the persisted session if available
     this.dataManager.sessionModeManager = this.sessionModeManager;
-    await this.dataManager.initializeStandaloneMode();
+    await this.dataManager.initializeStandaloneMode({ freshSession: !preserveSession });
+    this.dataManager.startAutoSnapshots?.(this.config.SESSION_SNAPSHOT_INTERVAL);
 
     this.debug.log('UnifiedDataManager initialized for standalone mode');
 
@@ -517,10 +574,12 @@ class App {
         await this.networkedSession.initialize();
         this.debug.log('NetworkedSession initialized - session:ready will fire');
 
-        // Update NetworkedStorage with the actual socket reference
+        // Update NetworkedStorage with the actual socket and the client its
+        // admin commands are sent with
         const client = this.networkedSession.getService('client');
         if (client?.socket && this.dataManager._networkedStrategy) {
           this.dataManager._networkedStrategy.socket = client.socket;
+          this.dataManager._networkedStrategy.client = client;
           this.debug.log('NetworkedStorage socket reference updated');
         }
 
@@ -638,6 +697,13 @@ class App {
 
   showHistory() { return this._gameOps.showHistory(); }
   closeHistory() { return this._gameOps.closeHistory(); }
+  showQueueInspector() { return this._gameOps.showQueueInspector(); }
+  closeQueueInspector() { return this._gameOps.closeQueueInspector(); }
+  refreshQueueInspector() { return this._gameOps.refreshQueueInspector(); }
+  retryQueuedScan(clientTxId) { return this._gameOps.retryQueuedScan(clientTxId); }
+  editQueuedScanTeam(clientTxId) { return this._gameOps.editQueuedScanTeam(clientTxId); }
+  discardQueuedScan(clientTxId) { return this._gameOps.discardQueuedScan(clientTxId); }
+  exportHistory(containerId) { return this._gameOps.exportHistory(containerId); }
   showScoreboard() { return this._gameOps.showScoreboard(); }
   closeScoreboard() { return this._gameOps.closeScoreboard(); }
   showTeamDetails(teamId) { return this._gameOps.showTeamDetails(teamId); }
@@ -653,6 +719,33 @@ class App {
   async adminResetAndCreateNew() { return this._gameAdmin.adminResetAndCreateNew(); }
   async adminViewSessionDetails() { return this._gameAdmin.adminViewSessionDetails(); }
 
+  renderTokenReport() { return this._gameAdmin.renderTokenReport(); }
+  exportTokenReport() { return this._gameAdmin.exportTokenReport(); }
+  reloadTokenDatabase() { return this._gameAdmin.reloadTokenDatabase(); }
+
+  async refreshSessionArchive() { return this._gameAdmin.refreshSessionArchive(); }
+  refreshStorageHealth() { return this._gameAdmin.refreshStorageHealth(); }
+  freeStorageSpace() { return this._gameAdmin.freeStorageSpace(); }
+  refreshCommandStatus() { return this._gameAdmin.refreshCommandStatus(); }
+  cancelCommand(requestId) { return this._gameAdmin.cancelCommand(requestId); }
+  refreshQueuedCommands() { return this._gameAdmin.refreshQueuedCommands(); }
+  async sendQueuedCommand(entryId) { return this._gameAdmin.sendQueuedCommand(entryId); }
+  async sendAllQueuedCommands() { return this._gameAdmin.sendAllQueuedCommands(); }
+  discardQueuedCommand(entryId) { return this._gameAdmin.discardQueuedCommand(entryId); }
+  discardAllQueuedCommands() { return this._gameAdmin.discardAllQueuedCommands(); }
+  async openArchivedSession(sessionId) { return this._gameAdmin.openArchivedSession(sessionId); }
+  async closeArchivedSession() { return this._gameAdmin.closeArchivedSession(); }
+  async exportArchivedSession(sessionId) { return this._gameAdmin.exportArchivedSession(sessionId); }
+  async purgeArchivedSession(sessionId) { return this._gameAdmin.purgeArchivedSession(sessionId); }
+  exportSessionBundle() { return this._gameAdmin.exportSessionBundle(); }
+  importSessionBundle() { return this._gameAdmin.importSessionBundle(); }
+  async promoteToOrchestrator() { return this._gameAdmin.promoteToOrchestrator(); }
+  refreshSessionSnapshots() { return this._gameAdmin.refreshSessionSnapshots(); }
+  takeSessionSnapshot() { return this._gameAdmin.takeSessionSnapshot(); }
+  previewSessionSnapshot(snapshotId) { return this._gameAdmin.previewSessionSnapshot(snapshotId); }
+  async rollbackToSnapshot(snapshotId) { return this._gameAdmin.rollbackToSnapshot(snapshotId); }
+  deleteSessionSnapshot(snapshotId) { return this._gameAdmin.deleteSessionSnapshot(snapshotId); }
+
   /** Format duration in ms — delegates to GameAdminDomain. */
   formatSessionDuration(ms) { return this._gameAdmin.formatSessionDuration(ms); }
 
@@ -684,6 +777,14 @@ class App {
 
   async adjustTeamScore() { return this._gameOps.adjustTeamScore(); }
   async deleteTeamTransaction(transactionId) { return this._gameOps.deleteTeamTransaction(transactionId); }
+  async reassignTeamTransaction(transactionId) { return this._gameOps.reassignTeamTransaction(transactionId); }
+  async editTransactionNote(transactionId) { return this._gameOps.editTransactionNote(transactionId); }
+  async toggleTransactionDispute(transactionId) { return this._gameOps.toggleTransactionDispute(transactionId); }
+  async undoLastAction() { return this._gameOps.undoLastAction(); }
+  async redoLastAction() { return this._gameOps.redoLastAction(); }
+  refreshUndoHistory() { return this._gameOps.refreshUndoHistory(); }
+  previewTeamScoreChange() { return this._gameOps.previewTeamScoreChange(); }
+  previewResultTokenForTeam() { return this._gameOps.previewResultTokenForTeam(); }
 }
 
 // Create singleton instance
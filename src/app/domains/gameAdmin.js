@@ -3,7 +3,12 @@
  *
  * Owns: session lifecycle (create/pause/resume/end), postgame report download,
  * system reset + new session, session details view, standalone session display
- * refresh, duration formatting.
+ * refresh, duration formatting, token database lint report (debug view),
+ * per-session scoring overrides (standalone), archived session browsing
+ * (standalone with IndexedDB), session bundle export/import (standalone),
+ * promoting a standalone session to the orchestrator, device storage health,
+ * session snapshots and rollback (standalone), pending and offline-queued
+ * admin commands (networked).
  *
  * These correspond to app.js lines 982-1339 in the Phase-2 blueprint
  * plus the Game Admin column in the uiManager domain table.
@@ -12,6 +17,19 @@
  */
 
 import { formatDuration } from '../../utils/formatDuration.js';
+import { downloadFile } from '../../utils/downloadFile.js';
+import { getDefaultScoringProfile, validateScoringProfile } from '../../core/scoring.js';
+import { TokenReportRenderer } from '../../ui/renderers/TokenReportRenderer.js';
+import { SessionArchiveRenderer } from '../../ui/renderers/SessionArchiveRenderer.js';
+import { SessionSnapshotRenderer } from '../../ui/renderers/SessionSnapshotRenderer.js';
+import { SessionPromotion } from '../sessionPromotion.js';
+import { HealthRenderer } from '../../ui/renderers/HealthRenderer.js';
+import { CommandStatusRenderer } from '../../ui/renderers/CommandStatusRenderer.js';
+import { QueuedCommandsRenderer } from '../../ui/renderers/QueuedCommandsRenderer.js';
+import { storageHealth } from '../../core/storageHealth.js';
+import { CommandBus } from '../../network/commandBus.js';
+
+const LAST_SCORING_PROFILE_KEY = 'scoringProfile:last';
 
 export class GameAdminDomain {
   /**
@@ -19,6 +37,7 @@ export class GameAdminDomain {
    */
   constructor(app) {
     this.app = app;
+    this._snapshotPreviewId = null;
   }
 
   // ========== Session Lifecycle ==========
@@ -29,11 +48,15 @@ export class GameAdminDomain {
     if (!name) return;
 
     if (sessionModeManager?.isStandalone()) {
+      const scoringProfile = this._promptScoringProfile(name.trim());
+      if (scoringProfile === undefined) return;
+
       try {
-        await dataManager.createSession(name.trim(), []);
+        await dataManager.createSession(name.trim(), [], { scoringProfile });
         debug.log(`Session created (standalone): ${name}`);
         uiManager.showToast('Session created', 'success');
         this._refreshAdminSessionDisplay();
+        await this.refreshSessionArchive();
       } catch (error) {
         console.error('Failed to create session (standalone):', error);
         uiManager.showError(`Failed to create session: ${error.message}`);
@@ -55,6 +78,44 @@ export class GameAdminDomain {
     }
   }
 
+  /**
+   * Ask whether a standalone session should use custom scoring, and collect
+   * the profile as JSON. The last valid profile is offered as the starting
+   * point so a house ruleset only has to be typed once.
+   * @param {string} sessionName - Used as the profile name when starting fresh
+   * @returns {Object|null|undefined} Profile, null for default scoring,
+   *   or undefined when the admin cancelled or entered an invalid profile
+   * @private
+   */
+  _promptScoringProfile(sessionName) {
+    const { uiManager } = this.app;
+    if (!confirm('Use custom scoring for this session?')) return null;
+
+    const lastProfile = localStorage.getItem(LAST_SCORING_PROFILE_KEY);
+    const input = prompt(
+      'Scoring profile (JSON: name, baseValues, typeMultipliers, groupMultipliers):',
+      lastProfile || JSON.stringify(getDefaultScoringProfile(sessionName))
+    );
+    if (input === null) return undefined;
+
+    let profile;
+    try {
+      profile = JSON.parse(input);
+    } catch (error) {
+      uiManager.showError(`Invalid scoring profile JSON: ${error.message}`);
+      return undefined;
+    }
+
+    const errors = validateScoringProfile(profile);
+    if (errors.length > 0) {
+      uiManager.showError(`Invalid scoring profile: ${errors.join('; ')}`);
+      return undefined;
+    }
+
+    localStorage.setItem(LAST_SCORING_PROFILE_KEY, JSON.stringify(profile));
+    return profile;
+  }
+
   async adminPauseSession() {
     const { sessionModeManager, dataManager, uiManager, viewController, debug } = this.app;
 
@@ -170,7 +231,11 @@ export class GameAdminDomain {
       }
 
       const generator = new SessionReportGenerator(tokenDatabase);
-      const markdown = generator.generate({ session: sessionData, scores, transactions, playerScans });
+      const scoringProfile = dataManager.getScoringProfile?.() || null;
+      const detectiveStandings = dataManager.getDetectiveStandings?.() || null;
+      const markdown = generator.generate({
+        session: sessionData, scores, transactions, playerScans, scoringProfile, detectiveStandings
+      });
 
       const date = sessionData.startTime
         ? new Date(sessionData.startTime).toISOString().split('T')[0]
@@ -181,15 +246,7 @@ export class GameAdminDomain {
         .replace(/^-|-$/g, '');
       const filename = `session-report-${safeName}-${date}.md`;
 
-      const blob = new Blob([markdown], { type: 'text/markdown' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      this._downloadFile(markdown, filename, 'text/markdown');
 
       uiManager.showToast('Report downloaded', 'info');
     } catch (error) {
@@ -198,6 +255,462 @@ export class GameAdminDomain {
     }
   }
 
+  /**
+   * Trigger a browser download of generated content.
+   * @param {string} content - File body
+   * @param {string} filename - Suggested file name
+   * @param {string} type - MIME type
+   * @private
+   */
+  _downloadFile(content, filename, type) {
+    downloadFile(content, filename, type);
+  }
+
+  // ========== Token Database Report ==========
+
+  /**
+   * Render the token database lint report into the debug view.
+   */
+  renderTokenReport() {
+    const { tokenManager } = this.app;
+    const hasDatabase = Object.keys(tokenManager?.database || {}).length > 0;
+    new TokenReportRenderer().render(hasDatabase ? tokenManager.getValidationReport() : null);
+  }
+
+  /**
+   * Download the token database lint report as JSON for token authors.
+   */
+  exportTokenReport() {
+    const { tokenManager, uiManager } = this.app;
+    try {
+      const report = tokenManager.getValidationReport();
+      const date = report.generatedAt.split('T')[0];
+      this._downloadFile(JSON.stringify(report, null, 2), `token-report-${date}.json`, 'application/json');
+      uiManager.showToast('Token report downloaded', 'info');
+    } catch (error) {
+      console.error('Failed to export token report:', error);
+      uiManager.showError('Failed to export token report.');
+    }
+  }
+
+  /**
+   * Re-fetch tokens.json on demand (e.g. after fixing a typo mid-rehearsal).
+   * The diff toast comes from the 'tokens:reloaded' listener in main.js.
+   */
+  async reloadTokenDatabase() {
+    const { tokenManager, uiManager } = this.app;
+    const result = await tokenManager.reloadDatabase();
+    if (!result.success) {
+      uiManager.showError(`Token reload failed: ${result.error}`);
+    } else if (!result.changed) {
+      uiManager.showToast('Token database unchanged', 'info');
+    }
+    this.renderTokenReport();
+  }
+
+  // ========== Device Storage ==========
+
+  /**
+   * Render this device's storage usage and save failures into the admin panel.
+   */
+  refreshStorageHealth() {
+    new HealthRenderer().renderStorage(storageHealth.getStatus());
+  }
+
+  /**
+   * Remove stale data (old sessions' scan guards, an empty offline queue)
+   * and report how much space that freed.
+   */
+  freeStorageSpace() {
+    const { uiManager, debug } = this.app;
+    const { removed, freedBytes } = storageHealth.prune();
+    debug.log(`Storage pruned: ${removed.join(', ') || 'nothing to remove'}`);
+    uiManager.showToast(
+      removed.length > 0
+        ? `Freed ${Math.max(1, Math.round(freedBytes / 1024))} KB (${removed.length} stale item${removed.length === 1 ? '' : 's'})`
+        : 'Nothing stale to remove',
+      'info'
+    );
+    this.refreshStorageHealth();
+  }
+
+  // ========== Pending Commands ==========
+
+  /**
+   * Render the admin commands still waiting for an ack (networked).
+   */
+  refreshCommandStatus() {
+    new CommandStatusRenderer().render({ pending: this._commandBus()?.getPending() || [] });
+  }
+
+  /**
+   * Stop waiting for a pending command. It may still run on the orchestrator.
+   * @param {string} requestId
+   */
+  cancelCommand(requestId) {
+    if (this._commandBus()?.cancel(requestId, 'Cancelled by GM')) {
+      this.app.uiManager.showToast('Command cancelled', 'info');
+    }
+  }
+
+  /** @private CommandBus of the networked session's client, if connected */
+  _commandBus() {
+    return this.app.networkedSession?.services?.client?.commandBus || null;
+  }
+
+  // ========== Queued Commands ==========
+
+  /**
+   * Render the admin commands queued while offline (networked).
+   */
+  refreshQueuedCommands() {
+    new QueuedCommandsRenderer().render({
+      entries: this._commandQueue()?.getEntries() || [],
+      connected: this.app.networkedSession?.services?.client?.isConnected === true
+    });
+  }
+
+  /**
+   * Send a queued command now that the GM confirmed it.
+   * @param {string} entryId
+   */
+  async sendQueuedCommand(entryId) {
+    const bus = this._commandBus();
+    if (!bus) return;
+    try {
+      await bus.sendQueued(entryId);
+      this.app.uiManager.showToast('Queued command sent', 'success');
+    } catch (error) {
+      this.app.uiManager.showError(`Queued command not sent: ${error.message}`);
+    }
+    this.refreshQueuedCommands();
+  }
+
+  /**
+   * Send every queued command, oldest first. Stops at the first one that
+   * could not be sent (still offline); the rest stay queued.
+   */
+  async sendAllQueuedCommands() {
+    const bus = this._commandBus();
+    const entries = this._commandQueue()?.getEntries() || [];
+    if (!bus || entries.length === 0) return;
+
+    let sent = 0;
+    const failures = [];
+    for (const entry of entries) {
+      try {
+        await bus.sendQueued(entry.id);
+        sent++;
+      } catch (error) {
+        failures.push(`${entry.action}: ${error.message}`);
+        // Not sent, or cancelled when the connection closed: the rest would fail too
+        if (!error.code || error.code === 'COMMAND_CANCELLED') break;
+      }
+    }
+
+    this.app.uiManager.showToast(
+      `Sent ${sent} of ${entries.length} queued command${entries.length !== 1 ? 's' : ''}`,
+      failures.length > 0 ? 'warning' : 'success'
+    );
+    failures.forEach(message => this.app.uiManager.showError(`Queued command not sent: ${message}`));
+    this.refreshQueuedCommands();
+  }
+
+  /**
+   * Drop a queued command without sending it.
+   * @param {string} entryId
+   */
+  discardQueuedCommand(entryId) {
+    if (this._commandQueue()?.remove(entryId)) {
+      this.app.uiManager.showToast('Queued command discarded', 'info');
+    }
+    this.refreshQueuedCommands();
+  }
+
+  /**
+   * Drop every queued command (after a confirm).
+   */
+  discardAllQueuedCommands() {
+    const queue = this._commandQueue();
+    const count = queue?.getEntries().length || 0;
+    if (count === 0) return;
+    if (!confirm(`Discard ${count} queued command${count !== 1 ? 's' : ''} without sending?`)) return;
+
+    queue.clear();
+    this.app.uiManager.showToast('Queued commands discarded', 'info');
+    this.refreshQueuedCommands();
+  }
+
+  /** @private CommandQueue of the networked session, if any */
+  _commandQueue() {
+    return this.app.networkedSession?.services?.commandQueue || null;
+  }
+
+  // ========== Session Snapshots ==========
+
+  /**
+   * Render the snapshot list into the admin panel.
+   */
+  refreshSessionSnapshots() {
+    const { dataManager } = this.app;
+    const renderer = new SessionSnapshotRenderer();
+    if (!renderer.container) return;
+
+    const supported = !!dataManager.hasSessionSnapshots?.();
+    renderer.render({
+      supported,
+      snapshots: supported ? dataManager.listSnapshots() : [],
+      previewId: this._snapshotPreviewId,
+      currentSessionId: dataManager.getCurrentSession()?.sessionId || null
+    });
+  }
+
+  takeSessionSnapshot() {
+    const { dataManager, uiManager } = this.app;
+    const snapshot = dataManager.takeSnapshot('manual');
+    if (snapshot?.error) {
+      uiManager.showToast(`Snapshot not saved: ${snapshot.error}`, 'error');
+    } else if (snapshot) {
+      uiManager.showToast('Snapshot taken', 'success');
+    } else {
+      uiManager.showToast('Nothing to snapshot yet', 'info');
+    }
+    this.refreshSessionSnapshots();
+  }
+
+  /**
+   * Show (or hide) a snapshot's scoreboard without restoring it.
+   * @param {string} snapshotId
+   */
+  previewSessionSnapshot(snapshotId) {
+    this._snapshotPreviewId = this._snapshotPreviewId === snapshotId ? null : snapshotId;
+    this.refreshSessionSnapshots();
+  }
+
+  /**
+   * Roll the standalone session back to a snapshot after confirmation.
+   * @param {string} snapshotId
+   */
+  async rollbackToSnapshot(snapshotId) {
+    const { dataManager, uiManager, debug } = this.app;
+    const snapshot = dataManager.listSnapshots().find(s => s.id === snapshotId);
+    if (!snapshot) {
+      uiManager.showError('Snapshot not found.');
+      return;
+    }
+
+    const current = dataManager.getCurrentSession();
+    const replaces = current?.sessionId && current.sessionId !== snapshot.sessionId
+      ? `\n\nThis snapshot is from "${snapshot.sessionName}": it replaces the current session "${current.name || 'Unnamed Session'}".`
+      : '';
+    const when = new Date(snapshot.takenAt).toLocaleString();
+    if (!confirm(`Roll back to the snapshot from ${when} (${snapshot.label})?${replaces}\n\nThe current state is snapshotted first.`)) {
+      return;
+    }
+
+    try {
+      await dataManager.rollbackToSnapshot(snapshotId);
+      debug.log(`Rolled back to snapshot ${snapshotId}`);
+      uiManager.showToast('Session rolled back', 'success');
+      this._snapshotPreviewId = null;
+      this._refreshAdminSessionDisplay();
+      await this.refreshSessionArchive();
+    } catch (error) {
+      console.error('Failed to roll back session:', error);
+      uiManager.showError(`Rollback failed: ${error.message}`);
+    }
+    this.refreshSessionSnapshots();
+  }
+
+  deleteSessionSnapshot(snapshotId) {
+    if (!confirm('Delete this snapshot?')) return;
+    this.app.dataManager.deleteSnapshot(snapshotId);
+    this.refreshSessionSnapshots();
+  }
+
+  // ========== Session Archive ==========
+
+  /**
+   * Render the archived session list into the admin panel.
+   */
+  async refreshSessionArchive() {
+    const { dataManager } = this.app;
+    const renderer = new SessionArchiveRenderer();
+    if (!renderer.container) return;
+
+    const supported = !!dataManager.hasSessionArchive?.();
+    try {
+      renderer.render({
+        supported,
+        sessions: supported ? await dataManager.listArchivedSessions() : [],
+        openSession: dataManager.isReadOnly?.() ? dataManager.getCurrentSession() : null
+      });
+    } catch (error) {
+      console.error('Failed to load session archive:', error);
+      renderer.render({ supported: false });
+    }
+  }
+
+  /**
+   * View an archived session read-only. Scoreboard, history and the
+   * postgame report follow it until closeArchivedSession().
+   * @param {string} sessionId
+   */
+  async openArchivedSession(sessionId) {
+    const { dataManager, uiManager, debug } = this.app;
+    try {
+      const session = await dataManager.openArchivedSession(sessionId);
+      debug.log(`Viewing archived session: ${sessionId}`);
+      uiManager.showToast(`Viewing "${session.name || sessionId}" (read-only)`, 'info');
+    } catch (error) {
+      console.error('Failed to open archived session:', error);
+      uiManager.showError(`Failed to open session: ${error.message}`);
+    }
+    this._refreshAdminSessionDisplay();
+    await this.refreshSessionArchive();
+  }
+
+  async closeArchivedSession() {
+    this.app.dataManager.closeArchivedSession();
+    this._refreshAdminSessionDisplay();
+    await this.refreshSessionArchive();
+  }
+
+  /**
+   * Download an archived session (all transactions, teams and adjustments) as JSON.
+   * @param {string} sessionId
+   */
+  async exportArchivedSession(sessionId) {
+    const { dataManager, uiManager } = this.app;
+    try {
+      const exported = await dataManager.exportArchivedSession(sessionId);
+      const date = (exported.session.startTime || exported.exportedAt).split('T')[0];
+      this._downloadFile(JSON.stringify(exported, null, 2), `session-${sessionId}-${date}.json`, 'application/json');
+      uiManager.showToast('Session exported', 'info');
+    } catch (error) {
+      console.error('Failed to export archived session:', error);
+      uiManager.showError(`Failed to export session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permanently delete an archived session after confirmation.
+   * @param {string} sessionId
+   */
+  async purgeArchivedSession(sessionId) {
+    const { dataManager, uiManager } = this.app;
+    if (!confirm('Permanently delete this archived session? Export it first if you may need it.')) return;
+
+    try {
+      const result = await dataManager.purgeArchivedSession(sessionId);
+      if (result.success) {
+        uiManager.showToast('Archived session deleted', 'success');
+      } else {
+        uiManager.showError(result.error || 'Failed to delete session');
+      }
+    } catch (error) {
+      console.error('Failed to purge archived session:', error);
+      uiManager.showError(`Failed to delete session: ${error.message}`);
+    }
+    await this.refreshSessionArchive();
+  }
+
+  // ========== Session Bundles ==========
+
+  /**
+   * Download the current standalone session as a JSON bundle that can be
+   * imported on another device.
+   */
+  exportSessionBundle() {
+    const { dataManager, uiManager } = this.app;
+    try {
+      const bundle = dataManager.exportSessionBundle();
+      const { name, startTime } = bundle.session;
+      const date = (startTime || bundle.exportedAt).split('T')[0];
+      const safeName = (name || 'session')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+      this._downloadFile(JSON.stringify(bundle, null, 2), `session-bundle-${safeName}-${date}.json`, 'application/json');
+      uiManager.showToast('Session bundle downloaded', 'info');
+    } catch (error) {
+      console.error('Failed to export session bundle:', error);
+      uiManager.showError(`Failed to export session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick a bundle file and import it.
+   */
+  importSessionBundle() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', async () => {
+      const file = input.files?.[0];
+      if (file) await this.importSessionBundleText(await file.text());
+    });
+    input.click();
+  }
+
+  /**
+   * Validate and import bundle JSON. Warnings (different tokens.json,
+   * unknown tokens) and replacing a session in progress both need confirmation.
+   * @param {string} text - Bundle file contents
+   * @returns {Promise<boolean>} Whether the session was imported
+   */
+  async importSessionBundleText(text) {
+    const { dataManager, uiManager, debug } = this.app;
+
+    let bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch {
+      uiManager.showError('Import failed: file is not valid JSON');
+      return false;
+    }
+
+    const { valid, errors, warnings } = dataManager.validateSessionBundle(bundle);
+    if (!valid) {
+      uiManager.showError(`Import failed: ${errors.join('; ')}`);
+      return false;
+    }
+    if (warnings.length > 0 && !confirm(`Import "${bundle.session.name || 'Unnamed Session'}" anyway?\n\n• ${warnings.join('\n• ')}`)) {
+      return false;
+    }
+
+    const current = dataManager.getCurrentSession();
+    if (current?.name || dataManager.getTransactions().length > 0) {
+      const fate = dataManager.hasSessionArchive?.() ? 'archived' : 'discarded';
+      if (!confirm(`Replace the current session "${current?.name || 'Unnamed Session'}"? It will be ${fate}.`)) {
+        return false;
+      }
+    }
+
+    try {
+      const session = await dataManager.importSessionBundle(bundle);
+      debug.log(`Session imported: ${bundle.session.sessionId} -> ${session.sessionId}`);
+      uiManager.showToast(`Imported "${session.name || 'Unnamed Session'}"`, 'success');
+      this._refreshAdminSessionDisplay();
+      await this.refreshSessionArchive();
+      return true;
+    } catch (error) {
+      console.error('Failed to import session bundle:', error);
+      uiManager.showError(`Import failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  // ========== Promotion to Orchestrator ==========
+
+  /**
+   * Move the standalone session onto the orchestrator (see app/sessionPromotion).
+   * @returns {Promise<boolean>} Whether the game now runs on the orchestrator
+   */
+  async promoteToOrchestrator() {
+    return new SessionPromotion(this.app).start();
+  }
+
   // ========== System Reset ==========
 
   async adminResetAndCreateNew() {
@@ -226,39 +739,7 @@ export class GameAdminDomain {
 
     try {
       debug.log('Sending system:reset command...');
-
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          socket.off('gm:command:ack', ackHandler);
-          reject(new Error('System reset timeout (5s)'));
-        }, 5000);
-
-        const socket = viewController.adminInstances.sessionManager.connection.socket;
-
-        const ackHandler = (response) => {
-          if (response.data?.action !== 'system:reset') {
-            socket.once('gm:command:ack', ackHandler);
-            return;
-          }
-          clearTimeout(timeout);
-          if (response.data && response.data.success) {
-            debug.log('System reset successful');
-            resolve();
-          } else {
-            const errorMsg = response.data?.message || 'Reset failed';
-            reject(new Error(errorMsg));
-          }
-        };
-
-        socket.once('gm:command:ack', ackHandler);
-
-        socket.emit('gm:command', {
-          event: 'gm:command',
-          data: { action: 'system:reset', payload: {} },
-          timestamp: new Date().toISOString(),
-        });
-      });
-
+      await CommandBus.for(viewController.adminInstances.sessionManager.connection).send('system:reset', {});
       debug.log('System reset complete, creating new session...');
       await viewController.adminInstances.sessionManager.createSession(name.trim());
       debug.log(`New session created: ${name}`);
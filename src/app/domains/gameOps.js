@@ -2,8 +2,9 @@
  * Game Ops Domain
  *
  * Owns: NFC scanning pipeline, team entry, transaction recording, game mode toggle,
- * scoreboard navigation, history navigation, team details navigation, score/transaction
- * GM interventions, admin score display refresh.
+ * scoreboard navigation, history navigation and export, team details navigation, score/transaction
+ * GM interventions and their undo/redo, what-if score previews, admin score display refresh,
+ * the offline scan queue inspector (networked).
  *
  * Receives `app` as a dependency handle at construction — all I/O goes through
  * app.uiManager, app.dataManager, app.settings, app.tokenManager, etc. so that
@@ -14,6 +15,10 @@
  */
 
 import { escapeHtml } from '../../utils/escapeHtml.js';
+import { UndoHistoryRenderer } from '../../ui/renderers/UndoHistoryRenderer.js';
+import { QueueInspectorRenderer } from '../../ui/renderers/QueueInspectorRenderer.js';
+import { downloadFile } from '../../utils/downloadFile.js';
+import CONFIG from '../../utils/config.js';
 
 export class GameOpsDomain {
   /**
@@ -290,7 +295,7 @@ export class GameOpsDomain {
       }
 
       const queueManager = networkedSession.getService('queueManager');
-      const txId = queueManager.queueTransaction({
+      const submission = {
         tokenId,
         teamId: this.app.currentTeamId,
         deviceId: settings.deviceId,
@@ -298,7 +303,9 @@ export class GameOpsDomain {
         mode: settings.mode,
         summary: token?.summary || null,
         timestamp: transaction.timestamp,
-      });
+      };
+      // Recorded for undo once the orchestrator accepts it (transaction:accepted)
+      const txId = queueManager.queueTransaction(submission);
       debug.log(`Transaction queued for orchestrator: ${txId}`);
     } else {
       if (sessionModeManager && sessionModeManager.isStandalone()) {
@@ -316,8 +323,14 @@ export class GameOpsDomain {
       debug.log(`Token scored: $${transaction.points.toLocaleString()}`);
     }
 
+    // Near-miss suggestions help the GM spot a misread or mistyped tag
+    const suggestions = isUnknown ? (this.app.tokenManager?.suggestTokens?.(tokenId) || []) : [];
+
+    // Remembered for the result screen's what-if preview
+    this.app.lastResultTokenId = isUnknown ? null : tokenId;
+
     uiManager.updateSessionStats();
-    uiManager.showTokenResult(token, tokenId, isUnknown);
+    uiManager.showTokenResult(token, tokenId, isUnknown, suggestions);
   }
 
   manualEntry() {
@@ -363,12 +376,133 @@ export class GameOpsDomain {
     uiManager.showScreen('history');
   }
 
+  /**
+   * Download the game activity shown in a container, filters applied, as CSV
+   * @param {string} [containerId='historyContainer'] - History screen or admin Game Activity
+   */
+  exportHistory(containerId = 'historyContainer') {
+    const { uiManager } = this.app;
+    try {
+      const csv = uiManager.exportGameActivityCsv(document.getElementById(containerId));
+      const date = new Date().toISOString().split('T')[0];
+      downloadFile(csv, `game-activity-${date}.csv`, 'text/csv');
+      uiManager.showToast('History exported', 'info');
+    } catch (error) {
+      console.error('Failed to export history:', error);
+      uiManager.showError('Failed to export history.');
+    }
+  }
+
   closeHistory() {
     const { uiManager } = this.app;
     const targetScreen = uiManager.previousScreen || 'teamEntry';
     uiManager.showScreen(targetScreen);
   }
 
+  // ========== Scan Queue Inspector ==========
+
+  /**
+   * Show the offline scan queue: what is waiting, what is being sent, and
+   * what the orchestrator did not accept (networked).
+   */
+  showQueueInspector() {
+    if (!this._queueManager()) {
+      this.app.debug.log('Scan queue only available in networked mode');
+      return;
+    }
+    this.refreshQueueInspector(true);
+    this.app.uiManager.showScreen('queueInspector');
+  }
+
+  closeQueueInspector() {
+    const { uiManager } = this.app;
+    uiManager.showScreen(uiManager.previousScreen || 'teamEntry');
+  }
+
+  /**
+   * Re-render the inspector when it is open (queue events call this)
+   * @param {boolean} [force=false] - Render even when the screen is not showing
+   */
+  refreshQueueInspector(force = false) {
+    const queueManager = this._queueManager();
+    if (!queueManager) return;
+    if (!force && !document.getElementById('queueInspectorScreen')?.classList.contains('active')) return;
+    new QueueInspectorRenderer().render(queueManager.getInspection());
+  }
+
+  /**
+   * Send a scan again: a waiting one now, a rejected or dropped one as a new
+   * queued scan.
+   * @param {string} clientTxId
+   */
+  retryQueuedScan(clientTxId) {
+    const { dataManager, uiManager } = this.app;
+    const queueManager = this._queueManager();
+    const entry = this._inspectedEntry(clientTxId);
+    if (!queueManager || !entry) return;
+
+    if (!queueManager.retryEntry(clientTxId)) {
+      uiManager.showError(`Cannot retry ${entry.tokenId} now - it is being sent or the orchestrator is not connected`);
+      return;
+    }
+    // A rejected scan was unmarked so it could be re-scanned; it is queued again now
+    dataManager.markTokenAsScanned(entry.tokenId);
+    uiManager.showToast(`Retrying ${entry.tokenId}`, 'info');
+  }
+
+  /**
+   * Credit a waiting scan to another team, or re-send a rejected or dropped
+   * one for another team.
+   * @param {string} clientTxId
+   */
+  editQueuedScanTeam(clientTxId) {
+    const { dataManager, uiManager } = this.app;
+    const queueManager = this._queueManager();
+    const entry = this._inspectedEntry(clientTxId);
+    if (!queueManager || !entry) return;
+
+    const teamId = prompt(`Credit ${entry.tokenId} to which team?`, entry.teamId)?.trim();
+    if (!teamId || teamId === entry.teamId) return;
+
+    if (!queueManager.editEntryTeam(clientTxId, teamId)) {
+      uiManager.showError(`Cannot change ${entry.tokenId} while it is being sent`);
+      return;
+    }
+    dataManager.markTokenAsScanned(entry.tokenId);
+    uiManager.showToast(`${entry.tokenId} will be sent for team ${teamId}`, 'success');
+  }
+
+  /**
+   * Give up on a scan (it stays in the inspector's history as discarded).
+   * @param {string} clientTxId
+   */
+  discardQueuedScan(clientTxId) {
+    const { uiManager } = this.app;
+    const queueManager = this._queueManager();
+    const entry = this._inspectedEntry(clientTxId);
+    if (!queueManager || !entry) return;
+    if (!confirm(`Discard the scan of ${entry.tokenId} for team ${entry.teamId}?`)) return;
+
+    if (!queueManager.discardEntry(clientTxId)) {
+      uiManager.showError(`Cannot discard ${entry.tokenId} while it is being sent`);
+      return;
+    }
+    uiManager.showToast(`Discarded ${entry.tokenId}`, 'info');
+  }
+
+  /** @private */
+  _queueManager() {
+    return this.app.networkedSession?.services?.queueManager || null;
+  }
+
+  /** @private A waiting or unresolved inspector entry */
+  _inspectedEntry(clientTxId) {
+    const { pending, history } = this._queueManager()?.getInspection() || { pending: [], history: [] };
+    return pending.find(e => e.clientTxId === clientTxId) ||
+      history.find(e => e.clientTxId === clientTxId && !e.resolution) ||
+      null;
+  }
+
   // ========== Scoreboard ==========
 
   showScoreboard() {
@@ -495,7 +629,7 @@ export class GameOpsDomain {
         if (reasonInput) reasonInput.value = '';
         const transactions = dataManager.getTeamTransactions(teamId);
         uiManager.renderTeamDetails(teamId, transactions);
-        uiManager.showToast(`Score adjusted: ${delta > 0 ? '+' : ''}${delta} points`, 'success');
+        this._showUndoToast(`Score adjusted: ${delta > 0 ? '+' : ''}${delta} points`);
       } catch (error) {
         console.error('Failed to adjust score (standalone):', error);
         uiManager.showError(`Failed to adjust score: ${error.message}`);
@@ -510,19 +644,65 @@ export class GameOpsDomain {
 
     try {
       await viewController.adminInstances.adminOps.adjustScore(teamId, delta, reason);
+      dataManager.recordAction('score:adjust', { teamId, delta, reason });
       debug.log(`Score adjusted (networked): Team ${teamId} ${delta > 0 ? '+' : ''}${delta} (${reason})`);
       if (deltaInput) deltaInput.value = '';
       if (reasonInput) reasonInput.value = '';
-      uiManager.showToast(`Score adjusted: ${delta > 0 ? '+' : ''}${delta} points`, 'success');
+      this._showUndoToast(`Score adjusted: ${delta > 0 ? '+' : ''}${delta} points`);
     } catch (error) {
+      if (this._handleDeferred(error)) {
+        if (deltaInput) deltaInput.value = '';
+        if (reasonInput) reasonInput.value = '';
+        return;
+      }
       console.error('Failed to adjust score (networked):', error);
       uiManager.showError(`Failed to adjust score: ${error.message}`);
     }
   }
 
+  // ========== What-If Score Preview ==========
+
+  /**
+   * Preview the team-details adjustment and/or token turn-in before applying it.
+   * Reads the adjustment amount and the what-if token ID from the intervention panel.
+   */
+  previewTeamScoreChange() {
+    const { dataManager, uiManager } = this.app;
+    const teamId = this.app.currentInterventionTeamId;
+    const container = document.getElementById('teamWhatIfResult');
+    if (!teamId || !container) return;
+
+    const tokenId = document.getElementById('whatIfTokenInput')?.value.trim() || null;
+    const delta = parseInt(document.getElementById('scoreAdjustmentInput')?.value || '0') || 0;
+    if (!tokenId && delta === 0) {
+      uiManager.showError('Enter a token ID or an adjustment amount to preview.');
+      return;
+    }
+
+    uiManager.renderScoreSimulation(container, dataManager.simulateScoreChange(teamId, { tokenId, delta }));
+  }
+
+  /**
+   * Preview what the token on the result screen would be worth to another team
+   * (e.g. a contested scan). Reads the team from the result screen's what-if input.
+   */
+  previewResultTokenForTeam() {
+    const { dataManager, uiManager } = this.app;
+    const tokenId = this.app.lastResultTokenId;
+    const container = document.getElementById('resultWhatIfOutput');
+    const teamId = document.getElementById('resultWhatIfTeam')?.value.trim();
+    if (!tokenId || !container) return;
+    if (!teamId) {
+      uiManager.showError('Enter a team to preview.');
+      return;
+    }
+
+    uiManager.renderScoreSimulation(container, dataManager.simulateScoreChange(teamId, { tokenId }));
+  }
+
   async deleteTeamTransaction(transactionId) {
     const { dataManager, uiManager, sessionModeManager, viewController, debug } = this.app;
-    if (!confirm('Delete this transaction? This cannot be undone.')) return;
+    if (!confirm('Delete this transaction?')) return;
 
     if (sessionModeManager?.isStandalone()) {
       try {
@@ -534,7 +714,7 @@ export class GameOpsDomain {
             const transactions = dataManager.getTeamTransactions(teamId);
             uiManager.renderTeamDetails(teamId, transactions);
           }
-          uiManager.showToast('Transaction deleted', 'success');
+          this._showUndoToast('Transaction deleted');
         } else {
           uiManager.showError('Transaction not found');
         }
@@ -550,13 +730,214 @@ export class GameOpsDomain {
       return;
     }
 
+    const transaction = dataManager.getTransactions().find(tx => tx.id === transactionId);
+
     try {
       await viewController.adminInstances.adminOps.deleteTransaction(transactionId);
+      if (transaction) dataManager.recordAction('transaction:delete', { transaction });
       debug.log(`Transaction deleted (networked): ${transactionId}`);
-      uiManager.showToast('Transaction deleted', 'success');
+      this._showUndoToast('Transaction deleted');
     } catch (error) {
+      if (this._handleDeferred(error)) return;
       console.error('Failed to delete transaction (networked):', error);
       uiManager.showError(`Failed to delete transaction: ${error.message}`);
     }
   }
+
+  /**
+   * Move a transaction credited to the wrong team. Both teams are rescored
+   * (group bonuses included) and the reason goes into the audit trail.
+   * @param {string} transactionId
+   */
+  async reassignTeamTransaction(transactionId) {
+    const { dataManager, uiManager, sessionModeManager, viewController, debug } = this.app;
+    const transaction = dataManager.getTransactions().find(tx => tx.id === transactionId);
+    if (!transaction) {
+      uiManager.showError('Transaction not found');
+      return;
+    }
+
+    const toTeamId = prompt(`Move ${transaction.tokenId} from team ${transaction.teamId} to which team?`)?.trim();
+    if (!toTeamId) return;
+    if (toTeamId === transaction.teamId) {
+      uiManager.showError(`Transaction is already credited to team ${toTeamId}`);
+      return;
+    }
+    const reason = prompt('Reason for the move (recorded in the audit trail):', 'Credited to the wrong team')?.trim();
+    if (reason === undefined) return;
+    const fromTeamId = transaction.teamId;
+
+    if (sessionModeManager?.isStandalone()) {
+      try {
+        const result = await dataManager.reassignTransaction(transactionId, toTeamId, reason || 'Reassigned by GM');
+        if (!result.success) {
+          uiManager.showError(`Failed to move transaction: ${result.error}`);
+          return;
+        }
+        debug.log(`Transaction moved (standalone): ${transactionId} ${fromTeamId} → ${toTeamId}`);
+        this._showUndoToast(`Moved to team ${toTeamId}`);
+      } catch (error) {
+        console.error('Failed to move transaction (standalone):', error);
+        uiManager.showError(`Failed to move transaction: ${error.message}`);
+      }
+      return;
+    }
+
+    if (!viewController?.adminInstances?.adminOps) {
+      alert('Admin functions not available. Ensure you are in networked mode.');
+      return;
+    }
+
+    try {
+      await viewController.adminInstances.adminOps.reassignTransaction(transactionId, toTeamId, reason || 'Reassigned by GM');
+      dataManager.recordAction('transaction:reassign', { transaction, fromTeamId, toTeamId, reason: reason || 'Reassigned by GM' });
+      debug.log(`Transaction moved (networked): ${transactionId} ${fromTeamId} → ${toTeamId}`);
+      this._showUndoToast(`Moved to team ${toTeamId}`);
+    } catch (error) {
+      if (this._handleDeferred(error)) return;
+      console.error('Failed to move transaction (networked):', error);
+      uiManager.showError(`Failed to move transaction: ${error.message}`);
+    }
+  }
+
+  // ========== Notes & Disputes ==========
+
+  /**
+   * Add, edit or clear (empty input) the GM note on a transaction
+   * @param {string} transactionId
+   */
+  async editTransactionNote(transactionId) {
+    const { dataManager, uiManager } = this.app;
+    const transaction = dataManager.getTransactions().find(tx => tx.id === transactionId);
+    if (!transaction) {
+      uiManager.showError('Transaction not found');
+      return;
+    }
+
+    const note = prompt(`Note for ${transaction.tokenId} (team ${transaction.teamId}). Leave empty to remove:`, transaction.note || '');
+    if (note === null) return;
+
+    await this._annotateTransaction(transactionId, { note }, note.trim() ? 'Note saved' : 'Note removed');
+  }
+
+  /**
+   * Flag a transaction as disputed (asking what is disputed), or resolve the
+   * dispute. The note is kept when a dispute is resolved.
+   * @param {string} transactionId
+   */
+  async toggleTransactionDispute(transactionId) {
+    const { dataManager, uiManager } = this.app;
+    const transaction = dataManager.getTransactions().find(tx => tx.id === transactionId);
+    if (!transaction) {
+      uiManager.showError('Transaction not found');
+      return;
+    }
+
+    if (transaction.disputed) {
+      await this._annotateTransaction(transactionId, { disputed: false }, 'Dispute resolved');
+      return;
+    }
+
+    const note = prompt(`What is disputed about ${transaction.tokenId} (team ${transaction.teamId})?`, transaction.note || '');
+    if (note === null) return;
+
+    await this._annotateTransaction(transactionId, { note, disputed: true }, 'Marked as disputed');
+  }
+
+  /**
+   * Standalone: annotate through the data manager. Networked: send
+   * transaction:annotate; the transaction:annotated broadcast updates every
+   * station, this one included.
+   * @private
+   */
+  async _annotateTransaction(transactionId, annotation, successMessage) {
+    const { dataManager, uiManager, sessionModeManager, viewController, debug } = this.app;
+
+    try {
+      if (sessionModeManager?.isStandalone()) {
+        const result = await dataManager.annotateTransaction(transactionId, annotation);
+        if (!result.success) {
+          uiManager.showError(`Failed to update transaction: ${result.error}`);
+          return;
+        }
+      } else {
+        if (!viewController?.adminInstances?.adminOps) {
+          alert('Admin functions not available. Ensure you are in networked mode.');
+          return;
+        }
+        await viewController.adminInstances.adminOps.annotateTransaction(transactionId, annotation);
+      }
+      debug.log(`Transaction annotated: ${transactionId}`);
+      uiManager.showToast(successMessage, 'success');
+    } catch (error) {
+      if (this._handleDeferred(error)) return;
+      console.error('Failed to annotate transaction:', error);
+      uiManager.showError(`Failed to update transaction: ${error.message}`);
+    }
+  }
+
+  /**
+   * A networked admin command queued instead of sent because the orchestrator
+   * was unreachable (network/commandQueue): tell the GM it waits for their
+   * review on reconnect. Nothing ran yet, so no undo entry is recorded.
+   * @private
+   * @returns {boolean} Whether the error was such a deferral
+   */
+  _handleDeferred(error) {
+    if (error?.code !== 'COMMAND_DEFERRED') return false;
+    this.app.uiManager.showToast(error.message, 'warning');
+    return true;
+  }
+
+  // ========== Undo / Redo ==========
+
+  /**
+   * Success toast with an Undo button, shown for CONFIG.UNDO_TOAST_DURATION.
+   * After it expires the action can still be undone from the admin history.
+   * @private
+   */
+  _showUndoToast(message) {
+    this.app.uiManager.showToast(message, 'success', CONFIG.UNDO_TOAST_DURATION, {
+      action: { label: 'Undo', onClick: () => this.undoLastAction() }
+    });
+  }
+
+  async undoLastAction() {
+    const { dataManager, uiManager, debug } = this.app;
+    try {
+      const result = await dataManager.undo();
+      if (!result.success) {
+        uiManager.showError(`Undo failed: ${result.error}`);
+        return;
+      }
+      debug.log(`Undone: ${result.entry.label}`);
+      uiManager.showToast(`Undone: ${result.entry.label}`, 'info', 4000, {
+        action: { label: 'Redo', onClick: () => this.redoLastAction() }
+      });
+    } catch (error) {
+      console.error('Undo failed:', error);
+      uiManager.showError(`Undo failed: ${error.message}`);
+    }
+  }
+
+  async redoLastAction() {
+    const { dataManager, uiManager, debug } = this.app;
+    try {
+      const result = await dataManager.redo();
+      if (!result.success) {
+        uiManager.showError(`Redo failed: ${result.error}`);
+        return;
+      }
+      debug.log(`Redone: ${result.entry.label}`);
+      uiManager.showToast(`Redone: ${result.entry.label}`, 'info');
+    } catch (error) {
+      console.error('Redo failed:', error);
+      uiManager.showError(`Redo failed: ${error.message}`);
+    }
+  }
+
+  refreshUndoHistory() {
+    const renderer = new UndoHistoryRenderer();
+    renderer.render(this.app.dataManager.getHistory());
+  }
 }
@@ -3,7 +3,8 @@
  * ES6 Module - Simple State Manager
  *
  * Manages the dual operation modes (networked/standalone) with locking mechanism.
- * Once a mode is set, it cannot be changed until page reload.
+ * Once a mode is set, it cannot be changed until page reload — except for
+ * promoting a standalone game onto the orchestrator (promoteToNetworked).
  *
  * Key responsibilities:
  * - Mode locking (networked vs standalone)
@@ -41,6 +42,23 @@ export class SessionModeManager {
     this._persistMode(mode);
   }
 
+  /**
+   * Move a locked standalone station to networked mode
+   * The only transition allowed out of a locked mode: a game that fell back
+   * to standalone while the orchestrator was down, now being migrated onto it
+   * (see app/sessionPromotion). The mode stays locked.
+   * @throws {Error} If the current mode is not standalone
+   */
+  promoteToNetworked() {
+    if (this.mode !== 'standalone') {
+      throw new Error(`Only a standalone session can be promoted (current mode: ${this.mode})`);
+    }
+
+    this.mode = 'networked';
+    this.locked = true;
+    this._persistMode('networked');
+  }
+
   /**
    * Check if current mode is networked
    * @returns {boolean}
@@ -0,0 +1,366 @@
+/**
+ * Session Promotion - move a standalone game onto the orchestrator
+ *
+ * When the orchestrator is down at game start, GMs fall back to standalone
+ * mode and the mode locks. Promotion is the guided way back:
+ *
+ *   1. Snapshot the standalone session (a session bundle, see core/sessionBundle)
+ *   2. Connect through the usual NetworkedSession/ConnectionManager path
+ *      (via the connection wizard when there is no valid token)
+ *   3. Create a backend session with the same teams and start it
+ *   4. Replay the standalone transactions through NetworkedQueueManager in
+ *      timestamp order, with the admin score adjustments and the last score
+ *      reset merged in where they happened (see buildReplayTimeline)
+ *   5. Reconcile backend scores against the local totals and report
+ *
+ * Steps 1-2 are undone on failure (the station stays standalone). From step
+ * 3 on the backend owns the game: anything the replay could not deliver stays
+ * in the offline queue and flushes on reconnect like any other scan.
+ * The standalone copy of the session is kept on the device.
+ *
+ * @module app/sessionPromotion
+ */
+
+import { isTokenValid } from '../utils/jwtUtils.js';
+
+const SYNC_TIMEOUT_MS = 5000;
+
+/**
+ * Build the transaction:submit payloads for a standalone session's
+ * transactions, oldest first. Unknown-token scans carry no points and the
+ * backend would reject them, so they are left out.
+ * @param {Object} sessionData - Standalone sessionData
+ * @param {string} deviceId - This station's device ID
+ * @returns {{transactions: Array<Object>, skipped: number}}
+ */
+export function buildReplayTransactions(sessionData, deviceId) {
+  const known = sessionData.transactions.filter(tx => !tx.isUnknown);
+  const transactions = known
+    .map((tx, index) => ({ tx, index }))
+    .sort((a, b) => (Date.parse(a.tx.timestamp) || 0) - (Date.parse(b.tx.timestamp) || 0) || a.index - b.index)
+    .map(({ tx }) => ({
+      tokenId: tx.tokenId,
+      teamId: tx.teamId,
+      deviceId,
+      deviceType: 'gm',
+      mode: tx.mode,
+      summary: tx.summary || null,
+      timestamp: tx.timestamp
+    }));
+
+  return { transactions, skipped: sessionData.transactions.length - known.length };
+}
+
+/**
+ * Merge a standalone session's score reset and admin adjustments into its
+ * replay, by timestamp, as scoreReplay does when it rebuilds the scores.
+ * Scans from before the reset are replayed too - the orchestrator must know
+ * their tokens are claimed - and the reset that follows them zeroes what
+ * they scored. Ties go to the transaction; an adjustment without a
+ * timestamp comes last. resetScores() drops earlier adjustments, so every
+ * adjustment left belongs after the reset.
+ * @param {Object} sessionData - Standalone sessionData
+ * @param {string} deviceId - This station's device ID
+ * @returns {{steps: Array<Object>, skipped: number}} Steps in replay order:
+ *   { type: 'transactions', transactions } (see buildReplayTransactions),
+ *   { type: 'reset', timestamp } or { type: 'adjustment', teamId, delta, reason, timestamp }
+ */
+export function buildReplayTimeline(sessionData, deviceId) {
+  const { transactions, skipped } = buildReplayTransactions(sessionData, deviceId);
+
+  const events = [];
+  if (sessionData.scoresResetAt) events.push({ type: 'reset', timestamp: sessionData.scoresResetAt });
+  Object.values(sessionData.teams || {}).forEach(team => {
+    (team.adminAdjustments || []).forEach(({ delta, reason, timestamp }) => {
+      events.push({ type: 'adjustment', teamId: team.teamId, delta, reason, timestamp });
+    });
+  });
+  const eventTime = event => Date.parse(event.timestamp) || Infinity;
+  events.sort((a, b) => eventTime(a) - eventTime(b));
+
+  const steps = [];
+  let batch = [];
+  const flushBatch = () => {
+    if (batch.length > 0) steps.push({ type: 'transactions', transactions: batch });
+    batch = [];
+  };
+  transactions.forEach(tx => {
+    while (events.length > 0 && eventTime(events[0]) < (Date.parse(tx.timestamp) || 0)) {
+      flushBatch();
+      steps.push(events.shift());
+    }
+    batch.push(tx);
+  });
+  flushBatch();
+  steps.push(...events);
+
+  return { steps, skipped };
+}
+
+/**
+ * Compare backend team scores with the standalone totals
+ * @param {Array<{teamId: string, score: number}>} localScores
+ * @param {Array<{teamId: string, score: number}>} backendScores
+ * @returns {{matched: boolean, teams: Array<{teamId: string, local: number, backend: number, difference: number}>}}
+ */
+export function reconcileScores(localScores, backendScores) {
+  const backend = new Map(backendScores.map(s => [s.teamId, s.score || 0]));
+  const teamIds = new Set([...localScores.map(s => s.teamId), ...backend.keys()]);
+  const local = new Map(localScores.map(s => [s.teamId, s.score || 0]));
+
+  const teams = [...teamIds].sort().map(teamId => {
+    const localScore = local.get(teamId) ?? 0;
+    const backendScore = backend.get(teamId) ?? 0;
+    return { teamId, local: localScore, backend: backendScore, difference: backendScore - localScore };
+  });
+
+  return { matched: teams.every(t => t.difference === 0), teams };
+}
+
+export class SessionPromotion {
+  /**
+   * @param {import('./app.js').App} app - The App instance (provides collaborators)
+   */
+  constructor(app) {
+    this.app = app;
+    this.bundle = null;
+    this.localScores = null;
+  }
+
+  /**
+   * Confirm, snapshot the standalone session and connect.
+   * Without a valid token the connection wizard opens; its submit ends up
+   * in App.selectGameMode, which hands back to resume().
+   * @returns {Promise<boolean>} Whether the game now runs on the orchestrator
+   *   (false also while waiting for the wizard)
+   */
+  async start() {
+    const { dataManager, uiManager } = this.app;
+
+    if (!this.app.sessionModeManager?.isStandalone()) {
+      uiManager.showError('Only a standalone session can be moved to the orchestrator');
+      return false;
+    }
+    if (dataManager.isReadOnly?.()) {
+      uiManager.showError('Close the archived session before moving to the orchestrator');
+      return false;
+    }
+
+    const session = dataManager.getCurrentSession();
+    const count = dataManager.getTransactions().length;
+    const profileNote = dataManager.getScoringProfile?.()
+      ? '\n\nThis session uses custom scoring; the orchestrator scores with its own rules, so totals may differ.'
+      : '';
+    if (!confirm(
+      `Move "${session?.name || 'Unnamed Session'}" to the orchestrator?\n\n` +
+      'This will:\n' +
+      '• Connect this station to the orchestrator\n' +
+      '• Create a new orchestrator session with the same teams (replacing any running one)\n' +
+      `• Replay ${count} transaction${count === 1 ? '' : 's'} in scan order, with admin adjustments and score resets where they happened\n` +
+      '• Compare the resulting scores with this station\'s totals' +
+      profileNote
+    )) {
+      return false;
+    }
+
+    this.bundle = dataManager.exportSessionBundle();
+    this.localScores = dataManager.getTeamScores().map(s => ({ teamId: s.teamId, score: s.score }));
+
+    if (!isTokenValid(localStorage.getItem('aln_auth_token'))) {
+      this.app.pendingPromotion = this;
+      this.app.showConnectionWizard?.();
+      return false;
+    }
+    return this.resume();
+  }
+
+  /**
+   * Continue once a token is available (directly, or after the wizard)
+   * @returns {Promise<boolean>}
+   */
+  async resume() {
+    this.app.pendingPromotion = null;
+    if (!(await this._connect())) return false;
+    return this._migrate();
+  }
+
+  /**
+   * Abandon a promotion waiting on the connection wizard
+   */
+  cancel() {
+    this.app.pendingPromotion = null;
+    this.bundle = null;
+  }
+
+  /**
+   * Switch the station to networked mode and connect; undone on failure.
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _connect() {
+    const { app } = this;
+    try {
+      app.sessionModeManager.promoteToNetworked();
+      await app._initializeNetworkedMode();
+      if (!app.networkedSession) throw new Error('Not connected');
+
+      await this._requestSync();
+      const backendSession = app.dataManager.sessionState;
+      if (backendSession?.id && backendSession.status !== 'ended' &&
+          !confirm(`The orchestrator is already running "${backendSession.name || backendSession.id}". Replace it with this session?`)) {
+        throw new Error('Cancelled: orchestrator session kept');
+      }
+      return true;
+    } catch (error) {
+      await this._rollback(error);
+      return false;
+    }
+  }
+
+  /**
+   * Back to standalone after a failed connect
+   * @private
+   */
+  async _rollback(error) {
+    const { app } = this;
+    console.error('Session promotion failed:', error);
+
+    if (app.networkedSession) {
+      await app.networkedSession.destroy();
+      app.networkedSession = null;
+    }
+    app.dataManager.restoreStandaloneMode();
+    app.sessionModeManager.clearMode();
+    app.sessionModeManager.setMode('standalone');
+    document.body.classList.add('standalone-mode');
+    document.body.classList.remove('networked-mode');
+
+    const modal = document.getElementById('connectionModal');
+    if (modal) modal.style.display = 'none';
+
+    app.uiManager.showError(`Could not move to the orchestrator: ${error.message}. Still in standalone mode.`);
+  }
+
+  /**
+   * Create the backend session, replay, reconcile and report.
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _migrate() {
+    const { app } = this;
+    const { networkedSession, dataManager, uiManager, debug } = app;
+    const local = this.bundle.session;
+
+    try {
+      const adminController = networkedSession.getService('adminController');
+      const sessionManager = adminController.getModule('sessionManager');
+      const adminOps = adminController.getModule('adminOperations');
+      const queueManager = networkedSession.getService('queueManager');
+
+      await sessionManager.createSession(local.name || 'Promoted Session', Object.keys(local.teams));
+      await sessionManager.startGame();
+      // The new session id arrives as a session boundary, which clears the
+      // offline queue; let it land before queueing the replay
+      await this._requestSync();
+      debug.log(`Promotion: backend session created for ${local.sessionId}`);
+
+      const { steps, skipped } = buildReplayTimeline(local, app.settings?.deviceId);
+      const results = [];
+      const remaining = [];
+      let adjustments = 0;
+      let notApplied = 0;
+      for (const step of steps) {
+        // Once a scan is left queued, later steps would land out of order:
+        // the rest of the scans wait in the queue behind it, and the reset
+        // and adjustments are left to the GM
+        const stalled = results.some(r => r.status === 'pending');
+        if (step.type === 'transactions') {
+          if (stalled) remaining.push(...step.transactions);
+          else results.push(...await queueManager.replayInOrder(step.transactions));
+        } else if (stalled) {
+          notApplied++;
+        } else if (step.type === 'reset') {
+          await adminOps.resetScores();
+        } else {
+          await adminOps.adjustScore(step.teamId, step.delta, step.reason);
+          adjustments++;
+        }
+      }
+      if (remaining.length > 0) results.push(...await queueManager.replayInOrder(remaining));
+
+      if (local.status === 'paused') await sessionManager.pauseSession();
+
+      await this._requestSync();
+      const reconciliation = reconcileScores(this.localScores, dataManager.getTeamScores());
+      debug.log(`Promotion complete: ${results.length} replayed, scores ${reconciliation.matched ? 'match' : 'differ'}`);
+
+      alert(this._formatReport({ local, results, skipped, adjustments, notApplied, reconciliation }));
+      uiManager.showToast('Session moved to the orchestrator', 'success', 5000);
+      return true;
+    } catch (error) {
+      console.error('Session promotion failed during migration:', error);
+      uiManager.showError(`Promotion incomplete: ${error.message}. Check the orchestrator session before continuing.`);
+      return false;
+    } finally {
+      this.bundle = null;
+    }
+  }
+
+  /**
+   * Ask the backend for a sync:full and wait for it, so session and score
+   * state reflect everything sent so far.
+   * @returns {Promise<void>} Resolves on the snapshot, or after a timeout
+   * @private
+   */
+  _requestSync() {
+    const client = this.app.networkedSession.getService('client');
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        client.removeEventListener('message:received', handler);
+        resolve();
+      };
+      const handler = (event) => {
+        if (event.detail?.type === 'sync:full') done();
+      };
+      const timer = setTimeout(done, SYNC_TIMEOUT_MS);
+      client.addEventListener('message:received', handler);
+      client.socket?.emit('sync:request');
+    });
+  }
+
+  /** @private */
+  _formatReport({ local, results, skipped, adjustments, notApplied, reconciliation }) {
+    const count = status => results.filter(r => r.status === status).length;
+    const scoreLines = reconciliation.teams.map(t =>
+      `${t.difference === 0 ? '✓' : '✗'} Team ${t.teamId}: local $${t.local.toLocaleString()}, orchestrator $${t.backend.toLocaleString()}` +
+      (t.difference === 0 ? '' : ` (${t.difference > 0 ? '+' : ''}${t.difference.toLocaleString()})`)
+    );
+    const notAppliedLine = notApplied > 0
+      ? `\nResets/adjustments not applied (scans still queued): ${notApplied}`
+      : '';
+
+    return `
+═══════════════════════════════════
+SESSION MOVED TO ORCHESTRATOR
+═══════════════════════════════════
+
+Session: ${local.name || 'Unnamed Session'}
+
+TRANSACTIONS
+──────────────────────────────────
+Accepted: ${count('accepted')}
+Duplicate: ${count('duplicate')}
+Rejected: ${count('rejected') + count('error')}
+Still queued: ${count('pending')}
+Unknown tokens skipped: ${skipped}
+Admin adjustments applied: ${adjustments}${notAppliedLine}
+
+SCORES ${reconciliation.matched ? '(all match)' : '(DIFFERENCES)'}
+──────────────────────────────────
+${scoreLines.join('\n') || 'No teams'}
+
+═══════════════════════════════════
+    `.trim();
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * CommandHistory - undo/redo stacks for reversible GM operations
+ *
+ * Records what a GM did (a scan for a team, a deleted or reassigned
+ * transaction, a score adjustment) as plain data. It does not execute
+ * anything: UnifiedDataManager applies the compensating operation through the
+ * active storage strategy and then moves the entry between stacks with
+ * completeUndo()/completeRedo().
+ *
+ * History is linear: recording a new action drops everything on the redo
+ * stack, and only the newest entry can be undone.
+ *
+ * @module core/commandHistory
+ */
+
+/**
+ * Operation types and how each is described to the GM
+ * @type {Object<string, function(Object): string>}
+ */
+const DESCRIBE = {
+  'transaction:add': ({ transaction }) => `Scan ${transaction.tokenId} for team ${transaction.teamId}`,
+  'transaction:delete': ({ transaction }) => `Delete ${transaction.tokenId} from team ${transaction.teamId}`,
+  'transaction:reassign': ({ transaction, fromTeamId, toTeamId }) =>
+    `Move ${transaction.tokenId} from team ${fromTeamId} to team ${toTeamId}`,
+  'score:adjust': ({ teamId, delta }) => `Adjust team ${teamId} by ${delta > 0 ? '+' : ''}${delta}`
+};
+
+export const HISTORY_TYPES = Object.keys(DESCRIBE);
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} id - Unique entry ID
+ * @property {string} type - One of HISTORY_TYPES
+ * @property {string} label - Human-readable description
+ * @property {Object} params - Type-specific data (transaction, plus fromTeamId/toTeamId/reason
+ *   for a reassignment; teamId/delta/reason for an adjustment)
+ * @property {string} timestamp - ISO timestamp the action was recorded
+ */
+
+export class CommandHistory {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit=50] - Oldest entries are dropped past this
+   */
+  constructor({ limit = 50 } = {}) {
+    this.limit = limit;
+    this._undoStack = [];
+    this._redoStack = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Record a completed action; clears the redo stack
+   * @param {string} type - One of HISTORY_TYPES
+   * @param {Object} params - Type-specific data
+   * @returns {HistoryEntry}
+   */
+  record(type, params) {
+    if (!DESCRIBE[type]) {
+      throw new Error(`CommandHistory: unknown action type "${type}"`);
+    }
+
+    const entry = {
+      id: `h${this._nextId++}`,
+      type,
+      label: DESCRIBE[type](params),
+      params: JSON.parse(JSON.stringify(params)),
+      timestamp: new Date().toISOString()
+    };
+
+    this._undoStack.push(entry);
+    if (this._undoStack.length > this.limit) this._undoStack.shift();
+    this._redoStack = [];
+    return entry;
+  }
+
+  /** @returns {HistoryEntry|null} Entry undo() would reverse */
+  peekUndo() {
+    return this._undoStack[this._undoStack.length - 1] || null;
+  }
+
+  /** @returns {HistoryEntry|null} Entry redo() would re-apply */
+  peekRedo() {
+    return this._redoStack[this._redoStack.length - 1] || null;
+  }
+
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Move the newest entry to the redo stack after its inverse was applied
+   * @param {Object} [params] - Replacement params (e.g. a restored transaction's new ID)
+   * @returns {HistoryEntry|null}
+   */
+  completeUndo(params) {
+    const entry = this._undoStack.pop();
+    if (!entry) return null;
+    if (params) entry.params = JSON.parse(JSON.stringify(params));
+    this._redoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Move the newest redo entry back onto the undo stack after it was re-applied
+   * @param {Object} [params] - Replacement params
+   * @returns {HistoryEntry|null}
+   */
+  completeRedo(params) {
+    const entry = this._redoStack.pop();
+    if (!entry) return null;
+    if (params) entry.params = JSON.parse(JSON.stringify(params));
+    this._undoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Both stacks, newest first
+   * @returns {{undo: HistoryEntry[], redo: HistoryEntry[]}}
+   */
+  getEntries() {
+    return {
+      undo: [...this._undoStack].reverse(),
+      redo: [...this._redoStack].reverse()
+    };
+  }
+
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+}
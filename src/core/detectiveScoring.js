@@ -0,0 +1,84 @@
+/**
+ * Detective Scoring - reputation standings from detective exposures
+ * ES6 Module Export
+ *
+ * Detective mode exposes a token's evidence instead of selling it. Teams
+ * earn reputation for each exposure, plus a bonus for exposing a character
+ * first. Standings are derived from the transaction log on demand, so
+ * LocalStorage and NetworkedStorage share one implementation and Black
+ * Market scores are never touched.
+ *
+ * @module core/detectiveScoring
+ */
+
+import { SCORING_CONFIG } from './scoring.js';
+
+/**
+ * Build detective reputation standings from the transaction log.
+ * Shared implementation for LocalStorage and NetworkedStorage.
+ *
+ * Every detective exposure of a known token earns the exposing team
+ * POINTS_PER_EXPOSURE reputation; the first team to expose a character
+ * (token owner) also earns FIRST_EXPOSER_BONUS. Reputation is a separate
+ * track — it never changes Black Market scores.
+ *
+ * @param {Object} params
+ * @param {Array} params.transactions - GM transaction records
+ * @param {Object} [params.tokenManager] - TokenManager, resolves owners missing from transactions
+ * @param {Object} [params.options]
+ * @param {Function} [params.options.transactionFilter] - Filter function for transactions (networked: exclude non-accepted)
+ * @param {Object} [params.options.config] - Detective config (defaults to SCORING_CONFIG.DETECTIVE)
+ * @returns {Object} { enabled, pointsPerExposure, firstExposerBonus,
+ *   teams: [{ teamId, reputation, exposures, firstExposures }],
+ *   characters: [{ owner, exposures, firstExposedBy, teams }] }
+ */
+export function buildDetectiveStandings({ transactions, tokenManager, options = {} }) {
+  const { transactionFilter, config = SCORING_CONFIG.DETECTIVE } = options;
+  const teams = new Map();
+  const characters = new Map();
+
+  const exposures = (transactions || [])
+    .filter(tx => tx && tx.mode === 'detective' && !tx.isUnknown && tx.teamId)
+    .filter(tx => !transactionFilter || transactionFilter(tx))
+    .sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp));
+
+  exposures.forEach(tx => {
+    if (!teams.has(tx.teamId)) {
+      teams.set(tx.teamId, { teamId: tx.teamId, reputation: 0, exposures: 0, firstExposures: 0 });
+    }
+    const team = teams.get(tx.teamId);
+    team.exposures++;
+    team.reputation += config.POINTS_PER_EXPOSURE;
+
+    // Prefer the backend-resolved owner; fall back to the token database.
+    // findToken() returns { token, matchedId }, not the token itself.
+    const owner = typeof tx.owner === 'string' && tx.owner
+      ? tx.owner
+      : tokenManager?.findToken?.(tx.tokenId)?.token?.owner || null;
+    if (!owner) return;
+
+    if (!characters.has(owner)) {
+      characters.set(owner, { owner, exposures: 0, firstExposedBy: tx.teamId, teams: [] });
+      team.firstExposures++;
+      team.reputation += config.FIRST_EXPOSER_BONUS;
+    }
+    const character = characters.get(owner);
+    character.exposures++;
+    if (!character.teams.includes(tx.teamId)) character.teams.push(tx.teamId);
+  });
+
+  return {
+    enabled: config.ENABLED,
+    pointsPerExposure: config.POINTS_PER_EXPOSURE,
+    firstExposerBonus: config.FIRST_EXPOSER_BONUS,
+    teams: [...teams.values()].sort((a, b) =>
+      b.reputation - a.reputation || String(a.teamId).localeCompare(String(b.teamId))),
+    characters: [...characters.values()].sort((a, b) =>
+      b.exposures - a.exposures || a.owner.localeCompare(b.owner))
+  };
+}
+
+function toTime(timestamp) {
+  const parsed = new Date(timestamp).getTime();
+  return Number.isFinite(parsed) ? parsed : 0;
+}
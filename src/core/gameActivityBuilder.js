@@ -83,11 +83,14 @@ export function buildGameActivity({ transactions, playerScans, tokenManager, opt
 
     activity.events.push({
       type: 'claim',
+      transactionId: tx.id || null,
       timestamp: tx.timestamp,
       mode: tx.mode,
       teamId: tx.teamId,
       points,
-      summary: tx.summary || activity.tokenData?.summary || null
+      summary: tx.summary || activity.tokenData?.summary || null,
+      note: tx.note || null,
+      disputed: Boolean(tx.disputed)
     });
     activity.status = 'claimed';
   });
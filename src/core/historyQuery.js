@@ -0,0 +1,194 @@
+/**
+ * History Query - search, filter, sort and export game activity
+ *
+ * Works on the token list from getGameActivity() (core/gameActivityBuilder),
+ * which both storage strategies produce, so the history screen and the
+ * admin Game Activity panel filter the same way in standalone and
+ * networked mode.
+ *
+ * Query fields (all optional; empty means "any"):
+ *   text       - matched against token ID, group, owner, summary and GM notes
+ *   status     - 'all' | 'available' | 'claimed' | 'disputed' | 'undiscovered'
+ *                (claimed by a GM without a player discovering it)
+ *   teamId     - claiming team
+ *   mode       - claim mode: 'blackmarket' | 'detective'
+ *   memoryType - SF_MemoryType
+ *   deviceId   - player scanner that discovered or scanned the token
+ *   from, to   - time range (anything Date can parse); a token matches when
+ *                any of its events falls inside it
+ *   sort       - key of HISTORY_SORTS
+ *
+ * @module core/historyQuery
+ */
+
+export const DEFAULT_HISTORY_QUERY = Object.freeze({
+  text: '',
+  status: 'all',
+  teamId: '',
+  mode: '',
+  memoryType: '',
+  deviceId: '',
+  from: '',
+  to: '',
+  sort: 'latest'
+});
+
+const latestTime = (token) => Math.max(0, ...token.events.map(e => new Date(e.timestamp).getTime() || 0));
+const claimOf = (token) => token.events.find(e => e.type === 'claim');
+
+// Unclaimed tokens sort after every team
+const compareTeams = (a, b) => {
+  if (!a || !b) return (a ? 0 : 1) - (b ? 0 : 1);
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * Sort orders, keyed by query.sort
+ * label is shown in the sort dropdown
+ */
+export const HISTORY_SORTS = {
+  latest: { label: 'Latest activity', compare: (a, b) => latestTime(b) - latestTime(a) },
+  oldest: { label: 'Oldest activity', compare: (a, b) => latestTime(a) - latestTime(b) },
+  points: { label: 'Points earned', compare: (a, b) => (claimOf(b)?.points || 0) - (claimOf(a)?.points || 0) },
+  value: { label: 'Token value', compare: (a, b) => (b.potentialValue || 0) - (a.potentialValue || 0) },
+  token: { label: 'Token ID', compare: (a, b) => a.tokenId.localeCompare(b.tokenId) },
+  team: { label: 'Team', compare: (a, b) => compareTeams(claimOf(a)?.teamId, claimOf(b)?.teamId) }
+};
+
+const STATUS_MATCHERS = {
+  all: () => true,
+  available: token => token.status === 'available',
+  claimed: token => token.status === 'claimed',
+  disputed: token => token.events.some(e => e.type === 'claim' && e.disputed),
+  undiscovered: token => token.status === 'claimed' && !token.discoveredByPlayers
+};
+
+/**
+ * Token metadata shown and searched alongside the activity
+ * (the activity only carries what the transactions recorded)
+ * @param {Object} token - Activity token
+ * @param {function(string): Object|null} [lookupToken] - Token database lookup
+ * @returns {{memoryType: string, group: string, owner: string, summary: string}}
+ */
+export function describeActivityToken(token, lookupToken) {
+  const data = { ...(lookupToken?.(token.tokenId) || {}), ...(token.tokenData || {}) };
+  return {
+    memoryType: data.SF_MemoryType || '',
+    group: data.SF_Group || '',
+    owner: data.owner || '',
+    summary: data.summary || claimOf(token)?.summary || ''
+  };
+}
+
+/**
+ * Filter and sort game activity tokens
+ * @param {Array<Object>} tokens - getGameActivity().tokens
+ * @param {Object} [query] - See module doc; missing fields use DEFAULT_HISTORY_QUERY
+ * @param {Object} [options]
+ * @param {function(string): Object|null} [options.lookupToken] - Token database lookup for owner/summary
+ * @returns {Array<Object>} Matching tokens in query order (a new array)
+ */
+export function queryGameActivity(tokens, query = {}, { lookupToken } = {}) {
+  const q = { ...DEFAULT_HISTORY_QUERY, ...query };
+  const text = (q.text || '').trim().toLowerCase();
+  const from = q.from ? new Date(q.from).getTime() : null;
+  const to = q.to ? new Date(q.to).getTime() : null;
+  const matchesStatus = STATUS_MATCHERS[q.status] || STATUS_MATCHERS.all;
+
+  const matches = (token) => {
+    if (!matchesStatus(token)) return false;
+
+    const claims = token.events.filter(e => e.type === 'claim');
+    if (q.teamId && !claims.some(e => e.teamId === q.teamId)) return false;
+    if (q.mode && !claims.some(e => e.mode === q.mode)) return false;
+    if (q.deviceId && !token.events.some(e => e.type !== 'claim' && e.deviceId === q.deviceId)) return false;
+
+    if (from !== null || to !== null) {
+      const inRange = token.events.some(e => {
+        const time = new Date(e.timestamp).getTime();
+        return (from === null || time >= from) && (to === null || time <= to);
+      });
+      if (!inRange) return false;
+    }
+
+    const meta = describeActivityToken(token, lookupToken);
+    if (q.memoryType && meta.memoryType !== q.memoryType) return false;
+
+    if (text) {
+      const haystack = [token.tokenId, meta.group, meta.owner, meta.summary, ...claims.map(e => e.note || '')]
+        .join('\n')
+        .toLowerCase();
+      if (!haystack.includes(text)) return false;
+    }
+    return true;
+  };
+
+  const sort = HISTORY_SORTS[q.sort] || HISTORY_SORTS.latest;
+  return tokens.filter(matches).sort(sort.compare);
+}
+
+/**
+ * Values present in the activity, for the filter dropdowns
+ * @param {Array<Object>} tokens - getGameActivity().tokens
+ * @returns {{teams: string[], memoryTypes: string[], devices: string[]}} Each sorted
+ */
+export function getHistoryFilterOptions(tokens) {
+  const teams = new Set();
+  const memoryTypes = new Set();
+  const devices = new Set();
+
+  tokens.forEach(token => {
+    if (token.tokenData?.SF_MemoryType) memoryTypes.add(token.tokenData.SF_MemoryType);
+    token.events.forEach(e => {
+      if (e.type === 'claim' && e.teamId) teams.add(e.teamId);
+      if (e.type !== 'claim' && e.deviceId) devices.add(e.deviceId);
+    });
+  });
+
+  const sorted = set => [...set].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+  return { teams: sorted(teams), memoryTypes: sorted(memoryTypes), devices: sorted(devices) };
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export game activity as CSV: one row per claim, one row per unclaimed token
+ * @param {Array<Object>} tokens - Usually queryGameActivity() results
+ * @param {Object} [options]
+ * @param {function(string): Object|null} [options.lookupToken] - Token database lookup for owner/summary
+ * @returns {string} CSV with a header row
+ */
+export function gameActivityToCsv(tokens, { lookupToken } = {}) {
+  const header = [
+    'Token ID', 'Status', 'Memory Type', 'Group', 'Owner', 'Team', 'Mode', 'Points',
+    'Claimed At', 'Discovered By Players', 'Devices', 'Disputed', 'Note', 'Summary'
+  ];
+  const rows = [];
+
+  tokens.forEach(token => {
+    const meta = describeActivityToken(token, lookupToken);
+    const devices = [...new Set(token.events.filter(e => e.type !== 'claim' && e.deviceId).map(e => e.deviceId))];
+    const base = [token.tokenId, token.status, meta.memoryType, meta.group, meta.owner];
+    const tail = (claim) => [
+      token.discoveredByPlayers ? 'yes' : 'no',
+      devices.join(' '),
+      claim?.disputed ? 'yes' : '',
+      claim?.note || '',
+      claim?.summary || meta.summary
+    ];
+
+    const claims = token.events.filter(e => e.type === 'claim');
+    if (claims.length === 0) {
+      rows.push([...base, '', '', '', '', ...tail(null)]);
+    } else {
+      claims.forEach(claim => {
+        rows.push([...base, claim.teamId, claim.mode, claim.points, claim.timestamp, ...tail(claim)]);
+      });
+    }
+  });
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,297 @@
+/**
+ * Score Replay - Rebuild standalone team scores from the transaction log
+ * ES6 Module Export
+ *
+ * LocalStorage maintains sessionData.teams incrementally (_updateTeamScore,
+ * _checkGroupCompletion, adjustTeamScore, resetScores). This module is the
+ * independent check on those counters: it replays sessionData.transactions
+ * and each team's adminAdjustments with the same rules, diffs the result
+ * against the stored totals, and produces a per-team audit trail explaining
+ * every dollar. Pure functions — nothing here touches storage.
+ *
+ * @module core/scoreReplay
+ */
+
+import { parseGroupInfo } from './scoring.js';
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} type - 'sale' | 'unscored' | 'group-bonus' | 'adjustment' | 'reset' | 'reassignment'
+ * @property {string|null} timestamp - ISO timestamp of the event
+ * @property {number} amount - Dollar change this event made to the score
+ * @property {number} balance - Team score after this event
+ * @property {string} detail - Human-readable explanation
+ * @property {string} [transactionId] - Source transaction (sale/unscored/group-bonus/reassignment)
+ * @property {string} [tokenId] - Token involved (sale/unscored/group-bonus/reassignment)
+ */
+
+/**
+ * @typedef {Object} ReplayedTeam
+ * @property {string} teamId
+ * @property {number} score - baseScore + bonusPoints + adjustmentTotal
+ * @property {number} baseScore
+ * @property {number} bonusPoints
+ * @property {number} adjustmentTotal
+ * @property {number} tokensScanned
+ * @property {string[]} completedGroups
+ * @property {AuditEntry[]} entries - Chronological audit trail
+ */
+
+/**
+ * Build a lookup of group name → token IDs from the token database
+ * Matches LocalStorage._checkGroupCompletion: exact parsed-name comparison.
+ * @param {Array} tokens - Token objects (tokenManager.getAllTokens())
+ * @returns {Map<string, string[]>}
+ * @private
+ */
+function buildGroupTokenIndex(tokens) {
+  const index = new Map();
+  (tokens || []).forEach(token => {
+    if (!token?.SF_Group) return;
+    const { name } = parseGroupInfo(token.SF_Group);
+    if (!index.has(name)) index.set(name, []);
+    index.get(name).push(token.SF_RFID);
+  });
+  return index;
+}
+
+/**
+ * Create an empty replay accumulator for a team
+ * @private
+ */
+function createTeam(teamId) {
+  return {
+    teamId,
+    score: 0,
+    baseScore: 0,
+    bonusPoints: 0,
+    adjustmentTotal: 0,
+    tokensScanned: 0,
+    completedGroups: [],
+    entries: []
+  };
+}
+
+/**
+ * Append an audit entry and update the running balance
+ * @private
+ */
+function record(team, entry) {
+  team.score += entry.amount;
+  team.entries.push({ ...entry, balance: team.score });
+}
+
+/**
+ * Replay a standalone session's scoring from its transaction log
+ *
+ * Transactions are replayed in array order (the order LocalStorage applied
+ * them). Admin adjustments, which live on each team rather than in the log,
+ * are interleaved by timestamp. A transaction scores for the team it is
+ * credited to now; each team it was moved away from gets a zero-amount
+ * 'reassignment' entry carrying the GM's reason. A recorded score reset zeroes score, base
+ * and bonus but — like LocalStorage.resetScores — keeps tokensScanned and
+ * completedGroups.
+ *
+ * @param {Object} params
+ * @param {Array} params.transactions - sessionData.transactions
+ * @param {Object} [params.teams] - sessionData.teams (source of adminAdjustments)
+ * @param {Array} [params.tokens] - Token database entries; without them no group bonuses are paid
+ * @param {string} [params.scoresResetAt] - ISO time of the last resetScores()
+ * @returns {Object<string, ReplayedTeam>} Replayed teams keyed by teamId
+ */
+export function replayTeamScores({ transactions, teams = {}, tokens, scoresResetAt } = {}) {
+  const groupIndex = tokens ? buildGroupTokenIndex(tokens) : null;
+  const replayed = {};
+  const teamFor = (teamId) => {
+    if (!replayed[teamId]) replayed[teamId] = createTeam(teamId);
+    return replayed[teamId];
+  };
+
+  // Non-transaction events, merged into the log by timestamp
+  const sideEvents = [];
+  Object.values(teams).forEach(team => {
+    (team.adminAdjustments || []).forEach(adj => {
+      sideEvents.push({ kind: 'adjustment', teamId: team.teamId, timestamp: adj.timestamp, adj });
+    });
+  });
+  if (scoresResetAt) {
+    sideEvents.push({ kind: 'reset', timestamp: scoresResetAt });
+  }
+  sideEvents.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const applySideEvent = (event) => {
+    if (event.kind === 'reset') {
+      Object.values(replayed).forEach(team => {
+        record(team, {
+          type: 'reset',
+          timestamp: event.timestamp,
+          amount: -team.score,
+          detail: 'Scores reset by GM'
+        });
+        team.baseScore = 0;
+        team.bonusPoints = 0;
+        team.adjustmentTotal = 0;
+      });
+      return;
+    }
+
+    const team = teamFor(event.teamId);
+    const delta = parseInt(event.adj.delta) || 0;
+    team.adjustmentTotal += delta;
+    record(team, {
+      type: 'adjustment',
+      timestamp: event.timestamp,
+      amount: delta,
+      detail: event.adj.reason || 'Manual adjustment'
+    });
+  };
+
+  // Ties go to the transaction: LocalStorage stamps a scan before it can be
+  // adjusted or reset, so an equal timestamp means the scan came first
+  const sideQueue = [...sideEvents];
+  const flushBefore = (timestamp) => {
+    const at = new Date(timestamp).getTime();
+    while (sideQueue.length > 0 && new Date(sideQueue[0].timestamp).getTime() < at) {
+      applySideEvent(sideQueue.shift());
+    }
+  };
+
+  const seen = [];
+  (transactions || []).forEach(tx => {
+    if (!tx?.teamId) return;
+    if (tx.timestamp) flushBefore(tx.timestamp);
+
+    const team = teamFor(tx.teamId);
+    team.tokensScanned++;
+    seen.push(tx);
+
+    const base = { timestamp: tx.timestamp || null, transactionId: tx.id, tokenId: tx.tokenId };
+
+    const moves = tx.reassignments || [];
+    moves.forEach(move => {
+      record(teamFor(move.fromTeamId), {
+        ...base,
+        type: 'reassignment',
+        timestamp: move.timestamp || base.timestamp,
+        amount: 0,
+        detail: `${tx.tokenId} moved to team ${move.toTeamId}: ${move.reason || 'no reason given'}`
+      });
+    });
+    const lastMove = moves[moves.length - 1];
+    const movedNote = lastMove ? ` (moved from team ${lastMove.fromTeamId}: ${lastMove.reason || 'no reason given'})` : '';
+
+    if (tx.mode === 'blackmarket' && tx.points) {
+      team.baseScore += tx.points;
+      record(team, {
+        ...base,
+        type: 'sale',
+        amount: tx.points,
+        detail: `Sold ${tx.tokenId}${tx.memoryType ? ` (${tx.valueRating || 0}★ ${tx.memoryType})` : ''}${movedNote}`
+      });
+    } else {
+      record(team, {
+        ...base,
+        type: 'unscored',
+        amount: 0,
+        detail: (tx.mode === 'blackmarket' ? `${tx.tokenId} earned no points` : `${tx.tokenId} exposed (${tx.mode})`) + movedNote
+      });
+    }
+
+    if (tx.mode !== 'blackmarket' || !tx.group || !groupIndex) return;
+
+    const groupInfo = parseGroupInfo(tx.group);
+    if (groupInfo.multiplier <= 1 || team.completedGroups.includes(groupInfo.name)) return;
+
+    const groupTxs = seen.filter(t =>
+      t.teamId === tx.teamId && t.mode === 'blackmarket' && parseGroupInfo(t.group).name === groupInfo.name
+    );
+    const groupTokenIds = groupIndex.get(groupInfo.name) || [];
+    const scannedIds = groupTxs.map(t => t.tokenId);
+
+    // Groups need 2+ tokens to pay a completion bonus (parity with LocalStorage)
+    if (groupTokenIds.length > 1 && groupTokenIds.every(id => scannedIds.includes(id))) {
+      const groupBaseScore = groupTxs.reduce((sum, t) => sum + (t.points || 0), 0);
+      const bonus = (groupInfo.multiplier - 1) * groupBaseScore;
+      team.bonusPoints += bonus;
+      team.completedGroups.push(groupInfo.name);
+      record(team, {
+        ...base,
+        type: 'group-bonus',
+        amount: bonus,
+        detail: `Completed "${groupInfo.name}" (${groupInfo.multiplier}x on ${groupTxs.length} tokens)`
+      });
+    }
+  });
+
+  sideQueue.splice(0).forEach(applySideEvent);
+
+  return replayed;
+}
+
+/**
+ * Compare replayed scores against stored team totals
+ *
+ * @param {Object<string, ReplayedTeam>} replayed - From replayTeamScores
+ * @param {Object} storedTeams - sessionData.teams
+ * @returns {Object<string, Array<{field: string, stored: *, replayed: *}>>}
+ *   Discrepancies keyed by teamId (teams that balance are omitted)
+ */
+export function diffReplayedScores(replayed, storedTeams = {}) {
+  const fields = ['score', 'baseScore', 'bonusPoints', 'tokensScanned'];
+  const teamIds = new Set([...Object.keys(replayed), ...Object.keys(storedTeams)]);
+  const diffs = {};
+
+  teamIds.forEach(teamId => {
+    const actual = replayed[teamId] || createTeam(teamId);
+    const stored = storedTeams[teamId] || {};
+    const teamDiffs = [];
+
+    fields.forEach(field => {
+      const storedValue = stored[field] ?? 0;
+      if (storedValue !== actual[field]) {
+        teamDiffs.push({ field, stored: storedValue, replayed: actual[field] });
+      }
+    });
+
+    const storedGroups = [...(stored.completedGroups || [])].sort();
+    const replayedGroups = [...actual.completedGroups].sort();
+    if (storedGroups.join('\n') !== replayedGroups.join('\n')) {
+      teamDiffs.push({ field: 'completedGroups', stored: storedGroups, replayed: replayedGroups });
+    }
+
+    if (teamDiffs.length > 0) diffs[teamId] = teamDiffs;
+  });
+
+  return diffs;
+}
+
+/**
+ * Audit a standalone session: replay, diff and explain every team's score
+ *
+ * @param {Object} sessionData - LocalStorage.sessionData
+ * @param {Array} [tokens] - Token database entries
+ * @returns {{balanced: boolean, teams: Array<{teamId: string, replayed: ReplayedTeam, stored: Object|null, discrepancies: Array}>}}
+ */
+export function auditSessionScores(sessionData, tokens) {
+  const storedTeams = sessionData?.teams || {};
+  const replayed = replayTeamScores({
+    transactions: sessionData?.transactions || [],
+    teams: storedTeams,
+    tokens,
+    scoresResetAt: sessionData?.scoresResetAt
+  });
+  const diffs = diffReplayedScores(replayed, storedTeams);
+
+  const teamIds = new Set([...Object.keys(replayed), ...Object.keys(storedTeams)]);
+  const teams = [...teamIds].sort().map(teamId => ({
+    teamId,
+    replayed: replayed[teamId] || createTeam(teamId),
+    stored: storedTeams[teamId] || null,
+    discrepancies: diffs[teamId] || []
+  }));
+
+  return {
+    balanced: Object.keys(diffs).length === 0,
+    teams
+  };
+}
@@ -10,20 +10,183 @@
 
 // Import shared config from data submodule (Vite resolves at build time)
 import sharedConfig from '../../data/scoring-config.json';
+import { evaluateScoringRules, normalizeScoringRules } from './scoringRules.js';
 
 /**
  * Scoring configuration for Black Market mode
  * Maps value ratings and memory types to point values
  *
- * NOTE: Values loaded from ALN-TokenData/scoring-config.json
+ * NOTE: Values loaded from ALN-TokenData/scoring-config.json. The optional
+ * `rules` array in the same file holds declarative seasonal rules (see
+ * core/scoringRules.js); it is empty when the config has none. A standalone
+ * session may override base values and multipliers (applyScoringProfile).
  */
 export const SCORING_CONFIG = {
     BASE_VALUES: Object.fromEntries(
         Object.entries(sharedConfig.baseValues).map(([k, v]) => [parseInt(k), v])
     ),
-    TYPE_MULTIPLIERS: { ...sharedConfig.typeMultipliers }
+    TYPE_MULTIPLIERS: { ...sharedConfig.typeMultipliers },
+    RULES: normalizeScoringRules(sharedConfig.rules),
+    // Optional detective reputation track (see core/detectiveScoring.js)
+    DETECTIVE: {
+        ENABLED: sharedConfig.detective?.enabled === true,
+        POINTS_PER_EXPOSURE: sharedConfig.detective?.pointsPerExposure ?? 1,
+        FIRST_EXPOSER_BONUS: sharedConfig.detective?.firstExposerBonus ?? 2
+    },
+    // Per-session overrides (standalone): normalized group name -> multiplier
+    GROUP_MULTIPLIERS: {},
+    // Active scoring profile, or null when running on the shared defaults
+    PROFILE: null
 };
 
+// Build-time values, restored when a session drops its overrides
+const DEFAULT_BASE_VALUES = Object.freeze({ ...SCORING_CONFIG.BASE_VALUES });
+const DEFAULT_TYPE_MULTIPLIERS = Object.freeze({ ...SCORING_CONFIG.TYPE_MULTIPLIERS });
+const DEFAULT_DETECTIVE = Object.freeze({ ...SCORING_CONFIG.DETECTIVE });
+
+/**
+ * Replace the active scoring rule set
+ * Mutates SCORING_CONFIG.RULES in place so every holder of the shared
+ * SCORING_CONFIG reference (LocalStorage, UnifiedDataManager) sees the change.
+ *
+ * @param {Array} rules - Rule definitions (invalid entries are dropped)
+ * @returns {Array} The rules now in effect
+ */
+export function setScoringRules(rules) {
+    SCORING_CONFIG.RULES.splice(0, SCORING_CONFIG.RULES.length, ...normalizeScoringRules(rules));
+    return SCORING_CONFIG.RULES;
+}
+
+/**
+ * Get an editable scoring profile pre-filled with the build-time defaults
+ *
+ * @param {string} [name='Custom'] - Profile name shown on the scoreboard and report
+ * @returns {{name: string, baseValues: Object, typeMultipliers: Object, groupMultipliers: Object, detective: Object}}
+ */
+export function getDefaultScoringProfile(name = 'Custom') {
+    return {
+        name,
+        baseValues: { ...DEFAULT_BASE_VALUES },
+        typeMultipliers: { ...DEFAULT_TYPE_MULTIPLIERS },
+        groupMultipliers: {},
+        detective: {
+            enabled: DEFAULT_DETECTIVE.ENABLED,
+            pointsPerExposure: DEFAULT_DETECTIVE.POINTS_PER_EXPOSURE,
+            firstExposerBonus: DEFAULT_DETECTIVE.FIRST_EXPOSER_BONUS
+        }
+    };
+}
+
+/**
+ * Validate a scoring profile
+ *
+ * @param {Object} profile - { name, baseValues?, typeMultipliers?, groupMultipliers?, detective? }
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateScoringProfile(profile) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return ['Scoring profile must be an object'];
+    }
+
+    const errors = [];
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+        errors.push('Scoring profile needs a name');
+    }
+
+    const checkTable = (key, { minValue, keyCheck }) => {
+        const table = profile[key];
+        if (table === undefined) return;
+        if (!table || typeof table !== 'object' || Array.isArray(table)) {
+            errors.push(`${key} must be an object`);
+            return;
+        }
+        Object.entries(table).forEach(([entryKey, value]) => {
+            if (keyCheck && !keyCheck(entryKey)) {
+                errors.push(`${key}: unknown key "${entryKey}"`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < minValue) {
+                errors.push(`${key}.${entryKey} must be a number >= ${minValue}`);
+            }
+        });
+    };
+
+    checkTable('baseValues', { minValue: 0, keyCheck: k => String(parseInt(k)) === k && parseInt(k) in DEFAULT_BASE_VALUES });
+    checkTable('typeMultipliers', { minValue: 0 });
+    checkTable('groupMultipliers', { minValue: 1 });
+
+    const detective = profile.detective;
+    if (detective !== undefined) {
+        if (!detective || typeof detective !== 'object' || Array.isArray(detective)) {
+            errors.push('detective must be an object');
+        } else {
+            if (detective.enabled !== undefined && typeof detective.enabled !== 'boolean') {
+                errors.push('detective.enabled must be true or false');
+            }
+            ['pointsPerExposure', 'firstExposerBonus'].forEach(key => {
+                const value = detective[key];
+                if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+                    errors.push(`detective.${key} must be a number >= 0`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Apply a per-session scoring profile, or restore the defaults
+ * Overrides are merged over the build-time values. Like setScoringRules,
+ * SCORING_CONFIG is mutated in place so every holder of the reference
+ * sees the change.
+ *
+ * @param {Object|null} profile - Profile to apply; null restores the defaults
+ * @returns {Object|null} The active profile
+ * @throws {Error} If the profile is invalid
+ */
+export function applyScoringProfile(profile) {
+    if (profile) {
+        const errors = validateScoringProfile(profile);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scoring profile: ${errors.join('; ')}`);
+        }
+    }
+
+    const replace = (target, values) => {
+        Object.keys(target).forEach(key => delete target[key]);
+        Object.assign(target, values);
+    };
+
+    replace(SCORING_CONFIG.BASE_VALUES, {
+        ...DEFAULT_BASE_VALUES,
+        ...Object.fromEntries(Object.entries(profile?.baseValues || {}).map(([k, v]) => [parseInt(k), v]))
+    });
+    replace(SCORING_CONFIG.TYPE_MULTIPLIERS, { ...DEFAULT_TYPE_MULTIPLIERS, ...(profile?.typeMultipliers || {}) });
+    replace(SCORING_CONFIG.GROUP_MULTIPLIERS, Object.fromEntries(
+        Object.entries(profile?.groupMultipliers || {}).map(([name, m]) => [normalizeGroupName(name), m])
+    ));
+    const detective = profile?.detective || {};
+    Object.assign(SCORING_CONFIG.DETECTIVE, DEFAULT_DETECTIVE, {
+        ...(detective.enabled !== undefined && { ENABLED: detective.enabled }),
+        ...(detective.pointsPerExposure !== undefined && { POINTS_PER_EXPOSURE: detective.pointsPerExposure }),
+        ...(detective.firstExposerBonus !== undefined && { FIRST_EXPOSER_BONUS: detective.firstExposerBonus })
+    });
+    SCORING_CONFIG.PROFILE = profile || null;
+
+    return SCORING_CONFIG.PROFILE;
+}
+
+/**
+ * Resolve a group's multiplier, honoring any per-session override
+ *
+ * @param {string} name - Group name (without the "(xN)" suffix)
+ * @param {number} multiplier - Multiplier from the token data
+ * @returns {number}
+ */
+export function resolveGroupMultiplier(name, multiplier) {
+    return SCORING_CONFIG.GROUP_MULTIPLIERS[normalizeGroupName(name)] ?? multiplier;
+}
+
 /**
  * Parse group info from group name string
  * Extracts group name and multiplier from format: "Group Name (xN)"
@@ -52,13 +215,13 @@ export function parseGroupInfo(groupName) {
 
         if (multiplier < 1) {
             console.warn(`[scoring] Invalid multiplier ${multiplier} for "${name}", using 1`);
-            return { name, multiplier: 1 };
+            return { name, multiplier: resolveGroupMultiplier(name, 1) };
         }
 
-        return { name, multiplier };
+        return { name, multiplier: resolveGroupMultiplier(name, multiplier) };
     }
 
-    return { name: trimmed, multiplier: 1 };
+    return { name: trimmed, multiplier: resolveGroupMultiplier(trimmed, 1) };
 }
 
 /**
@@ -83,22 +246,61 @@ export function normalizeGroupName(name) {
 }
 
 /**
- * Calculate base value of a token
+ * Explain how a token's value is derived
+ * Base value × type multiplier, then any matching scoring rules.
+ * Rules never apply to zero-value tokens (unknown tokens and UNKNOWN types
+ * stay unscored, matching backend behavior).
  *
  * @param {Object} transaction - Transaction data
  * @param {number} transaction.valueRating - Star rating (1-5)
  * @param {string} transaction.memoryType - Memory type (Personal/Business/Technical)
  * @param {boolean} [transaction.isUnknown] - Whether token is unknown
- * @returns {number} Token value in points
+ * @param {string} [transaction.group] - Group name with multiplier
+ * @param {string} [transaction.teamId] - Team identifier
+ * @param {string} [transaction.timestamp] - ISO timestamp of the scan
+ * @param {Object} [context] - Session context for time-based rules
+ * @param {string} [context.sessionStartTime] - ISO session start
+ * @returns {{baseValue: number, multiplier: number, value: number, appliedRules: Array}}
  */
-export function calculateTokenValue(transaction) {
-    if (transaction.isUnknown) return 0;
+export function explainTokenValue(transaction, context = {}) {
+    if (transaction.isUnknown) {
+        return { baseValue: 0, multiplier: 0, value: 0, appliedRules: [] };
+    }
 
     const baseValue = SCORING_CONFIG.BASE_VALUES[transaction.valueRating] || 0;
     // Use UNKNOWN multiplier (0) for unknown types - matches backend behavior
     const multiplier = SCORING_CONFIG.TYPE_MULTIPLIERS[transaction.memoryType]
         ?? SCORING_CONFIG.TYPE_MULTIPLIERS.UNKNOWN
         ?? 0;
+    const tableValue = baseValue * multiplier;
+
+    if (tableValue === 0 || SCORING_CONFIG.RULES.length === 0) {
+        return { baseValue, multiplier, value: tableValue, appliedRules: [] };
+    }
+
+    const startMs = context.sessionStartTime ? new Date(context.sessionStartTime).getTime() : NaN;
+    const scanMs = transaction.timestamp ? new Date(transaction.timestamp).getTime() : NaN;
+
+    const { value, appliedRules } = evaluateScoringRules(SCORING_CONFIG.RULES, tableValue, {
+        memoryType: transaction.memoryType,
+        rating: transaction.valueRating,
+        group: normalizeGroupName(parseGroupInfo(transaction.group).name),
+        teamId: transaction.teamId,
+        timestamp: transaction.timestamp,
+        elapsedMinutes: (scanMs - startMs) / 60000,
+        normalizeGroup: normalizeGroupName
+    });
 
-    return baseValue * multiplier;
+    return { baseValue, multiplier, value, appliedRules };
+}
+
+/**
+ * Calculate value of a token
+ *
+ * @param {Object} transaction - Transaction data (see explainTokenValue)
+ * @param {Object} [context] - Session context for time-based rules
+ * @returns {number} Token value in points
+ */
+export function calculateTokenValue(transaction, context) {
+    return explainTokenValue(transaction, context).value;
 }
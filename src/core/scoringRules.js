@@ -0,0 +1,260 @@
+/**
+ * Scoring Rules - Declarative rule evaluation for token values
+ * ES6 Module Export
+ *
+ * Rules let a seasonal variant (time-decay pricing, double-value hours,
+ * per-team handicaps) be expressed as data alongside scoring-config.json
+ * instead of a code fork. scoring.js owns the active rule set and feeds
+ * each transaction through evaluateScoringRules().
+ *
+ * Rule shape:
+ * {
+ *   id: 'double-value-hour',          // required, unique
+ *   description: 'Final hour pays x2', // optional, shown in reports
+ *   when: {                            // all present conditions must match
+ *     memoryType: 'Technical' | ['Technical', 'Business'],
+ *     rating: 3 | [4, 5] | { min: 4, max: 5 },
+ *     group: 'Server Logs' | ['Server Logs', ...],  // group name, no (xN)
+ *     team: '001' | ['001', '002'],
+ *     time: {
+ *       from: ISO, until: ISO,                    // absolute window
+ *       daily: { start: 'HH:MM', end: 'HH:MM' },  // local clock window
+ *       elapsedMinutes: { min: 0, max: 30 }       // since session start
+ *     }
+ *   },
+ *   multiplier: 2,   // optional, applied first
+ *   bonus: 5000,     // optional, added after multiplier
+ *   stop: false      // optional, skip remaining rules when matched
+ * }
+ *
+ * Rules apply in array order. Each matching rule transforms the running
+ * value: value = value * multiplier + bonus. The result is rounded and
+ * never negative.
+ *
+ * @module core/scoringRules
+ */
+
+/**
+ * Normalize a scalar-or-array condition to an array
+ * @param {*} value
+ * @returns {Array}
+ * @private
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ * @param {string} hhmm
+ * @returns {number|null} Minutes, or null if malformed
+ * @private
+ */
+function parseClock(hhmm) {
+  const match = typeof hhmm === 'string' && hhmm.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check a numeric value against a range condition
+ * @param {number} value
+ * @param {{min?: number, max?: number}} range
+ * @returns {boolean}
+ * @private
+ */
+function inRange(value, range) {
+  if (!Number.isFinite(value)) return false;
+  if (range.min !== undefined && value < range.min) return false;
+  if (range.max !== undefined && value > range.max) return false;
+  return true;
+}
+
+/**
+ * Validate a rule set
+ * Reports every problem so token authors can fix a config in one pass.
+ *
+ * @param {Array} rules - Rule definitions
+ * @returns {string[]} Human-readable problems (empty when valid)
+ */
+export function validateScoringRules(rules) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) return ['Scoring rules must be an array'];
+
+  const errors = [];
+  const seen = new Set();
+
+  rules.forEach((rule, index) => {
+    const label = rule?.id ? `Rule "${rule.id}"` : `Rule #${index + 1}`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!rule.id || typeof rule.id !== 'string') {
+      errors.push(`${label} is missing a string id`);
+    } else if (seen.has(rule.id)) {
+      errors.push(`${label} is defined more than once`);
+    } else {
+      seen.add(rule.id);
+    }
+
+    if (rule.multiplier !== undefined && (!Number.isFinite(rule.multiplier) || rule.multiplier < 0)) {
+      errors.push(`${label} has an invalid multiplier`);
+    }
+    if (rule.bonus !== undefined && !Number.isFinite(rule.bonus)) {
+      errors.push(`${label} has an invalid bonus`);
+    }
+    if (rule.multiplier === undefined && rule.bonus === undefined) {
+      errors.push(`${label} has no multiplier or bonus`);
+    }
+
+    const time = rule.when?.time;
+    if (time?.daily) {
+      if (parseClock(time.daily.start) === null || parseClock(time.daily.end) === null) {
+        errors.push(`${label} has an invalid daily window (expected HH:MM)`);
+      }
+    }
+    ['from', 'until'].forEach(key => {
+      if (time?.[key] !== undefined && Number.isNaN(new Date(time[key]).getTime())) {
+        errors.push(`${label} has an invalid time.${key}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Drop invalid rules, keeping the valid ones in order
+ * Invalid rules are warned about rather than thrown, matching how
+ * parseGroupInfo degrades a bad multiplier instead of failing a scan.
+ *
+ * @param {Array} rules - Rule definitions
+ * @returns {Array} Valid rules
+ */
+export function normalizeScoringRules(rules) {
+  if (!Array.isArray(rules)) {
+    if (rules !== undefined && rules !== null) {
+      console.warn('[scoringRules] Ignoring non-array scoring rules');
+    }
+    return [];
+  }
+
+  const seen = new Set();
+  return rules.filter(rule => {
+    const problems = validateScoringRules([rule]);
+    if (problems.length > 0 || seen.has(rule.id)) {
+      console.warn(`[scoringRules] Ignoring rule: ${problems[0] || `duplicate id "${rule.id}"`}`);
+      return false;
+    }
+    seen.add(rule.id);
+    return true;
+  });
+}
+
+/**
+ * Check whether a rule's time condition matches
+ * @param {Object} time - Rule time condition
+ * @param {Object} facts - Transaction facts
+ * @returns {boolean}
+ * @private
+ */
+function matchesTime(time, facts) {
+  const at = facts.timestamp ? new Date(facts.timestamp) : null;
+  if (!at || Number.isNaN(at.getTime())) return false;
+
+  if (time.from !== undefined && at < new Date(time.from)) return false;
+  if (time.until !== undefined && at >= new Date(time.until)) return false;
+
+  if (time.daily) {
+    const start = parseClock(time.daily.start);
+    const end = parseClock(time.daily.end);
+    const now = at.getHours() * 60 + at.getMinutes();
+    // A window like 23:00-01:00 wraps past midnight
+    const inWindow = start <= end
+      ? now >= start && now < end
+      : now >= start || now < end;
+    if (!inWindow) return false;
+  }
+
+  if (time.elapsedMinutes) {
+    if (!inRange(facts.elapsedMinutes, time.elapsedMinutes)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Check whether a rule matches a set of transaction facts
+ *
+ * @param {Object} rule - Rule definition
+ * @param {Object} facts - See evaluateScoringRules
+ * @returns {boolean}
+ */
+export function ruleMatches(rule, facts) {
+  const when = rule.when || {};
+
+  if (when.memoryType !== undefined && !toList(when.memoryType).includes(facts.memoryType)) {
+    return false;
+  }
+
+  if (when.rating !== undefined) {
+    const matched = typeof when.rating === 'object' && !Array.isArray(when.rating)
+      ? inRange(facts.rating, when.rating)
+      : toList(when.rating).includes(facts.rating);
+    if (!matched) return false;
+  }
+
+  if (when.group !== undefined) {
+    const wanted = toList(when.group).map(g => facts.normalizeGroup(g));
+    if (!wanted.includes(facts.group)) return false;
+  }
+
+  if (when.team !== undefined && !toList(when.team).map(String).includes(String(facts.teamId))) {
+    return false;
+  }
+
+  if (when.time && !matchesTime(when.time, facts)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Apply matching rules to a base token value
+ *
+ * @param {Array} rules - Normalized rule set
+ * @param {number} baseValue - Value before rules (base × type multiplier)
+ * @param {Object} facts - Transaction facts
+ * @param {string} facts.memoryType - Token memory type
+ * @param {number} facts.rating - Token star rating
+ * @param {string} facts.group - Normalized group name
+ * @param {string} [facts.teamId] - Team identifier
+ * @param {string} [facts.timestamp] - ISO timestamp of the scan
+ * @param {number} [facts.elapsedMinutes] - Minutes since session start
+ * @param {Function} facts.normalizeGroup - Normalizer applied to rule group names
+ * @returns {{value: number, appliedRules: Array<{id: string, description?: string}>}}
+ */
+export function evaluateScoringRules(rules, baseValue, facts) {
+  let value = baseValue;
+  const appliedRules = [];
+
+  for (const rule of rules || []) {
+    if (!ruleMatches(rule, facts)) continue;
+
+    value = value * (rule.multiplier ?? 1) + (rule.bonus ?? 0);
+    appliedRules.push({ id: rule.id, description: rule.description });
+
+    if (rule.stop) break;
+  }
+
+  return {
+    value: Math.max(0, Math.round(value)),
+    appliedRules
+  };
+}
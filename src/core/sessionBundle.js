@@ -0,0 +1,113 @@
+/**
+ * Standalone session bundles - portable JSON copies of a whole session
+ *
+ * A bundle carries the complete standalone sessionData (transactions, teams
+ * with their admin adjustments, scoring profile) plus the version hash of
+ * the tokens.json it was recorded against, so a game can move to another
+ * device or be recovered after a tablet dies.
+ *
+ * @module core/sessionBundle
+ */
+
+import { validateScoringProfile } from './scoring.js';
+
+export const BUNDLE_FORMAT = 'aln-session-bundle';
+export const BUNDLE_VERSION = 1;
+
+const TRANSACTION_MODES = ['blackmarket', 'detective'];
+
+/**
+ * Build a bundle from standalone session data
+ * @param {Object} params
+ * @param {Object} params.sessionData - LocalStorage.sessionData
+ * @param {string|null} [params.tokenDatabaseHash] - TokenManager.version
+ * @returns {Object} Bundle ({ format, version, exportedAt, tokenDatabaseHash, session })
+ */
+export function createSessionBundle({ sessionData, tokenDatabaseHash = null }) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    tokenDatabaseHash,
+    session: JSON.parse(JSON.stringify(sessionData))
+  };
+}
+
+/**
+ * Check a bundle before import
+ *
+ * Errors make the bundle unusable (wrong format, newer version, malformed
+ * records, invalid scoring profile). Warnings are worth confirming but do
+ * not block the import: a different token database, or transactions for
+ * tokens the loaded tokens.json does not know.
+ *
+ * @param {*} bundle - Parsed bundle JSON
+ * @param {Object} [options]
+ * @param {Object} [options.tokenManager] - Resolves token IDs (findToken) and provides version
+ * @returns {{valid: boolean, errors: string[], warnings: string[], unknownTokens: string[]}}
+ */
+export function validateSessionBundle(bundle, { tokenManager } = {}) {
+  const errors = [];
+  const warnings = [];
+  const unknownTokens = [];
+  const result = () => ({ valid: errors.length === 0, errors, warnings, unknownTokens });
+
+  if (!isObject(bundle) || bundle.format !== BUNDLE_FORMAT) {
+    errors.push('Not a session bundle');
+    return result();
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+    errors.push(`Unsupported bundle version ${bundle.version} (this scanner reads up to ${BUNDLE_VERSION})`);
+    return result();
+  }
+
+  const session = bundle.session;
+  if (!isObject(session) || typeof session.sessionId !== 'string') {
+    errors.push('Bundle has no session');
+    return result();
+  }
+  if (!Array.isArray(session.transactions)) errors.push('session.transactions must be an array');
+  if (!isObject(session.teams)) errors.push('session.teams must be an object');
+  if (errors.length > 0) return result();
+
+  session.transactions.forEach((tx, i) => {
+    if (!isObject(tx) || typeof tx.tokenId !== 'string' || typeof tx.teamId !== 'string') {
+      errors.push(`Transaction ${i + 1} needs a tokenId and teamId`);
+    } else if (!TRANSACTION_MODES.includes(tx.mode)) {
+      errors.push(`Transaction ${i + 1} has unknown mode "${tx.mode}"`);
+    }
+  });
+
+  Object.entries(session.teams).forEach(([teamId, team]) => {
+    if (!isObject(team) || team.teamId !== teamId || !Number.isFinite(team.score)) {
+      errors.push(`Team "${teamId}" is malformed`);
+    } else if (team.adminAdjustments !== undefined && !Array.isArray(team.adminAdjustments)) {
+      errors.push(`Team "${teamId}" adminAdjustments must be an array`);
+    }
+  });
+
+  if (session.scoringProfile) {
+    validateScoringProfile(session.scoringProfile).forEach(error => errors.push(`Scoring profile: ${error}`));
+  }
+
+  if (tokenManager) {
+    if (bundle.tokenDatabaseHash && tokenManager.version && bundle.tokenDatabaseHash !== tokenManager.version) {
+      warnings.push('Recorded against a different tokens.json; recorded points are kept as-is');
+    }
+    const seen = new Set();
+    session.transactions.forEach(tx => {
+      if (!isObject(tx) || typeof tx.tokenId !== 'string' || seen.has(tx.tokenId)) return;
+      seen.add(tx.tokenId);
+      if (!tokenManager.findToken?.(tx.tokenId)) unknownTokens.push(tx.tokenId);
+    });
+    if (unknownTokens.length > 0) {
+      warnings.push(`${unknownTokens.length} token${unknownTokens.length === 1 ? '' : 's'} not in the loaded tokens.json: ${unknownTokens.join(', ')}`);
+    }
+  }
+
+  return result();
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
@@ -8,11 +8,15 @@
  * - transactions (recentTransactions): enriched with memoryType, valueRating
  * - playerScans: [{tokenId, deviceId, timestamp}]
  * - tokenDatabase: local tokens.json (has character field)
+ * - scoringProfile: per-session scoring overrides (standalone), if any
+ * - detectiveStandings: detective reputation track (core/detectiveScoring.js), if any
+ * - transaction notes / dispute flags (core/transactionAnnotations.js)
  *
  * @module core/sessionReportGenerator
  */
 
-import { SCORING_CONFIG } from './scoring.js';
+import { explainTokenValue } from './scoring.js';
+import { getDisputedTransactions } from './transactionAnnotations.js';
 
 export class SessionReportGenerator {
   /**
@@ -30,9 +34,11 @@ export class SessionReportGenerator {
    * @param {Array} data.scores - Team scores [{teamId, score}]
    * @param {Array} data.transactions - Enriched transactions from sync:full
    * @param {Array} data.playerScans - Player scan records
+   * @param {Object|null} [data.scoringProfile] - Scoring overrides in effect, if any
+   * @param {Object|null} [data.detectiveStandings] - Detective reputation track, if any
    * @returns {string} Markdown report
    */
-  generate({ session, scores, transactions, playerScans }) {
+  generate({ session, scores, transactions, playerScans, scoringProfile = null, detectiveStandings = null }) {
     const duration = this._formatDuration(session.startTime, session.endTime);
     const date = this._formatDate(session.startTime);
     const teamCount = (session.teams || []).length;
@@ -41,11 +47,14 @@ export class SessionReportGenerator {
       `# Session Report: ${session.name}`,
       `**${date} | Duration: ${duration} | Teams: ${teamCount}**`,
       '',
-      this._buildSessionSummary(session, scores, transactions, playerScans),
-      this._buildDetectiveSection(transactions),
-      this._buildScoringTimeline(transactions, scores),
+      this._buildSessionSummary(session, scores, transactions, playerScans, scoringProfile),
+      this._buildDetectiveSection(transactions, detectiveStandings),
+      this._buildScoringTimeline(transactions, scores, session),
       this._buildPlayerActivitySection(playerScans, transactions),
-    ];
+      // Optional trailing section: the report format is an external contract
+      // (docs/session-report-contract.md) that only allows new sections here
+      this._buildDisputesSection(transactions),
+    ].filter(section => section !== null);
 
     return sections.join('\n');
   }
@@ -53,7 +62,7 @@ export class SessionReportGenerator {
   /**
    * Build the session summary section.
    */
-  _buildSessionSummary(session, scores, transactions, playerScans) {
+  _buildSessionSummary(session, scores, transactions, playerScans, scoringProfile) {
     const accepted = transactions.filter(tx => tx.status === 'accepted');
     const detective = accepted.filter(tx => tx.mode === 'detective');
     const blackmarket = accepted.filter(tx => tx.mode === 'blackmarket');
@@ -82,6 +91,7 @@ export class SessionReportGenerator {
       `- **Total Transactions:** ${accepted.length} (${detective.length} detective, ${blackmarket.length} black market)`,
       `- **Player Scans:** ${playerScans.length}`,
       `- **Unique Tokens Processed:** ${uniqueTokens.size}`,
+      ...(scoringProfile ? [`- **Scoring Profile:** ${this._describeScoringProfile(scoringProfile)}`] : []),
       '',
       '### Final Standings',
       '',
@@ -94,10 +104,25 @@ export class SessionReportGenerator {
     return lines.join('\n');
   }
 
+  /**
+   * Describe a scoring profile as its name plus which tables it overrides,
+   * e.g. "House Rules (base values, 2 group multipliers)".
+   */
+  _describeScoringProfile(profile) {
+    const count = table => Object.keys(table || {}).length;
+    const overrides = [];
+    if (count(profile.baseValues) > 0) overrides.push('base values');
+    if (count(profile.typeMultipliers) > 0) overrides.push('type multipliers');
+    const groups = count(profile.groupMultipliers);
+    if (groups > 0) overrides.push(`${groups} group multiplier${groups !== 1 ? 's' : ''}`);
+    if (profile.detective?.enabled) overrides.push('detective track');
+    return overrides.length > 0 ? `${profile.name} (${overrides.join(', ')})` : profile.name;
+  }
+
   /**
    * Build the detective evidence log section.
    */
-  _buildDetectiveSection(transactions) {
+  _buildDetectiveSection(transactions, detectiveStandings = null) {
     const detective = transactions
       .filter(tx => tx.status === 'accepted' && tx.mode === 'detective')
       .sort((a, b) => a.tokenId.localeCompare(b.tokenId));
@@ -110,6 +135,7 @@ export class SessionReportGenerator {
     if (detective.length === 0) {
       lines.push('*No detective transactions this session.*');
       lines.push('');
+      lines.push(...this._buildReputationLines(detectiveStandings));
       lines.push('---');
       lines.push('');
       return lines.join('\n');
@@ -126,21 +152,53 @@ export class SessionReportGenerator {
     }
 
     lines.push('');
+    lines.push(...this._buildReputationLines(detectiveStandings));
     lines.push('---');
     lines.push('');
     return lines.join('\n');
   }
 
+  /**
+   * Build the detective reputation subsection. Empty unless the optional
+   * detective scoring track was enabled and at least one team exposed evidence.
+   */
+  _buildReputationLines(standings) {
+    if (!standings?.enabled || standings.teams.length === 0) return [];
+
+    const lines = [
+      '### Detective Reputation',
+      '',
+      `*${standings.pointsPerExposure} per exposure, +${standings.firstExposerBonus} for the first exposure of a character.*`,
+      '',
+      '| Team | Reputation | Exposures | First Exposures |',
+      '|------|------------|-----------|-----------------|',
+      ...standings.teams.map(t => `| ${t.teamId} | ${t.reputation} | ${t.exposures} | ${t.firstExposures} |`),
+      '',
+    ];
+
+    if (standings.characters.length > 0) {
+      lines.push('| Character | Exposures | First Exposed By |');
+      lines.push('|-----------|-----------|------------------|');
+      standings.characters.forEach(c => {
+        lines.push(`| ${c.owner.replace(/\|/g, '\\|')} | ${c.exposures} | ${c.firstExposedBy} |`);
+      });
+      lines.push('');
+    }
+
+    return lines;
+  }
+
   /**
    * Build a unified scoring timeline merging black market sales and admin adjustments.
+   * The optional session supplies the start time that elapsed-time scoring rules need.
    */
-  _buildScoringTimeline(transactions, scores) {
+  _buildScoringTimeline(transactions, scores, session) {
     const sales = transactions
       .filter(tx => tx.status === 'accepted' && tx.mode === 'blackmarket')
       .map(tx => ({
         timestamp: tx.timestamp,
         type: 'Sale',
-        detail: this._formatSaleDetail(tx),
+        detail: this._formatSaleDetail(tx, session),
         team: tx.teamId,
         amount: tx.points,
         isSale: true
@@ -218,17 +276,50 @@ export class SessionReportGenerator {
     return lines.join('\n');
   }
 
+  /**
+   * Build the disputed transactions section, with the GM note for each.
+   * Lists every disputed transaction, whatever its status; null (no section)
+   * when nothing is disputed. Last section, so no closing separator.
+   */
+  _buildDisputesSection(transactions) {
+    const disputed = getDisputedTransactions(transactions);
+    if (disputed.length === 0) return null;
+
+    const lines = [
+      '## Disputed Transactions',
+      '',
+      '| Time | Token | Team | Type | Amount | Note |',
+      '|------|-------|------|------|--------|------|',
+    ];
+
+    for (const tx of disputed) {
+      const time = this._formatTimestamp(tx.timestamp);
+      const type = tx.mode === 'detective' ? 'Detective' : 'Sale';
+      const amount = tx.mode === 'detective' ? '—' : this._formatCurrency(tx.points);
+      const note = (tx.note || '—').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+      lines.push(`| ${time} | ${tx.tokenId} | ${tx.teamId} | ${type} | ${amount} | ${note} |`);
+    }
+
+    lines.push('');
+    return lines.join('\n');
+  }
+
   /**
    * Format sale detail with parenthetical scoring breakdown.
+   * Appends the ids of any scoring rules that adjusted the value.
    */
-  _formatSaleDetail(tx) {
+  _formatSaleDetail(tx, session) {
     const owner = this._getTokenOwner(tx.tokenId);
     const rating = tx.valueRating || 0;
     const type = tx.memoryType || 'UNKNOWN';
-    const baseValue = SCORING_CONFIG.BASE_VALUES[rating] || 0;
-    const multiplier = SCORING_CONFIG.TYPE_MULTIPLIERS[type]
-      ?? SCORING_CONFIG.TYPE_MULTIPLIERS.UNKNOWN ?? 0;
-    return `${tx.tokenId}/${owner} (${rating}★ ${type}, ${this._formatCurrency(baseValue)} × ${multiplier}x)`
+    const { baseValue, multiplier, appliedRules } = explainTokenValue(
+      { ...tx, valueRating: rating, memoryType: type, isUnknown: false },
+      { sessionStartTime: session?.startTime }
+    );
+    const rules = appliedRules.length > 0
+      ? `; rules: ${appliedRules.map(r => r.id).join(', ')}`
+      : '';
+    return `${tx.tokenId}/${owner} (${rating}★ ${type}, ${this._formatCurrency(baseValue)} × ${multiplier}x${rules})`
       .replace(/\|/g, '\\|');
   }
 
@@ -0,0 +1,208 @@
+/**
+ * Session Snapshots - point-in-time copies of the standalone session
+ *
+ * UnifiedDataManager takes a snapshot before every destructive admin action
+ * (score reset, ending a session, starting or importing a new one, rolling
+ * back) and at a fixed interval while a standalone game runs. A snapshot is
+ * a full copy of sessionData plus a small summary (scoreboard, transaction
+ * count) for previewing it without restoring it.
+ *
+ * Snapshots are kept in localStorage, newest last, up to a count limit and
+ * a size cap (maxBytes), so they never take most of the ~5 MB quota. They
+ * are expendable: when storage is full the oldest snapshots are dropped
+ * until the new one fits (a session too large for the cap is not
+ * snapshotted at all), and storageHealth drops them too before a write
+ * of the session, the journal or the offline scan queue would fail.
+ * Snapshots of earlier sessions are kept, so a game can be rolled back past
+ * "New Session".
+ *
+ * @module core/sessionSnapshots
+ */
+
+import { storageHealth, isQuotaExceededError } from './storageHealth.js';
+
+export const SNAPSHOTS_KEY = 'sessionSnapshots';
+export const DEFAULT_SNAPSHOT_LIMIT = 12;
+export const DEFAULT_SNAPSHOT_MAX_BYTES = 1024 * 1024;
+
+/** Why a snapshot was taken, as shown in the admin panel */
+export const SNAPSHOT_REASONS = {
+  interval: 'Automatic',
+  manual: 'Taken by GM',
+  reset: 'Before score reset',
+  end: 'Before ending session',
+  'new-session': 'Before new session',
+  import: 'Before session import',
+  rollback: 'Before rollback'
+};
+
+/**
+ * Scoreboard of a session as it was stored (same order as getTeamScores)
+ * @param {Object} sessionData
+ * @returns {Array<{teamId: string, score: number, tokenCount: number}>}
+ */
+export function summarizeScores(sessionData) {
+  return Object.values(sessionData?.teams || {})
+    .map(team => ({ teamId: team.teamId, score: team.score || 0, tokenCount: team.tokensScanned || 0 }))
+    .sort((a, b) => b.score - a.score);
+}
+
+export class SessionSnapshotStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Snapshots kept (oldest dropped first)
+   * @param {number} [options.maxBytes] - Size cap of all snapshots (UTF-16 estimate)
+   * @param {Object} [options.debug] - Debug instance
+   */
+  constructor({ limit = DEFAULT_SNAPSHOT_LIMIT, maxBytes = DEFAULT_SNAPSHOT_MAX_BYTES, debug } = {}) {
+    this.limit = limit;
+    this.maxBytes = maxBytes;
+    this.debug = debug;
+    this._snapshots = null; // loaded on first use
+
+    storageHealth.registerEvictable(SNAPSHOTS_KEY, () => this.evictOldest());
+  }
+
+  /**
+   * Take a snapshot of a session
+   * An automatic snapshot is skipped when the session has not changed since
+   * its latest snapshot; sessions with nothing recorded are never snapshotted.
+   * A snapshot larger than maxBytes on its own is refused, and older
+   * snapshots are kept.
+   * @param {Object} sessionData - Session to copy
+   * @param {string} reason - Key of SNAPSHOT_REASONS
+   * @returns {Object|null} Snapshot summary (see list()), null when skipped,
+   *   or {error} when the snapshot could not be kept
+   */
+  take(sessionData, reason) {
+    if (!sessionData?.sessionId) return null;
+    if (sessionData.transactions.length === 0 && Object.keys(sessionData.teams || {}).length === 0) return null;
+
+    const session = JSON.parse(JSON.stringify(sessionData));
+    const snapshots = this._load();
+
+    if (reason === 'interval') {
+      const latest = snapshots.filter(s => s.sessionId === session.sessionId).pop();
+      if (latest && JSON.stringify(latest.session) === JSON.stringify(session)) return null;
+    }
+
+    const snapshot = {
+      id: `SNAP_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      sessionId: session.sessionId,
+      sessionName: session.name || 'Unnamed Session',
+      reason,
+      takenAt: new Date().toISOString(),
+      transactionCount: session.transactions.length,
+      scores: summarizeScores(session),
+      session
+    };
+
+    const bytes = JSON.stringify([snapshot]).length * 2;
+    if (bytes > this.maxBytes) {
+      const error = `Session too large to snapshot (${Math.ceil(bytes / 1024)} KB, limit ${Math.floor(this.maxBytes / 1024)} KB)`;
+      this.debug?.log(error, true);
+      return { error };
+    }
+
+    snapshots.push(snapshot);
+    while (snapshots.length > this.limit) snapshots.shift();
+    if (!this._save()) {
+      // Nothing was written: re-read what storage still holds
+      this._snapshots = null;
+      return { error: 'Storage is full' };
+    }
+    return this._summary(snapshot);
+  }
+
+  /**
+   * Snapshot summaries, newest first (without the session copy)
+   * @returns {Array<{id, sessionId, sessionName, reason, label, takenAt, transactionCount, scores}>}
+   */
+  list() {
+    return this._load().map(s => this._summary(s)).reverse();
+  }
+
+  /**
+   * Full snapshot, including the session copy
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const snapshot = this._load().find(s => s.id === id);
+    return snapshot ? JSON.parse(JSON.stringify(snapshot)) : null;
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id
+   * @returns {boolean} Whether it existed
+   */
+  remove(id) {
+    const snapshots = this._load();
+    const index = snapshots.findIndex(s => s.id === id);
+    if (index === -1) return false;
+    snapshots.splice(index, 1);
+    this._save();
+    return true;
+  }
+
+  /**
+   * Drop the oldest snapshot to free storage for more important data
+   * @returns {boolean} Whether there was one to drop
+   */
+  evictOldest() {
+    const snapshots = this._load();
+    if (snapshots.length === 0) return false;
+    const [evicted] = snapshots.splice(0, 1);
+    this.debug?.log(`Dropped session snapshot ${evicted.id} to free storage`);
+    this._save();
+    return true;
+  }
+
+  /** @private */
+  _summary({ session: _session, ...summary }) {
+    return { ...summary, label: SNAPSHOT_REASONS[summary.reason] || summary.reason };
+  }
+
+  /** @private */
+  _load() {
+    if (this._snapshots) return this._snapshots;
+    this._snapshots = [];
+    try {
+      const parsed = JSON.parse(localStorage.getItem(SNAPSHOTS_KEY) || '[]');
+      if (Array.isArray(parsed)) this._snapshots = parsed.filter(s => s?.id && s.session);
+    } catch {
+      this.debug?.log('Discarding unreadable session snapshots', true);
+    }
+    return this._snapshots;
+  }
+
+  /**
+   * Write the snapshots, dropping the oldest while they exceed maxBytes or
+   * storage is full
+   * @returns {boolean} Whether they were written
+   * @private
+   */
+  _save() {
+    const snapshots = this._load();
+    while (snapshots.length > 0 && JSON.stringify(snapshots).length * 2 > this.maxBytes) {
+      snapshots.shift();
+    }
+    for (;;) {
+      try {
+        if (snapshots.length === 0) {
+          localStorage.removeItem(SNAPSHOTS_KEY);
+        } else {
+          storageHealth.setItem(SNAPSHOTS_KEY, JSON.stringify(snapshots), 'Session snapshots');
+        }
+        return true;
+      } catch (error) {
+        if (!isQuotaExceededError(error) || snapshots.length <= 1) {
+          this.debug?.log(`Failed to save session snapshots: ${error.message}`, true);
+          return false;
+        }
+        snapshots.shift();
+      }
+    }
+  }
+}
@@ -17,6 +17,9 @@
  * @property {string} [group] - Group name with multiplier, e.g., "Server Logs (x5)"
  * @property {boolean} [isUnknown] - True if token not found in database
  * @property {string} timestamp - ISO timestamp of transaction
+ * @property {string} [note] - GM note (see core/transactionAnnotations.js)
+ * @property {boolean} [disputed] - True while a team disputes the transaction
+ * @property {string} [annotatedAt] - ISO timestamp of the last note/dispute change
  */
 
 /**
@@ -110,6 +113,27 @@ export class IStorageStrategy extends EventTarget {
     throw new Error('IStorageStrategy.adjustTeamScore() must be implemented');
   }
 
+  /**
+   * Credit a transaction to a different team (admin operation)
+   * @param {string} transactionId - Transaction ID
+   * @param {string} toTeamId - Destination team
+   * @param {string} [reason] - Reason for the audit trail
+   * @returns {Promise<TransactionResult>}
+   */
+  async reassignTransaction(transactionId, toTeamId, reason) {
+    throw new Error('IStorageStrategy.reassignTransaction() must be implemented');
+  }
+
+  /**
+   * Set a GM note and/or the disputed flag on a transaction (never affects scoring)
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} annotation - { note?, disputed? }; omitted fields are unchanged
+   * @returns {Promise<TransactionResult>}
+   */
+  async annotateTransaction(transactionId, annotation) {
+    throw new Error('IStorageStrategy.annotateTransaction() must be implemented');
+  }
+
   /**
    * Get game activity (player discoveries + GM transactions)
    * @returns {Object} { tokens: Array, stats: Object }
@@ -118,13 +142,22 @@ export class IStorageStrategy extends EventTarget {
     throw new Error('IStorageStrategy.getGameActivity() must be implemented');
   }
 
+  /**
+   * Get detective reputation standings (see core/detectiveScoring.js)
+   * @returns {Object} { enabled, pointsPerExposure, firstExposerBonus, teams, characters }
+   */
+  getDetectiveStandings() {
+    throw new Error('IStorageStrategy.getDetectiveStandings() must be implemented');
+  }
+
   /**
    * Create a new session
    * @param {string} name - Session name
    * @param {Array} teams - Initial teams array
+   * @param {Object} [options] - Strategy-specific options (LocalStorage: scoringProfile)
    * @returns {Promise<SessionInfo>}
    */
-  async createSession(name, teams) {
+  async createSession(name, teams, options) {
     throw new Error('IStorageStrategy.createSession() must be implemented');
   }
 
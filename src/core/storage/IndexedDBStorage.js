@@ -0,0 +1,582 @@
+/**
+ * IndexedDBStorage Strategy - IndexedDB persistence with a session archive
+ * Implements IStorageStrategy for standalone mode operation
+ *
+ * Scoring and session behaviour are inherited from LocalStorage; only
+ * persistence differs. Sessions, teams, transactions and admin adjustments
+ * are stored as separate records and each save writes only what changed
+ * (new/removed transactions, plus the small session and team records),
+ * instead of rewriting one JSON blob.
+ *
+ * Like LocalStorage, every scan, deletion and score adjustment is first
+ * appended to the write-ahead journal (synchronous localStorage), so a tab
+ * closed before the IndexedDB write completes, or a failed write, loses
+ * nothing: the session record stores the last journal entry it includes
+ * and later entries are replayed on load.
+ *
+ * Nothing is discarded: the live session is reloaded whatever its start
+ * date (a game that runs past midnight survives a reload), and creating a
+ * new session (or starting a new game, see archiveLiveSession) archives the
+ * previous one. Archived sessions can be listed,
+ * reopened read-only, exported or purged.
+ *
+ * @module core/storage/IndexedDBStorage
+ */
+
+import { LocalStorage } from './LocalStorage.js';
+import { IdbRecordStore } from './idbRecordStore.js';
+import { storageHealth } from '../storageHealth.js';
+
+const READ_ONLY_ERROR = 'Archived session is read-only';
+const LEGACY_SESSION_KEY = 'standaloneSession';
+const IDB_HEALTH_KEY = 'indexeddb';
+
+export class IndexedDBStorage extends LocalStorage {
+  /**
+   * Create IndexedDBStorage instance
+   * @param {Object} options - Dependencies
+   * @param {Object} options.tokenManager - TokenManager instance
+   * @param {Object} [options.debug] - Debug instance
+   * @param {Object} [options.recordStore] - Record persistence (defaults to IdbRecordStore)
+   */
+  constructor({ tokenManager, debug, recordStore } = {}) {
+    super({ tokenManager, debug });
+
+    this.recordStore = recordStore || new IdbRecordStore();
+    this.readOnly = false;
+    this._liveSessionData = null;
+
+    // Transaction objects carry no stable key, so each gets a per-session
+    // sequence number the first time it is persisted
+    this._txSeqs = new WeakMap();
+    this._nextSeq = 0;
+    this._persisted = this._emptyPersistedState(null);
+    this._transactionsDirty = false;
+    this._writeQueue = Promise.resolve();
+    this._unsavedOperations = [];
+  }
+
+  /**
+   * Open the database and load the live session (migrating a legacy
+   * localStorage session on first run), then replay the journal entries
+   * it is missing
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.recordStore.open();
+
+    const sessions = await this.recordStore.getAll('sessions');
+    const live = sessions
+      .filter(s => !s.archivedAt)
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+    // Last journal entry the loaded session includes; null when none was loaded
+    let journalSeq;
+    let migrated = false;
+    if (live.length > 0) {
+      this.sessionData = await this._readSession(live[0].sessionId);
+      journalSeq = live[0].journalSeq || 0;
+      this._trackLoadedSession();
+      // Only one live session is expected; archive any stragglers
+      live.slice(1).forEach(stale => this._enqueue([{ store: 'sessions', put: this._archivedMeta(stale) }]));
+      this.debug?.log(`Loaded session: ${this.sessionData.sessionId}`);
+    } else {
+      journalSeq = this._readLegacySession();
+      migrated = journalSeq !== null;
+    }
+
+    this._journal.load(journalSeq || 0);
+    this._applySessionScoring();
+    if (journalSeq === null) {
+      this._recoverUnsavedSession();
+    } else {
+      this._recoverJournal(journalSeq);
+    }
+
+    if (migrated) {
+      this._saveSession();
+      localStorage.removeItem(LEGACY_SESSION_KEY);
+      this.debug?.log(`Migrated localStorage session ${this.sessionData.sessionId} to IndexedDB`);
+    }
+    await this.flush();
+  }
+
+  /**
+   * Wait for queued writes to reach the database
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this._writeQueue;
+  }
+
+  /**
+   * Whether an archived session is open (all mutations are rejected)
+   * @returns {boolean}
+   */
+  isReadOnly() {
+    return this.readOnly;
+  }
+
+  // ========== Persistence ==========
+
+  /**
+   * Queue a write of everything that changed since the last save. Once it
+   * is written, the journal entries it includes may be compacted away.
+   * @private
+   */
+  _saveSession() {
+    if (this.readOnly) return;
+    const { sessionId } = this.sessionData;
+    const journalSeq = this._journal.lastSeq;
+    this._enqueue(
+      this._buildSaveOperations(journalSeq),
+      () => this._journal.compact(sessionId, journalSeq)
+    );
+  }
+
+  persistTransactions() {
+    this._transactionsDirty = true;
+    this._saveSession();
+  }
+
+  /**
+   * Diff the in-memory session against what has been persisted
+   * @param {number} journalSeq - Last journal entry the session includes
+   * @returns {Array} recordStore.write() operations
+   * @private
+   */
+  _buildSaveOperations(journalSeq) {
+    const { sessionId, transactions, teams } = this.sessionData;
+    if (this._persisted.sessionId !== sessionId) {
+      this._persisted = this._emptyPersistedState(sessionId);
+      this._nextSeq = 0;
+    }
+    const persisted = this._persisted;
+    const ops = [{ store: 'sessions', put: { ...this._sessionMeta(this.sessionData), journalSeq } }];
+
+    // Teams and their adjustments are small: write them all, drop leftovers
+    const teamIds = new Set();
+    const adjustmentCounts = new Map();
+    Object.values(teams).forEach(team => {
+      const { adminAdjustments = [], ...teamRecord } = team;
+      teamIds.add(team.teamId);
+      ops.push({ store: 'teams', put: clone({ ...teamRecord, sessionId }) });
+      adminAdjustments.forEach((adjustment, index) => {
+        ops.push({ store: 'adjustments', put: clone({ ...adjustment, sessionId, teamId: team.teamId, index }) });
+      });
+      adjustmentCounts.set(team.teamId, adminAdjustments.length);
+    });
+    persisted.teamIds.forEach(teamId => {
+      if (!teamIds.has(teamId)) ops.push({ store: 'teams', delete: [sessionId, teamId] });
+    });
+    persisted.adjustmentCounts.forEach((count, teamId) => {
+      for (let index = adjustmentCounts.get(teamId) || 0; index < count; index++) {
+        ops.push({ store: 'adjustments', delete: [sessionId, teamId, index] });
+      }
+    });
+
+    // Transactions: only new ones, unless edited in place
+    const seqs = new Set();
+    transactions.forEach(tx => {
+      let seq = this._txSeqs.get(tx);
+      if (seq === undefined) {
+        seq = this._nextSeq++;
+        this._txSeqs.set(tx, seq);
+      }
+      seqs.add(seq);
+      if (this._transactionsDirty || !persisted.seqs.has(seq)) {
+        ops.push({ store: 'transactions', put: clone({ ...tx, sessionId, seq }) });
+      }
+    });
+    persisted.seqs.forEach(seq => {
+      if (!seqs.has(seq)) ops.push({ store: 'transactions', delete: [sessionId, seq] });
+    });
+
+    this._persisted = { sessionId, seqs, teamIds, adjustmentCounts };
+    this._transactionsDirty = false;
+    return ops;
+  }
+
+  /**
+   * Chain a save. Saves are diffs, so the operations of a failed write are
+   * carried into the next one instead of being lost.
+   * @param {Array} operations - recordStore.write() operations
+   * @param {Function} [onWritten] - Called once they are in the database
+   * @private
+   */
+  _enqueue(operations, onWritten) {
+    this._queueWrite(() => {
+      const batch = [...this._unsavedOperations, ...operations];
+      this._unsavedOperations = [];
+      return this.recordStore.write(batch).then(onWritten, error => {
+        this._unsavedOperations = batch;
+        throw error;
+      });
+    });
+  }
+
+  /**
+   * Chain the deletion of every record of a session
+   * @param {string} sessionId
+   * @private
+   */
+  _enqueueDeleteSession(sessionId) {
+    this._queueWrite(() => this.recordStore.deleteSession(sessionId));
+  }
+
+  /**
+   * Chain a write after the queued ones. The queue never rejects: a failure
+   * is logged and reported to storageHealth, and later writes (and flush())
+   * carry on.
+   * @param {Function} write - Resolves once the write is done
+   * @private
+   */
+  _queueWrite(write) {
+    this._writeQueue = this._writeQueue
+      .then(write)
+      .then(() => {
+        if (this._unsavedOperations.length === 0) storageHealth.clearFailure(IDB_HEALTH_KEY);
+      })
+      .catch(error => {
+        this.debug?.log(`IndexedDB write failed: ${error.message}`, true);
+        storageHealth.reportFailure('Session archive (IndexedDB)', error, IDB_HEALTH_KEY);
+      });
+  }
+
+  /** @private */
+  _emptyPersistedState(sessionId) {
+    return { sessionId, seqs: new Set(), teamIds: new Set(), adjustmentCounts: new Map() };
+  }
+
+  /**
+   * Record what a freshly loaded session already has on disk
+   * @private
+   */
+  _trackLoadedSession() {
+    const { sessionId, transactions, teams } = this.sessionData;
+    this._persisted = {
+      sessionId,
+      seqs: new Set(transactions.map(tx => this._txSeqs.get(tx))),
+      teamIds: new Set(Object.keys(teams)),
+      adjustmentCounts: new Map(Object.values(teams).map(t => [t.teamId, t.adminAdjustments?.length || 0]))
+    };
+    this._nextSeq = Math.max(-1, ...this._persisted.seqs) + 1;
+  }
+
+  /**
+   * Rebuild a session's sessionData shape from its records
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>}
+   * @private
+   */
+  async _readSession(sessionId) {
+    const sessions = await this.recordStore.getAll('sessions');
+    const meta = sessions.find(s => s.sessionId === sessionId);
+    if (!meta) return null;
+
+    const [teamRecords, txRecords, adjustmentRecords] = await Promise.all([
+      this.recordStore.getBySession('teams', sessionId),
+      this.recordStore.getBySession('transactions', sessionId),
+      this.recordStore.getBySession('adjustments', sessionId)
+    ]);
+
+    const teams = {};
+    teamRecords.forEach(({ sessionId: _s, ...team }) => {
+      teams[team.teamId] = { ...team, adminAdjustments: [] };
+    });
+    adjustmentRecords
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ sessionId: _s, teamId, index: _i, ...adjustment }) => {
+        teams[teamId]?.adminAdjustments.push(adjustment);
+      });
+
+    const transactions = txRecords
+      .sort((a, b) => a.seq - b.seq)
+      .map(({ sessionId: _s, seq, ...tx }) => {
+        this._txSeqs.set(tx, seq);
+        return tx;
+      });
+
+    const { archivedAt: _a, transactionCount: _t, teamCount: _c, journalSeq: _j, ...session } = meta;
+    return { ...session, transactions, teams };
+  }
+
+  /**
+   * Load the single-blob localStorage session from before IndexedDB, to be
+   * migrated. Unlike LocalStorage._loadSession, it is kept whatever its date.
+   * @returns {number|null} Its journalSeq; null when there is none to migrate
+   * @private
+   */
+  _readLegacySession() {
+    const saved = localStorage.getItem(LEGACY_SESSION_KEY);
+    if (!saved) return null;
+    try {
+      const { journalSeq = 0, ...parsed } = JSON.parse(saved) || {};
+      if (!parsed?.sessionId || !Array.isArray(parsed.transactions)) return null;
+      this.sessionData = { teams: {}, ...parsed };
+      return journalSeq;
+    } catch {
+      this.debug?.log('Failed to migrate localStorage session', true);
+      return null;
+    }
+  }
+
+  /** @private */
+  _sessionMeta(sessionData) {
+    const { transactions: _t, teams: _teams, ...meta } = sessionData;
+    return clone(meta);
+  }
+
+  /** @private */
+  _archivedMeta(meta, counts = {}) {
+    return { ...clone(meta), archivedAt: new Date().toISOString(), ...counts };
+  }
+
+  // ========== Session lifecycle ==========
+
+  /**
+   * Create a new session, archiving the previous one
+   * @param {string} name - Session name
+   * @param {Array} teams - Initial teams array
+   * @param {Object} [options] - See LocalStorage.createSession
+   * @returns {Promise<SessionInfo>}
+   */
+  async createSession(name, teams, options) {
+    if (this.readOnly) throw new Error(`${READ_ONLY_ERROR}: close it before creating a session`);
+    return this._replaceSession(() => super.createSession(name, teams, options));
+  }
+
+  /**
+   * Import a bundled session, archiving the previous one
+   * @param {Object} sessionData - See LocalStorage.importSession
+   * @returns {Promise<SessionInfo>}
+   */
+  async importSession(sessionData) {
+    if (this.readOnly) throw new Error(`${READ_ONLY_ERROR}: close it before importing a session`);
+    return this._replaceSession(() => super.importSession(sessionData));
+  }
+
+  /**
+   * Archive the live session and continue with a blank one, so a new game
+   * starts empty while the previous one stays in the archive. The blank
+   * session is saved so a reload does not recover the archived one from
+   * the journal.
+   * @returns {Promise<void>}
+   */
+  async archiveLiveSession() {
+    this.closeArchivedSession();
+    await this._replaceSession(async () => {
+      this.sessionData = this._blankSessionData();
+      this._applySessionScoring();
+      this.scannedTokens.clear();
+      this._saveSession();
+    });
+    await this.flush();
+  }
+
+  /**
+   * Swap in a new live session, then archive the previous one.
+   * Sessions that never recorded anything are deleted rather than archived.
+   * @param {Function} replace - Replaces this.sessionData, resolves to SessionInfo
+   * @returns {Promise<SessionInfo>}
+   * @private
+   */
+  async _replaceSession(replace) {
+    const previous = this.sessionData;
+    const wasPersisted = this._persisted.sessionId === previous.sessionId;
+    const session = await replace();
+
+    const teamCount = Object.keys(previous.teams).length;
+    if (previous.transactions.length > 0 || teamCount > 0) {
+      this._enqueue([{
+        store: 'sessions',
+        put: this._archivedMeta(this._sessionMeta(previous), {
+          transactionCount: previous.transactions.length,
+          teamCount
+        })
+      }]);
+    } else if (wasPersisted) {
+      this._enqueueDeleteSession(previous.sessionId);
+    }
+
+    return session;
+  }
+
+  /**
+   * Roll back to a snapshot (see LocalStorage.restoreSnapshot)
+   * A snapshot of an earlier session replaces the live one, which is
+   * archived; whatever the archive held for the restored session is
+   * replaced by the snapshot.
+   * @param {Object} sessionData - Session copy from a snapshot
+   * @returns {Promise<SessionInfo>}
+   */
+  async restoreSnapshot(sessionData) {
+    if (this.readOnly) throw new Error(`${READ_ONLY_ERROR}: close it before rolling back`);
+    if (sessionData.sessionId === this.sessionData.sessionId) {
+      return super.restoreSnapshot(sessionData);
+    }
+
+    this._enqueueDeleteSession(sessionData.sessionId);
+    return this._replaceSession(() => super.restoreSnapshot(sessionData));
+  }
+
+  async endSession() {
+    if (this.readOnly) throw new Error(READ_ONLY_ERROR);
+    return super.endSession();
+  }
+
+  async pauseSession() {
+    if (this.readOnly) return { success: false, error: READ_ONLY_ERROR };
+    return super.pauseSession();
+  }
+
+  async resumeSession() {
+    if (this.readOnly) return { success: false, error: READ_ONLY_ERROR };
+    return super.resumeSession();
+  }
+
+  async resetScores() {
+    if (this.readOnly) return { success: false, error: READ_ONLY_ERROR };
+    return super.resetScores();
+  }
+
+  async addTransaction(transaction) {
+    if (this.readOnly) return { success: false, error: READ_ONLY_ERROR };
+    return super.addTransaction(transaction);
+  }
+
+  async removeTransaction(transactionId) {
+    if (this.readOnly) return { success: false, error: READ_ONLY_ERROR };
+    return super.removeTransaction(transactionId);
+  }
+
+  async adjustTeamScore(teamId, delta, reason) {
+    if (this.readOnly) return { success: false, error: READ_ONLY_ERROR };
+    return super.adjustTeamScore(teamId, delta, reason);
+  }
+
+  async reassignTransaction(transactionId, toTeamId, reason) {
+    if (this.readOnly) return { success: false, error: READ_ONLY_ERROR };
+    return super.reassignTransaction(transactionId, toTeamId, reason);
+  }
+
+  async annotateTransaction(transactionId, annotation) {
+    if (this.readOnly) return { success: false, error: READ_ONLY_ERROR };
+    return super.annotateTransaction(transactionId, annotation);
+  }
+
+  // ========== Archive ==========
+
+  /**
+   * List archived sessions, newest first
+   * @returns {Promise<Array<{sessionId, name, status, startTime, endTime, archivedAt, transactionCount, teamCount}>>}
+   */
+  async listArchivedSessions() {
+    await this.flush();
+    const sessions = await this.recordStore.getAll('sessions');
+    return sessions
+      .filter(s => s.archivedAt)
+      .map(s => ({
+        sessionId: s.sessionId,
+        name: s.name || 'Unnamed Session',
+        status: s.status || 'ended',
+        startTime: s.startTime,
+        endTime: s.endTime || null,
+        archivedAt: s.archivedAt,
+        transactionCount: s.transactionCount ?? 0,
+        teamCount: s.teamCount ?? 0
+      }))
+      .sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+  }
+
+  /**
+   * Show an archived session in place of the live one. Scoreboard, history
+   * and reports read it as usual; every mutation is rejected until
+   * closeArchivedSession().
+   * @param {string} sessionId
+   * @returns {Promise<SessionInfo>}
+   */
+  async openArchivedSession(sessionId) {
+    await this.flush();
+    const archived = await this._readArchivedSession(sessionId);
+
+    if (!this.readOnly) this._liveSessionData = this.sessionData;
+    this.sessionData = archived;
+    this.readOnly = true;
+    this._switchedSession();
+    return this.getCurrentSession();
+  }
+
+  /**
+   * Return to the live session after openArchivedSession()
+   */
+  closeArchivedSession() {
+    if (!this.readOnly) return;
+    this.sessionData = this._liveSessionData;
+    this._liveSessionData = null;
+    this.readOnly = false;
+    this._switchedSession();
+  }
+
+  /**
+   * Export an archived session with all of its records
+   * @param {string} sessionId
+   * @returns {Promise<{exportedAt: string, session: Object}>}
+   */
+  async exportArchivedSession(sessionId) {
+    await this.flush();
+    return {
+      exportedAt: new Date().toISOString(),
+      session: await this._readArchivedSession(sessionId)
+    };
+  }
+
+  /**
+   * Permanently delete an archived session
+   * @param {string} sessionId
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async purgeArchivedSession(sessionId) {
+    if (this.readOnly && this.sessionData.sessionId === sessionId) {
+      return { success: false, error: 'Close the archived session before purging it' };
+    }
+    await this.flush();
+    const archived = await this.listArchivedSessions();
+    if (!archived.some(s => s.sessionId === sessionId)) {
+      return { success: false, error: `Archived session not found: ${sessionId}` };
+    }
+    await this.recordStore.deleteSession(sessionId);
+    return { success: true };
+  }
+
+  /** @private */
+  async _readArchivedSession(sessionId) {
+    const live = this._liveSessionData || this.sessionData;
+    const session = sessionId === live.sessionId ? null : await this._readSession(sessionId);
+    if (!session) throw new Error(`Archived session not found: ${sessionId}`);
+    return session;
+  }
+
+  /**
+   * Re-point scanned tokens and scoring at the session now in view
+   * @private
+   */
+  _switchedSession() {
+    this._repopulateScannedTokens();
+    this._applySessionScoring();
+    this.dispatchEvent(new CustomEvent('session:switched', {
+      detail: { session: this.getCurrentSession(), readOnly: this.readOnly }
+    }));
+  }
+
+  dispose() {
+    this.flush()
+      .then(() => this.recordStore.close?.())
+      .catch(error => this.debug?.log(`Failed to close IndexedDB: ${error.message}`, true));
+  }
+}
+
+// Records must not share references with the live in-memory objects
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -2,6 +2,11 @@
  * LocalStorage Strategy - Browser localStorage persistence
  * Implements IStorageStrategy for standalone mode operation
  *
+ * The session is saved as one JSON snapshot. Scans, deletions and score
+ * adjustments are first appended to a write-ahead journal
+ * (core/storage/sessionJournal), and entries the snapshot missed are
+ * replayed on load.
+ *
  * @module core/storage/LocalStorage
  */
 
@@ -9,9 +14,15 @@ import { IStorageStrategy } from './IStorageStrategy.js';
 import {
   SCORING_CONFIG,
   parseGroupInfo,
-  calculateTokenValue
+  calculateTokenValue,
+  applyScoringProfile
 } from '../scoring.js';
 import { buildGameActivity } from '../gameActivityBuilder.js';
+import { buildDetectiveStandings } from '../detectiveScoring.js';
+import { auditSessionScores, replayTeamScores } from '../scoreReplay.js';
+import { applyAnnotation } from '../transactionAnnotations.js';
+import { storageHealth } from '../storageHealth.js';
+import { SessionJournal } from './sessionJournal.js';
 
 export class LocalStorage extends IStorageStrategy {
   /**
@@ -28,19 +39,16 @@ export class LocalStorage extends IStorageStrategy {
     this.SCORING_CONFIG = SCORING_CONFIG;
 
     // Initialize session data
-    this.sessionData = {
-      sessionId: this._generateSessionId(),
-      startTime: new Date().toISOString(),
-      transactions: [],
-      teams: {},
-      mode: 'standalone'
-    };
+    this.sessionData = this._blankSessionData();
 
     // Track scanned tokens for duplicate detection
     this.scannedTokens = new Set();
 
     // Player scans (for getGameActivity parity)
     this.playerScans = [];
+
+    // Write-ahead journal for changes not yet in the saved snapshot
+    this._journal = new SessionJournal({ debug });
   }
 
   /**
@@ -51,6 +59,20 @@ export class LocalStorage extends IStorageStrategy {
     return `LOCAL_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
   }
 
+  /**
+   * Unnamed, empty session used until one is loaded or created
+   * @private
+   */
+  _blankSessionData() {
+    return {
+      sessionId: this._generateSessionId(),
+      startTime: new Date().toISOString(),
+      transactions: [],
+      teams: {},
+      mode: 'standalone'
+    };
+  }
+
   /**
    * Check if storage is ready
    * @returns {boolean} Always true for localStorage
@@ -73,20 +95,102 @@ export class LocalStorage extends IStorageStrategy {
    */
   _loadSession() {
     const saved = localStorage.getItem('standaloneSession');
-    if (saved) {
-      try {
-        const parsed = JSON.parse(saved);
-        const sessionDate = new Date(parsed.startTime).toDateString();
-        const today = new Date().toDateString();
-
-        if (sessionDate === today) {
-          this.sessionData = parsed;
-          this._repopulateScannedTokens();
-          this.debug?.log(`Loaded session: ${parsed.sessionId}`);
-        }
-      } catch (e) {
-        this.debug?.log('Failed to load session', true);
+    if (!saved) {
+      this._journal.load();
+      this._recoverUnsavedSession();
+      return;
+    }
+    try {
+      const { journalSeq = 0, ...parsed } = JSON.parse(saved);
+      this._journal.load(journalSeq);
+      const sessionDate = new Date(parsed.startTime).toDateString();
+      const today = new Date().toDateString();
+
+      if (sessionDate === today) {
+        this.sessionData = parsed;
+        this._applySessionScoring();
+        this._recoverJournal(journalSeq);
+        this.debug?.log(`Loaded session: ${parsed.sessionId}`);
       }
+    } catch (e) {
+      this.debug?.log('Failed to load session', true);
+    }
+  }
+
+  /**
+   * Re-apply what the loaded session is missing from the journal, and save
+   * the result when anything was recovered
+   * @param {number} journalSeq - Last journal entry the loaded session includes
+   * @private
+   */
+  _recoverJournal(journalSeq) {
+    const replayed = this._replayJournal(journalSeq);
+    this._repopulateScannedTokens();
+    if (replayed > 0) {
+      this.debug?.log(`Recovered ${replayed} journaled change(s) missing from the saved session`);
+      this._saveSession();
+    }
+  }
+
+  /**
+   * Rebuild a session whose first save never landed (storage full, tab
+   * closed) from its journal entries. As with a saved session, only one
+   * from today is kept.
+   * @private
+   */
+  _recoverUnsavedSession() {
+    const latest = this._journal.latest();
+    if (!latest || new Date(latest.at).toDateString() !== new Date().toDateString()) return;
+
+    this.sessionData.sessionId = latest.sessionId;
+    this.sessionData.startTime = this._journal.entriesAfter(latest.sessionId, 0)[0].at;
+    this._recoverJournal(0);
+  }
+
+  /**
+   * Re-apply journal entries newer than the loaded snapshot
+   * @param {number} journalSeq - Last journal entry the snapshot includes
+   * @returns {number} Number of entries applied
+   * @private
+   */
+  _replayJournal(journalSeq) {
+    const entries = this._journal.entriesAfter(this.sessionData.sessionId, journalSeq);
+    let applied = 0;
+    entries.forEach(({ op, data }) => {
+      if (op === 'add' && !this.sessionData.transactions.some(tx => tx.id === data.transaction.id)) {
+        this._applyTransaction(data.transaction);
+        applied++;
+      } else if (op === 'remove' && this._applyRemoval(data.transactionId)) {
+        applied++;
+      } else if (op === 'adjust' && this.sessionData.teams[data.teamId]) {
+        this._applyAdjustment(data.teamId, data.adjustment);
+        applied++;
+      }
+    });
+    return applied;
+  }
+
+  /**
+   * Record a change in the write-ahead journal before applying it
+   * @param {'add'|'remove'|'adjust'} op
+   * @param {Object} data
+   * @private
+   */
+  _journalChange(op, data) {
+    this._journal.append(this.sessionData.sessionId, op, data);
+  }
+
+  /**
+   * Apply the session's scoring profile (or the defaults when it has none)
+   * A stored profile that no longer validates falls back to the defaults.
+   * @private
+   */
+  _applySessionScoring() {
+    try {
+      applyScoringProfile(this.sessionData.scoringProfile || null);
+    } catch (error) {
+      this.debug?.log(`Ignoring stored scoring profile: ${error.message}`, true);
+      applyScoringProfile(null);
     }
   }
 
@@ -106,10 +210,24 @@ export class LocalStorage extends IStorageStrategy {
 
   /**
    * Save session to localStorage
+   * A failed write (storage full) is recorded by storageHealth and shown in
+   * the admin panel; the session stays in memory, its changes stay in the
+   * journal and the next save retries.
    * @private
    */
   _saveSession() {
-    localStorage.setItem('standaloneSession', JSON.stringify(this.sessionData));
+    const journalSeq = this._journal.lastSeq;
+    try {
+      storageHealth.setItem(
+        'standaloneSession',
+        JSON.stringify({ ...this.sessionData, journalSeq }),
+        'Standalone session'
+      );
+    } catch (error) {
+      this.debug?.log(`Failed to save session: ${error.message}`, true);
+      return;
+    }
+    this._journal.compact(this.sessionData.sessionId, journalSeq);
   }
 
   /**
@@ -120,6 +238,13 @@ export class LocalStorage extends IStorageStrategy {
     return this.sessionData.transactions;
   }
 
+  /**
+   * Persist in-place edits to transactions (token re-enrichment, reassignment, annotations)
+   */
+  persistTransactions() {
+    this._saveSession();
+  }
+
   /**
    * Get team scores
    * @returns {Array} Array of team score objects
@@ -138,6 +263,17 @@ export class LocalStorage extends IStorageStrategy {
       .sort((a, b) => b.score - a.score);
   }
 
+  /**
+   * Get detective reputation standings, derived from the transaction log
+   * @returns {Object} { enabled, pointsPerExposure, firstExposerBonus, teams, characters }
+   */
+  getDetectiveStandings() {
+    return buildDetectiveStandings({
+      transactions: this.sessionData.transactions,
+      tokenManager: this.tokenManager
+    });
+  }
+
   /**
    * Get current session info
    * @returns {SessionInfo}
@@ -156,9 +292,16 @@ export class LocalStorage extends IStorageStrategy {
    * Create a new session
    * @param {string} name - Session name
    * @param {Array} teams - Initial teams array
+   * @param {Object} [options]
+   * @param {Object|null} [options.scoringProfile] - Scoring overrides for this session
+   *   (see scoring.applyScoringProfile); omitted or null uses the shared defaults
    * @returns {Promise<SessionInfo>}
+   * @throws {Error} If the scoring profile is invalid
    */
-  async createSession(name, teams) {
+  async createSession(name, teams, { scoringProfile = null } = {}) {
+    // Validate before replacing the current session
+    applyScoringProfile(scoringProfile);
+
     this.sessionData = {
       sessionId: this._generateSessionId(),
       name: name,
@@ -166,7 +309,8 @@ export class LocalStorage extends IStorageStrategy {
       startTime: new Date().toISOString(),
       transactions: [],
       teams: {},
-      mode: 'standalone'
+      mode: 'standalone',
+      scoringProfile
     };
     this.scannedTokens.clear();
     this._saveSession();
@@ -174,6 +318,58 @@ export class LocalStorage extends IStorageStrategy {
     return this.getCurrentSession();
   }
 
+  /**
+   * Replace the current session with a copy of an exported one
+   * The copy gets a fresh sessionId (importedFrom keeps the original), so
+   * importing the same bundle twice never produces two sessions with one id.
+   * Emits session:switched so every view re-reads the new session.
+   * @param {Object} sessionData - Session from a validated bundle (see core/sessionBundle)
+   * @returns {Promise<SessionInfo>}
+   * @throws {Error} If the session's scoring profile is invalid
+   */
+  async importSession(sessionData) {
+    const imported = JSON.parse(JSON.stringify(sessionData));
+    applyScoringProfile(imported.scoringProfile || null);
+
+    this.sessionData = {
+      ...imported,
+      sessionId: this._generateSessionId(),
+      mode: 'standalone',
+      importedFrom: imported.sessionId,
+      importedAt: new Date().toISOString()
+    };
+    this._repopulateScannedTokens();
+    this._saveSession();
+
+    this.dispatchEvent(new CustomEvent('session:switched', {
+      detail: { session: this.getCurrentSession(), readOnly: false }
+    }));
+    return this.getCurrentSession();
+  }
+
+  /**
+   * Roll the session back to a snapshot (see core/sessionSnapshots)
+   * Unlike importSession the snapshot keeps its sessionId: it is the same
+   * game, as it was when the snapshot was taken.
+   * Emits session:switched so every view re-reads the session.
+   * @param {Object} sessionData - Session copy from a snapshot
+   * @returns {Promise<SessionInfo>}
+   * @throws {Error} If the snapshot's scoring profile is invalid
+   */
+  async restoreSnapshot(sessionData) {
+    const restored = JSON.parse(JSON.stringify(sessionData));
+    applyScoringProfile(restored.scoringProfile || null);
+
+    this.sessionData = restored;
+    this._repopulateScannedTokens();
+    this._saveSession();
+
+    this.dispatchEvent(new CustomEvent('session:switched', {
+      detail: { session: this.getCurrentSession(), readOnly: false }
+    }));
+    return this.getCurrentSession();
+  }
+
   /**
    * End the current session
    * Marks the session ended (status + endTime), persists, and emits
@@ -261,6 +457,9 @@ export class LocalStorage extends IStorageStrategy {
       team.adminAdjustments = [];
     });
 
+    // Recorded so a score replay knows which transactions predate the reset
+    this.sessionData.scoresResetAt = new Date().toISOString();
+
     this._saveSession();
 
     // Emit event for UI updates
@@ -293,17 +492,16 @@ export class LocalStorage extends IStorageStrategy {
       };
     }
 
-    // Add to transactions array
-    this.sessionData.transactions.push(transaction);
-
-    // Mark token as scanned
-    const tokenId = transaction.tokenId || transaction.rfid;
-    if (tokenId) {
-      this.scannedTokens.add(tokenId);
+    // Price callers that didn't (e.g. imports/replays) with the active scoring
+    // rules, so the stored points match what a live scan would have earned
+    if (transaction.mode === 'blackmarket' && transaction.points === undefined) {
+      transaction.points = calculateTokenValue(transaction, {
+        sessionStartTime: this.sessionData.startTime
+      });
     }
 
-    // Update team scores
-    this._updateTeamScore(transaction);
+    this._journalChange('add', { transaction });
+    this._applyTransaction(transaction);
 
     // Persist
     this._saveSession();
@@ -321,30 +519,34 @@ export class LocalStorage extends IStorageStrategy {
   }
 
   /**
-   * Update team score from transaction
+   * Record a transaction: add it, mark its token scanned and score it
    * @private
    */
-  _updateTeamScore(transaction) {
-    const teamId = transaction.teamId;
+  _applyTransaction(transaction) {
+    this.sessionData.transactions.push(transaction);
 
-    if (!this.sessionData.teams[teamId]) {
-      this.sessionData.teams[teamId] = {
-        teamId,
-        score: 0,
-        baseScore: 0,
-        bonusPoints: 0,
-        tokensScanned: 0,
-        completedGroups: [],
-        lastScanTime: null
-      };
+    // Mark token as scanned
+    const tokenId = transaction.tokenId || transaction.rfid;
+    if (tokenId) {
+      this.scannedTokens.add(tokenId);
     }
 
-    const team = this.sessionData.teams[teamId];
+    // Update team scores
+    this._updateTeamScore(transaction);
+  }
+
+  /**
+   * Update team score from transaction
+   * @private
+   */
+  _updateTeamScore(transaction) {
+    const teamId = transaction.teamId;
+    const team = this._ensureTeam(teamId);
 
     // Only score blackmarket mode
     if (transaction.mode === 'blackmarket' && transaction.points) {
       team.baseScore += transaction.points;
-      team.score = team.baseScore + team.bonusPoints;
+      team.score = this._teamScore(team);
     }
 
     team.tokensScanned++;
@@ -356,6 +558,25 @@ export class LocalStorage extends IStorageStrategy {
     }
   }
 
+  /**
+   * Get a team's score record, creating an empty one on first use
+   * @private
+   */
+  _ensureTeam(teamId) {
+    if (!this.sessionData.teams[teamId]) {
+      this.sessionData.teams[teamId] = {
+        teamId,
+        score: 0,
+        baseScore: 0,
+        bonusPoints: 0,
+        tokensScanned: 0,
+        completedGroups: [],
+        lastScanTime: null
+      };
+    }
+    return this.sessionData.teams[teamId];
+  }
+
   /**
    * Check and award group completion bonus
    * @private
@@ -399,7 +620,7 @@ export class LocalStorage extends IStorageStrategy {
       const bonus = (groupInfo.multiplier - 1) * groupBaseScore;
 
       team.bonusPoints += bonus;
-      team.score = team.baseScore + team.bonusPoints;
+      team.score = this._teamScore(team);
       team.completedGroups.push(groupInfo.name);
 
       this.debug?.log(`Group completed: ${groupInfo.name}, bonus: ${bonus}`);
@@ -412,32 +633,17 @@ export class LocalStorage extends IStorageStrategy {
    * @returns {Promise<TransactionResult>}
    */
   async removeTransaction(transactionId) {
-    const index = this.sessionData.transactions.findIndex(tx => tx.id === transactionId);
-
-    if (index === -1) {
+    if (!this.sessionData.transactions.some(tx => tx.id === transactionId)) {
       return {
         success: false,
         error: `Transaction not found: ${transactionId}`
       };
     }
 
-    const removedTx = this.sessionData.transactions.splice(index, 1)[0];
-    const tokenId = removedTx.tokenId || removedTx.rfid;
+    this._journalChange('remove', { transactionId });
+    const removedTx = this._applyRemoval(transactionId);
     const teamId = removedTx.teamId;
 
-    // Allow re-scanning if no other transactions have this token
-    const tokenStillExists = this.sessionData.transactions.some(
-      tx => (tx.tokenId || tx.rfid) === tokenId
-    );
-    if (!tokenStillExists && tokenId) {
-      this.scannedTokens.delete(tokenId);
-    }
-
-    // Recalculate team scores from scratch
-    if (teamId && this.sessionData.teams[teamId]) {
-      this._recalculateTeamScores(teamId);
-    }
-
     this._saveSession();
 
     // Emit events for UI updates (strategy-event contract, F-GMS-08):
@@ -465,23 +671,182 @@ export class LocalStorage extends IStorageStrategy {
   }
 
   /**
-   * Recalculate team scores from remaining transactions
+   * Credit a transaction to a different team
+   * Both teams are rescored from their transactions, so a group completion
+   * bonus moves with the token (or lapses) and may complete a group for the
+   * destination team. The move and its reason are kept on the transaction
+   * (transaction.reassignments) for the score audit trail.
+   * @param {string} transactionId - Transaction ID
+   * @param {string} toTeamId - Destination team
+   * @param {string} [reason] - Why the transaction was moved
+   * @returns {Promise<{success: boolean, error?: string, transaction?: Object, fromTeamId?: string, toTeamId?: string}>}
+   */
+  async reassignTransaction(transactionId, toTeamId, reason = 'Reassigned by GM') {
+    const transaction = this.sessionData.transactions.find(tx => tx.id === transactionId);
+    if (!transaction) {
+      return { success: false, error: `Transaction not found: ${transactionId}` };
+    }
+    if (!toTeamId) {
+      return { success: false, error: 'Destination team is required' };
+    }
+
+    const fromTeamId = transaction.teamId;
+    if (fromTeamId === toTeamId) {
+      return { success: false, error: `Transaction is already credited to team ${toTeamId}` };
+    }
+
+    transaction.teamId = toTeamId;
+    transaction.reassignments = [
+      ...(transaction.reassignments || []),
+      { fromTeamId, toTeamId, reason, timestamp: new Date().toISOString() }
+    ];
+
+    this._ensureTeam(toTeamId);
+    [fromTeamId, toTeamId].forEach(teamId => {
+      if (this.sessionData.teams[teamId]) this._recalculateTeamScores(teamId);
+    });
+
+    // The transaction was edited in place
+    this.persistTransactions();
+
+    this.dispatchEvent(new CustomEvent('transaction:reassigned', {
+      detail: { transaction, fromTeamId, toTeamId, reason }
+    }));
+    [fromTeamId, toTeamId].forEach(teamId => {
+      const team = this.sessionData.teams[teamId];
+      if (!team) return;
+      this.dispatchEvent(new CustomEvent('team-score:updated', {
+        detail: {
+          teamId,
+          scoreData: { ...team },
+          transactions: this.sessionData.transactions.filter(tx => tx.teamId === teamId)
+        }
+      }));
+    });
+
+    return { success: true, transaction, fromTeamId, toTeamId };
+  }
+
+  /**
+   * Set a GM note and/or the disputed flag on a transaction
+   * Annotations never affect scoring. Omitted fields are left as they are;
+   * an empty note removes the note.
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} annotation
+   * @param {string} [annotation.note] - Free-text note
+   * @param {boolean} [annotation.disputed] - Whether the transaction is disputed
+   * @returns {Promise<{success: boolean, error?: string, transaction?: Object}>}
+   */
+  async annotateTransaction(transactionId, { note, disputed } = {}) {
+    const transaction = this.sessionData.transactions.find(tx => tx.id === transactionId);
+    if (!transaction) {
+      return { success: false, error: `Transaction not found: ${transactionId}` };
+    }
+    if (note === undefined && disputed === undefined) {
+      return { success: false, error: 'Nothing to annotate' };
+    }
+
+    applyAnnotation(transaction, { note, disputed, annotatedAt: new Date().toISOString() });
+
+    // The transaction was edited in place
+    this.persistTransactions();
+
+    this.dispatchEvent(new CustomEvent('transaction:annotated', {
+      detail: { transaction }
+    }));
+
+    return { success: true, transaction };
+  }
+
+  /**
+   * Remove a transaction, free its token for re-scanning and rescore its team
+   * @param {string} transactionId
+   * @returns {Object|null} The removed transaction, or null if not found
+   * @private
+   */
+  _applyRemoval(transactionId) {
+    const index = this.sessionData.transactions.findIndex(tx => tx.id === transactionId);
+    if (index === -1) return null;
+
+    const removedTx = this.sessionData.transactions.splice(index, 1)[0];
+    const tokenId = removedTx.tokenId || removedTx.rfid;
+    const teamId = removedTx.teamId;
+
+    // Allow re-scanning if no other transactions have this token
+    const tokenStillExists = this.sessionData.transactions.some(
+      tx => (tx.tokenId || tx.rfid) === tokenId
+    );
+    if (!tokenStillExists && tokenId) {
+      this.scannedTokens.delete(tokenId);
+    }
+
+    // Recalculate team scores from scratch
+    if (teamId && this.sessionData.teams[teamId]) {
+      this._recalculateTeamScores(teamId);
+    }
+
+    return removedTx;
+  }
+
+  /**
+   * Team total: base score, group bonuses and admin adjustments since the last reset
+   * @private
+   */
+  _teamScore(team) {
+    const adjustments = (team.adminAdjustments || []).reduce((sum, adj) => sum + (parseInt(adj.delta) || 0), 0);
+    return team.baseScore + team.bonusPoints + adjustments;
+  }
+
+  /**
+   * Recalculate a team's scores from the transaction log
+   * Replayed with scoreReplay, the same rules the score audit checks against:
+   * admin adjustments are kept and transactions from before a score reset
+   * earn nothing.
    * @private
    */
   _recalculateTeamScores(teamId) {
     const team = this.sessionData.teams[teamId];
+    const replayed = replayTeamScores({
+      transactions: this.sessionData.transactions,
+      teams: { [teamId]: team },
+      tokens: this.tokenManager?.getAllTokens(),
+      scoresResetAt: this.sessionData.scoresResetAt
+    })[teamId];
+
+    team.baseScore = replayed?.baseScore || 0;
+    team.bonusPoints = replayed?.bonusPoints || 0;
+    team.score = replayed?.score || 0;
+    team.tokensScanned = replayed?.tokensScanned || 0;
+    team.completedGroups = replayed?.completedGroups || [];
+    team.lastScanTime = this.sessionData.transactions.filter(tx => tx.teamId === teamId).at(-1)?.timestamp || null;
+  }
 
-    // Reset
-    team.baseScore = 0;
-    team.bonusPoints = 0;
-    team.score = 0;
-    team.tokensScanned = 0;
-    team.completedGroups = [];
+  /**
+   * Rescore every team from the transaction log, e.g. after tokens.json
+   * changed which tokens form a group. Points recorded on transactions stay
+   * as they are; group bonuses follow the current token database.
+   * @returns {Array<{teamId: string, before: number, after: number}>} Teams whose score changed
+   */
+  rescoreTeams() {
+    const changes = [];
+    Object.values(this.sessionData.teams).forEach(team => {
+      const before = team.score;
+      this._recalculateTeamScores(team.teamId);
+      if (team.score !== before) changes.push({ teamId: team.teamId, before, after: team.score });
+    });
+    if (changes.length === 0) return changes;
 
-    // Replay transactions
-    this.sessionData.transactions
-      .filter(tx => tx.teamId === teamId)
-      .forEach(tx => this._updateTeamScore(tx));
+    this._saveSession();
+    changes.forEach(({ teamId }) => {
+      this.dispatchEvent(new CustomEvent('team-score:updated', {
+        detail: {
+          teamId,
+          scoreData: { ...this.sessionData.teams[teamId] },
+          transactions: this.sessionData.transactions.filter(tx => tx.teamId === teamId)
+        }
+      }));
+    });
+    return changes;
   }
 
   /**
@@ -499,20 +864,14 @@ export class LocalStorage extends IStorageStrategy {
       };
     }
 
-    const team = this.sessionData.teams[teamId];
-
-    if (!team.adminAdjustments) {
-      team.adminAdjustments = [];
-    }
-
     const adjustment = {
       delta: parseInt(delta),
       reason,
       timestamp: new Date().toISOString()
     };
 
-    team.adminAdjustments.push(adjustment);
-    team.score += adjustment.delta;
+    this._journalChange('adjust', { teamId, adjustment });
+    const team = this._applyAdjustment(teamId, adjustment);
 
     this._saveSession();
 
@@ -532,6 +891,33 @@ export class LocalStorage extends IStorageStrategy {
     };
   }
 
+  /**
+   * Apply an admin score adjustment to an existing team
+   * @returns {Object} The team
+   * @private
+   */
+  _applyAdjustment(teamId, adjustment) {
+    const team = this.sessionData.teams[teamId];
+
+    if (!team.adminAdjustments) {
+      team.adminAdjustments = [];
+    }
+
+    team.adminAdjustments.push(adjustment);
+    team.score += adjustment.delta;
+    return team;
+  }
+
+  /**
+   * Audit team scores by replaying the transaction log
+   * Rebuilds every team's totals from transactions and adjustments and diffs
+   * them against the incrementally-maintained sessionData.teams.
+   * @returns {{balanced: boolean, teams: Array}} See scoreReplay.auditSessionScores
+   */
+  auditScores() {
+    return auditSessionScores(this.sessionData, this.tokenManager?.getAllTokens());
+  }
+
   /**
    * Get unified game activity
    * Matches DataManager.getGameActivity() API for parity
@@ -2,25 +2,36 @@
  * NetworkedStorage Strategy - WebSocket backend communication
  * Implements IStorageStrategy for networked mode operation
  *
+ * Scans are submitted on the socket (transaction:submit); admin commands go
+ * through the connection's command bus (network/commandBus) and resolve once
+ * the orchestrator acknowledged them. The cache itself follows the
+ * broadcasts.
+ *
  * @module core/storage/NetworkedStorage
  */
 
 import { IStorageStrategy } from './IStorageStrategy.js';
 import { calculateTokenValue } from '../scoring.js';
 import { buildGameActivity } from '../gameActivityBuilder.js';
+import { buildDetectiveStandings } from '../detectiveScoring.js';
+import { applyAnnotation } from '../transactionAnnotations.js';
+import { storageHealth } from '../storageHealth.js';
+import { CommandBus } from '../../network/commandBus.js';
 
 export class NetworkedStorage extends IStorageStrategy {
   /**
    * Create NetworkedStorage instance
    * @param {Object} options - Dependencies
    * @param {Object} options.socket - Socket.io client
+   * @param {Object} [options.client] - OrchestratorClient the admin commands are sent with
    * @param {Object} options.tokenManager - TokenManager instance
    * @param {Object} [options.debug] - Debug instance
    */
-  constructor({ socket, tokenManager, debug } = {}) {
+  constructor({ socket, client = null, tokenManager, debug } = {}) {
     super();
 
     this.socket = socket;
+    this.client = client;
     this.tokenManager = tokenManager;
     this.debug = debug;
 
@@ -41,17 +52,21 @@ export class NetworkedStorage extends IStorageStrategy {
   }
 
   /**
-   * Send a gm:command via WebSocket with AsyncAPI envelope
+   * Send a gm:command through the client's command bus and wait for the ack
    * @param {string} action - Command action (e.g., 'session:create')
    * @param {Object} payload - Command payload data
+   * @returns {Promise<{success: boolean, error?: string}>} success once acknowledged
    * @private
    */
-  _emitCommand(action, payload) {
-    this.socket.emit('gm:command', {
-      event: 'gm:command',
-      data: { action, payload },
-      timestamp: new Date().toISOString()
-    });
+  async _sendCommand(action, payload) {
+    if (!this.client) return { success: false, error: 'Not connected to the orchestrator' };
+    try {
+      await CommandBus.for(this.client).send(action, payload);
+      return { success: true };
+    } catch (error) {
+      this.debug?.log(`[NetworkedStorage] ${action} failed: ${error.message}`, true);
+      return { success: false, error: error.message };
+    }
   }
 
   /** @private Session-scoped localStorage key for the dedup guard. */
@@ -67,7 +82,7 @@ export class NetworkedStorage extends IStorageStrategy {
     const key = this._scannedKey();
     if (!key) return;
     try {
-      localStorage.setItem(key, JSON.stringify([...this.scannedTokens]));
+      storageHealth.setItem(key, JSON.stringify([...this.scannedTokens]), 'Scanned token guard');
     } catch (e) {
       this.debug?.log?.(`[NetworkedStorage] persist scannedTokens failed: ${e.message}`, true);
     }
@@ -132,7 +147,7 @@ export class NetworkedStorage extends IStorageStrategy {
 
     // Backend STRICTLY requires the AsyncAPI envelope {event, data, timestamp}
     // (adminEvents.js rejects an unwrapped payload with VALIDATION_ERROR). Mirror
-    // the same envelope _emitCommand uses. CC-5.
+    // the envelope OrchestratorClient.send() builds for gm:command. CC-5.
     this.socket.emit('transaction:submit', {
       event: 'transaction:submit',
       data: {
@@ -172,9 +187,7 @@ export class NetworkedStorage extends IStorageStrategy {
 
     this.debug?.log(`[NetworkedStorage] Removing transaction: ${transactionId}`);
 
-    this._emitCommand('transaction:delete', { transactionId });
-
-    return { success: true, pending: true };
+    return this._sendCommand('transaction:delete', { transactionId });
   }
 
   /**
@@ -208,6 +221,22 @@ export class NetworkedStorage extends IStorageStrategy {
       .sort((a, b) => b.score - a.score);
   }
 
+  /**
+   * Get detective reputation standings
+   * The backend does not score detective exposures, so reputation is
+   * derived locally from the synced transaction cache.
+   * @returns {Object} { enabled, pointsPerExposure, firstExposerBonus, teams, characters }
+   */
+  getDetectiveStandings() {
+    return buildDetectiveStandings({
+      transactions: this.transactions,
+      tokenManager: this.tokenManager,
+      options: {
+        transactionFilter: (tx) => !tx.status || tx.status === 'accepted'
+      }
+    });
+  }
+
   /**
    * Adjust team score - delegates to backend
    * @param {string} teamId - Team identifier
@@ -223,9 +252,45 @@ export class NetworkedStorage extends IStorageStrategy {
 
     this.debug?.log(`[NetworkedStorage] Adjusting score for team ${teamId}: ${delta > 0 ? '+' : ''}${delta} (${reason})`);
 
-    this._emitCommand('score:adjust', { teamId, delta, reason });
+    return this._sendCommand('score:adjust', { teamId, delta, reason });
+  }
+
+  /**
+   * Reassign transaction - delegates to backend (transaction:reassign)
+   * The cache follows the transaction:reassigned broadcast.
+   * @param {string} transactionId - Transaction ID
+   * @param {string} toTeamId - Destination team
+   * @param {string} reason - Reason for the audit trail
+   * @returns {Promise<TransactionResult>}
+   */
+  async reassignTransaction(transactionId, toTeamId, reason) {
+    if (!this.isReady()) {
+      this.debug?.log('[NetworkedStorage] Cannot reassign transaction: socket not connected', true);
+      return { success: false, error: 'Socket not connected' };
+    }
+
+    this.debug?.log(`[NetworkedStorage] Reassigning transaction ${transactionId} to team ${toTeamId} (${reason})`);
+
+    return this._sendCommand('transaction:reassign', { transactionId, teamId: toTeamId, reason });
+  }
+
+  /**
+   * Annotate transaction - delegates to backend (transaction:annotate)
+   * The cache follows the transaction:annotated broadcast, so every station
+   * sees the same notes and dispute flags.
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} annotation - { note?, disputed? }; omitted fields are unchanged
+   * @returns {Promise<TransactionResult>}
+   */
+  async annotateTransaction(transactionId, { note, disputed } = {}) {
+    if (!this.isReady()) {
+      this.debug?.log('[NetworkedStorage] Cannot annotate transaction: socket not connected', true);
+      return { success: false, error: 'Socket not connected' };
+    }
+
+    this.debug?.log(`[NetworkedStorage] Annotating transaction ${transactionId}`);
 
-    return { success: true, pending: true };
+    return this._sendCommand('transaction:annotate', { transactionId, note, disputed });
   }
 
   /**
@@ -262,9 +327,7 @@ export class NetworkedStorage extends IStorageStrategy {
 
     this.debug?.log(`[NetworkedStorage] Creating session: ${name}`);
 
-    this._emitCommand('session:create', { name, teams });
-
-    return { pending: true };
+    return this._sendCommand('session:create', { name, teams });
   }
 
   /**
@@ -279,7 +342,7 @@ export class NetworkedStorage extends IStorageStrategy {
 
     this.debug?.log('[NetworkedStorage] Ending session');
 
-    this._emitCommand('session:end', {});
+    await this._sendCommand('session:end', {});
   }
 
   /**
@@ -305,9 +368,7 @@ export class NetworkedStorage extends IStorageStrategy {
 
     this.debug?.log('[NetworkedStorage] Pausing session');
 
-    this._emitCommand('session:pause', {});
-
-    return { success: true, pending: true };
+    return this._sendCommand('session:pause', {});
   }
 
   /**
@@ -322,9 +383,7 @@ export class NetworkedStorage extends IStorageStrategy {
 
     this.debug?.log('[NetworkedStorage] Resuming session');
 
-    this._emitCommand('session:resume', {});
-
-    return { success: true, pending: true };
+    return this._sendCommand('session:resume', {});
   }
 
   /**
@@ -339,9 +398,7 @@ export class NetworkedStorage extends IStorageStrategy {
 
     this.debug?.log('[NetworkedStorage] Resetting all scores');
 
-    this._emitCommand('score:reset', {});
-
-    return { success: true, pending: true };
+    return this._sendCommand('score:reset', {});
   }
 
   // ========================================
@@ -398,6 +455,39 @@ export class NetworkedStorage extends IStorageStrategy {
     }));
   }
 
+  /**
+   * Apply a transaction:reassigned broadcast to the local cache.
+   * Cache-only, like removeTransactionFromBroadcast; team scores arrive
+   * separately. Emits transaction:reassigned for UI consumers.
+   * @param {Object} payload - { transactionId, fromTeamId, toTeamId, reason }
+   */
+  reassignTransactionFromBroadcast({ transactionId, fromTeamId, toTeamId, reason }) {
+    const transaction = this.transactions.find(t => t.id === transactionId);
+    if (!transaction) return;
+
+    transaction.teamId = toTeamId;
+
+    this.dispatchEvent(new CustomEvent('transaction:reassigned', {
+      detail: { transaction, fromTeamId, toTeamId, reason }
+    }));
+  }
+
+  /**
+   * Apply a transaction:annotated broadcast to the local cache.
+   * Emits transaction:annotated for UI consumers.
+   * @param {Object} payload - { transactionId, note, disputed, annotatedAt }
+   */
+  annotateTransactionFromBroadcast({ transactionId, note, disputed, annotatedAt }) {
+    const transaction = this.transactions.find(t => t.id === transactionId);
+    if (!transaction) return;
+
+    applyAnnotation(transaction, { note, disputed, annotatedAt });
+
+    this.dispatchEvent(new CustomEvent('transaction:annotated', {
+      detail: { transaction }
+    }));
+  }
+
   /**
    * Set backend scores for a team
    * @param {string} teamId
@@ -472,9 +562,12 @@ export class NetworkedStorage extends IStorageStrategy {
    * @param {string} sessionId
    */
   setSessionId(sessionId) {
+    const changed = sessionId !== this.currentSessionId;
     this.currentSessionId = sessionId;
     // Persist so a future reload can rehydrate the right session-scoped guard (TQ-7).
     try { localStorage.setItem('networkedSessionId', sessionId); } catch { /* ignore */ }
+    // Guards of earlier sessions are dead weight from here on
+    if (changed) storageHealth.prune();
   }
 
   /**
@@ -0,0 +1,141 @@
+/**
+ * IdbRecordStore - Minimal promise wrapper over IndexedDB
+ * Just enough of the IndexedDB API for IndexedDBStorage: read every record
+ * of a session, and apply puts/deletes across stores in one transaction.
+ * IndexedDBStorage accepts any object with the same methods, so the
+ * persistence layer can be swapped (e.g. an in-memory store in tests).
+ *
+ * @module core/storage/idbRecordStore
+ */
+
+export const DB_NAME = 'alnScanner';
+export const DB_VERSION = 1;
+
+/**
+ * Object stores and their indexes. Every record carries its sessionId so a
+ * whole session can be read or purged through the bySession index.
+ */
+export const STORES = {
+  sessions: { keyPath: 'sessionId', indexes: [] },
+  teams: { keyPath: ['sessionId', 'teamId'], indexes: ['sessionId'] },
+  transactions: { keyPath: ['sessionId', 'seq'], indexes: ['sessionId'] },
+  adjustments: { keyPath: ['sessionId', 'teamId', 'index'], indexes: ['sessionId'] }
+};
+
+export class IdbRecordStore {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory} [options.idbFactory] - Defaults to globalThis.indexedDB
+   * @param {string} [options.dbName]
+   */
+  constructor({ idbFactory = globalThis.indexedDB, dbName = DB_NAME } = {}) {
+    this.idbFactory = idbFactory;
+    this.dbName = dbName;
+    this.db = null;
+  }
+
+  /**
+   * Whether IndexedDB exists in this environment
+   * @returns {boolean}
+   */
+  static isSupported(idbFactory = globalThis.indexedDB) {
+    return !!idbFactory && typeof idbFactory.open === 'function';
+  }
+
+  /**
+   * Open (and create/upgrade) the database
+   * @returns {Promise<void>}
+   */
+  open() {
+    if (this.db) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const request = this.idbFactory.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, { keyPath, indexes }]) => {
+          if (db.objectStoreNames.contains(name)) return;
+          const store = db.createObjectStore(name, { keyPath });
+          indexes.forEach(index => store.createIndex(index, index));
+        });
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+    });
+  }
+
+  /**
+   * Read every record in a store
+   * @param {string} storeName
+   * @returns {Promise<Array>}
+   */
+  getAll(storeName) {
+    return this._request(storeName, 'readonly', store => store.getAll());
+  }
+
+  /**
+   * Read every record of one session
+   * @param {string} storeName - teams | transactions | adjustments
+   * @param {string} sessionId
+   * @returns {Promise<Array>}
+   */
+  getBySession(storeName, sessionId) {
+    return this._request(storeName, 'readonly', store => store.index('sessionId').getAll(sessionId));
+  }
+
+  /**
+   * Apply puts and deletes atomically
+   * @param {Array<{store: string, put?: Object, delete?: *}>} operations
+   * @returns {Promise<void>}
+   */
+  write(operations) {
+    if (operations.length === 0) return Promise.resolve();
+    const storeNames = [...new Set(operations.map(op => op.store))];
+
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeNames, 'readwrite');
+      operations.forEach(op => {
+        const store = tx.objectStore(op.store);
+        if (op.put) store.put(op.put);
+        else store.delete(op.delete);
+      });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  /**
+   * Delete every record of one session across all stores
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async deleteSession(sessionId) {
+    const operations = [{ store: 'sessions', delete: sessionId }];
+    for (const storeName of ['teams', 'transactions', 'adjustments']) {
+      const records = await this.getBySession(storeName, sessionId);
+      const { keyPath } = STORES[storeName];
+      records.forEach(record => operations.push({ store: storeName, delete: keyPath.map(k => record[k]) }));
+    }
+    return this.write(operations);
+  }
+
+  close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  /** @private */
+  _request(storeName, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const request = makeRequest(this.db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Session Journal - append-only write-ahead log for the standalone session
+ *
+ * LocalStorage saves the whole session as one JSON snapshot. Serializing a
+ * long session takes a while, and a tab killed mid-save or a full storage
+ * would lose the scan that triggered it. Each scan, deletion and score
+ * adjustment is therefore appended here first, as a small entry, before it
+ * touches the in-memory session.
+ *
+ * Every entry has a sequence number. The snapshot records the last sequence
+ * number it includes (journalSeq), so on load only the entries the snapshot
+ * missed are replayed. Entries already in a saved snapshot are dropped once
+ * the journal reaches JOURNAL_COMPACT_THRESHOLD entries, which keeps appends
+ * cheap without rewriting the journal on every save.
+ *
+ * Entry: { seq, sessionId, op: 'add'|'remove'|'adjust', data, at }
+ *
+ * @module core/storage/sessionJournal
+ */
+
+import { storageHealth } from '../storageHealth.js';
+
+export const JOURNAL_KEY = 'standaloneJournal';
+export const JOURNAL_COMPACT_THRESHOLD = 25;
+
+export class SessionJournal {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.key] - localStorage key
+   * @param {Object} [options.debug] - Debug instance
+   */
+  constructor({ key = JOURNAL_KEY, debug } = {}) {
+    this.key = key;
+    this.debug = debug;
+    this._entries = [];
+    this._writeFailed = false;
+    this.lastSeq = 0;
+  }
+
+  /**
+   * Read the journal from localStorage. A corrupt journal is discarded.
+   * @param {number} [minSeq=0] - Sequence number already used elsewhere
+   *   (the snapshot's journalSeq); new entries continue after it
+   * @returns {Array<Object>} Entries
+   */
+  load(minSeq = 0) {
+    this._entries = [];
+    const saved = localStorage.getItem(this.key);
+    if (saved) {
+      try {
+        const parsed = JSON.parse(saved);
+        if (Array.isArray(parsed)) this._entries = parsed.filter(e => Number.isInteger(e?.seq));
+      } catch {
+        this.debug?.log('Discarding unreadable session journal', true);
+      }
+    }
+    this.lastSeq = Math.max(minSeq, this.lastSeq, ...this._entries.map(e => e.seq));
+    return this._entries;
+  }
+
+  /**
+   * Append an entry and write the journal
+   * A failed write is logged (and recorded by storageHealth); the entry is
+   * kept in memory and written with the next append.
+   * @param {string} sessionId
+   * @param {'add'|'remove'|'adjust'} op
+   * @param {Object} data - Operation payload (copied)
+   * @returns {Object} The entry
+   */
+  append(sessionId, op, data) {
+    const entry = {
+      seq: ++this.lastSeq,
+      sessionId,
+      op,
+      data: JSON.parse(JSON.stringify(data)),
+      at: new Date().toISOString()
+    };
+    this._entries.push(entry);
+    this._write();
+    return entry;
+  }
+
+  /**
+   * Entries of a session that come after a snapshot, oldest first
+   * @param {string} sessionId
+   * @param {number} afterSeq - The snapshot's journalSeq
+   * @returns {Array<Object>}
+   */
+  entriesAfter(sessionId, afterSeq) {
+    return this._entries
+      .filter(e => e.sessionId === sessionId && e.seq > afterSeq)
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Drop entries that a saved snapshot already contains, plus any entries of
+   * other sessions. Runs once the journal reaches the threshold, or right
+   * away when the last journal write failed (the snapshot now holds what
+   * could not be journaled).
+   * @param {string} sessionId - Session of the saved snapshot
+   * @param {number} upToSeq - journalSeq of the saved snapshot
+   */
+  compact(sessionId, upToSeq) {
+    if (!this._writeFailed && this._entries.length < JOURNAL_COMPACT_THRESHOLD) return;
+    const kept = this._entries.filter(e => e.sessionId === sessionId && e.seq > upToSeq);
+    if (kept.length === this._entries.length && !this._writeFailed) return;
+    this._entries = kept;
+    this._write();
+  }
+
+  /**
+   * The most recent entry
+   * @returns {Object|null} null when the journal is empty
+   */
+  latest() {
+    return this._entries.reduce((latest, e) => (!latest || e.seq > latest.seq ? e : latest), null);
+  }
+
+  /** @returns {number} Entries currently in the journal */
+  get size() {
+    return this._entries.length;
+  }
+
+  /** @private */
+  _write() {
+    try {
+      if (this._entries.length === 0) {
+        localStorage.removeItem(this.key);
+        storageHealth.clearFailure(this.key);
+      } else {
+        storageHealth.setItem(this.key, JSON.stringify(this._entries), 'Transaction journal');
+      }
+      this._writeFailed = false;
+    } catch (error) {
+      this._writeFailed = true;
+      this.debug?.log(`Failed to write session journal: ${error.message}`, true);
+    }
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * Storage Health - localStorage usage, quota handling and persistence failures
+ *
+ * Every localStorage write that must survive a reload (the standalone
+ * session, the offline scan queue, the networked dedup guard) goes through
+ * storageHealth.setItem(). It behaves like localStorage.setItem() - it still
+ * throws when the write fails - but on a quota error it first frees space
+ * with prune() and retries, then gives up expendable data registered with
+ * registerEvictable() (session snapshots), oldest first, until the write
+ * fits. Every failure is recorded so the GM sees it in the admin panel
+ * instead of losing data silently.
+ *
+ * Usage is estimated from the stored strings (UTF-16, 2 bytes per char)
+ * against STORAGE_QUOTA_BYTES, the smallest quota of the supported browsers.
+ * Reading every key is only done when the status is requested (getStatus())
+ * or space was freed; a write through setItem() updates the cached size of
+ * its own key, so saving stays cheap however much is stored.
+ * Writes to other stores (IndexedDB) report their failures with
+ * reportFailure().
+ *
+ * Events (on the shared instance):
+ * - 'storage-health:changed' - status or failures changed; detail is getStatus()
+ *
+ * @module core/storageHealth
+ */
+
+export const STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+export const STORAGE_WARN_RATIO = 0.8;
+export const STORAGE_CRITICAL_RATIO = 0.95;
+
+const SCANNED_TOKENS_PREFIX = 'networkedScannedTokens:';
+const MAX_FAILURES = 10;
+
+/**
+ * Whether an error is the browser's "storage full" error
+ * (QuotaExceededError; Firefox reports NS_ERROR_DOM_QUOTA_REACHED)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+  return error?.name === 'QuotaExceededError' ||
+    error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error?.code === 22 ||
+    error?.code === 1014;
+}
+
+/**
+ * Estimate localStorage usage per key, largest first
+ * @param {Storage} storage
+ * @returns {{usedBytes: number, keys: Array<{key: string, bytes: number}>}}
+ */
+export function measureStorage(storage) {
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (key === null) continue;
+    const value = storage.getItem(key) || '';
+    keys.push({ key, bytes: (key.length + value.length) * 2 });
+  }
+  keys.sort((a, b) => b.bytes - a.bytes);
+  return { usedBytes: keys.reduce((sum, k) => sum + k.bytes, 0), keys };
+}
+
+export class StorageHealthMonitor extends EventTarget {
+  /**
+   * @param {Object} [options]
+   * @param {function(): Storage} [options.getStorage] - Storage to watch (default: window.localStorage)
+   * @param {number} [options.quotaBytes]
+   * @param {number} [options.warnRatio] - Usage ratio that turns the status to 'warning'
+   * @param {number} [options.criticalRatio] - Usage ratio that turns the status to 'critical'
+   */
+  constructor({
+    getStorage = () => globalThis.localStorage,
+    quotaBytes = STORAGE_QUOTA_BYTES,
+    warnRatio = STORAGE_WARN_RATIO,
+    criticalRatio = STORAGE_CRITICAL_RATIO
+  } = {}) {
+    super();
+    this._getStorage = getStorage;
+    this.quotaBytes = quotaBytes;
+    this.warnRatio = warnRatio;
+    this.criticalRatio = criticalRatio;
+    this._failures = [];
+    this._lastStatus = null;
+    this._evictables = new Map();
+    this._keyBytes = null;
+  }
+
+  /**
+   * Register expendable data that may be given up, one entry at a time, when
+   * a more important write exceeds the quota
+   * @param {string} key - Storage key the data lives under (never evicted to make room for itself)
+   * @param {function(): boolean} evictOldest - Drops the oldest entry; false when nothing is left
+   */
+  registerEvictable(key, evictOldest) {
+    this._evictables.set(key, evictOldest);
+  }
+
+  /**
+   * localStorage.setItem() with quota recovery and failure tracking
+   * @param {string} key
+   * @param {string} value
+   * @param {string} [label] - What is being saved, shown to the GM on failure
+   * @throws {Error} The storage error when the write still fails
+   */
+  setItem(key, value, label = key) {
+    const storage = this._getStorage();
+    try {
+      try {
+        storage.setItem(key, value);
+      } catch (error) {
+        if (!isQuotaExceededError(error)) throw error;
+        this._makeRoom(key, () => storage.setItem(key, value), error);
+      }
+    } catch (error) {
+      this.reportFailure(label, error, key);
+      throw error;
+    }
+
+    this._keyBytes?.set(key, (key.length + value.length) * 2);
+    const hadFailure = this._failures.some(f => f.key === key);
+    if (hadFailure) this._failures = this._failures.filter(f => f.key !== key);
+    this._update(hadFailure);
+  }
+
+  /**
+   * Record a persistence failure that did not go through setItem()
+   * (e.g. an IndexedDB write). A later successful write of the same key
+   * clears it.
+   * @param {string} label - What failed to save
+   * @param {Error} error
+   * @param {string} [key] - Storage key or record store
+   */
+  reportFailure(label, error, key = label) {
+    this._failures = [
+      {
+        key,
+        label,
+        message: error?.message || String(error),
+        quotaExceeded: isQuotaExceededError(error),
+        timestamp: new Date().toISOString()
+      },
+      ...this._failures.filter(f => f.key !== key)
+    ].slice(0, MAX_FAILURES);
+    this._update(true);
+  }
+
+  /**
+   * Forget a recorded failure, e.g. after a later IndexedDB write succeeded
+   * @param {string} key
+   */
+  clearFailure(key) {
+    if (!this._failures.some(f => f.key === key)) return;
+    this._failures = this._failures.filter(f => f.key !== key);
+    this._update(true);
+  }
+
+  /**
+   * Free space by removing data that is no longer needed:
+   * - dedup guards (networkedScannedTokens:<sessionId>) of sessions other
+   *   than the current networked one; the backend re-sends the current
+   *   session's claimed tokens on sync:full anyway
+   * - an empty offline queue
+   * @returns {{removed: string[], freedBytes: number}}
+   */
+  prune() {
+    let stale = [];
+    try {
+      const storage = this._getStorage();
+      const currentSessionId = storage.getItem('networkedSessionId');
+      const keepScannedKey = currentSessionId ? `${SCANNED_TOKENS_PREFIX}${currentSessionId}` : null;
+
+      stale = measureStorage(storage).keys.filter(({ key }) =>
+        (key.startsWith(SCANNED_TOKENS_PREFIX) && key !== keepScannedKey) ||
+        (key === 'networkedTempQueue' && storage.getItem(key) === '[]')
+      );
+      stale.forEach(({ key }) => storage.removeItem(key));
+      this._keyBytes = null;
+    } catch {
+      // Storage unavailable: nothing (more) to free
+    }
+
+    const result = {
+      removed: stale.map(s => s.key),
+      freedBytes: stale.reduce((sum, s) => sum + s.bytes, 0)
+    };
+    if (result.removed.length > 0) this._update(false);
+    return result;
+  }
+
+  /**
+   * Current usage (measured afresh), status and recorded failures
+   * @returns {{status: 'healthy'|'warning'|'critical'|'failing', usedBytes: number,
+   *   quotaBytes: number, ratio: number, largestKeys: Array<{key: string, bytes: number}>,
+   *   failures: Array<Object>}}
+   */
+  getStatus() {
+    this._keyBytes = null;
+    return this._buildStatus(this._usage());
+  }
+
+  /**
+   * Per-key usage, measured once and then kept current by setItem()
+   * @returns {{usedBytes: number, keys: Array<{key: string, bytes: number}>}}
+   * @private
+   */
+  _usage() {
+    if (!this._keyBytes) {
+      try {
+        this._keyBytes = new Map(measureStorage(this._getStorage()).keys.map(k => [k.key, k.bytes]));
+      } catch {
+        // Storage unavailable (e.g. disabled by the browser): report failures only
+        return { usedBytes: 0, keys: [] };
+      }
+    }
+    const keys = [...this._keyBytes].map(([key, bytes]) => ({ key, bytes })).sort((a, b) => b.bytes - a.bytes);
+    return { usedBytes: keys.reduce((sum, k) => sum + k.bytes, 0), keys };
+  }
+
+  /** @private */
+  _buildStatus(usage) {
+    const ratio = this.quotaBytes > 0 ? usage.usedBytes / this.quotaBytes : 0;
+
+    let status = 'healthy';
+    if (this._failures.length > 0) status = 'failing';
+    else if (ratio >= this.criticalRatio) status = 'critical';
+    else if (ratio >= this.warnRatio) status = 'warning';
+
+    return {
+      status,
+      usedBytes: usage.usedBytes,
+      quotaBytes: this.quotaBytes,
+      ratio,
+      largestKeys: usage.keys.slice(0, 5),
+      failures: this._failures.map(f => ({ ...f }))
+    };
+  }
+
+  /**
+   * Retry a write that exceeded the quota: after pruning stale data, then
+   * after each eviction of expendable data (other than the key being written)
+   * @param {string} key - Key being written
+   * @param {Function} write - Retries the write; throws while it does not fit
+   * @param {Error} quotaError - The original error, rethrown when nothing helps
+   * @private
+   */
+  _makeRoom(key, write, quotaError) {
+    const attempt = () => {
+      try {
+        write();
+        return true;
+      } catch (error) {
+        if (!isQuotaExceededError(error)) throw error;
+        return false;
+      }
+    };
+
+    if (this.prune().removed.length > 0 && attempt()) return;
+    for (const [evictableKey, evictOldest] of this._evictables) {
+      if (evictableKey === key) continue;
+      while (evictOldest()) {
+        if (attempt()) return;
+      }
+    }
+    throw quotaError;
+  }
+
+  /**
+   * Emit storage-health:changed when the status changed (or always when forced),
+   * judged from the cached per-key sizes
+   * @private
+   */
+  _update(force) {
+    const status = this._buildStatus(this._usage());
+    if (!force && status.status === this._lastStatus) return;
+    this._lastStatus = status.status;
+    this.dispatchEvent(new CustomEvent('storage-health:changed', { detail: status }));
+  }
+}
+
+// Shared instance used by the storage strategies and the offline queue
+export const storageHealth = new StorageHealthMonitor();
+
+export default storageHealth;
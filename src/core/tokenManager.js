@@ -4,22 +4,36 @@
  *
  * Responsibilities:
  * - Load token database from external JSON
- * - Fuzzy token ID matching (case-insensitive, with/without colons)
+ * - Fuzzy token ID matching (case-insensitive, with/without colons) via a
+ *   normalized-ID index, plus near-miss suggestions for unknown tags
  * - Build group inventory for bonus calculations
+ * - Validate database content (see core/tokenValidator)
+ * - Hot-reload on demand or when tokens.json changes
  * - Demo data fallback
  */
 
 import Debug from '../utils/debug.js';
+import { validateTokenDatabase } from './tokenValidator.js';
+import { normalizeTokenId } from '../utils/normalizeTokenId.js';
 
 /**
  * TokenManager Class
  * Manages token database and provides lookup functionality
+ *
+ * Events:
+ * - 'tokens:reloaded' { diff, version } - database hot-reloaded with new content
  */
-class TokenManagerClass {
+class TokenManagerClass extends EventTarget {
   constructor() {
+    super();
     this.database = {};
+    this.version = null; // Content hash of the loaded database
     this.groupInventory = null;
+    this.validationReport = null;
     this._dataManagerHelpers = null; // Injected dependency
+    this._idIndex = null; // normalized ID -> database key
+    this._indexedDatabase = null; // database object _idIndex was built from
+    this._watchTimer = null;
   }
 
   /**
@@ -36,41 +50,12 @@ class TokenManagerClass {
    */
   async loadDatabase() {
     try {
-      // HTTP-3: the dist ROOT is the real location — vite publicDir:'data' copies
-      // the CONTENTS of data/ into the dist root, so data/tokens.json does not
-      // exist in production (it 404'd ~29x per session, logging an error on the
-      // critical path each load). Try the root first; keep data/ as a dev/
-      // back-compat fallback. A first-try miss is debug-level, not error-level.
-      let response = await fetch('tokens.json');
-      if (!response.ok) {
-        Debug.log('tokens.json not at root, trying data/ fallback'); // debug-level
-        response = await fetch('data/tokens.json');
-        if (!response.ok) {
-          throw new Error('Failed to load tokens.json from root or data/');
-        }
-      }
-
-      // HTTP-4: a 200 can still be the SPA HTML shell for an unknown static path.
-      // Check the content-type before parsing so we fail with a clear cause
-      // instead of an opaque "Unexpected token <" SyntaxError.
-      const contentType = response.headers?.get?.('content-type') || '';
-      if (!contentType.includes('application/json')) {
-        throw new Error('Token database response was not JSON (got SPA shell?)');
-      }
-
-      const parsed = await response.json();
-      // A 200 returning {} or a non-object would otherwise set an empty/invalid
-      // database silently. Require a non-empty plain-object token map.
-      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || Object.keys(parsed).length === 0) {
-        throw new Error('Token database is empty or not a token map');
-      }
+      const { database, url } = await this._fetchDatabase();
 
-      this.database = parsed;
-      Debug.log(`✅ Loaded ${Object.keys(this.database).length} tokens from ${response.url}`);
-      Debug.log(`Sample keys: ${Object.keys(this.database).slice(0, 3).join(', ')}`);
+      Debug.log(`✅ Loaded ${Object.keys(database).length} tokens from ${url}`);
+      Debug.log(`Sample keys: ${Object.keys(database).slice(0, 3).join(', ')}`);
 
-      // Build group inventory for bonus calculations
-      this.groupInventory = this.buildGroupInventory();
+      this._applyDatabase(database);
       this.logGroupStats();
 
       return true;
@@ -82,13 +67,127 @@ class TokenManagerClass {
     }
   }
 
+  /**
+   * Re-fetch tokens.json and swap it in if it changed
+   * Keeps the current database when the fetch fails, so a half-saved file
+   * mid-rehearsal can't take a station down. Emits 'tokens:reloaded' with
+   * { diff, version } when the content changed.
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Apply and emit even if the version is unchanged
+   * @returns {Promise<{success: boolean, changed?: boolean, diff?: Object, error?: string}>}
+   */
+  async reloadDatabase({ force = false } = {}) {
+    let fetched;
+    try {
+      fetched = await this._fetchDatabase({ cache: 'no-store' });
+    } catch (error) {
+      Debug.log(`Token database reload failed: ${error.message}`, true);
+      return { success: false, error: error.message };
+    }
+
+    const version = computeDatabaseVersion(fetched.database);
+    if (!force && version === this.version) {
+      return { success: true, changed: false };
+    }
+
+    const diff = diffTokenDatabases(this.database, fetched.database);
+    this._applyDatabase(fetched.database, version);
+    Debug.log(`Token database reloaded from ${fetched.url}: ${formatTokenDiff(diff)}`);
+
+    this.dispatchEvent(new CustomEvent('tokens:reloaded', {
+      detail: { diff, version }
+    }));
+
+    return { success: true, changed: true, diff };
+  }
+
+  /**
+   * Poll tokens.json and hot-reload when its content changes
+   * @param {number} intervalMs - Poll interval (0 or less disables polling)
+   */
+  watchForUpdates(intervalMs) {
+    this.stopWatching();
+    if (!(intervalMs > 0)) return;
+    this._watchTimer = setInterval(() => this.reloadDatabase(), intervalMs);
+  }
+
+  /**
+   * Stop polling started by watchForUpdates()
+   */
+  stopWatching() {
+    if (this._watchTimer) {
+      clearInterval(this._watchTimer);
+      this._watchTimer = null;
+    }
+  }
+
+  /**
+   * Fetch and sanity-check the token map
+   * @param {Object} [fetchOptions] - Passed to fetch() (reloads bypass the HTTP cache)
+   * @returns {Promise<{database: Object, url: string}>}
+   * @throws {Error} If no usable token map could be fetched
+   * @private
+   */
+  async _fetchDatabase(fetchOptions) {
+    const get = (path) => (fetchOptions ? fetch(path, fetchOptions) : fetch(path));
+
+    // HTTP-3: the dist ROOT is the real location — vite publicDir:'data' copies
+    // the CONTENTS of data/ into the dist root, so data/tokens.json does not
+    // exist in production (it 404'd ~29x per session, logging an error on the
+    // critical path each load). Try the root first; keep data/ as a dev/
+    // back-compat fallback. A first-try miss is debug-level, not error-level.
+    let response = await get('tokens.json');
+    if (!response.ok) {
+      Debug.log('tokens.json not at root, trying data/ fallback'); // debug-level
+      response = await get('data/tokens.json');
+      if (!response.ok) {
+        throw new Error('Failed to load tokens.json from root or data/');
+      }
+    }
+
+    // HTTP-4: a 200 can still be the SPA HTML shell for an unknown static path.
+    // Check the content-type before parsing so we fail with a clear cause
+    // instead of an opaque "Unexpected token <" SyntaxError.
+    const contentType = response.headers?.get?.('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      throw new Error('Token database response was not JSON (got SPA shell?)');
+    }
+
+    const parsed = await response.json();
+    // A 200 returning {} or a non-object would otherwise set an empty/invalid
+    // database silently. Require a non-empty plain-object token map.
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || Object.keys(parsed).length === 0) {
+      throw new Error('Token database is empty or not a token map');
+    }
+
+    return { database: parsed, url: response.url };
+  }
+
+  /**
+   * Install a token map and rebuild everything derived from it
+   * @param {Object} database - Token map keyed by RFID
+   * @param {string} [version] - Precomputed content version
+   * @private
+   */
+  _applyDatabase(database, version = computeDatabaseVersion(database)) {
+    this.database = database;
+    this.version = version;
+
+    // Build lookup index and group inventory for bonus calculations
+    this._idIndex = this.buildIdIndex();
+    this._indexedDatabase = this.database;
+    this.groupInventory = this.buildGroupInventory();
+
+    // Lint the content; problems are reported, not fatal
+    this.validationReport = this.validateDatabase();
+  }
+
   /**
    * Build inventory of all groups and their tokens
    * @returns {Object} Group inventory map
    */
   buildGroupInventory() {
     const groups = {};
-    const issues = [];
 
     Object.entries(this.database).forEach(([rfid, token]) => {
       // Use injected helpers or fallback to inline parsing
@@ -116,9 +215,8 @@ class TokenManagerClass {
       groups[normalizedName].rawGroupNames.add(token.SF_Group);
       groups[normalizedName].memoryTypes.add(token.SF_MemoryType);
 
-      // Check for multiplier consistency
+      // Inconsistent multipliers are reported by validateDatabase()
       if (groups[normalizedName].multiplier !== groupInfo.multiplier) {
-        issues.push(`Group "${groupInfo.name}" has inconsistent multipliers`);
         // Keep the higher multiplier
         groups[normalizedName].multiplier = Math.max(
           groups[normalizedName].multiplier,
@@ -134,12 +232,6 @@ class TokenManagerClass {
       }
     });
 
-    // Log any issues found
-    if (issues.length > 0) {
-      Debug.log('=== Group Inventory Issues ===', true);
-      issues.forEach(issue => Debug.log(issue, true));
-    }
-
     return groups;
   }
 
@@ -198,6 +290,31 @@ class TokenManagerClass {
     });
   }
 
+  /**
+   * Validate the loaded database and log a one-line summary
+   * The full report is shown in the debug view and can be exported.
+   * @returns {import('./tokenValidator.js').TokenValidationReport}
+   */
+  validateDatabase() {
+    const report = validateTokenDatabase(this.database);
+    if (report.errorCount > 0 || report.warningCount > 0) {
+      Debug.log(`Token database lint: ${report.errorCount} errors, ${report.warningCount} warnings (see Debug view)`,
+        report.errorCount > 0);
+    }
+    return report;
+  }
+
+  /**
+   * Get the validation report for the loaded database
+   * @returns {import('./tokenValidator.js').TokenValidationReport}
+   */
+  getValidationReport() {
+    if (!this.validationReport) {
+      this.validationReport = this.validateDatabase();
+    }
+    return this.validationReport;
+  }
+
   /**
    * Get group inventory with caching
    * @returns {Object} Group inventory
@@ -217,6 +334,36 @@ class TokenManagerClass {
     return Object.values(this.database);
   }
 
+  /**
+   * Build the normalized-ID lookup index
+   * IDs that collide after normalization keep the first key; the
+   * validator reports the collision as duplicate-id.
+   * @returns {Map<string, string>} Normalized ID -> database key
+   */
+  buildIdIndex() {
+    const index = new Map();
+    Object.keys(this.database).forEach(key => {
+      const normalized = normalizeTokenId(key);
+      if (!index.has(normalized)) {
+        index.set(normalized, key);
+      }
+    });
+    return index;
+  }
+
+  /**
+   * Get the lookup index, rebuilding it if the database was replaced
+   * @returns {Map<string, string>}
+   * @private
+   */
+  _getIdIndex() {
+    if (!this._idIndex || this._indexedDatabase !== this.database) {
+      this._idIndex = this.buildIdIndex();
+      this._indexedDatabase = this.database;
+    }
+    return this._idIndex;
+  }
+
   /**
    * Find token in database with fuzzy matching
    * Handles: case variations, with/without colons, with/without hyphens
@@ -224,36 +371,143 @@ class TokenManagerClass {
    * @returns {Object|null} Token data and matched ID, or null if not found
    */
   findToken(id) {
-    Debug.log(`🔍 findToken called with: "${id}"`);
-    Debug.log(`Database has ${Object.keys(this.database).length} tokens`);
-    Debug.log(`First 5 keys: ${Object.keys(this.database).slice(0, 5).join(', ')}`);
-
     // Direct match
     if (this.database[id]) {
-      Debug.log(`✅ Direct match: ${id}`);
       return { token: this.database[id], matchedId: id };
     }
 
-    // Normalize input: remove colons/hyphens, lowercase
-    const normalizedInput = id.replace(/[:-]/g, '').toLowerCase();
+    const matchedId = this._getIdIndex().get(normalizeTokenId(id));
+    if (matchedId !== undefined) {
+      Debug.log(`Fuzzy match: "${id}" -> "${matchedId}"`);
+      return { token: this.database[matchedId], matchedId };
+    }
 
-    // Try matching against normalized database keys
-    for (const [dbKey, token] of Object.entries(this.database)) {
-      const normalizedDbKey = dbKey.replace(/[:-]/g, '').toLowerCase();
+    Debug.log(`No match found for: ${id}`, true);
+    return null;
+  }
 
-      if (normalizedInput === normalizedDbKey) {
-        Debug.log(`✅ Fuzzy match: "${id}" -> "${dbKey}"`);
-        return { token, matchedId: dbKey };
+  /**
+   * Suggest known tokens an unknown ID may have been meant as
+   * Catches UIDs read in reversed byte order and IDs one character off
+   * (a mistyped manual entry or a misread byte).
+   * @param {string} id - Token ID that findToken() did not match
+   * @param {Object} [options]
+   * @param {number} [options.limit=3] - Maximum suggestions
+   * @returns {Array<{tokenId: string, reason: string}>} reason is 'reversed-uid' or 'one-edit'
+   */
+  suggestTokens(id, { limit = 3 } = {}) {
+    const normalized = normalizeTokenId(id);
+    if (!normalized) return [];
+
+    const index = this._getIdIndex();
+    const suggestions = [];
+    const add = (tokenId, reason) => {
+      if (!suggestions.some(s => s.tokenId === tokenId)) {
+        suggestions.push({ tokenId, reason });
       }
+    };
+
+    const reversed = reverseUidBytes(normalized);
+    if (reversed && index.has(reversed)) {
+      add(index.get(reversed), 'reversed-uid');
     }
 
-    Debug.log(`No match found for: ${id}`, true);
+    for (const [candidate, key] of index) {
+      if (suggestions.length >= limit) break;
+      if (isOneEditApart(normalized, candidate)) {
+        add(key, 'one-edit');
+      }
+    }
+
+    return suggestions.slice(0, limit);
+  }
+}
+
+/**
+ * Reverse the byte order of a hex UID ("04a1b2" -> "b2a104")
+ * @param {string} normalized - Normalized token ID
+ * @returns {string|null} Reversed UID, or null if not an even-length hex string
+ * @private
+ */
+function reverseUidBytes(normalized) {
+  if (normalized.length < 4 || normalized.length % 2 !== 0 || !/^[0-9a-f]+$/.test(normalized)) {
     return null;
   }
+  const reversed = normalized.match(/../g).reverse().join('');
+  return reversed === normalized ? null : reversed;
+}
+
+/**
+ * True when a and b differ by exactly one insertion, deletion or substitution
+ * @private
+ */
+function isOneEditApart(a, b) {
+  if (a === b || Math.abs(a.length - b.length) > 1) return false;
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  let i = 0;
+  while (i < shorter.length && shorter[i] === longer[i]) i++;
+
+  return shorter.length === longer.length
+    ? shorter.slice(i + 1) === longer.slice(i + 1)
+    : shorter.slice(i) === longer.slice(i + 1);
+}
+
+/**
+ * Compute a content version for a token map (djb2 hash of its JSON)
+ * @param {Object} database
+ * @returns {string} Hex hash
+ * @private
+ */
+function computeDatabaseVersion(database) {
+  const json = JSON.stringify(database);
+  let hash = 5381;
+  for (let i = 0; i < json.length; i++) {
+    hash = ((hash << 5) + hash + json.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Compare two token maps
+ * @param {Object} previous - Token map before the reload
+ * @param {Object} next - Token map after the reload
+ * @returns {{added: string[], removed: string[], changed: Array<{tokenId: string, fields: string[]}>}}
+ */
+function diffTokenDatabases(previous = {}, next = {}) {
+  const added = Object.keys(next).filter(id => !(id in previous));
+  const removed = Object.keys(previous).filter(id => !(id in next));
+  const changed = [];
+
+  Object.keys(next).forEach(id => {
+    if (!(id in previous)) return;
+    const before = previous[id] || {};
+    const after = next[id] || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+    if (fields.length > 0) {
+      changed.push({ tokenId: id, fields });
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * One-line summary of a token diff ("2 added, 1 changed")
+ * @param {{added: string[], removed: string[], changed: Array}} diff
+ * @returns {string}
+ */
+function formatTokenDiff(diff) {
+  const parts = [];
+  if (diff.added.length) parts.push(`${diff.added.length} added`);
+  if (diff.removed.length) parts.push(`${diff.removed.length} removed`);
+  if (diff.changed.length) parts.push(`${diff.changed.length} changed`);
+  return parts.length > 0 ? parts.join(', ') : 'no token changes';
 }
 
 // Create singleton instance
 const TokenManager = new TokenManagerClass();
 
 export default TokenManager;
-export { TokenManagerClass };
+export { TokenManagerClass, diffTokenDatabases, formatTokenDiff };
@@ -0,0 +1,134 @@
+/**
+ * Token Validator - Schema and consistency checks for tokens.json
+ * ES6 Module Export
+ *
+ * TokenManager.loadDatabase only rejects an empty or non-object database.
+ * This module lints the content so token authors catch mistakes before
+ * show night: missing SF_* fields, out-of-range ratings, memory types the
+ * scoring config doesn't know, keys that disagree with SF_RFID, group
+ * multiplier problems, and IDs that collide under fuzzy matching.
+ *
+ * @module core/tokenValidator
+ */
+
+import { SCORING_CONFIG, parseGroupInfo, normalizeGroupName } from './scoring.js';
+import { normalizeTokenId } from '../utils/normalizeTokenId.js';
+
+/**
+ * @typedef {Object} TokenIssue
+ * @property {string} severity - 'error' | 'warning'
+ * @property {string} code - Machine-readable issue code
+ * @property {string|null} tokenId - Database key the issue belongs to (null for group-level issues)
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * @typedef {Object} TokenValidationReport
+ * @property {string} generatedAt - ISO timestamp
+ * @property {number} tokenCount
+ * @property {number} groupCount
+ * @property {number} errorCount
+ * @property {number} warningCount
+ * @property {boolean} valid - True when there are no errors
+ * @property {TokenIssue[]} issues - Errors first, then warnings
+ */
+
+/** Fields every token must carry for scanning and scoring */
+const REQUIRED_FIELDS = ['SF_RFID', 'SF_ValueRating', 'SF_MemoryType'];
+
+/**
+ * Validate a token database
+ *
+ * @param {Object} database - Token map keyed by RFID
+ * @param {Object} [options]
+ * @param {Object} [options.scoringConfig] - Defaults to the shared SCORING_CONFIG
+ * @returns {TokenValidationReport}
+ */
+export function validateTokenDatabase(database, { scoringConfig = SCORING_CONFIG } = {}) {
+  const issues = [];
+  const add = (severity, code, tokenId, message) => issues.push({ severity, code, tokenId, message });
+
+  const ratings = Object.keys(scoringConfig.BASE_VALUES).map(Number);
+  const memoryTypes = Object.keys(scoringConfig.TYPE_MULTIPLIERS).filter(t => t !== 'UNKNOWN');
+  const groups = new Map();
+  const normalizedIds = new Map();
+  const entries = Object.entries(database || {});
+
+  entries.forEach(([key, token]) => {
+    if (!token || typeof token !== 'object' || Array.isArray(token)) {
+      add('error', 'invalid-token', key, `Token "${key}" is not an object`);
+      return;
+    }
+
+    REQUIRED_FIELDS.forEach(field => {
+      if (token[field] === undefined || token[field] === null || token[field] === '') {
+        add('error', 'missing-field', key, `Token "${key}" is missing ${field}`);
+      }
+    });
+    if (token.SF_Group === undefined) {
+      add('warning', 'missing-field', key, `Token "${key}" has no SF_Group (use "" for ungrouped)`);
+    }
+
+    if (token.SF_RFID && token.SF_RFID !== key) {
+      add('error', 'rfid-mismatch', key, `Token key "${key}" does not match SF_RFID "${token.SF_RFID}"`);
+    }
+
+    const rating = token.SF_ValueRating;
+    if (rating !== undefined && rating !== null && !ratings.includes(rating)) {
+      add('error', 'invalid-rating', key,
+        `Token "${key}" has rating ${JSON.stringify(rating)} (expected ${Math.min(...ratings)}-${Math.max(...ratings)})`);
+    }
+
+    const type = token.SF_MemoryType;
+    if (type && !memoryTypes.includes(type)) {
+      add('error', 'unknown-memory-type', key,
+        `Token "${key}" has unknown memory type "${type}" (scores $0; known: ${memoryTypes.join(', ')})`);
+    }
+
+    const normalizedId = normalizeTokenId(key);
+    if (!normalizedIds.has(normalizedId)) normalizedIds.set(normalizedId, []);
+    normalizedIds.get(normalizedId).push(key);
+
+    if (token.SF_Group) {
+      const { name, multiplier } = parseGroupInfo(token.SF_Group);
+      const groupKey = normalizeGroupName(name);
+      if (!groups.has(groupKey)) groups.set(groupKey, { name, tokens: [], multipliers: new Set() });
+      const group = groups.get(groupKey);
+      group.tokens.push(key);
+      group.multipliers.add(multiplier);
+    }
+  });
+
+  normalizedIds.forEach(keys => {
+    if (keys.length > 1) {
+      keys.forEach(key => add('error', 'duplicate-id', key,
+        `Token "${key}" collides with ${keys.filter(k => k !== key).map(k => `"${k}"`).join(', ')} under fuzzy matching`));
+    }
+  });
+
+  groups.forEach(group => {
+    const multipliers = [...group.multipliers].sort((a, b) => a - b);
+    if (multipliers.length > 1) {
+      add('warning', 'inconsistent-multiplier', null,
+        `Group "${group.name}" has inconsistent multipliers (${multipliers.map(m => `x${m}`).join(', ')}); highest is used`);
+    }
+    const highest = multipliers[multipliers.length - 1];
+    if (group.tokens.length === 1 && highest > 1) {
+      add('warning', 'single-token-group', group.tokens[0],
+        `Group "${group.name}" has only 1 token but a x${highest} multiplier (completion bonus never pays)`);
+    }
+  });
+
+  issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+  const errorCount = issues.filter(i => i.severity === 'error').length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    tokenCount: entries.length,
+    groupCount: groups.size,
+    errorCount,
+    warningCount: issues.length - errorCount,
+    valid: errorCount === 0,
+    issues
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Transaction annotations - GM notes and dispute flags
+ *
+ * Shared by LocalStorage (GM edits) and NetworkedStorage (transaction:annotated
+ * broadcasts) so both strategies store annotations the same way:
+ *
+ *   transaction.note        - free text; absent when there is no note
+ *   transaction.disputed    - true while a team disputes the transaction
+ *   transaction.annotatedAt - ISO timestamp of the last annotation change
+ *
+ * Annotations are bookkeeping only and never affect scoring.
+ *
+ * @module core/transactionAnnotations
+ */
+
+/**
+ * Apply an annotation change to a transaction in place.
+ * Fields left undefined are unchanged; an empty note removes the note.
+ * @param {Object} transaction - Transaction to edit
+ * @param {Object} annotation
+ * @param {string} [annotation.note] - Free-text note
+ * @param {boolean} [annotation.disputed] - Dispute flag
+ * @param {string} [annotation.annotatedAt] - ISO timestamp of the change
+ * @returns {Object} The same transaction
+ */
+export function applyAnnotation(transaction, { note, disputed, annotatedAt } = {}) {
+  if (note !== undefined) {
+    const trimmed = (note || '').trim();
+    if (trimmed) {
+      transaction.note = trimmed;
+    } else {
+      delete transaction.note;
+    }
+  }
+  if (disputed !== undefined) {
+    transaction.disputed = Boolean(disputed);
+  }
+  if (annotatedAt) {
+    transaction.annotatedAt = annotatedAt;
+  }
+  return transaction;
+}
+
+/**
+ * Disputed transactions, oldest first
+ * @param {Array<Object>} transactions
+ * @returns {Array<Object>}
+ */
+export function getDisputedTransactions(transactions) {
+  return (transactions || [])
+    .filter(tx => tx.disputed)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
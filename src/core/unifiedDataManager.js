@@ -6,13 +6,20 @@
  */
 
 import { LocalStorage } from './storage/LocalStorage.js';
+import { IndexedDBStorage } from './storage/IndexedDBStorage.js';
+import { IdbRecordStore } from './storage/idbRecordStore.js';
 import { NetworkedStorage } from './storage/NetworkedStorage.js';
 import {
   SCORING_CONFIG,
   calculateTokenValue as calcTokenValue,
   parseGroupInfo as parseGroup,
-  normalizeGroupName as sharedNormalizeGroupName
+  normalizeGroupName as sharedNormalizeGroupName,
+  resolveGroupMultiplier
 } from './scoring.js';
+import { createSessionBundle, validateSessionBundle } from './sessionBundle.js';
+import { CommandHistory } from './commandHistory.js';
+import { SessionSnapshotStore } from './sessionSnapshots.js';
+import { CONFIG } from '../utils/config.js';
 
 export class UnifiedDataManager extends EventTarget {
   /**
@@ -48,6 +55,17 @@ export class UnifiedDataManager extends EventTarget {
     // Session tracking for boundary detection
     this.currentSessionId = null;
 
+    // Undo/redo of GM operations; cleared whenever the session changes
+    this.history = new CommandHistory();
+
+    // Standalone session snapshots for rollback (see core/sessionSnapshots)
+    this.snapshots = new SessionSnapshotStore({
+      limit: CONFIG.SESSION_SNAPSHOT_LIMIT,
+      maxBytes: CONFIG.SESSION_SNAPSHOT_MAX_BYTES,
+      debug
+    });
+    this._snapshotTimer = null;
+
     // Session State (Reactive) — session is NOT a service domain (stays in UDM)
     this.sessionState = {
       id: null,
@@ -57,22 +75,24 @@ export class UnifiedDataManager extends EventTarget {
       metadata: {}
     };
 
+    // Re-enrich recorded transactions when tokens.json is hot-reloaded
+    this._onTokensReloaded = (event) => this._handleTokensReloaded(event.detail);
+    this.tokenManager?.addEventListener?.('tokens:reloaded', this._onTokensReloaded);
   }
 
   /**
    * Initialize standalone mode (LocalStorage strategy)
+   * @param {Object} [options]
+   * @param {boolean} [options.freshSession=false] - Start without a session:
+   *   the live IndexedDB session is archived instead of reloaded
    * @returns {Promise<void>}
    */
-  async initializeStandaloneMode() {
+  async initializeStandaloneMode({ freshSession = false } = {}) {
     this._log('Initializing standalone mode');
 
-    this._localStrategy = new LocalStorage({
-      tokenManager: this.tokenManager,
-      debug: this.debug
-    });
-
-    await this._localStrategy.initialize();
+    this._localStrategy = await this._createStandaloneStrategy();
     this._activeStrategy = this._localStrategy;
+    if (freshSession) await this._localStrategy.archiveLiveSession?.();
 
     // Sync scannedTokens from strategy
     this._syncScannedTokens();
@@ -83,6 +103,33 @@ export class UnifiedDataManager extends EventTarget {
     this._log('Standalone mode initialized');
   }
 
+  /**
+   * Create and initialize the standalone strategy
+   * IndexedDB (CONFIG.STANDALONE_STORAGE = 'indexeddb') falls back to
+   * LocalStorage when the browser has no IndexedDB or it fails to open
+   * (e.g. some private browsing modes).
+   * @returns {Promise<LocalStorage>}
+   * @private
+   */
+  async _createStandaloneStrategy() {
+    const deps = { tokenManager: this.tokenManager, debug: this.debug };
+
+    if (CONFIG.STANDALONE_STORAGE === 'indexeddb' && IdbRecordStore.isSupported()) {
+      const strategy = new IndexedDBStorage(deps);
+      try {
+        await strategy.initialize();
+        return strategy;
+      } catch (error) {
+        this._log(`IndexedDB unavailable, using localStorage: ${error.message}`);
+        strategy.dispose();
+      }
+    }
+
+    const strategy = new LocalStorage(deps);
+    await strategy.initialize();
+    return strategy;
+  }
+
   /**
    * Initialize networked mode (NetworkedStorage strategy)
    * @param {Object} socket - Socket.io client instance (or object with .socket property)
@@ -108,10 +155,36 @@ export class UnifiedDataManager extends EventTarget {
 
     // Wire up event forwarding
     this._wireStrategyEvents(this._networkedStrategy);
+    this._clearHistory();
 
     this._log('Networked mode initialized');
   }
 
+  /**
+   * Make the standalone strategy active again after a networked start was
+   * abandoned (a standalone session promotion that could not connect).
+   * The networked strategy is disposed; the standalone session is untouched.
+   * @throws {Error} If standalone mode was never initialized
+   */
+  restoreStandaloneMode() {
+    if (!this._localStrategy) {
+      throw new Error('UnifiedDataManager: standalone mode was never initialized');
+    }
+
+    if (this._networkedStrategy) {
+      this._unwireStrategyEvents(this._networkedStrategy);
+      this._networkedStrategy.dispose();
+      this._networkedStrategy = null;
+    }
+
+    this._activeStrategy = this._localStrategy;
+    // A session boundary seen while connected cleared the shared Set
+    this._localStrategy._repopulateScannedTokens?.();
+    this._syncScannedTokens();
+    this._clearHistory();
+    this._log('Standalone mode restored');
+  }
+
   /**
    * Check if manager is ready
    * @returns {boolean}
@@ -154,12 +227,15 @@ export class UnifiedDataManager extends EventTarget {
     const events = [
       'transaction:added',
       'transaction:deleted',
+      'transaction:reassigned',
+      'transaction:annotated',
       'team-score:updated',
       'scores:cleared',
       'data:cleared',
       'game-state:updated',
       'player-scan:added',
-      'session:updated'
+      'session:updated',
+      'session:switched'
     ];
 
     const listeners = [];
@@ -210,7 +286,9 @@ export class UnifiedDataManager extends EventTarget {
    */
   async addTransaction(transaction) {
     this._requireActiveStrategy();
-    return this._activeStrategy.addTransaction(transaction);
+    const result = await this._activeStrategy.addTransaction(transaction);
+    if (result.success) this.recordAction('transaction:add', { transaction });
+    return result;
   }
 
   /**
@@ -220,7 +298,40 @@ export class UnifiedDataManager extends EventTarget {
    */
   async removeTransaction(transactionId) {
     this._requireActiveStrategy();
-    return this._activeStrategy.removeTransaction(transactionId);
+    const transaction = this.getTransactions().find(tx => tx.id === transactionId);
+    const result = await this._activeStrategy.removeTransaction(transactionId);
+    if (result.success && transaction) this.recordAction('transaction:delete', { transaction });
+    return result;
+  }
+
+  /**
+   * Credit a transaction to a different team
+   * @param {string} transactionId - Transaction ID
+   * @param {string} toTeamId - Destination team
+   * @param {string} reason - Reason for the audit trail
+   * @returns {Promise<Object>} Result
+   */
+  async reassignTransaction(transactionId, toTeamId, reason) {
+    this._requireActiveStrategy();
+    const transaction = this.getTransactions().find(tx => tx.id === transactionId);
+    const fromTeamId = transaction?.teamId;
+    const result = await this._activeStrategy.reassignTransaction(transactionId, toTeamId, reason);
+    if (result.success && transaction) {
+      this.recordAction('transaction:reassign', { transaction, fromTeamId, toTeamId, reason });
+    }
+    return result;
+  }
+
+  /**
+   * Set a GM note and/or the disputed flag on a transaction
+   * Annotations are bookkeeping, not scoring, so they are not undoable.
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} annotation - { note?, disputed? }; omitted fields are unchanged
+   * @returns {Promise<Object>} Result
+   */
+  async annotateTransaction(transactionId, annotation) {
+    this._requireActiveStrategy();
+    return this._activeStrategy.annotateTransaction(transactionId, annotation);
   }
 
   /**
@@ -266,6 +377,30 @@ export class UnifiedDataManager extends EventTarget {
     }
   }
 
+  /**
+   * Apply a transaction:reassigned broadcast (networked mode only)
+   * NetworkedStorage emits transaction:reassigned, forwarded via _wireStrategyEvents.
+   * @param {Object} payload - { transactionId, fromTeamId, toTeamId, reason }
+   */
+  reassignTransactionFromBroadcast(payload) {
+    // Only NetworkedStorage has this method
+    if (typeof this._activeStrategy?.reassignTransactionFromBroadcast === 'function') {
+      this._activeStrategy.reassignTransactionFromBroadcast(payload);
+    }
+  }
+
+  /**
+   * Apply a transaction:annotated broadcast (networked mode only)
+   * NetworkedStorage emits transaction:annotated, forwarded via _wireStrategyEvents.
+   * @param {Object} payload - { transactionId, note, disputed, annotatedAt }
+   */
+  annotateTransactionFromBroadcast(payload) {
+    // Only NetworkedStorage has this method
+    if (typeof this._activeStrategy?.annotateTransactionFromBroadcast === 'function') {
+      this._activeStrategy.annotateTransactionFromBroadcast(payload);
+    }
+  }
+
   /**
    * Get all transactions
    * @returns {Array} Transactions
@@ -306,14 +441,7 @@ export class UnifiedDataManager extends EventTarget {
     for (const tx of transactions) {
       if (!tx || tx.mode !== 'detective') continue;
       if (tx.status && tx.status !== 'accepted') continue;
-      // Prefer backend-resolved owner on the transaction; fall back to
-      // the token database for locally-recorded transactions.
-      // NOTE: findToken() returns { token, matchedId }, not the token itself.
-      let owner = typeof tx.owner === 'string' ? tx.owner : null;
-      if (!owner && this.tokenManager?.findToken && tx.tokenId) {
-        const match = this.tokenManager.findToken(tx.tokenId);
-        owner = match?.token?.owner || null;
-      }
+      const owner = this._resolveTransactionOwner(tx);
       if (!owner) continue;
       const parsed = new Date(tx.timestamp).getTime();
       const ts = Number.isFinite(parsed) ? parsed : 0;
@@ -328,6 +456,47 @@ export class UnifiedDataManager extends EventTarget {
     });
   }
 
+  /**
+   * Get other tokens of the same character (owner) already exposed in
+   * detective mode this session. Feeds the "related evidence" part of the
+   * token metadata card.
+   * @param {string} tokenId
+   * @returns {Array<{tokenId: string, teamId: string, summary: string|null, timestamp: string}>}
+   *   Most recent first; empty when the token has no owner
+   */
+  getRelatedExposedTokens(tokenId) {
+    if (!this._activeStrategy) return [];
+    const owner = this.tokenManager?.findToken?.(tokenId)?.token?.owner;
+    if (!owner) return [];
+
+    return (this._activeStrategy.getTransactions() || [])
+      .filter(tx => tx && tx.mode === 'detective' && tx.tokenId !== tokenId)
+      .filter(tx => !tx.status || tx.status === 'accepted')
+      .filter(tx => this._resolveTransactionOwner(tx) === owner)
+      .map(tx => ({
+        tokenId: tx.tokenId,
+        teamId: tx.teamId,
+        summary: tx.summary || this.tokenManager.findToken(tx.tokenId)?.token?.summary || null,
+        timestamp: tx.timestamp
+      }))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Resolve the character owner of a transaction's token
+   * Prefers the backend-resolved owner on the transaction; falls back to
+   * the token database for locally-recorded transactions.
+   * NOTE: findToken() returns { token, matchedId }, not the token itself.
+   * @param {Object} tx
+   * @returns {string|null}
+   * @private
+   */
+  _resolveTransactionOwner(tx) {
+    if (typeof tx.owner === 'string') return tx.owner;
+    if (!this.tokenManager?.findToken || !tx.tokenId) return null;
+    return this.tokenManager.findToken(tx.tokenId)?.token?.owner || null;
+  }
+
   /**
    * Get session data for report generation
    * @returns {Object|null} Session state object
@@ -353,7 +522,9 @@ export class UnifiedDataManager extends EventTarget {
    */
   async adjustTeamScore(teamId, delta, reason) {
     this._requireActiveStrategy();
-    return this._activeStrategy.adjustTeamScore(teamId, delta, reason);
+    const result = await this._activeStrategy.adjustTeamScore(teamId, delta, reason);
+    if (result.success) this.recordAction('score:adjust', { teamId, delta, reason });
+    return result;
   }
 
   /**
@@ -365,6 +536,15 @@ export class UnifiedDataManager extends EventTarget {
     return this._activeStrategy.getGameActivity();
   }
 
+  /**
+   * Get detective reputation standings from the active strategy
+   * @returns {Object|null} { enabled, pointsPerExposure, firstExposerBonus, teams, characters },
+   *   or null before a strategy is active
+   */
+  getDetectiveStandings() {
+    return this._activeStrategy?.getDetectiveStandings?.() ?? null;
+  }
+
   /**
    * Get current session info
    * @returns {Object|null}
@@ -377,11 +557,394 @@ export class UnifiedDataManager extends EventTarget {
    * Create a new session
    * @param {string} name - Session name
    * @param {Array} teams - Initial teams
+   * @param {Object} [options] - Passed to the strategy (standalone: { scoringProfile })
    * @returns {Promise<Object>}
    */
-  async createSession(name, teams) {
+  async createSession(name, teams, options) {
     this._requireActiveStrategy();
-    return this._activeStrategy.createSession(name, teams);
+    this.takeSnapshot('new-session');
+    const session = await this._activeStrategy.createSession(name, teams, options);
+    this._clearHistory();
+    return session;
+  }
+
+  /**
+   * Get the scoring profile in effect for the current session
+   * @returns {Object|null} Profile ({ name, baseValues, typeMultipliers, groupMultipliers }),
+   *   or null when the shared defaults apply
+   */
+  getScoringProfile() {
+    return SCORING_CONFIG.PROFILE;
+  }
+
+  // ========== Session Archive (IndexedDB standalone only) ==========
+
+  /**
+   * Whether the active strategy keeps a session archive
+   * @returns {boolean}
+   */
+  hasSessionArchive() {
+    return typeof this._activeStrategy?.listArchivedSessions === 'function';
+  }
+
+  /**
+   * Whether an archived session is open in place of the live one
+   * @returns {boolean}
+   */
+  isReadOnly() {
+    return this._activeStrategy?.isReadOnly?.() ?? false;
+  }
+
+  /**
+   * List archived sessions, newest first
+   * @returns {Promise<Array>} Empty when the strategy has no archive
+   */
+  async listArchivedSessions() {
+    return this._activeStrategy?.listArchivedSessions?.() ?? [];
+  }
+
+  /**
+   * Open an archived session read-only (emits session:switched)
+   * @param {string} sessionId
+   * @returns {Promise<Object>} Session info
+   */
+  async openArchivedSession(sessionId) {
+    this._requireArchive();
+    const session = await this._activeStrategy.openArchivedSession(sessionId);
+    this._clearHistory();
+    return session;
+  }
+
+  /**
+   * Return to the live session (emits session:switched)
+   */
+  closeArchivedSession() {
+    this._activeStrategy?.closeArchivedSession?.();
+    this._clearHistory();
+  }
+
+  /**
+   * Export an archived session with all of its records
+   * @param {string} sessionId
+   * @returns {Promise<{exportedAt: string, session: Object}>}
+   */
+  async exportArchivedSession(sessionId) {
+    this._requireArchive();
+    return this._activeStrategy.exportArchivedSession(sessionId);
+  }
+
+  /**
+   * Permanently delete an archived session
+   * @param {string} sessionId
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async purgeArchivedSession(sessionId) {
+    this._requireArchive();
+    return this._activeStrategy.purgeArchivedSession(sessionId);
+  }
+
+  // ========== Session Bundles (standalone only) ==========
+
+  /**
+   * Export the current standalone session as a portable bundle
+   * @returns {Object} Bundle (see core/sessionBundle)
+   */
+  exportSessionBundle() {
+    if (typeof this._activeStrategy?.importSession !== 'function') {
+      throw new Error('Session bundles are only available in standalone mode');
+    }
+    return createSessionBundle({
+      sessionData: this._activeStrategy.sessionData,
+      tokenDatabaseHash: this.tokenManager?.version ?? null
+    });
+  }
+
+  /**
+   * Check a bundle against the loaded token database
+   * @param {*} bundle - Parsed bundle JSON
+   * @returns {{valid: boolean, errors: string[], warnings: string[], unknownTokens: string[]}}
+   */
+  validateSessionBundle(bundle) {
+    return validateSessionBundle(bundle, { tokenManager: this.tokenManager });
+  }
+
+  /**
+   * Restore a bundle into a fresh standalone session (emits session:switched)
+   * @param {Object} bundle - Parsed bundle JSON
+   * @returns {Promise<Object>} Session info
+   * @throws {Error} If the bundle is invalid or the mode has no import
+   */
+  async importSessionBundle(bundle) {
+    if (typeof this._activeStrategy?.importSession !== 'function') {
+      throw new Error('Session bundles are only available in standalone mode');
+    }
+    const { valid, errors } = this.validateSessionBundle(bundle);
+    if (!valid) {
+      throw new Error(`Invalid session bundle: ${errors.join('; ')}`);
+    }
+    this.takeSnapshot('import');
+    const session = await this._activeStrategy.importSession(bundle.session);
+    this._clearHistory();
+    return session;
+  }
+
+  // ========== Session Snapshots (standalone only) ==========
+
+  /**
+   * Whether the active strategy can be rolled back to a snapshot
+   * @returns {boolean}
+   */
+  hasSessionSnapshots() {
+    return typeof this._activeStrategy?.restoreSnapshot === 'function';
+  }
+
+  /**
+   * Snapshot the live standalone session (no-op in networked mode or while
+   * an archived session is open). Emits snapshots:changed when one was taken.
+   * @param {string} [reason='manual'] - Key of sessionSnapshots.SNAPSHOT_REASONS
+   * @returns {Object|null} Snapshot summary, null when none was needed, or
+   *   {error} when it could not be kept
+   */
+  takeSnapshot(reason = 'manual') {
+    if (!this.hasSessionSnapshots() || this.isReadOnly()) return null;
+    const snapshot = this.snapshots.take(this._activeStrategy.sessionData, reason);
+    if (snapshot && !snapshot.error) this._emitSnapshotsChanged();
+    return snapshot;
+  }
+
+  /**
+   * Snapshot summaries, newest first (scoreboard included for previews)
+   * @returns {Array<Object>}
+   */
+  listSnapshots() {
+    return this.snapshots.list();
+  }
+
+  /**
+   * Roll the standalone session back to a snapshot (emits session:switched).
+   * The current state is snapshotted first, so a rollback can be rolled back.
+   * @param {string} snapshotId
+   * @returns {Promise<Object>} Session info
+   * @throws {Error} In networked mode, or when the snapshot does not exist
+   */
+  async rollbackToSnapshot(snapshotId) {
+    if (!this.hasSessionSnapshots()) {
+      throw new Error('Rollback is only available in standalone mode');
+    }
+    const snapshot = this.snapshots.get(snapshotId);
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${snapshotId}`);
+    }
+    this.takeSnapshot('rollback');
+    const session = await this._activeStrategy.restoreSnapshot(snapshot.session);
+    this._clearHistory();
+    this._log(`Rolled back to snapshot ${snapshotId} (${snapshot.takenAt})`);
+    return session;
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} snapshotId
+   * @returns {boolean} Whether it existed
+   */
+  deleteSnapshot(snapshotId) {
+    const removed = this.snapshots.remove(snapshotId);
+    if (removed) this._emitSnapshotsChanged();
+    return removed;
+  }
+
+  /**
+   * Snapshot the standalone session periodically (unchanged sessions are skipped)
+   * @param {number} intervalMs - 0 or less disables automatic snapshots
+   */
+  startAutoSnapshots(intervalMs) {
+    this.stopAutoSnapshots();
+    if (!(intervalMs > 0)) return;
+    this._snapshotTimer = setInterval(() => this.takeSnapshot('interval'), intervalMs);
+  }
+
+  /**
+   * Stop snapshots started by startAutoSnapshots()
+   */
+  stopAutoSnapshots() {
+    if (this._snapshotTimer) {
+      clearInterval(this._snapshotTimer);
+      this._snapshotTimer = null;
+    }
+  }
+
+  /** @private */
+  _emitSnapshotsChanged() {
+    this.dispatchEvent(new CustomEvent('snapshots:changed', {
+      detail: { snapshots: this.listSnapshots() }
+    }));
+  }
+
+  /** @private */
+  _requireArchive() {
+    if (!this.hasSessionArchive()) {
+      throw new Error('Session archive is only available with IndexedDB standalone storage');
+    }
+  }
+
+  // ========== Undo / Redo ==========
+
+  /**
+   * Record a GM operation so it can be undone. addTransaction,
+   * removeTransaction, reassignTransaction and adjustTeamScore record themselves; callers that
+   * bypass the strategy (networked admin commands, queued networked scans)
+   * record here after the operation succeeded (a scan once the orchestrator
+   * accepted it).
+   * @param {string} type - 'transaction:add' | 'transaction:delete' | 'transaction:reassign' | 'score:adjust'
+   * @param {Object} params - { transaction }, { transaction, fromTeamId, toTeamId, reason }
+   *   or { teamId, delta, reason }
+   * @returns {Object} History entry
+   */
+  recordAction(type, params) {
+    const entry = this.history.record(type, params);
+    this._emitHistoryChanged();
+    return entry;
+  }
+
+  canUndo() {
+    return this.history.canUndo();
+  }
+
+  canRedo() {
+    return this.history.canRedo();
+  }
+
+  /**
+   * Undo and redo stacks, newest first
+   * @returns {{undo: Array, redo: Array}}
+   */
+  getHistory() {
+    return this.history.getEntries();
+  }
+
+  /**
+   * Reverse the newest recorded operation through the active strategy.
+   * Nothing is rewritten: a deleted transaction is submitted again, a scan is
+   * deleted, a reassigned transaction is moved back, an adjustment is offset
+   * by the opposite adjustment. In networked
+   * mode each of those is the corresponding command to the orchestrator, and
+   * the entry only moves to the redo stack once the orchestrator acknowledged
+   * it; a rejected or timed-out command leaves the history as it was.
+   * @returns {Promise<{success: boolean, error?: string, pending?: boolean, entry?: Object}>}
+   */
+  async undo() {
+    const entry = this.history.peekUndo();
+    if (!entry) return { success: false, error: 'Nothing to undo' };
+    this._requireActiveStrategy();
+
+    const result = await this._applyHistoryEntry(entry, true);
+    if (result.success) {
+      this.history.completeUndo(result.params);
+      this._emitHistoryChanged();
+    }
+    return { success: result.success, error: result.error, pending: result.pending, entry };
+  }
+
+  /**
+   * Re-apply the newest undone operation
+   * @returns {Promise<{success: boolean, error?: string, pending?: boolean, entry?: Object}>}
+   */
+  async redo() {
+    const entry = this.history.peekRedo();
+    if (!entry) return { success: false, error: 'Nothing to redo' };
+    this._requireActiveStrategy();
+
+    const result = await this._applyHistoryEntry(entry, false);
+    if (result.success) {
+      this.history.completeRedo(result.params);
+      this._emitHistoryChanged();
+    }
+    return { success: result.success, error: result.error, pending: result.pending, entry };
+  }
+
+  /**
+   * Apply an entry forwards (redo) or backwards (undo). Calls the strategy
+   * directly so the compensating operation is not itself recorded.
+   * NetworkedStorage resolves admin commands once their gm:command:ack
+   * arrives (command bus), so the result reflects the orchestrator's answer.
+   * A resubmitted scan is the exception: it is queued (pending) and judged by
+   * transaction:result.
+   * @param {Object} entry - History entry
+   * @param {boolean} reverse - true to undo
+   * @returns {Promise<Object>} Strategy result, plus params to keep for the next step
+   * @private
+   */
+  async _applyHistoryEntry(entry, reverse) {
+    const { params } = entry;
+
+    switch (entry.type) {
+      case 'score:adjust':
+        return this._activeStrategy.adjustTeamScore(
+          params.teamId,
+          reverse ? -params.delta : params.delta,
+          reverse ? `Undo: ${params.reason}` : params.reason
+        );
+      case 'transaction:add':
+        return reverse ? this._deleteRecordedTransaction(params) : this._restoreRecordedTransaction(params);
+      case 'transaction:delete':
+        return reverse ? this._restoreRecordedTransaction(params) : this._deleteRecordedTransaction(params);
+      case 'transaction:reassign':
+        return this._activeStrategy.reassignTransaction(
+          params.transaction.id,
+          reverse ? params.fromTeamId : params.toTeamId,
+          reverse ? `Undo: ${params.reason}` : params.reason
+        );
+      default:
+        return { success: false, error: `Cannot replay ${entry.type}` };
+    }
+  }
+
+  /**
+   * Submit a recorded transaction again. Standalone keeps its ID and points;
+   * the orchestrator scores it as a new transaction.
+   * @private
+   */
+  async _restoreRecordedTransaction({ transaction }) {
+    const restored = { ...transaction };
+    const result = await this._activeStrategy.addTransaction(restored);
+    return { ...result, params: { transaction: restored } };
+  }
+
+  /**
+   * Delete the live copy of a recorded transaction. Networked scans are
+   * recorded with the ID from their transaction:result; they are matched by
+   * token and team when that ID is not (or no longer) known.
+   * @private
+   */
+  async _deleteRecordedTransaction({ transaction }) {
+    const transactions = this.getTransactions();
+    const current = transactions.find(tx => transaction.id && tx.id === transaction.id) ||
+      transactions.filter(tx =>
+        tx.tokenId === transaction.tokenId &&
+        tx.teamId === transaction.teamId &&
+        (!tx.status || tx.status === 'accepted')
+      ).pop();
+
+    if (!current) {
+      return { success: false, error: `Transaction for ${transaction.tokenId} not found (not yet confirmed, or already removed)` };
+    }
+
+    const result = await this._activeStrategy.removeTransaction(current.id);
+    return { ...result, params: { transaction: current } };
+  }
+
+  /** @private */
+  _clearHistory() {
+    if (!this.history.canUndo() && !this.history.canRedo()) return;
+    this.history.clear();
+    this._emitHistoryChanged();
+  }
+
+  /** @private */
+  _emitHistoryChanged() {
+    this.dispatchEvent(new CustomEvent('history:changed', {
+      detail: { canUndo: this.history.canUndo(), canRedo: this.history.canRedo() }
+    }));
   }
 
   /**
@@ -390,7 +953,9 @@ export class UnifiedDataManager extends EventTarget {
    */
   async endSession() {
     this._requireActiveStrategy();
-    return this._activeStrategy.endSession();
+    this.takeSnapshot('end');
+    await this._activeStrategy.endSession();
+    this._clearHistory();
   }
 
   /**
@@ -417,7 +982,11 @@ export class UnifiedDataManager extends EventTarget {
    */
   async resetScores() {
     this._requireActiveStrategy();
-    return this._activeStrategy.resetScores();
+    this.takeSnapshot('reset');
+    const result = await this._activeStrategy.resetScores();
+    // Compensating adjustments would be measured against scores that no longer exist
+    this._clearHistory();
+    return result;
   }
 
   /**
@@ -425,6 +994,8 @@ export class UnifiedDataManager extends EventTarget {
    * Call when manager is no longer needed to prevent memory leaks
    */
   dispose() {
+    this.stopAutoSnapshots();
+
     // Unwire event listeners from all strategies
     if (this._localStrategy) {
       this._unwireStrategyEvents(this._localStrategy);
@@ -441,6 +1012,7 @@ export class UnifiedDataManager extends EventTarget {
     this._networkedStrategy = null;
     this._strategyListeners.clear();
     this.scannedTokens = new Set();
+    this.tokenManager?.removeEventListener?.('tokens:reloaded', this._onTokensReloaded);
 
     this._log('Disposed');
   }
@@ -491,12 +1063,23 @@ export class UnifiedDataManager extends EventTarget {
   }
 
   /**
-   * Calculate token value based on rating and type
+   * Calculate token value based on rating, type and active scoring rules
+   * Supplies the session start so elapsed-time rules (time decay) resolve.
    * @param {Object} transaction - Transaction with valueRating and memoryType
    * @returns {number}
    */
   calculateTokenValue(transaction) {
-    return calcTokenValue(transaction);
+    return calcTokenValue(transaction, { sessionStartTime: this._getSessionStartTime() });
+  }
+
+  /**
+   * Session start time for scoring context
+   * Standalone sessions carry it on the strategy; networked sessions on sessionState.
+   * @private
+   * @returns {string|undefined}
+   */
+  _getSessionStartTime() {
+    return this.getCurrentSession()?.startTime || this.sessionState?.startTime;
   }
 
   /**
@@ -554,6 +1137,8 @@ export class UnifiedDataManager extends EventTarget {
     // Service state (video, cue, music, audio, bluetooth, lighting, health, held)
     // is now managed by StateStore — no ephemeral state to clear here.
 
+    this._clearHistory();
+
     this._log(`Reset for new session: ${sessionId || 'none'}`);
     this.dispatchEvent(new CustomEvent('data:cleared'));
   }
@@ -571,6 +1156,134 @@ export class UnifiedDataManager extends EventTarget {
     return [];
   }
 
+  /**
+   * Get a team's progress toward every bonus group
+   * Covers each group in the token inventory that can pay a completion
+   * bonus (multiplier > 1, 2+ tokens). Only black market sales count toward
+   * completion, matching how bonuses are awarded.
+   * @param {string} teamId
+   * @returns {Array<Object>} One entry per group — normalizedName, displayName,
+   *   multiplier, collected, total, percentage, complete, collectedTokenIds,
+   *   outstandingTokenIds, potentialBonus — sorted closest-to-complete first
+   */
+  getTeamGroupProgress(teamId) {
+    const groupInventory = this.tokenManager?.getGroupInventory?.() || {};
+    const database = this.tokenManager?.database || {};
+
+    const sales = new Map();
+    this.getTeamTransactions(teamId)
+      .filter(t => t.mode === 'blackmarket' && !t.isUnknown)
+      .forEach(t => sales.set(t.tokenId, t));
+
+    return Object.values(groupInventory)
+      // The inventory holds tokens.json multipliers; apply session overrides
+      .map(group => ({ ...group, multiplier: resolveGroupMultiplier(group.displayName, group.multiplier) }))
+      .filter(group => group.multiplier > 1 && group.tokens.size > 1)
+      .map(group => {
+        const tokenIds = [...group.tokens];
+        const collectedTokenIds = tokenIds.filter(id => sales.has(id));
+        const outstandingTokenIds = tokenIds.filter(id => !sales.has(id));
+
+        // Collected tokens count at what they actually sold for; outstanding
+        // ones at their current database value
+        const groupBaseValue = tokenIds.reduce((sum, id) => {
+          const sale = sales.get(id);
+          if (sale) return sum + (sale.points ?? this.calculateTokenValue(sale));
+          const token = database[id] || {};
+          return sum + this.calculateTokenValue({
+            tokenId: id,
+            valueRating: token.SF_ValueRating,
+            memoryType: token.SF_MemoryType,
+            group: token.SF_Group,
+            teamId
+          });
+        }, 0);
+
+        return {
+          normalizedName: group.normalizedName,
+          displayName: group.displayName,
+          multiplier: group.multiplier,
+          collected: collectedTokenIds.length,
+          total: tokenIds.length,
+          percentage: Math.round((collectedTokenIds.length / tokenIds.length) * 100),
+          complete: outstandingTokenIds.length === 0,
+          collectedTokenIds,
+          outstandingTokenIds,
+          potentialBonus: groupBaseValue * (group.multiplier - 1)
+        };
+      })
+      .sort((a, b) => b.percentage - a.percentage || b.potentialBonus - a.potentialBonus);
+  }
+
+  /**
+   * Audit team scores against the transaction log (standalone mode only)
+   * The backend is the source of truth in networked mode, so there is
+   * nothing local to audit there.
+   * @returns {{balanced: boolean, teams: Array}|null} Audit, or null when unsupported
+   */
+  auditTeamScores() {
+    if (typeof this._activeStrategy?.auditScores !== 'function') return null;
+    return this._activeStrategy.auditScores();
+  }
+
+  /**
+   * Refresh token metadata on recorded transactions from the token database
+   * (standalone mode only: networked transactions belong to the orchestrator)
+   * Updates memoryType, valueRating, group and isUnknown so history, team
+   * details and reports reflect the current tokens.json. Points recorded on
+   * the transactions are left alone; group bonuses follow the new groups
+   * once the teams are rescored (see _handleTokensReloaded).
+   * @returns {number} Number of transactions whose metadata changed
+   */
+  reenrichTransactions() {
+    if (this.getActiveStrategyType() !== 'local' || !this.tokenManager?.findToken) return 0;
+
+    let updated = 0;
+    (this._activeStrategy.getTransactions() || []).forEach(tx => {
+      if (!tx?.tokenId) return;
+      const token = this.tokenManager.findToken(tx.tokenId)?.token;
+      const fields = token
+        ? {
+          memoryType: token.SF_MemoryType || 'UNKNOWN',
+          valueRating: token.SF_ValueRating || 0,
+          group: token.SF_Group || '',
+          isUnknown: false
+        }
+        : {
+          memoryType: 'UNKNOWN',
+          valueRating: 0,
+          group: `Unknown: ${tx.tokenId}`,
+          isUnknown: true
+        };
+
+      const changed = Object.keys(fields).filter(key => tx[key] !== fields[key]);
+      if (changed.length > 0) {
+        Object.assign(tx, fields);
+        updated++;
+      }
+    });
+
+    if (updated > 0) {
+      this._activeStrategy.persistTransactions?.();
+    }
+    return updated;
+  }
+
+  /**
+   * Handle a token database hot-reload: re-enrich and rescore the teams
+   * (group bonuses depend on the token database), then notify the UI
+   * @param {Object} detail - { diff, version } from TokenManager
+   * @private
+   */
+  _handleTokensReloaded(detail = {}) {
+    const reenriched = this.reenrichTransactions();
+    const scoreChanges = this.getActiveStrategyType() === 'local' ? this._activeStrategy.rescoreTeams() : [];
+    this._log(`Tokens reloaded, re-enriched ${reenriched} transaction(s), rescored ${scoreChanges.length} team(s)`);
+    this.dispatchEvent(new CustomEvent('tokens:reloaded', {
+      detail: { ...detail, reenriched, scoreChanges }
+    }));
+  }
+
   /**
    * Get enhanced team transactions with grouping for team details display
    * @param {string} teamId - Team ID
@@ -737,6 +1450,82 @@ export class UnifiedDataManager extends EventTarget {
     };
   }
 
+  /**
+   * Preview a score change without recording anything
+   * Answers "if this team sells this token (and/or gets this adjustment),
+   * what is their new score, does it complete a group, and where do they
+   * rank?" Standings come from getTeamScores(); teams without a stored
+   * score fall back to calculateTeamScoreWithBonuses().
+   * @param {string} teamId - Team to simulate for
+   * @param {Object} change
+   * @param {string} [change.tokenId] - Token the team would sell (black market)
+   * @param {number} [change.delta=0] - Manual score adjustment
+   * @returns {Object} { teamId, tokenId, known, alreadyScanned, tokenValue,
+   *   adjustment, completesGroup, currentScore, projectedScore, delta,
+   *   currentRank, projectedRank, teamCount }
+   */
+  simulateScoreChange(teamId, { tokenId = null, delta = 0 } = {}) {
+    const standings = this._activeStrategy ? this.getTeamScores() : [];
+    const standing = standings.find(s => s.teamId === teamId);
+    const currentScore = standing
+      ? standing.score
+      : this.calculateTeamScoreWithBonuses(teamId).totalScore;
+
+    let known = false;
+    let tokenValue = 0;
+    let completesGroup = null;
+    let matchedId = tokenId;
+
+    if (tokenId) {
+      const match = this.tokenManager?.findToken?.(tokenId);
+      if (match) {
+        known = true;
+        matchedId = match.matchedId;
+        tokenValue = this.calculateTokenValue({
+          tokenId: matchedId,
+          teamId,
+          mode: 'blackmarket',
+          valueRating: match.token.SF_ValueRating,
+          memoryType: match.token.SF_MemoryType,
+          group: match.token.SF_Group
+        });
+
+        const group = this.getTeamGroupProgress(teamId).find(g =>
+          !g.complete && g.outstandingTokenIds.length === 1 && g.outstandingTokenIds[0] === matchedId
+        );
+        if (group) {
+          completesGroup = {
+            displayName: group.displayName,
+            multiplier: group.multiplier,
+            bonus: group.potentialBonus
+          };
+        }
+      }
+    }
+
+    const adjustment = parseInt(delta) || 0;
+    const projectedScore = currentScore + tokenValue + (completesGroup?.bonus || 0) + adjustment;
+
+    const scoresWithout = standings.filter(s => s.teamId !== teamId).map(s => s.score);
+    const rankOf = (score) => 1 + scoresWithout.filter(other => other > score).length;
+
+    return {
+      teamId,
+      tokenId: matchedId,
+      known,
+      alreadyScanned: Boolean(matchedId && this.isTokenScanned(matchedId)),
+      tokenValue,
+      adjustment,
+      completesGroup,
+      currentScore,
+      projectedScore,
+      delta: projectedScore - currentScore,
+      currentRank: rankOf(currentScore),
+      projectedRank: rankOf(projectedScore),
+      teamCount: scoresWithout.length + 1
+    };
+  }
+
   /**
    * Get session stats for the current team
    * @returns {Object} { count, totalValue, totalScore }
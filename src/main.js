@@ -18,7 +18,7 @@
 import Debug from './utils/debug.js';
 import { UIManager as UIManagerClass } from './ui/uiManager.js';
 import Settings from './ui/settings.js';
-import TokenManager from './core/tokenManager.js';
+import TokenManager, { formatTokenDiff } from './core/tokenManager.js';
 import { UnifiedDataManager as UnifiedDataManagerClass } from './core/unifiedDataManager.js';
 import { TeamRegistry as TeamRegistryClass } from './core/teamRegistry.js';
 import { StateStore } from './core/stateStore.js';
@@ -33,6 +33,7 @@ import { App } from './app/app.js';
 import { ConnectionWizard, QueueStatusManager, setupCleanupHandlers } from './ui/connectionWizard.js';
 import { bindDOMEvents } from './utils/domEventBindings.js';
 import { EvidencePickerRenderer } from './ui/renderers/EvidencePickerRenderer.js';
+import { storageHealth } from './core/storageHealth.js';
 
 
 /**
@@ -146,6 +147,22 @@ DataManager.addEventListener('transaction:deleted', () => {
   refreshEvidencePicker();
 });
 
+// Moved to another team: the history and team views regroup it; the
+// scoreboards follow the team-score:updated events for both teams.
+DataManager.addEventListener('transaction:reassigned', () => {
+  refreshHistoryScreen();
+  refreshTeamDetails();
+  refreshAdminGameActivity();
+  refreshEvidencePicker();
+});
+
+// Note or dispute flag changed: only the cards showing transactions change
+DataManager.addEventListener('transaction:annotated', () => {
+  refreshHistoryScreen();
+  refreshTeamDetails();
+  refreshAdminGameActivity();
+});
+
 DataManager.addEventListener('data:cleared', () => {
   UIManager.updateHistoryBadge();
   clearScoreboards();
@@ -174,6 +191,61 @@ DataManager.addEventListener('scores:cleared', () => {
   refreshEvidencePicker();
 });
 
+// tokens.json hot-reload: UDM has already re-enriched transactions, so
+// re-render everything that shows token metadata and summarize the change.
+DataManager.addEventListener('tokens:reloaded', (e) => {
+  const { diff, reenriched, scoreChanges = [] } = e.detail || {};
+  refreshHistoryScreen();
+  refreshTeamDetails();
+  refreshAdminGameActivity();
+  refreshEvidencePicker();
+  if (diff) {
+    const suffix = reenriched ? ` (${reenriched} transaction${reenriched === 1 ? '' : 's'} updated)` : '';
+    const rescored = scoreChanges.map(({ teamId, before, after }) =>
+      `team ${teamId} $${before.toLocaleString()} → $${after.toLocaleString()}`
+    );
+    const scores = rescored.length > 0 ? `. Group bonuses rescored: ${rescored.join(', ')}` : '';
+    UIManager.showToast(`Tokens reloaded: ${formatTokenDiff(diff)}${suffix}${scores}`, 'info', 5000);
+  }
+});
+
+// An archived session was opened (read-only) or closed: every view that
+// reads session data now shows a different session.
+DataManager.addEventListener('session:switched', () => {
+  UIManager.updateHistoryBadge();
+  UIManager.updateSessionStats();
+  refreshHistoryScreen();
+  refreshScoreboards();
+  refreshTeamDetails();
+  refreshAdminGameActivity();
+});
+
+// A standalone session snapshot was taken, deleted or rolled back to
+DataManager.addEventListener('snapshots:changed', () => {
+  app?.refreshSessionSnapshots();
+});
+
+// GM undo/redo history changed (recorded, undone, redone, or cleared)
+DataManager.addEventListener('history:changed', () => {
+  app?.refreshUndoHistory();
+});
+
+// Device storage filling up or failing to save: warn the GM once per change
+const STORAGE_WARNINGS = {
+  warning: ['Device storage is filling up. Free space in the admin panel.', 'warning'],
+  critical: ['Device storage is almost full. Free space or export the session.', 'error'],
+  failing: ['Data could not be saved on this device. See Device Storage in the admin panel.', 'error']
+};
+let lastStorageStatus = 'healthy';
+storageHealth.addEventListener('storage-health:changed', (e) => {
+  const { status } = e.detail;
+  if (status !== lastStorageStatus && STORAGE_WARNINGS[status]) {
+    UIManager.showToast(...STORAGE_WARNINGS[status], 8000);
+  }
+  lastStorageStatus = status;
+  app?.refreshStorageHealth();
+});
+
 DataManager.addEventListener('player-scan:added', () => {
   refreshHistoryScreen(false); // no stats — player scans don't affect scoring
   refreshAdminGameActivity();
@@ -0,0 +1,428 @@
+/**
+ * CommandBus - the single path for gm:command → gm:command:ack
+ * ES6 Module - Browser Only
+ *
+ * Every admin command goes through one bus per connection: the admin
+ * controllers (via admin/utils/CommandSender), OrchestratorClient.sendCommand
+ * (TeamRegistry), NetworkedStorage (score and transaction corrections, undo)
+ * and the GM panel (including system reset). The bus:
+ * - looks up the command definition (COMMAND_DEFINITIONS) for its default
+ *   timeout, required payload fields and whether it is idempotent
+ * - tags each command with a requestId and matches acks by it, or by action
+ *   name for backends that do not echo it (see network/commandCorrelation);
+ *   until an echoed requestId is seen, same-action commands are sent one at
+ *   a time so by-action acks cannot cross-resolve (WS-6)
+ * - resends idempotent commands that have not been acked halfway through
+ *   their timeout (only once the backend echoes requestIds, so a late ack of
+ *   the first send cannot be taken for another command); the deadline stays
+ *   the same
+ * - cancels a command on request (cancel(), an AbortSignal) and every
+ *   pending command when the connection closes (reset())
+ * - queues deferrable commands that cannot be sent because the connection
+ *   is down in its defer queue (network/commandQueue, see deferTo()) for the
+ *   GM to review and send on reconnect (sendQueued())
+ *
+ * Events (detail always includes requestId and action):
+ * - 'command:sent'      - { payload, attempt } on every send, including resends
+ * - 'command:acked'     - { response, duration } backend reported success
+ * - 'command:failed'    - { response, message } backend reported failure
+ * - 'command:timeout'   - { timeout } no ack before the deadline
+ * - 'command:cancelled' - { reason } cancelled, or the connection closed
+ * - 'command:deferred'  - { entryId, expiresAt } not sent, queued for review
+ *
+ * Rejections carry a code: COMMAND_FAILED (with .response), COMMAND_TIMEOUT,
+ * COMMAND_CANCELLED, COMMAND_INVALID for a payload missing a required field,
+ * COMMAND_DEFERRED (with .entry) when the command was queued instead of sent,
+ * or COMMAND_EXPIRED for a queued command that is no longer in the queue.
+ *
+ * @module network/commandBus
+ */
+
+import { createRequestId, isAckFor } from './commandCorrelation.js';
+import { DEFAULT_DEFER_MAX_AGE } from './commandQueue.js';
+
+export const DEFAULT_COMMAND_TIMEOUT = 5000;
+
+/**
+ * Known commands, keyed by action
+ * timeout    - default ack timeout in ms (DEFAULT_COMMAND_TIMEOUT when omitted)
+ * required   - payload fields that must be present
+ * idempotent - sending it twice has the same effect as once (safe to resend)
+ * deferrable - safe to send later: queued while the connection is down
+ * maxAge     - ms a deferred command stays sendable (DEFAULT_DEFER_MAX_AGE when omitted)
+ * Unknown actions are sent with the defaults (not idempotent, not deferrable,
+ * nothing required).
+ */
+export const COMMAND_DEFINITIONS = {
+  // Session lifecycle
+  'session:create': { required: ['name'] },
+  'session:start': {},
+  'session:pause': { idempotent: true },
+  'session:resume': { idempotent: true },
+  'session:end': {},
+  'session:addTeam': { required: ['teamId'], timeout: 10000 },
+  'system:reset': {},
+
+  // Scores and transactions
+  'score:reset': {},
+  'score:adjust': { required: ['teamId', 'delta'], deferrable: true },
+  'transaction:delete': { required: ['transactionId'], deferrable: true },
+  'transaction:reassign': { required: ['transactionId', 'teamId'], deferrable: true },
+  'transaction:annotate': { required: ['transactionId'], idempotent: true, deferrable: true },
+
+  // Video and display
+  'video:play': { idempotent: true },
+  'video:pause': { idempotent: true },
+  'video:stop': { idempotent: true },
+  'video:skip': {},
+  'video:queue:add': { required: ['videoFile'] },
+  'video:queue:reorder': { required: ['fromIndex', 'toIndex'] },
+  'video:queue:clear': { idempotent: true },
+  'display:idle-loop': { idempotent: true },
+  'display:scoreboard': { idempotent: true },
+  'display:return-to-video': { idempotent: true },
+  'display:status': { idempotent: true },
+  'scoreboard:page:next': {},
+  'scoreboard:page:prev': {},
+  'scoreboard:page:owner': { required: ['owner'], idempotent: true },
+
+  // Cues
+  'cue:fire': { required: ['cueId'], deferrable: true, maxAge: 60000 },
+  'cue:enable': { required: ['cueId'], idempotent: true, deferrable: true },
+  'cue:disable': { required: ['cueId'], idempotent: true, deferrable: true },
+  'cue:pause': { required: ['cueId'], idempotent: true },
+  'cue:resume': { required: ['cueId'], idempotent: true },
+  'cue:stop': { required: ['cueId'], idempotent: true },
+  'held:release': { required: ['heldId'] },
+  'held:discard': { required: ['heldId'] },
+  'held:release-all': {},
+  'held:discard-all': {},
+
+  // Environment
+  'audio:route:set': { required: ['stream', 'sink'], idempotent: true },
+  'audio:volume:set': { required: ['stream', 'volume'], idempotent: true },
+  'lighting:scene:activate': { required: ['sceneId'], idempotent: true, deferrable: true, maxAge: 60000 },
+  'lighting:scenes:refresh': { idempotent: true },
+  'sound:play': { required: ['file'] },
+  'sound:stop': { idempotent: true },
+  'music:play': { idempotent: true },
+  'music:pause': { idempotent: true },
+  'music:stop': { idempotent: true },
+  'music:next': {},
+  'music:previous': {},
+  'music:setVolume': { required: ['volume'], idempotent: true },
+  'music:setShuffle': { required: ['enabled'], idempotent: true },
+  'music:setLoop': { required: ['enabled'], idempotent: true },
+  'music:loadPlaylist': { required: ['playlistId'], idempotent: true },
+  'bluetooth:scan:start': {},
+  'bluetooth:scan:stop': { idempotent: true },
+  'bluetooth:pair': { required: ['address'], timeout: 45000 },
+  'bluetooth:unpair': { required: ['address'], timeout: 15000, idempotent: true },
+  'bluetooth:connect': { required: ['address'], timeout: 30000 },
+  'bluetooth:disconnect': { required: ['address'], timeout: 15000, idempotent: true },
+  'service:check': { required: ['serviceId'], idempotent: true }
+};
+
+/**
+ * Definition of a command, with defaults filled in
+ * @param {string} action
+ * @returns {{action: string, timeout: number, required: string[], idempotent: boolean,
+ *   deferrable: boolean, maxAge: number}}
+ */
+export function getCommandDefinition(action) {
+  const definition = COMMAND_DEFINITIONS[action] || {};
+  return {
+    action,
+    timeout: definition.timeout || DEFAULT_COMMAND_TIMEOUT,
+    required: definition.required || [],
+    idempotent: definition.idempotent === true,
+    deferrable: definition.deferrable === true,
+    maxAge: definition.maxAge || DEFAULT_DEFER_MAX_AGE
+  };
+}
+
+const commandError = (message, code, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+
+// Buses of connections that do not own one (see CommandBus.for)
+const buses = new WeakMap();
+
+export class CommandBus extends EventTarget {
+  /**
+   * @param {EventTarget} connection - OrchestratorClient (or anything with
+   *   send(event, data) that dispatches 'message:received' { type, payload })
+   */
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this.echoesRequestIds = false; // backend echoes requestId in gm:command:ack (seen on this connection)
+    this._pending = new Map(); // requestId -> command, in send order
+    this._actionChains = {}; // WS-6: per-action in-flight chain while acks are matched by action
+    this.deferQueue = null; // CommandQueue for deferrable commands sent while disconnected (deferTo())
+    this._sendingQueued = new Map(); // queue entry id -> send in progress (sendQueued)
+    this._onMessage = this._onMessage.bind(this);
+    connection.addEventListener('message:received', this._onMessage);
+  }
+
+  /**
+   * The bus of a connection: its own commandBus, or one created for it
+   * @param {EventTarget} connection
+   * @returns {CommandBus}
+   */
+  static for(connection) {
+    if (connection.commandBus) return connection.commandBus;
+    if (!buses.has(connection)) buses.set(connection, new CommandBus(connection));
+    return buses.get(connection);
+  }
+
+  /**
+   * Send a command and wait for its ack
+   * @param {string} action - Command action (e.g., 'cue:fire')
+   * @param {Object} [payload={}] - Command payload
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Overrides the definition's timeout
+   * @param {number} [options.retries=1] - Resends of an idempotent command (0 disables)
+   * @param {AbortSignal} [options.signal] - Cancels the command when aborted
+   * @param {boolean} [options.defer] - Queue it when it cannot be sent (default:
+   *   the definition's deferrable; needs a defer queue, see deferTo())
+   * @returns {Promise<Object>} The ack data (success is true)
+   * @throws {Error} With code COMMAND_FAILED, COMMAND_TIMEOUT, COMMAND_CANCELLED,
+   *   COMMAND_INVALID or COMMAND_DEFERRED, or 'Socket not connected' from the connection
+   */
+  send(action, payload = {}, { timeout, retries = 1, signal, defer } = {}) {
+    const definition = getCommandDefinition(action);
+    const missing = definition.required.filter(field => payload?.[field] === undefined || payload?.[field] === null);
+    if (missing.length > 0) {
+      return Promise.reject(commandError(`${action} is missing ${missing.join(', ')}`, 'COMMAND_INVALID'));
+    }
+
+    const command = {
+      requestId: createRequestId(),
+      action,
+      payload,
+      timeout: timeout || definition.timeout,
+      retries: definition.idempotent ? Math.max(0, retries) : 0,
+      defer: defer ?? definition.deferrable,
+      maxAge: definition.maxAge,
+      state: 'waiting',
+      attempt: 0,
+      sentAt: null,
+      timers: []
+    };
+    const result = new Promise((resolve, reject) => {
+      command.resolve = resolve;
+      command.reject = reject;
+    });
+    this._pending.set(command.requestId, command);
+
+    if (signal) {
+      if (signal.aborted) {
+        this.cancel(command.requestId, 'Cancelled');
+        return result;
+      }
+      const onAbort = () => this.cancel(command.requestId, 'Cancelled');
+      signal.addEventListener('abort', onAbort, { once: true });
+      result.catch(() => {}).finally(() => signal.removeEventListener('abort', onAbort));
+    }
+
+    if (this.echoesRequestIds) {
+      this._transmit(command);
+      return result;
+    }
+
+    // The first command for an action sends immediately; a same-action command
+    // sent while one is in flight waits for it to settle.
+    const prior = this._actionChains[action];
+    if (prior) {
+      prior.then(() => this._transmit(command));
+    } else {
+      this._transmit(command);
+    }
+    const chainRef = result.catch(() => {}).finally(() => {
+      if (this._actionChains[action] === chainRef) this._actionChains[action] = null;
+    });
+    this._actionChains[action] = chainRef;
+    return result;
+  }
+
+  /**
+   * Queue deferrable commands that cannot be sent in this queue
+   * @param {import('./commandQueue.js').CommandQueue|null} queue - null stops deferring
+   */
+  deferTo(queue) {
+    this.deferQueue = queue;
+  }
+
+  /**
+   * Send a command from the defer queue (the GM confirmed it)
+   * The entry leaves the queue once the orchestrator answered, or the command
+   * timed out (it may have run); it stays queued when it could not be sent.
+   * Confirming an entry that is already being sent joins that send.
+   * @param {string} entryId - Queue entry id
+   * @returns {Promise<Object>} The ack data
+   * @throws {Error} COMMAND_EXPIRED when the entry expired or was handled, otherwise as send()
+   */
+  sendQueued(entryId) {
+    if (this._sendingQueued.has(entryId)) return this._sendingQueued.get(entryId);
+
+    const entry = this.deferQueue?.get(entryId);
+    if (!entry) {
+      return Promise.reject(commandError('Queued command expired or was already handled', 'COMMAND_EXPIRED'));
+    }
+
+    const sending = this.send(entry.action, entry.payload, { defer: false })
+      .then((ack) => {
+        this.deferQueue?.remove(entryId);
+        return ack;
+      }, (error) => {
+        if (['COMMAND_FAILED', 'COMMAND_TIMEOUT', 'COMMAND_INVALID'].includes(error.code)) {
+          this.deferQueue?.remove(entryId);
+        }
+        throw error;
+      })
+      .finally(() => this._sendingQueued.delete(entryId));
+    this._sendingQueued.set(entryId, sending);
+    return sending;
+  }
+
+  /**
+   * Cancel a pending command (rejects it with COMMAND_CANCELLED)
+   * A command already sent may still run on the backend; its ack is ignored.
+   * @param {string} requestId
+   * @param {string} [reason='Cancelled']
+   * @returns {boolean} Whether the command was pending
+   */
+  cancel(requestId, reason = 'Cancelled') {
+    const command = this._pending.get(requestId);
+    if (!command) return false;
+    this._settle(command);
+    this._emit('command:cancelled', command, { reason });
+    command.reject(commandError(`${command.action} cancelled: ${reason}`, 'COMMAND_CANCELLED'));
+    return true;
+  }
+
+  /**
+   * Cancel every pending command and forget what was learned about the
+   * backend. Called when the connection closes: acks for these commands
+   * would arrive on a socket that no longer exists, and the next socket may
+   * reach another backend.
+   * @param {string} [reason='Connection closed']
+   */
+  reset(reason = 'Connection closed') {
+    [...this._pending.keys()].forEach(requestId => this.cancel(requestId, reason));
+    this._actionChains = {};
+    this.echoesRequestIds = false;
+  }
+
+  /**
+   * Commands not yet settled, oldest first (for pending-command indicators)
+   * @returns {Array<{requestId: string, action: string, state: 'waiting'|'sent', attempt: number, sentAt: number|null}>}
+   */
+  getPending() {
+    return [...this._pending.values()].map(({ requestId, action, state, attempt, sentAt }) => ({
+      requestId, action, state, attempt, sentAt
+    }));
+  }
+
+  /**
+   * Stop listening to the connection and cancel pending commands
+   */
+  destroy() {
+    this.connection.removeEventListener('message:received', this._onMessage);
+    this.reset('Command bus destroyed');
+  }
+
+  /**
+   * Put a command on the wire and arm its resend and deadline timers
+   * @private
+   */
+  _transmit(command) {
+    if (!this._pending.has(command.requestId)) return; // cancelled while waiting
+
+    try {
+      this._emitCommand(command);
+    } catch (error) {
+      this._settle(command);
+      if (command.defer && this.deferQueue) {
+        // Never reached the orchestrator, so it is safe to send later
+        const entry = this.deferQueue.add({ action: command.action, payload: command.payload, maxAge: command.maxAge });
+        this._emit('command:deferred', command, { entryId: entry.id, expiresAt: entry.expiresAt });
+        command.reject(commandError(
+          `Not connected - ${command.action} queued for review on reconnect`, 'COMMAND_DEFERRED', { entry }
+        ));
+        return;
+      }
+      command.reject(error);
+      return;
+    }
+    command.state = 'sent';
+    command.sentAt = Date.now();
+
+    for (let i = 1; i <= command.retries; i++) {
+      command.timers.push(setTimeout(() => {
+        // Resending is only safe when acks are matched by requestId
+        if (!this.echoesRequestIds || !this._pending.has(command.requestId)) return;
+        try {
+          this._emitCommand(command);
+        } catch {
+          // Not connected: the deadline (or reset) settles the command
+        }
+      }, Math.round(command.timeout * i / (command.retries + 1))));
+    }
+
+    command.timers.push(setTimeout(() => {
+      this._settle(command);
+      this._emit('command:timeout', command, { timeout: command.timeout });
+      command.reject(commandError(`${command.action} timeout after ${command.timeout}ms`, 'COMMAND_TIMEOUT'));
+    }, command.timeout));
+  }
+
+  /** @private */
+  _emitCommand(command) {
+    command.attempt += 1;
+    this.connection.send('gm:command', {
+      action: command.action,
+      payload: command.payload,
+      requestId: command.requestId
+    });
+    this._emit('command:sent', command, { payload: command.payload, attempt: command.attempt });
+  }
+
+  /**
+   * Resolve or reject the command a gm:command:ack answers
+   * @private
+   */
+  _onMessage(event) {
+    const { type, payload: ack } = event.detail || {};
+    if (type !== 'gm:command:ack' || !ack) return;
+    if (ack.requestId !== undefined && ack.requestId !== null) this.echoesRequestIds = true;
+
+    const command = [...this._pending.values()].find(c => c.state === 'sent' && isAckFor(ack, c));
+    if (!command) return;
+
+    this._settle(command);
+    if (ack.success) {
+      this._emit('command:acked', command, { response: ack, duration: Date.now() - command.sentAt });
+      command.resolve(ack);
+    } else {
+      const message = ack.message || `Command failed: ${command.action}`;
+      this._emit('command:failed', command, { response: ack, message });
+      command.reject(commandError(message, 'COMMAND_FAILED', { response: ack }));
+    }
+  }
+
+  /** @private */
+  _settle(command) {
+    command.timers.forEach(clearTimeout);
+    command.timers = [];
+    this._pending.delete(command.requestId);
+  }
+
+  /** @private */
+  _emit(type, command, detail) {
+    this.dispatchEvent(new CustomEvent(type, {
+      detail: { requestId: command.requestId, action: command.action, ...detail }
+    }));
+  }
+}
+
+export default CommandBus;
@@ -0,0 +1,40 @@
+/**
+ * Command Correlation - match gm:command:ack to the command it answers
+ *
+ * Every gm:command carries a client-generated requestId in its data
+ * ({ action, payload, requestId }). A backend that echoes the requestId in
+ * gm:command:ack lets the sender match acks exactly, so several commands
+ * with the same action (firing cues, rapid session:addTeam) can be in
+ * flight at once. Older backends ack without a requestId; those acks are
+ * matched by action name, as before, and OrchestratorClient keeps
+ * serializing same-action commands until it sees an echoed requestId.
+ *
+ * @module network/commandCorrelation
+ */
+
+let counter = 0;
+
+/**
+ * Generate a command request ID (unique per page load)
+ * @returns {string} e.g. 'cmd-lx2k9a-1-4f7q2m'
+ */
+export function createRequestId() {
+  counter += 1;
+  return `cmd-${Date.now().toString(36)}-${counter}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Whether a gm:command:ack answers a command
+ * An ack carrying a requestId matches only that request; an ack without one
+ * (backend that does not echo IDs) matches by action name.
+ * @param {Object} ack - gm:command:ack data (unwrapped from the envelope)
+ * @param {Object} command
+ * @param {string} command.action
+ * @param {string} command.requestId
+ * @returns {boolean}
+ */
+export function isAckFor(ack, { action, requestId }) {
+  if (!ack) return false;
+  if (ack.requestId !== undefined && ack.requestId !== null) return ack.requestId === requestId;
+  return ack.action === action;
+}
@@ -0,0 +1,191 @@
+/**
+ * CommandQueue - admin commands deferred while the orchestrator is unreachable
+ * ES6 Module - Browser Only
+ *
+ * Opt-in per command: only actions marked deferrable in COMMAND_DEFINITIONS
+ * (network/commandBus) are queued, and only when they could not be sent at
+ * all (the socket was down). A command that was sent but not acked is never
+ * queued - it may already have run on the orchestrator.
+ *
+ * Entries are persisted to localStorage (networkedCommandQueue), so a reload
+ * during the outage keeps them. Each entry expires maxAge after it was
+ * queued and is then dropped rather than sent: a show cue fired minutes late
+ * is worse than one not fired. Nothing is sent automatically - the GM
+ * reviews the queue on reconnect and sends (CommandBus.sendQueued()) or
+ * discards each entry.
+ *
+ * Events:
+ * - 'commands:changed' - entries added, removed or expired; detail is getStatus()
+ * - 'commands:expired' - { entries } dropped because they expired
+ *
+ * @module network/commandQueue
+ */
+
+import { storageHealth } from '../core/storageHealth.js';
+import { createRequestId } from './commandCorrelation.js';
+
+export const COMMAND_QUEUE_KEY = 'networkedCommandQueue';
+export const DEFAULT_DEFER_MAX_AGE = 10 * 60 * 1000;
+
+export class CommandQueue extends EventTarget {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.debug] - Debug utility (default: console)
+   * @param {function(): number} [options.now] - Clock (tests)
+   */
+  constructor({ debug = console, now = () => Date.now() } = {}) {
+    super();
+    this.debug = debug;
+    this._now = now;
+    this.entries = [];
+    this._expiryTimer = null;
+
+    this._load();
+    this.prune();
+    this._scheduleExpiry();
+  }
+
+  /**
+   * Queue a command that could not be sent
+   * @param {Object} command
+   * @param {string} command.action
+   * @param {Object} [command.payload]
+   * @param {number} [command.maxAge] - ms until the entry expires (DEFAULT_DEFER_MAX_AGE)
+   * @returns {{id: string, action: string, payload: Object, queuedAt: number, expiresAt: number}}
+   * @emits commands:changed
+   */
+  add({ action, payload = {}, maxAge = DEFAULT_DEFER_MAX_AGE }) {
+    const queuedAt = this._now();
+    const entry = { id: createRequestId(), action, payload, queuedAt, expiresAt: queuedAt + maxAge };
+    this.entries.push(entry);
+    this.debug.log?.('Admin command queued (offline)', { action, queueSize: this.entries.length });
+    this._changed();
+    return entry;
+  }
+
+  /**
+   * A queued entry that has not expired
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    this.prune();
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Entries that have not expired, oldest first
+   * @returns {Array<Object>}
+   */
+  getEntries() {
+    this.prune();
+    return this.entries.map(entry => ({ ...entry }));
+  }
+
+  /**
+   * Remove an entry (sent or discarded)
+   * @param {string} id
+   * @returns {boolean} Whether it was queued
+   * @emits commands:changed
+   */
+  remove(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    if (this.entries.length === before) return false;
+    this._changed();
+    return true;
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {Array<Object>} The dropped entries
+   * @emits commands:expired, commands:changed - when anything expired
+   */
+  prune() {
+    const now = this._now();
+    const expired = this.entries.filter(entry => entry.expiresAt <= now);
+    if (expired.length === 0) return [];
+
+    this.entries = this.entries.filter(entry => entry.expiresAt > now);
+    this.debug.log?.('Queued admin commands expired', { actions: expired.map(entry => entry.action) });
+    this.dispatchEvent(new CustomEvent('commands:expired', { detail: { entries: expired } }));
+    this._changed();
+    return expired;
+  }
+
+  /**
+   * Remove every entry (discard all, or a new session started)
+   * @emits commands:changed - when anything was queued
+   */
+  clear() {
+    if (this.entries.length === 0) return;
+    this.entries = [];
+    this._changed();
+  }
+
+  /**
+   * Queue status
+   * @returns {{queuedCount: number, nextExpiry: number|null}}
+   */
+  getStatus() {
+    return {
+      queuedCount: this.entries.length,
+      nextExpiry: this.entries.length > 0 ? Math.min(...this.entries.map(entry => entry.expiresAt)) : null
+    };
+  }
+
+  /**
+   * Stop the expiry timer (entries stay persisted)
+   */
+  destroy() {
+    clearTimeout(this._expiryTimer);
+    this._expiryTimer = null;
+  }
+
+  /** @private */
+  _changed() {
+    this._save();
+    this._scheduleExpiry();
+    this.dispatchEvent(new CustomEvent('commands:changed', { detail: this.getStatus() }));
+  }
+
+  /**
+   * Prune when the next entry expires, so the review list never offers a
+   * command that is already too old to send
+   * @private
+   */
+  _scheduleExpiry() {
+    clearTimeout(this._expiryTimer);
+    this._expiryTimer = null;
+    const { nextExpiry } = this.getStatus();
+    if (nextExpiry === null) return;
+    this._expiryTimer = setTimeout(() => this.prune(), Math.max(0, nextExpiry - this._now()));
+  }
+
+  /** @private */
+  _save() {
+    try {
+      if (this.entries.length > 0) {
+        storageHealth.setItem(COMMAND_QUEUE_KEY, JSON.stringify(this.entries), 'Offline admin command queue');
+      } else {
+        localStorage.removeItem(COMMAND_QUEUE_KEY);
+      }
+    } catch (error) {
+      // storageHealth recorded the failure; the entries still live in memory
+      this.debug.error?.('Failed to save admin command queue', error);
+    }
+  }
+
+  /** @private */
+  _load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(COMMAND_QUEUE_KEY) || '[]');
+      this.entries = Array.isArray(saved) ? saved.filter(entry => entry?.id && entry.action) : [];
+    } catch (error) {
+      this.debug.error?.('Failed to load admin command queue', error);
+      this.entries = [];
+    }
+  }
+}
+
+export default CommandQueue;
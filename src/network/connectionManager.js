@@ -29,6 +29,7 @@ export class ConnectionManager extends EventTarget {
     };
 
     this.client = config.client; // OrchestratorClient instance
+    this.syncCursor = config.syncCursor || null; // SyncCursor - delta sync resume point for the handshake
     this.token = config.token || null;
     this.state = 'disconnected'; // disconnected, connecting, connected
     this.retryCount = 0;
@@ -142,9 +143,12 @@ export class ConnectionManager extends EventTarget {
       }
 
       // Delegate WebSocket connection to OrchestratorClient
+      // With a resume point the backend may answer with sync:delta instead of sync:full
+      const sync = this.syncCursor?.getResumePoint() || null;
       await this.client.connect(this.token, {
         deviceId: this.config.deviceId,
-        deviceType: this.config.deviceType
+        deviceType: this.config.deviceType,
+        ...(sync ? { sync } : {})
       });
 
       // Connection successful
@@ -9,7 +9,7 @@
  *   gameOpsRouter     — transaction data, scores, player scans, group:completed
  *   gameAdminRouter   — session lifecycle, sync:full session section
  *   showControlRouter — display:mode (scoreboard echo)
- *   sharedInfraRouter — sync:full bulk restore, error, service:state (store)
+ *   sharedInfraRouter — sync:full bulk restore, sync:delta replay, error, service:state (store)
  *
  * Usage: NetworkedSession._messageHandler iterates routers in priority order.
  * A message may pass through multiple routers if it touches multiple domains
@@ -19,6 +19,14 @@
  * @module network/messageRouters
  */
 
+import { SYNC_DOMAIN_BY_TYPE } from './syncCursor.js';
+
+/**
+ * Message types a sync:delta may replay: the versioned incremental messages.
+ * One-off notifications (group:completed, scoreboard:page) are not replayed.
+ */
+const DELTA_EVENT_TYPES = new Set([...Object.keys(SYNC_DOMAIN_BY_TYPE), 'service:state']);
+
 /**
  * Game Ops router — transactions, scores, player scans, group completion
  * @param {string} type
@@ -53,6 +61,22 @@ export function gameOpsRouter(type, payload, dataManager, session) {
       }
       return true;
 
+    case 'transaction:reassigned':
+      if (payload.transactionId) {
+        dataManager.reassignTransactionFromBroadcast(payload);
+      }
+      // Both the source and destination team are rescored
+      (payload.updatedTeamScores || []).forEach(teamScore => {
+        dataManager.updateTeamScoreFromBackend(teamScore);
+      });
+      return true;
+
+    case 'transaction:annotated':
+      if (payload.transactionId) {
+        dataManager.annotateTransactionFromBroadcast(payload);
+      }
+      return true;
+
     case 'scores:reset':
       dataManager.clearBackendScores();
       return true;
@@ -76,14 +100,15 @@ export function gameOpsRouter(type, payload, dataManager, session) {
 }
 
 /**
- * Shared-infra router — sync:full bulk restore, error events, service:state → StateStore.
- * Also triggers queue sync after sync:full (deferred from _connectedHandler).
+ * Shared-infra router — sync:full bulk restore, sync:delta replay, error events,
+ * service:state → StateStore.
+ * Also triggers queue sync after sync:full / sync:delta (deferred from _connectedHandler).
  * @param {string} type
  * @param {Object} payload
  * @param {Object} dataManager
  * @param {EventTarget} session
  * @param {Object|null} store - StateStore (null in standalone)
- * @param {Object|null} services - { queueManager, client }
+ * @param {Object|null} services - { queueManager, client, syncCursor }
  * @param {Function} handleSessionBoundary
  * @returns {boolean} true if handled (fully or partially — sync:full always returns true)
  */
@@ -154,6 +179,48 @@ export function sharedInfraRouter(type, payload, dataManager, session, store, se
       return true;
     }
 
+    case 'sync:delta': {
+      // Answer to a reconnect handshake that offered the SyncCursor's resume
+      // point: only the messages missed since then, applied through the same
+      // handlers as live messages so the UI updates in place.
+      const cursor = services?.syncCursor;
+      const fallback = cursor ? cursor.checkDelta(payload) : 'no-cursor';
+      if (fallback) {
+        // Other session, or changes missing from the delta: the cached state
+        // cannot be patched - ask for the full snapshot instead
+        console.warn(`sync:delta not applied (${fallback}) - requesting sync:full`);
+        services?.client?.socket?.emit('sync:request');
+        return true;
+      }
+
+      payload.events.forEach(event => {
+        if (!DELTA_EVENT_TYPES.has(event?.type) || !event.payload) return;
+        if (event.type === 'service:state') {
+          sharedInfraRouter(event.type, event.payload, dataManager, session, store, services, handleSessionBoundary);
+          return;
+        }
+        if (!gameOpsRouter(event.type, event.payload, dataManager, session)) {
+          gameAdminRouter(event.type, event.payload, dataManager, handleSessionBoundary);
+        }
+      });
+
+      if (payload.session) {
+        dataManager.updateSessionState(payload.session);
+      }
+      cursor.acceptDelta(payload);
+
+      // Queue reconciliation and flush, as after sync:full (deviceScannedTokens
+      // holds only the tokens this device had recorded since the resume point)
+      if (services?.queueManager) {
+        if (Array.isArray(payload.deviceScannedTokens)) {
+          services.queueManager.reconcileWithServerState(payload.deviceScannedTokens);
+        }
+        services.queueManager.syncQueue();
+      }
+
+      return true;
+    }
+
     case 'error': {
       // AUTH-7: post-connection auth failures → auth:required + token clear
       const code = payload?.code;
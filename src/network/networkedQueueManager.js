@@ -7,6 +7,8 @@
  * - Auto-sync on reconnect
  * - Queue management (add, retry, clear)
  * - Transaction replay via WebSocket for proper scoring
+ * - Outcome history (rejected/duplicate/dropped/discarded entries, persisted
+ *   for the session) and manual resolution: retry, discard, edit team
  *
  * Does NOT handle:
  * - WebSocket connection (OrchestratorClient)
@@ -14,8 +16,13 @@
  * - Transaction processing (backend)
  */
 
+import { storageHealth } from '../core/storageHealth.js';
+
 let _attemptSeq = 0; // monotonic per-attempt nonce for activeHandlers keys (NQ-2)
 
+const OUTCOMES_KEY = 'networkedQueueOutcomes';
+const MAX_OUTCOMES = 200;
+
 export class NetworkedQueueManager extends EventTarget {
   constructor(config = {}) {
     super();
@@ -27,9 +34,13 @@ export class NetworkedQueueManager extends EventTarget {
     this.tempQueue = [];
     this.syncing = false;
     this.activeHandlers = new Map(); // Track active replay handlers for cleanup
+    this.inFlight = new Map(); // clientTxId -> replays awaiting a result
+    this.lastErrors = new Map(); // clientTxId -> why the last attempt left it queued
+    this.outcomes = []; // entries that left the queue without being accepted, oldest first
 
     // Load any persisted queue
     this.loadQueue();
+    this._loadOutcomes();
   }
 
   /**
@@ -40,8 +51,7 @@ export class NetworkedQueueManager extends EventTarget {
   queueTransaction(transaction) {
     // Stamp a per-submission correlation id so results/replays match unambiguously
     // (tokenId+teamId aliases across concurrent submissions). TQ-3.
-    const clientTxId = transaction.clientTxId
-      || `${this.deviceId}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const clientTxId = transaction.clientTxId || this._newClientTxId();
     const tx = { ...transaction, clientTxId };
 
     // ALWAYS persist first (durability) — even on the connected path. A scan
@@ -74,6 +84,68 @@ export class NetworkedQueueManager extends EventTarget {
     return clientTxId;
   }
 
+  /** @private */
+  _newClientTxId() {
+    return `${this.deviceId}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Replay a batch of transactions one at a time, in the given order, and
+   * report each result. Used to promote a standalone session, where the
+   * backend must see scans in the order they happened (first exposer,
+   * group completion).
+   *
+   * Every entry is persisted first, like a queued scan. Definitive results
+   * (accepted/duplicate/rejected/error) remove it; the first timeout or
+   * connection error stops the replay and leaves it and the rest queued for
+   * the next syncQueue, which keeps the same order.
+   *
+   * @param {Array<Object>} transactions - transaction:submit payloads, already ordered
+   * @returns {Promise<Array<{transaction: Object, status: string, message?: string}>>}
+   *   One entry per replayed transaction; status 'pending' for those left queued
+   */
+  async replayInOrder(transactions) {
+    const batch = transactions.map(tx => ({ ...tx, clientTxId: tx.clientTxId || this._newClientTxId() }));
+    this.tempQueue.push(...batch);
+    this.saveQueue();
+
+    const results = [];
+    this.syncing = true;
+    this.dispatchEvent(new CustomEvent('queue:changed', { detail: this.getStatus() }));
+
+    try {
+      for (const tx of batch) {
+        if (!this.client?.isConnected) break;
+        let result;
+        try {
+          result = await this.replayTransaction(tx);
+        } catch (error) {
+          this.debug.error?.('Ordered replay interrupted - keeping the rest queued', {
+            tokenId: tx.tokenId,
+            error: error.message
+          });
+          break;
+        }
+
+        const status = result?.status;
+        if (['accepted', 'duplicate', 'rejected', 'error'].includes(status)) {
+          this._removeByClientTxId(tx.clientTxId);
+          results.push({ transaction: tx, status, message: result?.message });
+        } else {
+          // 'queued' means the backend parked it; replaying later entries now
+          // would break the order, so stop here
+          break;
+        }
+      }
+    } finally {
+      this.syncing = false;
+      this.dispatchEvent(new CustomEvent('queue:changed', { detail: this.getStatus() }));
+    }
+
+    batch.slice(results.length).forEach(tx => results.push({ transaction: tx, status: 'pending' }));
+    return results;
+  }
+
   /**
    * Submit a persisted transaction and remove it only on a definitive result
    * (accepted/duplicate/rejected/error). Transient failures (timeout/connection
@@ -87,19 +159,24 @@ export class NetworkedQueueManager extends EventTarget {
         if (status === 'accepted' || status === 'duplicate' ||
             status === 'rejected' || status === 'error') {
           this._removeByClientTxId(tx.clientTxId);
+          if (status === 'accepted') this._emitAccepted(tx, result);
           if (status === 'rejected' || status === 'error' || status === 'duplicate') {
             // duplicate included (A7/F-SCAN-07): the claimed-by message must
             // reach the operator — the optimistic success screen is a lie.
             // The app-level consumer keeps the token marked (genuinely claimed).
+            this._recordOutcome(tx, status, result?.message);
             this.dispatchEvent(new CustomEvent('transaction:failed', {
               detail: { transaction: tx, status, message: result?.message }
             }));
           }
+        } else {
+          // queued/unknown: leave persisted for the next reconnect
+          this._setLastError(tx, `Not processed yet (${status || 'no status'})`);
         }
-        // queued/unknown: leave persisted for the next reconnect
       })
       .catch((err) => {
         // timeout / connection error: leave persisted; syncQueue retries on reconnect
+        this._setLastError(tx, err.message);
         this.debug.error?.('Durable submit failed - keeping for retry', {
           tokenId: tx.tokenId,
           error: err.message
@@ -107,12 +184,24 @@ export class NetworkedQueueManager extends EventTarget {
       });
   }
 
+  /**
+   * Report a scan the orchestrator recorded, with the transaction:result
+   * payload (its transactionId identifies the orchestrator's transaction)
+   * @private
+   */
+  _emitAccepted(transaction, result) {
+    this.dispatchEvent(new CustomEvent('transaction:accepted', {
+      detail: { transaction, result }
+    }));
+  }
+
   /**
    * Remove a persisted entry by its correlation id after a definitive result.
    * @private
    */
   _removeByClientTxId(clientTxId) {
     const before = this.tempQueue.length;
+    this.lastErrors.delete(clientTxId);
     this.tempQueue = this.tempQueue.filter(t => t.clientTxId !== clientTxId);
     if (this.tempQueue.length !== before) {
       this.saveQueue();
@@ -131,6 +220,9 @@ export class NetworkedQueueManager extends EventTarget {
     if (!Array.isArray(scannedTokenIds) || scannedTokenIds.length === 0) return;
     const recorded = new Set(scannedTokenIds);
     const before = this.tempQueue.length;
+    this.tempQueue.filter(t => recorded.has(t.tokenId)).forEach(tx => {
+      this._recordOutcome(tx, 'dropped', 'Already recorded by the orchestrator - not replayed');
+    });
     this.tempQueue = this.tempQueue.filter(t => !recorded.has(t.tokenId));
     if (this.tempQueue.length !== before) {
       this.saveQueue();
@@ -182,9 +274,11 @@ export class NetworkedQueueManager extends EventTarget {
           const result = await this.replayTransaction(transaction);
           const status = result?.status;
           if (status === 'accepted' || status === 'duplicate') {
+            if (status === 'accepted') this._emitAccepted(transaction, result);
             if (status === 'duplicate') {
               // A7/F-SCAN-07: a replayed scan that another device already
               // claimed must surface the claimed-by message, not vanish.
+              this._recordOutcome(transaction, status, result?.message);
               this.dispatchEvent(new CustomEvent('transaction:failed', {
                 detail: { transaction, status, message: result?.message }
               }));
@@ -199,12 +293,14 @@ export class NetworkedQueueManager extends EventTarget {
               status,
               message: result?.message
             });
+            this._recordOutcome(transaction, status, result?.message);
             this.dispatchEvent(new CustomEvent('transaction:failed', {
               detail: { transaction, status, message: result?.message }
             }));
             results.push({ success: false, transaction, result });
           } else {
             // queued or unknown transient: keep for next reconnect
+            this._setLastError(transaction, `Not processed yet (${status || 'no status'})`);
             survivors.push(transaction);
             results.push({ success: false, transaction, result });
           }
@@ -215,6 +311,7 @@ export class NetworkedQueueManager extends EventTarget {
             error: error.message
           });
 
+          this._setLastError(transaction, error.message);
           survivors.push(transaction);
           results.push({ success: false, transaction, error: error.message });
         }
@@ -265,7 +362,8 @@ export class NetworkedQueueManager extends EventTarget {
    * @private
    */
   replayTransaction(transaction) {
-    return new Promise((resolve, reject) => {
+    this._trackInFlight(transaction, 1);
+    const attempt = new Promise((resolve, reject) => {
       // Key per ATTEMPT (not per clientTxId) so a reconnect re-send of the same
       // clientTxId can't overwrite the first attempt's map entry. The same clientTxId
       // can be in flight twice (a connected _submitDurable that never got a definitive
@@ -344,6 +442,181 @@ export class NetworkedQueueManager extends EventTarget {
         teamId: transaction.teamId
       });
     });
+
+    const settled = () => this._trackInFlight(transaction, -1);
+    attempt.then(settled, settled);
+    return attempt;
+  }
+
+  /**
+   * Everything the queue inspector shows: queued entries (pending or in
+   * flight, with the error that kept them queued) and the outcome history,
+   * newest first.
+   * @returns {{pending: Array<Object>, history: Array<Object>, connected: boolean}}
+   */
+  getInspection() {
+    return {
+      pending: this.tempQueue.map(tx => ({
+        clientTxId: tx.clientTxId,
+        tokenId: tx.tokenId,
+        teamId: tx.teamId,
+        timestamp: tx.timestamp || null,
+        state: this.inFlight.has(tx.clientTxId) ? 'in-flight' : 'pending',
+        lastError: this.lastErrors.get(tx.clientTxId) || null
+      })),
+      history: [...this.outcomes].reverse().map(({ transaction: _transaction, ...outcome }) => outcome),
+      connected: !!this.client?.isConnected
+    };
+  }
+
+  /**
+   * History entries the GM has not acted on (rejected, duplicate, error, dropped)
+   * @returns {number}
+   */
+  getUnresolvedCount() {
+    return this.outcomes.filter(outcome => !outcome.resolution).length;
+  }
+
+  /**
+   * Retry an entry: a queued one is submitted now (when connected and not
+   * already in flight); one from the history is queued again under a new
+   * clientTxId and its history entry is marked retried.
+   * @param {string} clientTxId
+   * @returns {string|null} The clientTxId now queued, or null when nothing was retried
+   */
+  retryEntry(clientTxId) {
+    const queued = this.tempQueue.find(tx => tx.clientTxId === clientTxId);
+    if (queued) {
+      if (!this.client?.isConnected || this.inFlight.has(clientTxId)) return null;
+      this._submitDurable(queued);
+      return clientTxId;
+    }
+    return this._requeueOutcome(clientTxId, {});
+  }
+
+  /**
+   * Discard an entry: a queued one leaves the queue (recorded as discarded);
+   * one from the history is marked discarded. In-flight entries are left alone.
+   * @param {string} clientTxId
+   * @returns {boolean} Whether anything was discarded
+   */
+  discardEntry(clientTxId) {
+    const queued = this.tempQueue.find(tx => tx.clientTxId === clientTxId);
+    if (queued) {
+      if (this.inFlight.has(clientTxId)) return false;
+      this._removeByClientTxId(clientTxId);
+      this._recordOutcome(queued, 'discarded', 'Discarded by GM', 'discarded');
+      return true;
+    }
+    return this._resolveOutcome(clientTxId, 'discarded');
+  }
+
+  /**
+   * Credit an entry to another team: a queued one is changed in place (not
+   * while in flight); one from the history is queued again for that team.
+   * @param {string} clientTxId
+   * @param {string} teamId
+   * @returns {string|null} The clientTxId now queued for the team, or null
+   */
+  editEntryTeam(clientTxId, teamId) {
+    if (!teamId) return null;
+    const queued = this.tempQueue.find(tx => tx.clientTxId === clientTxId);
+    if (queued) {
+      if (this.inFlight.has(clientTxId)) return null;
+      queued.teamId = teamId;
+      this.lastErrors.delete(clientTxId);
+      this.saveQueue();
+      this.dispatchEvent(new CustomEvent('queue:changed', { detail: this.getStatus() }));
+      return clientTxId;
+    }
+    return this._requeueOutcome(clientTxId, { teamId });
+  }
+
+  /**
+   * Forget the outcome history (a new session started)
+   */
+  clearOutcomes() {
+    this.outcomes = [];
+    localStorage.removeItem(OUTCOMES_KEY);
+    this.dispatchEvent(new CustomEvent('queue:outcome', { detail: { outcome: null } }));
+  }
+
+  /** @private */
+  _requeueOutcome(clientTxId, changes) {
+    const outcome = this.outcomes.find(o => o.clientTxId === clientTxId && !o.resolution);
+    if (!outcome?.transaction) return null;
+    const { clientTxId: _old, ...transaction } = outcome.transaction;
+    this._resolveOutcome(clientTxId, 'retried');
+    return this.queueTransaction({ ...transaction, ...changes });
+  }
+
+  /** @private */
+  _resolveOutcome(clientTxId, resolution) {
+    const outcome = this.outcomes.find(o => o.clientTxId === clientTxId && !o.resolution);
+    if (!outcome) return false;
+    outcome.resolution = resolution;
+    outcome.resolvedAt = new Date().toISOString();
+    this._saveOutcomes();
+    this.dispatchEvent(new CustomEvent('queue:outcome', { detail: { outcome } }));
+    return true;
+  }
+
+  /**
+   * Record an entry that left the queue without being accepted
+   * @private
+   */
+  _recordOutcome(tx, status, message, resolution = null) {
+    const outcome = {
+      clientTxId: tx.clientTxId,
+      tokenId: tx.tokenId,
+      teamId: tx.teamId,
+      status,
+      message: message || null,
+      lastError: this.lastErrors.get(tx.clientTxId) || null,
+      at: new Date().toISOString(),
+      resolution,
+      transaction: tx
+    };
+    this.lastErrors.delete(tx.clientTxId);
+    this.outcomes.push(outcome);
+    if (this.outcomes.length > MAX_OUTCOMES) this.outcomes = this.outcomes.slice(-MAX_OUTCOMES);
+    this._saveOutcomes();
+    this.dispatchEvent(new CustomEvent('queue:outcome', { detail: { outcome } }));
+  }
+
+  /** @private */
+  _setLastError(tx, message) {
+    if (!tx.clientTxId) return;
+    this.lastErrors.set(tx.clientTxId, message);
+  }
+
+  /** @private */
+  _trackInFlight(tx, change) {
+    if (!tx.clientTxId) return;
+    const count = (this.inFlight.get(tx.clientTxId) || 0) + change;
+    if (count > 0) this.inFlight.set(tx.clientTxId, count);
+    else this.inFlight.delete(tx.clientTxId);
+  }
+
+  /** @private */
+  _saveOutcomes() {
+    try {
+      storageHealth.setItem(OUTCOMES_KEY, JSON.stringify(this.outcomes), 'Offline scan outcomes');
+    } catch (error) {
+      // storageHealth recorded the failure; the history still lives in memory
+      this.debug.error?.('Failed to save queue outcomes', error);
+    }
+  }
+
+  /** @private */
+  _loadOutcomes() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(OUTCOMES_KEY) || '[]');
+      this.outcomes = Array.isArray(saved) ? saved : [];
+    } catch (error) {
+      this.debug.error?.('Failed to load queue outcomes', error);
+      this.outcomes = [];
+    }
   }
 
   /**
@@ -352,7 +625,7 @@ export class NetworkedQueueManager extends EventTarget {
   saveQueue() {
     try {
       if (this.tempQueue.length > 0) {
-        localStorage.setItem('networkedTempQueue', JSON.stringify(this.tempQueue));
+        storageHealth.setItem('networkedTempQueue', JSON.stringify(this.tempQueue), 'Offline scan queue');
       } else {
         localStorage.removeItem('networkedTempQueue');
       }
@@ -363,7 +636,8 @@ export class NetworkedQueueManager extends EventTarget {
           queueSize: this.tempQueue.length,
           error: error.message
         });
-        // Attempt to clear oldest items or notify user
+        // storageHealth already pruned stale data and recorded the failure;
+        // queued scans only live in memory now, so tell the GM right away
         alert('Storage full: Unable to queue transactions offline. Please sync or clear data.');
       } else {
         this.debug.error?.('Failed to save queue to localStorage', error);
@@ -18,9 +18,17 @@
 import OrchestratorClient from './orchestratorClient.js';
 import ConnectionManager from './connectionManager.js';
 import NetworkedQueueManager from './networkedQueueManager.js';
+import CommandQueue from './commandQueue.js';
+import SyncCursor from './syncCursor.js';
 import AdminController from '../app/adminController.js';
 import { gameOpsRouter, sharedInfraRouter, gameAdminRouter, showControlRouter } from './messageRouters.js';
 
+/** CommandBus events re-dispatched on the session (pending-command indicator) */
+const COMMAND_EVENTS = ['command:sent', 'command:acked', 'command:failed', 'command:timeout', 'command:cancelled', 'command:deferred'];
+
+/** CommandQueue events re-dispatched on the session (queued-command review) */
+const COMMAND_QUEUE_EVENTS = ['commands:changed', 'commands:expired'];
+
 export class NetworkedSession extends EventTarget {
   constructor(config, dataManager, teamRegistry = null, store = null) {
     super();
@@ -69,7 +77,7 @@ export class NetworkedSession extends EventTarget {
 
   /**
    * Get a service by name
-   * @param {string} name - Service name (connectionManager, client, queueManager, adminController)
+   * @param {string} name - Service name (connectionManager, client, syncCursor, queueManager, commandQueue, adminController)
    * @returns {Object} Service instance
    * @throws {Error} If session not initialized
    */
@@ -101,10 +109,19 @@ export class NetworkedSession extends EventTarget {
     if (this.services.queueManager) {
       if (this._txFailedHandler) {
         this.services.queueManager.removeEventListener('transaction:failed', this._txFailedHandler);
+        this.services.queueManager.removeEventListener('transaction:accepted', this._txAcceptedHandler);
       }
       this.services.queueManager.destroy();
     }
 
+    if (this.services.commandQueue) {
+      if (this._commandQueueHandler) {
+        COMMAND_QUEUE_EVENTS.forEach(type => this.services.commandQueue.removeEventListener(type, this._commandQueueHandler));
+      }
+      this.services.client?.commandBus?.deferTo(null);
+      this.services.commandQueue.destroy();
+    }
+
     if (this.services.connectionManager) {
       // Remove event listeners first
       if (this._connectedHandler) {
@@ -125,6 +142,9 @@ export class NetworkedSession extends EventTarget {
       if (this._messageHandler) {
         this.services.client.removeEventListener('message:received', this._messageHandler);
       }
+      if (this._commandHandler) {
+        COMMAND_EVENTS.forEach(type => this.services.client.commandBus?.removeEventListener(type, this._commandHandler));
+      }
       this.services.client.destroy();
     }
 
@@ -146,12 +166,15 @@ export class NetworkedSession extends EventTarget {
       deviceId: this.config.deviceId,
     });
 
-    // 2. ConnectionManager (depends on client)
+    // 2. ConnectionManager (depends on client). Reconnects offer the
+    //    SyncCursor's resume point, so the backend can answer with sync:delta
+    this.services.syncCursor = new SyncCursor();
     this.services.connectionManager = new ConnectionManager({
       url: this.config.url,
       deviceId: this.config.deviceId,
       token: this.config.token,
       client: this.services.client,
+      syncCursor: this.services.syncCursor,
     });
 
     // 3. NetworkedQueueManager (depends on client)
@@ -161,7 +184,12 @@ export class NetworkedSession extends EventTarget {
       debug: console
     });
 
-    // 4. AdminController (depends on client, dataManager, teamRegistry, and store)
+    // 4. CommandQueue - deferrable admin commands sent while disconnected
+    //    (persisted; the client's CommandBus fills it, the GM reviews it)
+    this.services.commandQueue = new CommandQueue({ debug: console });
+    this.services.client.commandBus?.deferTo(this.services.commandQueue);
+
+    // 5. AdminController (depends on client, dataManager, teamRegistry, and store)
     this.services.adminController = new AdminController(this.services.client, this.dataManager, this.teamRegistry, this._store);
   }
 
@@ -178,6 +206,14 @@ export class NetworkedSession extends EventTarget {
       if (this.services.adminController) {
         this.services.adminController.initialize();
       }
+      // Admin commands queued while offline are never sent on their own:
+      // ask the GM to review them (expired ones are dropped first)
+      const queuedCommands = this.services.commandQueue?.getEntries() || [];
+      if (queuedCommands.length > 0) {
+        this.dispatchEvent(new CustomEvent('commands:review', {
+          detail: { entries: queuedCommands }
+        }));
+      }
     };
 
     this._disconnectedHandler = () => {
@@ -185,6 +221,8 @@ export class NetworkedSession extends EventTarget {
       if (this.services.adminController) {
         this.services.adminController.pause();
       }
+      // The offline gap starts now (too long and the reconnect uses sync:full)
+      this.services.syncCursor?.markDisconnected();
     };
 
     this._authRequiredHandler = () => {
@@ -199,6 +237,20 @@ export class NetworkedSession extends EventTarget {
       this.dispatchEvent(new CustomEvent('transaction:failed', { detail: e.detail }));
     };
 
+    // Same route for an accepted scan: the app records it for undo
+    this._txAcceptedHandler = (e) => {
+      this.dispatchEvent(new CustomEvent('transaction:accepted', { detail: e.detail }));
+    };
+
+    // Admin command lifecycle from the client's CommandBus, for the app's
+    // pending-command indicator (same single-event-source rule as above)
+    this._commandHandler = (e) => {
+      this.dispatchEvent(new CustomEvent(e.type, { detail: e.detail }));
+    };
+    this._commandQueueHandler = (e) => {
+      this.dispatchEvent(new CustomEvent(e.type, { detail: e.detail }));
+    };
+
     // Global WebSocket → DataManager/StateStore event handler.
     // Routes messages to per-domain routers (Phase-2 structural split).
     // Evaluation order: Game Ops first (most frequent), then Shared Infra
@@ -224,8 +276,9 @@ export class NetworkedSession extends EventTarget {
         gameAdminRouter(type, payload, dm, boundaryFn) ||
         showControlRouter(type, payload)
       ) {
-        // Message was handled by one (or more) domain routers.
-        return;
+        // Message was handled by one (or more) domain routers: advance the
+        // delta sync cursor (sync:delta advances it itself, when applied)
+        services?.syncCursor?.observe(type, payload);
       }
     };
 
@@ -235,6 +288,9 @@ export class NetworkedSession extends EventTarget {
     this.services.connectionManager.addEventListener('auth:required', this._authRequiredHandler);
     this.services.client.addEventListener('message:received', this._messageHandler);
     this.services.queueManager.addEventListener('transaction:failed', this._txFailedHandler);
+    this.services.queueManager.addEventListener('transaction:accepted', this._txAcceptedHandler);
+    COMMAND_EVENTS.forEach(type => this.services.client.commandBus?.addEventListener(type, this._commandHandler));
+    COMMAND_QUEUE_EVENTS.forEach(type => this.services.commandQueue.addEventListener(type, this._commandQueueHandler));
   }
 
   /**
@@ -256,6 +312,10 @@ export class NetworkedSession extends EventTarget {
       // orchestrator restart restores the SAME id (no boundary), so same-session
       // offline scans are preserved and still flush. Review fix (cross-session).
       this.services?.queueManager?.clearQueue();
+      this.services?.queueManager?.clearOutcomes();
+      // Same for deferred admin commands: they name transactions and teams
+      // of the dead session
+      this.services?.commandQueue?.clear();
     }
   }
 
@@ -6,6 +6,7 @@
  * - Create/destroy Socket.io connection
  * - Send messages with AsyncAPI envelope wrapper
  * - Forward all received messages as events
+ * - Own the CommandBus that sends gm:command and matches acks
  * - Clean connection lifecycle (connect, disconnect)
  *
  * Does NOT handle:
@@ -17,15 +18,20 @@
  * - Admin module initialization (AdminController)
  */
 
+import { CommandBus } from './commandBus.js';
+
 /**
  * Server→client event names this client forwards as `message:received`.
  * Exported so contract tests can cross-check against the AsyncAPI subscribe set.
  */
 export const MESSAGE_TYPES = [
   'sync:full',
+  'sync:delta',
   'transaction:result',
   'transaction:new',
   'transaction:deleted',
+  'transaction:reassigned',
+  'transaction:annotated',
   'score:adjusted',
   'scores:reset',
   'session:update',
@@ -60,13 +66,14 @@ export class OrchestratorClient extends EventTarget {
     this.socket = null;
     this.isConnected = false;
     this.connectionTimeout = null; // Track timeout for cleanup
-    this._actionChains = {}; // WS-6: per-action in-flight chain (serialize same-action commands)
+    this.commandBus = new CommandBus(this); // gm:command sending and ack correlation
   }
 
   /**
    * Connect to orchestrator WebSocket
    * @param {string} token - JWT authentication token
-   * @param {Object} auth - Authentication payload { deviceId, deviceType }
+   * @param {Object} auth - Authentication payload { deviceId, deviceType, sync? }
+   *   (sync: SyncCursor resume point - asks for sync:delta instead of sync:full)
    * @returns {Promise<void>}
    * @emits socket:connected - Connection established
    * @emits socket:error - Connection failed
@@ -91,7 +98,8 @@ export class OrchestratorClient extends EventTarget {
         token: token,
         deviceId: auth.deviceId,
         deviceType: auth.deviceType,
-        version: this.config.version
+        version: this.config.version,
+        ...(auth.sync ? { sync: auth.sync } : {})
       }
     });
 
@@ -160,87 +168,28 @@ export class OrchestratorClient extends EventTarget {
 
   /**
    * Send gm:command and wait for acknowledgment
-   * Follows AsyncAPI contract for admin commands
+   * Follows AsyncAPI contract for admin commands. Sent through the client's
+   * CommandBus (network/commandBus), which correlates acks by requestId and
+   * applies the command's default timeout.
    *
    * @param {string} action - Command action (e.g., 'session:addTeam')
    * @param {Object} payload - Command payload
-   * @param {number} timeout - Timeout in ms (default 5000)
-   * @returns {Promise<{success: boolean, message: string}>}
+   * @param {number} [timeout] - Timeout in ms (defaults to the command definition, usually 5000)
+   * @returns {Promise<{success: boolean, message: string}>} A failed ack resolves with success false
    * @throws {Error} If socket not connected or command times out
    */
-  async sendCommand(action, payload = {}, timeout = 5000) {
+  async sendCommand(action, payload = {}, timeout) {
     if (!this.socket?.connected) {
       throw new Error('Socket not connected');
     }
 
-    // WS-6 (interim): acks correlate only by action name, so two in-flight
-    // commands with the SAME action (e.g. rapid session:addTeam during churn)
-    // would cross-resolve on the first ack. Serialize same-action sends — a
-    // second one waits for the prior to settle before registering its handler.
-    // (Full per-command requestId correlation is a coordinated contract change,
-    // deferred.)
-    const prior = this._actionChains[action];
-    // The FIRST command for an action sends immediately (handler registered
-    // synchronously — no added latency). A same-action command that arrives
-    // while one is in flight waits for the prior to settle before sending, so
-    // by-action ack correlation can't cross-resolve.
-    const run = prior
-      ? prior.catch(() => {}).then(() => this._sendCommandOnce(action, payload, timeout))
-      : this._sendCommandOnce(action, payload, timeout);
-    // Keep the chain alive regardless of outcome; clear it when this is the tail.
-    const chainRef = run.catch(() => {}).finally(() => {
-      if (this._actionChains[action] === chainRef) this._actionChains[action] = null;
-    });
-    this._actionChains[action] = chainRef;
-    return run;
-  }
-
-  _sendCommandOnce(action, payload, timeout) {
-    return new Promise((resolve, reject) => {
-      // A chained same-action command reaches here a microtask after the prior
-      // one settled. The socket may have been torn down in the meantime (the
-      // reconnect-churn scenario this serialization targets), so re-check the
-      // guard sendCommand() applies to the first command — otherwise registering
-      // the handler below throws a raw TypeError on a null socket.
-      if (!this.socket?.connected) {
-        reject(new Error('Socket not connected'));
-        return;
-      }
-
-      const timeoutId = setTimeout(() => {
-        cleanup();
-        reject(new Error(`Command ${action} timed out`));
-      }, timeout);
-
-      const handler = (envelope) => {
-        if (envelope == null || envelope.data === undefined) {
-          console.warn('OrchestratorClient: non-conforming gm:command:ack envelope');
-        }
-        const data = envelope?.data ?? envelope;
-        if (data.action === action) {
-          cleanup();
-          resolve({
-            success: data.success,
-            message: data.message || ''
-          });
-        }
-      };
-
-      const cleanup = () => {
-        clearTimeout(timeoutId);
-        // Optional-chain: the timeout can fire after _cleanup() nulled the socket.
-        this.socket?.off('gm:command:ack', handler);
-      };
-
-      this.socket.on('gm:command:ack', handler);
-
-      // Send with proper gm:command envelope (NOT raw action name)
-      this.socket.emit('gm:command', {
-        event: 'gm:command',
-        data: { action, payload },
-        timestamp: new Date().toISOString()
-      });
-    });
+    try {
+      const ack = await this.commandBus.send(action, payload, { timeout });
+      return { success: true, message: ack.message || '' };
+    } catch (error) {
+      if (error.code !== 'COMMAND_FAILED') throw error;
+      return { success: false, message: error.response.message || '' };
+    }
   }
 
   /**
@@ -368,10 +317,11 @@ export class OrchestratorClient extends EventTarget {
       this.socket = null;
     }
     this.isConnected = false;
-    // Drop in-flight same-action chains: they targeted the socket we just tore
-    // down, so a post-reconnect command must send immediately rather than queue
-    // behind a pre-reconnect command destined to time out (WS-6 reconnect churn).
-    this._actionChains = {};
+    // Cancel in-flight commands: their acks would arrive on the socket we just
+    // tore down, so a post-reconnect command must send immediately rather than
+    // queue behind a pre-reconnect command destined to time out (WS-6 reconnect
+    // churn). The next socket may also reach a different backend.
+    this.commandBus.reset('Connection closed');
   }
 }
 
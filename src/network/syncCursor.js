@@ -0,0 +1,144 @@
+/**
+ * SyncCursor - last-seen state versions, for delta sync on reconnect
+ * ES6 Module - Browser Only
+ *
+ * A backend that versions its state stamps sync:full with `versions`
+ * ({ domain: number }) and each incremental message with the `version` of
+ * the domain it changes. The cursor keeps the highest version seen per
+ * domain, together with the session they belong to. On reconnect,
+ * ConnectionManager sends getResumePoint() in the socket handshake
+ * (auth.sync), and the backend answers with a sync:delta holding only the
+ * messages missed since then, instead of a full snapshot.
+ *
+ * Falls back to sync:full:
+ * - when nothing is known yet (first connect, page reload, older backend
+ *   that sends no versions) - no resume point is offered
+ * - when the station was offline longer than maxGap - no resume point is offered
+ * - when the backend decides the gap is too large - it answers with sync:full
+ * - when a sync:delta does not continue from the cursor (other session, or
+ *   its change log no longer reaches back to our versions) - checkDelta()
+ *   names the reason and the caller requests sync:full
+ *
+ * Memory only: after a reload the cached game state is gone too.
+ *
+ * @module network/syncCursor
+ */
+
+import { CONFIG } from '../utils/config.js';
+
+/** Incremental message types and the domain whose version they carry */
+export const SYNC_DOMAIN_BY_TYPE = {
+  'transaction:new': 'transactions',
+  'transaction:deleted': 'transactions',
+  'transaction:reassigned': 'transactions',
+  'transaction:annotated': 'transactions',
+  'score:adjusted': 'scores',
+  'scores:reset': 'scores',
+  'player:scan': 'playerScans',
+  'session:update': 'session',
+};
+
+export class SyncCursor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxGap] - ms offline after which reconnects use sync:full
+   * @param {function(): number} [options.now] - Clock (tests)
+   */
+  constructor({ maxGap = CONFIG.SYNC_DELTA_MAX_GAP, now = () => Date.now() } = {}) {
+    this.maxGap = maxGap;
+    this._now = now;
+    this.sessionId = null;
+    this.versions = {};
+    this.disconnectedAt = null;
+  }
+
+  /**
+   * Record the versions carried by a message (after it was applied).
+   * sync:full resets the cursor; sync:delta is recorded by acceptDelta().
+   * @param {string} type
+   * @param {Object} payload
+   */
+  observe(type, payload) {
+    if (!payload || typeof payload !== 'object') return;
+
+    if (type === 'sync:full') {
+      this.sessionId = payload.session?.id ?? null;
+      this.versions = this._validVersions(payload.versions);
+      this.disconnectedAt = null;
+      return;
+    }
+
+    if (type === 'session:update' && payload.id && payload.id !== this.sessionId) {
+      // Versions of another session say nothing about this one
+      this.sessionId = payload.id;
+      this.versions = {};
+    }
+
+    const domain = type === 'service:state' ? payload.domain : SYNC_DOMAIN_BY_TYPE[type];
+    if (domain && Number.isFinite(payload.version)) {
+      this.versions[domain] = Math.max(this.versions[domain] ?? payload.version, payload.version);
+    }
+  }
+
+  /**
+   * Why a sync:delta cannot be applied on top of the cached state
+   * @param {Object} delta - sync:delta payload { session, since, versions, events }
+   * @returns {'no-cursor'|'session-changed'|'gap-too-large'|null} null when it can be applied
+   */
+  checkDelta(delta) {
+    if (!this.sessionId || Object.keys(this.versions).length === 0) return 'no-cursor';
+    if (delta?.session?.id !== this.sessionId) return 'session-changed';
+
+    // Each domain must continue from a version we have: a later `since` means
+    // the changes in between are missing from the delta
+    const since = delta.since || {};
+    const missing = Object.keys(since).some(domain => !(since[domain] <= (this.versions[domain] ?? 0)));
+    return missing || !Array.isArray(delta.events) ? 'gap-too-large' : null;
+  }
+
+  /**
+   * Record an applied sync:delta
+   * @param {Object} delta - sync:delta payload
+   */
+  acceptDelta(delta) {
+    Object.entries(this._validVersions(delta?.versions)).forEach(([domain, version]) => {
+      this.versions[domain] = Math.max(this.versions[domain] ?? version, version);
+    });
+    this.disconnectedAt = null;
+  }
+
+  /**
+   * Remember when the connection dropped (the offline gap starts here)
+   */
+  markDisconnected() {
+    if (this.disconnectedAt === null) this.disconnectedAt = this._now();
+  }
+
+  /**
+   * What to send in the reconnect handshake
+   * @returns {{sessionId: string, versions: Object<string, number>}|null} null to ask for sync:full
+   */
+  getResumePoint() {
+    if (!this.sessionId || Object.keys(this.versions).length === 0) return null;
+    if (this.disconnectedAt !== null && this._now() - this.disconnectedAt > this.maxGap) return null;
+    return { sessionId: this.sessionId, versions: { ...this.versions } };
+  }
+
+  /**
+   * Forget everything (the next connect uses sync:full)
+   */
+  reset() {
+    this.sessionId = null;
+    this.versions = {};
+    this.disconnectedAt = null;
+  }
+
+  /** @private */
+  _validVersions(versions) {
+    return Object.fromEntries(
+      Object.entries(versions || {}).filter(([, version]) => Number.isFinite(version))
+    );
+  }
+}
+
+export default SyncCursor;
@@ -434,6 +434,13 @@ export class ConnectionWizard {
     // Close the connection modal
     document.getElementById('connectionModal').style.display = 'none';
 
+    // Cancelled while moving a standalone session to the orchestrator:
+    // stay in standalone mode with the session as it was
+    if (this.app.pendingPromotion) {
+      this.app.pendingPromotion.cancel();
+      return;
+    }
+
     // Clear the session mode manager's lock so user can choose again
     const sessionModeManager = this.app.sessionModeManager;
     if (sessionModeManager) {
@@ -463,7 +470,9 @@ export class ConnectionWizard {
 
 /**
  * Queue Status Indicator Manager
- * Manages the offline queue UI indicator with event-driven updates
+ * Manages the offline queue UI indicator with event-driven updates. The
+ * indicator also shows how many scans left the queue without being accepted
+ * and opens the queue inspector when tapped.
  */
 export class QueueStatusManager {
   constructor(app) {
@@ -499,21 +508,25 @@ export class QueueStatusManager {
     // Re-attach: a recreated session brings a new queueManager instance
     if (this._wiredQueueManager) {
       this._wiredQueueManager.removeEventListener('queue:changed', this._onQueueChanged);
+      this._wiredQueueManager.removeEventListener('queue:outcome', this._onQueueChanged);
     }
 
     queueManager.addEventListener('queue:changed', this._onQueueChanged);
+    queueManager.addEventListener('queue:outcome', this._onQueueChanged);
     this._wiredQueueManager = queueManager;
     this.updateQueueIndicator();
   }
 
-  /** @private queue:changed handler (stable reference for add/removeEventListener) */
+  /** @private queue:changed/queue:outcome handler (stable reference for add/removeEventListener) */
   _onQueueChanged(event) {
     console.log('Queue changed:', event.detail);
     this.updateQueueIndicator();
+    this.app.refreshQueueInspector?.();
   }
 
   /**
-   * Update the queue status indicator with current queue count
+   * Update the queue status indicator with current queue count and the
+   * number of scans needing review (rejected, duplicate or dropped)
    * P2.2.3: Event-driven updates (no polling)
    */
   updateQueueIndicator() {
@@ -526,9 +539,15 @@ export class QueueStatusManager {
     const queueManager = this.app.networkedSession?.services?.queueManager;
     const queueStatus = queueManager?.getStatus();
     const queueCount = queueStatus ? queueStatus.queuedCount : 0;
+    const unresolvedCount = queueManager?.getUnresolvedCount?.() || 0;
 
     countSpan.textContent = queueCount;
-    indicator.classList.toggle('visible', queueCount > 0);
+    const attention = document.getElementById('queueAttention');
+    if (attention) {
+      attention.textContent = unresolvedCount > 0 ? `${unresolvedCount} to review` : '';
+    }
+    indicator.classList.toggle('queue-indicator--attention', unresolvedCount > 0);
+    indicator.classList.toggle('visible', queueCount > 0 || unresolvedCount > 0);
   }
 }
 
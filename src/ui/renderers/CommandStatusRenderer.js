@@ -0,0 +1,50 @@
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+/**
+ * CommandStatusRenderer - Pending admin commands (admin panel, networked)
+ *
+ * Shows a spinner line per command the CommandBus is still waiting on
+ * (network/commandBus getPending()), oldest first, with a Cancel button.
+ * Commands held back behind a same-action command are marked as waiting.
+ * Hidden when nothing is pending.
+ */
+export class CommandStatusRenderer {
+  constructor(elements = {}) {
+    this.container = elements.container || document.getElementById('command-status');
+  }
+
+  /**
+   * Render the pending command list
+   * @param {Object} state
+   * @param {Array} [state.pending] - From CommandBus.getPending()
+   */
+  render({ pending = [] } = {}) {
+    if (!this.container) return;
+
+    this.container.classList.toggle('command-status--active', pending.length > 0);
+    if (pending.length === 0) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const rows = pending.map(command => {
+      const safeId = escapeHtml(command.requestId);
+      const detail = command.state === 'waiting'
+        ? 'waiting for the previous one'
+        : command.attempt > 1 ? `sent ${command.attempt} times` : 'sent';
+      return `
+        <li class="command-status__item" data-request-id="${safeId}">
+          <span class="spinner-sm"></span>
+          <code>${escapeHtml(command.action)}</code>
+          <span class="command-status__detail">${detail}</span>
+          <button class="btn btn-secondary btn-sm" data-action="app.cancelCommand" data-arg="${safeId}">Cancel</button>
+        </li>
+      `;
+    }).join('');
+
+    this.container.innerHTML = `
+      <div class="command-status__title">${pending.length} command${pending.length !== 1 ? 's' : ''} pending</div>
+      <ul class="command-status__list">${rows}</ul>
+    `;
+  }
+}
@@ -1,8 +1,10 @@
 /**
  * GameOpsRenderer - Game Operations Domain Renderer
  *
- * Owns: scoreboard, team details (with group progress), token cards,
- * game activity (discovery/claim timeline), group completion notification.
+ * Owns: scoreboard (with the detective reputation track), team details
+ * (with group progress), token cards,
+ * game activity (discovery/claim timeline, with the search/filter bar from
+ * core/historyQuery), group completion notification.
  *
  * These methods were extracted from UIManager as part of the Phase-2
  * four-domain structural split (decision C1). UIManager delegates to this
@@ -13,6 +15,14 @@
 
 import { escapeHtml } from '../../utils/escapeHtml.js';
 import { formatCurrency } from '../../utils/formatCurrency.js';
+import { TokenCardRenderer } from './TokenCardRenderer.js';
+import {
+  DEFAULT_HISTORY_QUERY,
+  HISTORY_SORTS,
+  queryGameActivity,
+  getHistoryFilterOptions,
+  gameActivityToCsv
+} from '../../core/historyQuery.js';
 
 export class GameOpsRenderer {
   /**
@@ -25,6 +35,8 @@ export class GameOpsRenderer {
     this.dataManager = dataManager;
     this.sessionModeManager = sessionModeManager;
     this.app = app;
+    // Game activity per container: { tokens, query } (the filters survive re-renders)
+    this._activityViews = new WeakMap();
   }
 
   /**
@@ -50,9 +62,15 @@ export class GameOpsRenderer {
       return;
     }
 
+    const scoringProfile = dataSource.getScoringProfile?.();
     const scoreSource = teamScores[0]?.isFromBackend
       ? '<div class="score-source" style="text-align: center; margin: 10px 0; padding: 10px; background: rgba(103,126,234,0.1); border-radius: 8px; font-size: 14px;">🔗 Live from Orchestrator</div>'
-      : '<div class="score-source" style="text-align: center; margin: 10px 0; padding: 10px; background: rgba(255,152,0,0.1); border-radius: 8px; font-size: 14px;">📱 Local Calculation</div>';
+      : `<div class="score-source" style="text-align: center; margin: 10px 0; padding: 10px; background: rgba(255,152,0,0.1); border-radius: 8px; font-size: 14px;">📱 Local Calculation${scoringProfile ? ` · Scoring: ${escapeHtml(scoringProfile.name)}` : ''}</div>`;
+
+    const detective = dataSource.getDetectiveStandings?.();
+    const reputationByTeam = new Map(
+      detective?.enabled ? detective.teams.map(t => [String(t.teamId), t.reputation]) : []
+    );
 
     targetContainer.innerHTML = scoreSource + teamScores.map((team, index) => {
       const rank = index + 1;
@@ -68,11 +86,46 @@ export class GameOpsRenderer {
           <div class="scoreboard-team">
             Team ${safeTeamId}
             <span class="scoreboard-tokens">(${team.tokenCount} tokens)</span>
+            ${detective?.enabled ? `<span class="scoreboard-tokens scoreboard-reputation">🕵️ ${reputationByTeam.get(String(team.teamId)) || 0} rep</span>` : ''}
           </div>
           <div class="scoreboard-score">${formatCurrency(team.score)}</div>
         </div>
       `;
-    }).join('');
+    }).join('') + (detective?.enabled ? this._renderDetectiveStandings(detective) : '');
+  }
+
+  /**
+   * Render the detective reputation track below the Black Market standings.
+   * @param {Object} detective - From dataManager.getDetectiveStandings()
+   * @returns {string} HTML
+   * @private
+   */
+  _renderDetectiveStandings(detective) {
+    if (detective.teams.length === 0) {
+      return `
+        <div class="detective-standings" style="margin-top: 15px; font-size: 13px; color: #666;">
+          🕵️ No evidence exposed yet (${detective.pointsPerExposure} rep per exposure, +${detective.firstExposerBonus} for a first exposure)
+        </div>`;
+    }
+
+    const teamRows = detective.teams.map(team => `
+      <div style="display: flex; justify-content: space-between; gap: 8px; padding: 4px 0;">
+        <span>Team ${escapeHtml(team.teamId)}</span>
+        <span>${team.reputation} rep · ${team.exposures} exposed · ${team.firstExposures} first</span>
+      </div>`).join('');
+
+    const characterRows = detective.characters.map(character => `
+      <div style="display: flex; justify-content: space-between; gap: 8px; padding: 4px 0; font-size: 12px; color: #666;">
+        <span>${escapeHtml(character.owner)}</span>
+        <span>${character.exposures}× · first by Team ${escapeHtml(character.firstExposedBy)}</span>
+      </div>`).join('');
+
+    return `
+      <details class="detective-standings" open style="margin-top: 15px; padding: 10px; background: rgba(103,126,234,0.08); border-radius: 8px; font-size: 13px;">
+        <summary style="cursor: pointer; font-weight: bold;">🕵️ Detective Reputation</summary>
+        ${teamRows}
+        ${characterRows ? `<div style="margin-top: 8px; font-weight: bold;">Characters exposed</div>${characterRows}` : ''}
+      </details>`;
   }
 
   /**
@@ -210,6 +263,8 @@ export class GameOpsRenderer {
     const container = document.getElementById('teamDetailsContainer');
     if (container) container.innerHTML = html;
 
+    this._renderGroupProgress(teamId);
+
     const backendScore = isNetworked && this.dataManager?.backendScores?.get(teamId);
 
     let displayBaseScore = scoreData.baseScore;
@@ -265,6 +320,8 @@ export class GameOpsRenderer {
       adjustmentsSection.style.display = 'none';
     }
 
+    this._renderScoreAudit(teamId);
+
     const interventionControls = document.getElementById('teamInterventionControls');
     if (interventionControls) {
       const hasActiveSession = this.sessionModeManager?.isNetworked() || this.sessionModeManager?.isStandalone();
@@ -276,12 +333,157 @@ export class GameOpsRenderer {
     }
   }
 
+  /**
+   * Render the team's progress toward every bonus group: tokens collected
+   * vs total, the bonus completing it would pay, and what is still missing.
+   * @param {string} teamId - Team ID
+   * @private
+   */
+  _renderGroupProgress(teamId) {
+    const section = document.getElementById('teamGroupProgressSection');
+    if (!section) return;
+
+    const progress = this.dataManager?.getTeamGroupProgress?.(teamId) || [];
+    if (progress.length === 0) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const completeCount = progress.filter(g => g.complete).length;
+    const rows = progress.map(group => {
+      const outstanding = group.complete
+        ? '<span style="color: #28a745;">Complete</span>'
+        : `Missing: ${group.outstandingTokenIds.map(id => escapeHtml(id)).join(', ')}`;
+      return `
+        <div class="group-progress" data-group="${escapeHtml(group.normalizedName)}" style="margin: 6px 0; padding: 8px; background: #f8f9fa; border-radius: 4px; font-size: 13px;">
+          <div style="display: flex; justify-content: space-between; gap: 8px;">
+            <span><strong>${escapeHtml(group.displayName)}</strong> (${group.multiplier}x)</span>
+            <span>${group.collected}/${group.total}</span>
+          </div>
+          <div class="progress-bar">
+            <div class="progress-fill" style="width: ${group.percentage}%"></div>
+          </div>
+          <div style="display: flex; justify-content: space-between; gap: 8px; font-size: 12px; color: #666;">
+            <span>${outstanding}</span>
+            <span>${group.complete ? 'Earned' : 'Potential'} +${formatCurrency(group.potentialBonus)}</span>
+          </div>
+        </div>`;
+    }).join('');
+
+    section.innerHTML = `
+      <details class="group-progress-panel" style="margin-bottom: 15px;">
+        <summary style="cursor: pointer; font-weight: bold;">📊 Group Progress — ${completeCount}/${progress.length} complete</summary>
+        ${rows}
+      </details>
+    `;
+    section.style.display = 'block';
+  }
+
+  /**
+   * Render a what-if score preview: projected score, delta, group
+   * completion and rank change. Nothing is recorded.
+   * @param {HTMLElement} container - Target container
+   * @param {Object} sim - From dataManager.simulateScoreChange()
+   */
+  renderScoreSimulation(container, sim) {
+    if (!container) return;
+    if (!sim) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const money = (v) => v < 0 ? `-${formatCurrency(-v)}` : formatCurrency(v);
+    const signed = (v) => `${v >= 0 ? '+' : '-'}${formatCurrency(Math.abs(v))}`;
+    const lines = [];
+
+    if (sim.tokenId && !sim.known) {
+      lines.push(`<div style="color: #dc3545;">Unknown token ${escapeHtml(sim.tokenId)} — worth $0</div>`);
+    } else if (sim.tokenId) {
+      lines.push(`<div>Sell ${escapeHtml(sim.tokenId)}: ${signed(sim.tokenValue)}</div>`);
+      if (sim.alreadyScanned) {
+        lines.push('<div style="color: #856404;">⚠️ Already scanned this session</div>');
+      }
+    }
+    if (sim.completesGroup) {
+      lines.push(`<div style="color: #28a745;">🏆 Completes "${escapeHtml(sim.completesGroup.displayName)}" (${sim.completesGroup.multiplier}x): ${signed(sim.completesGroup.bonus)}</div>`);
+    }
+    if (sim.adjustment) {
+      lines.push(`<div>Adjustment: ${signed(sim.adjustment)}</div>`);
+    }
+
+    const rankChange = sim.projectedRank === sim.currentRank
+      ? `rank #${sim.currentRank} of ${sim.teamCount} (unchanged)`
+      : `rank #${sim.currentRank} → #${sim.projectedRank} of ${sim.teamCount}`;
+
+    container.innerHTML = `
+      <div class="score-simulation" style="margin-top: 10px; padding: 10px; background: #eef2ff; border-left: 4px solid #667eea; border-radius: 4px; font-size: 13px;">
+        <div style="font-weight: bold; margin-bottom: 4px;">🔮 What if — Team ${escapeHtml(sim.teamId)}</div>
+        ${lines.join('')}
+        <div class="score-simulation__total" style="margin-top: 6px; font-weight: bold;">
+          ${money(sim.currentScore)} → ${money(sim.projectedScore)} (${signed(sim.delta)}), ${rankChange}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the replayed score audit trail for a team (standalone only).
+   * Lets a GM settle a dispute by showing where every dollar came from and
+   * whether the stored total agrees with a replay of the transaction log.
+   * @param {string} teamId - Team ID
+   * @private
+   */
+  _renderScoreAudit(teamId) {
+    const section = document.getElementById('teamScoreAuditSection');
+    if (!section) return;
+
+    const audit = this.dataManager?.auditTeamScores?.();
+    const teamAudit = audit?.teams.find(t => t.teamId === teamId);
+    if (!teamAudit) {
+      section.style.display = 'none';
+      return;
+    }
+
+    const { replayed, discrepancies } = teamAudit;
+    const money = (v) => v < 0 ? `-${formatCurrency(-v)}` : formatCurrency(v);
+    const status = discrepancies.length === 0
+      ? '<span style="color: #28a745;">✓ matches transaction log</span>'
+      : `<span style="color: #dc3545;">⚠️ ${discrepancies.length} discrepanc${discrepancies.length === 1 ? 'y' : 'ies'}</span>`;
+
+    const diffRows = discrepancies.map(d => {
+      const fmt = (v) => Array.isArray(v) ? escapeHtml(v.join(', ') || '—') : (d.field === 'tokensScanned' ? v : money(v));
+      return `<div style="margin: 4px 0; color: #dc3545;">${escapeHtml(d.field)}: stored ${fmt(d.stored)}, replay ${fmt(d.replayed)}</div>`;
+    }).join('');
+
+    const entryRows = replayed.entries.map(entry => {
+      const time = entry.timestamp ? new Date(entry.timestamp).toLocaleTimeString() : '—';
+      const color = entry.amount > 0 ? '#28a745' : entry.amount < 0 ? '#dc3545' : '#999';
+      const sign = entry.amount > 0 ? '+' : entry.amount < 0 ? '-' : '';
+      return `
+        <div class="audit-entry" data-type="${escapeHtml(entry.type)}" style="display: flex; gap: 8px; margin: 4px 0; padding: 6px; background: #f8f9fa; border-radius: 3px; font-size: 12px;">
+          <span style="color: #999; min-width: 70px;">${time}</span>
+          <span style="flex: 1;">${escapeHtml(entry.detail)}</span>
+          <span style="color: ${color}; font-weight: bold;">${sign}${formatCurrency(Math.abs(entry.amount))}</span>
+          <span style="color: #666; min-width: 80px; text-align: right;">${money(entry.balance)}</span>
+        </div>`;
+    }).join('');
+
+    section.innerHTML = `
+      <details class="score-audit" style="margin-top: 10px;">
+        <summary style="cursor: pointer; font-weight: bold;">🧾 Score Audit — ${status}</summary>
+        ${diffRows}
+        ${entryRows || '<div style="font-size: 12px; color: #999;">No scoring events</div>'}
+      </details>
+    `;
+    section.style.display = 'block';
+  }
+
   /**
    * Render individual token card.
    * @param {Object} token - Token data (transaction object)
    * @param {boolean} hasBonus - Whether token has group bonus
    * @param {boolean} isUnknown - Whether token is unknown
-   * @param {boolean} showDelete - Show delete button
+   * @param {boolean} showDelete - Show the GM controls (note, dispute, move to team, delete)
    * @returns {string} HTML string
    */
   renderTokenCard(token, hasBonus = false, isUnknown = false, showDelete = false) {
@@ -320,6 +522,11 @@ export class GameOpsRenderer {
     }
 
     const deleteButton = showDelete && token.id ? `
+      ${this._renderAnnotationButtons(token.id, token.disputed)}
+      <button class="btn" data-action="app.reassignTeamTransaction" data-arg="${escapeHtml(token.id)}"
+              style="background: #6c757d; color: white; padding: 4px 8px; font-size: 12px; margin-left: 8px; cursor: pointer;">
+        ↔️ Move
+      </button>
       <button class="btn" data-action="app.deleteTeamTransaction" data-arg="${escapeHtml(token.id)}"
               style="background: #dc3545; color: white; padding: 4px 8px; font-size: 12px; margin-left: 8px; cursor: pointer;">
         🗑️ Delete
@@ -330,7 +537,7 @@ export class GameOpsRenderer {
     const displayValue = hasBonus ? tokenValue * groupInfo.multiplier : tokenValue;
 
     return `
-      <div class="token-detail-card ${cardClass}">
+      <div class="token-detail-card ${cardClass}${token.disputed ? ' disputed' : ''}">
         <div class="token-detail-header">
           <span>${escapeHtml(token.group)}</span>
           <span class="token-detail-value" style="display: flex; align-items: center;">
@@ -362,6 +569,7 @@ export class GameOpsRenderer {
           <div class="token-calculation">
             ${calculationText}
           </div>
+          ${this._renderAnnotation(token)}
         </div>
       </div>
     `;
@@ -392,6 +600,10 @@ export class GameOpsRenderer {
     }
 
     const { tokens, stats } = dataSource.getGameActivity();
+    const query = showFilters
+      ? (this._activityViews.get(container)?.query || { ...DEFAULT_HISTORY_QUERY })
+      : { ...DEFAULT_HISTORY_QUERY };
+    this._activityViews.set(container, { tokens, query });
 
     let html = '';
 
@@ -411,39 +623,110 @@ export class GameOpsRenderer {
     }
 
     if (showFilters) {
-      html += `
-        <div class="activity-filters">
-          <input type="text" id="activitySearch" placeholder="Search tokens..." class="search-input">
-          <select id="activityFilter" class="filter-select">
-            <option value="all">All Tokens</option>
-            <option value="available">Available Only</option>
-            <option value="claimed">Claimed Only</option>
-          </select>
-        </div>
-      `;
+      html += this._renderActivityFilters(tokens, query, container.id);
     }
 
-    html += '<div class="activity-grid">';
+    html += '<div class="activity-grid"></div>';
+    container.innerHTML = html;
+
+    this._renderActivityGrid(container);
+    this._attachActivityFilterHandlers(container);
+  }
+
+  /**
+   * Render the game activity filter bar (see core/historyQuery.js).
+   * @param {Array} tokens - Game activity tokens (for the dropdown options)
+   * @param {Object} query - Current query
+   * @param {string} containerId - Passed to the export action
+   * @returns {string} HTML string
+   */
+  _renderActivityFilters(tokens, query, containerId) {
+    const { teams, memoryTypes, devices } = getHistoryFilterOptions(tokens);
+    const option = (value, label, selected) =>
+      `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    const select = (field, anyLabel, values, labels = {}) => `
+      <select class="filter-select" data-history-filter="${field}">
+        ${option('', anyLabel, query[field])}
+        ${values.map(v => option(v, labels[v] || v, query[field])).join('')}
+      </select>
+    `;
+
+    return `
+      <div class="activity-filters">
+        <input type="text" id="activitySearch" data-history-filter="text" class="search-input"
+               placeholder="Search token, group, owner, summary..." value="${escapeHtml(query.text)}">
+        <select id="activityFilter" class="filter-select" data-history-filter="status">
+          ${option('all', 'All Tokens', query.status)}
+          ${option('available', 'Available Only', query.status)}
+          ${option('claimed', 'Claimed Only', query.status)}
+          ${option('disputed', 'Disputed', query.status)}
+          ${option('undiscovered', 'GM-only (not discovered)', query.status)}
+        </select>
+        ${select('teamId', 'All Teams', teams)}
+        ${select('mode', 'All Modes', ['blackmarket', 'detective'], { blackmarket: 'Black Market', detective: 'Detective' })}
+        ${select('memoryType', 'All Types', memoryTypes)}
+        ${select('deviceId', 'All Devices', devices)}
+        <label class="activity-filters__time">From
+          <input type="datetime-local" data-history-filter="from" value="${escapeHtml(query.from)}">
+        </label>
+        <label class="activity-filters__time">To
+          <input type="datetime-local" data-history-filter="to" value="${escapeHtml(query.to)}">
+        </label>
+        <select class="filter-select" data-history-filter="sort">
+          ${Object.entries(HISTORY_SORTS).map(([key, { label }]) => option(key, `Sort: ${label}`, query.sort)).join('')}
+        </select>
+        <button class="btn btn-sm" data-history-clear>Clear</button>
+        <button class="btn btn-sm" data-action="app.exportHistory" data-arg="${escapeHtml(containerId)}">Export CSV</button>
+        <span class="activity-filters__count"></span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the cards matching the container's query into its activity grid.
+   * @param {HTMLElement} container - Container element
+   */
+  _renderActivityGrid(container) {
+    const grid = container.querySelector('.activity-grid');
+    const view = this._activityViews.get(container);
+    if (!grid || !view) return;
+
+    const { tokens, query } = view;
+    const results = queryGameActivity(tokens, query, { lookupToken: id => this._lookupToken(id) });
 
     if (tokens.length === 0) {
-      html += '<div class="empty-state">No token activity yet</div>';
+      grid.innerHTML = '<div class="empty-state">No token activity yet</div>';
+    } else if (results.length === 0) {
+      grid.innerHTML = '<div class="empty-state">No tokens match the filters</div>';
     } else {
-      const getLatestTimestamp = (token) => {
-        if (!token.events || !token.events.length) return 0;
-        return new Date(token.events[token.events.length - 1].timestamp);
-      };
-
-      tokens
-        .sort((a, b) => getLatestTimestamp(b) - getLatestTimestamp(a))
-        .forEach(token => {
-          html += this._renderActivityTokenCard(token);
-        });
+      grid.innerHTML = results.map(token => this._renderActivityTokenCard(token)).join('');
     }
 
-    html += '</div>';
-    container.innerHTML = html;
+    const count = container.querySelector('.activity-filters__count');
+    if (count) count.textContent = `${results.length} of ${tokens.length} tokens`;
+  }
 
-    this._attachActivityFilterHandlers(container);
+  /**
+   * Token database entry for owner/summary search. Reads the database
+   * directly: findToken() would fuzzy-match and log every unknown token.
+   * @param {string} tokenId
+   * @returns {Object|null}
+   */
+  _lookupToken(tokenId) {
+    return this.dataManager?.tokenManager?.database?.[tokenId] || null;
+  }
+
+  /**
+   * The container's filtered game activity as CSV (what the GM is looking at).
+   * @param {HTMLElement|null} container - Container rendered by renderGameActivity
+   * @returns {string} CSV (all activity when the container was never rendered)
+   */
+  exportGameActivityCsv(container) {
+    const view = container ? this._activityViews.get(container) : null;
+    const tokens = view?.tokens || this.dataManager?.getGameActivity?.().tokens || [];
+    const lookupToken = id => this._lookupToken(id);
+    const results = queryGameActivity(tokens, view?.query || DEFAULT_HISTORY_QUERY, { lookupToken });
+    return gameActivityToCsv(results, { lookupToken });
   }
 
   /**
@@ -459,6 +742,8 @@ export class GameOpsRenderer {
     const scanEvents = events.filter(e => e.type === 'scan');
     const hasMultipleScans = scanEvents.length > 0;
     const claimEvent = events.find(e => e.type === 'claim');
+    const intel = new TokenCardRenderer({ dataManager: this.dataManager })
+      .render(tokenId, tokenData, { teamId: claimEvent?.teamId });
 
     let statusContent;
     if (status === 'claimed' && claimEvent?.mode === 'blackmarket') {
@@ -484,10 +769,10 @@ export class GameOpsRenderer {
           ${statusContent}
         </div>
 
-        ${tokenData?.summary ? `
+        ${intel ? `
           <div class="token-card__summary">
             <button class="summary-toggle" onclick="this.parentElement.classList.toggle('expanded')">Intel</button>
-            <div class="summary-content">${escapeHtml(tokenData.summary)}</div>
+            <div class="summary-content">${intel}</div>
           </div>
         ` : ''}
 
@@ -571,6 +856,12 @@ export class GameOpsRenderer {
                 <span class="summary-text">${escapeHtml(event.summary)}</span>
               </div>
             ` : ''}
+            ${this._renderAnnotation(event)}
+            ${event.transactionId ? `
+              <div class="transaction-annotation__actions">
+                ${this._renderAnnotationButtons(event.transactionId, event.disputed)}
+              </div>
+            ` : ''}
           </div>
         `;
 
@@ -579,43 +870,72 @@ export class GameOpsRenderer {
     }
   }
 
+  /**
+   * Render a transaction's dispute flag and GM note (see core/transactionAnnotations.js).
+   * @param {Object} annotated - Transaction or claim event ({ note, disputed })
+   * @returns {string} HTML string (empty when there is nothing to show)
+   */
+  _renderAnnotation({ note, disputed }) {
+    if (!note && !disputed) return '';
+    return `
+      <div class="transaction-annotation${disputed ? ' transaction-annotation--disputed' : ''}">
+        ${disputed ? '<span class="transaction-annotation__flag">⚑ Disputed</span>' : ''}
+        ${note ? `<span class="transaction-annotation__note">${escapeHtml(note)}</span>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the note / dispute buttons for a transaction.
+   * @param {string} transactionId
+   * @param {boolean} disputed - Current dispute flag (button resolves when set)
+   * @returns {string} HTML string
+   */
+  _renderAnnotationButtons(transactionId, disputed) {
+    const safeId = escapeHtml(transactionId);
+    return `
+      <button class="btn btn-annotation" data-action="app.editTransactionNote" data-arg="${safeId}">📝 Note</button>
+      <button class="btn btn-annotation" data-action="app.toggleTransactionDispute" data-arg="${safeId}">
+        ${disputed ? '✓ Resolve' : '⚑ Dispute'}
+      </button>
+    `;
+  }
+
   /**
    * Attach filter handlers for game activity.
    * @param {HTMLElement} container - Container element
    */
   _attachActivityFilterHandlers(container) {
-    const searchInput = container.querySelector('#activitySearch');
-    const filterSelect = container.querySelector('#activityFilter');
+    container.querySelectorAll('[data-history-filter]').forEach(control => {
+      const event = control.tagName === 'SELECT' ? 'change' : 'input';
+      control.addEventListener(event, () => this._filterGameActivity(container));
+    });
 
-    if (searchInput) {
-      searchInput.addEventListener('input', () => this._filterGameActivity(container));
-    }
-    if (filterSelect) {
-      filterSelect.addEventListener('change', () => this._filterGameActivity(container));
+    const clearButton = container.querySelector('[data-history-clear]');
+    if (clearButton) {
+      clearButton.addEventListener('click', () => {
+        container.querySelectorAll('[data-history-filter]').forEach(control => {
+          control.value = DEFAULT_HISTORY_QUERY[control.dataset.historyFilter];
+        });
+        this._filterGameActivity(container);
+      });
     }
   }
 
   /**
-   * Filter game activity based on search and filter controls.
+   * Read the filter controls into the container's query and re-render its grid.
    * @param {HTMLElement} container - Container element
    */
   _filterGameActivity(container) {
-    const searchInput = container.querySelector('#activitySearch');
-    const filterSelect = container.querySelector('#activityFilter');
-    const cards = container.querySelectorAll('.token-card');
-
-    const searchTerm = searchInput?.value?.toLowerCase() || '';
-    const filterValue = filterSelect?.value || 'all';
-
-    cards.forEach(card => {
-      const tokenId = card.dataset.tokenId?.toLowerCase() || '';
-      const status = card.classList.contains('claimed') ? 'claimed' : 'available';
-
-      const matchesSearch = !searchTerm || tokenId.includes(searchTerm);
-      const matchesFilter = filterValue === 'all' || status === filterValue;
+    const view = this._activityViews.get(container);
+    if (!view) return;
 
-      card.style.display = matchesSearch && matchesFilter ? 'block' : 'none';
+    const query = { ...DEFAULT_HISTORY_QUERY };
+    container.querySelectorAll('[data-history-filter]').forEach(control => {
+      query[control.dataset.historyFilter] = control.value;
     });
+    view.query = query;
+    this._renderActivityGrid(container);
   }
 
   /**
@@ -8,10 +8,14 @@ import { escapeCssAttrValue } from '../../utils/escapeCssAttrValue.js';
  * First render builds full DOM. Subsequent renders do targeted updates
  * when staying in the same layout mode (collapsed/expanded).
  * Layout mode changes trigger a full rebuild.
+ *
+ * renderStorage() shows this device's own storage health (core/storageHealth)
+ * in a separate container, since it matters in standalone mode too.
  */
 export class HealthRenderer {
   constructor(elements = {}) {
     this.container = elements.container || document.getElementById('health-dashboard');
+    this.storageContainer = elements.storageContainer || document.getElementById('storage-health');
     this.SERVICE_NAMES = {
       vlc: 'VLC Player',
       music: 'Music (MPD)',
@@ -161,4 +165,60 @@ export class HealthRenderer {
     }
   }
 
+  /**
+   * Render device storage health (full rebuild; changes are rare)
+   * @param {Object} status - From storageHealth.getStatus()
+   */
+  renderStorage(status) {
+    if (!this.storageContainer || !status) return;
+
+    const percent = Math.min(100, Math.round(status.ratio * 100));
+    const isOk = status.status === 'healthy';
+    const summary = {
+      healthy: 'Storage OK',
+      warning: 'Storage filling up',
+      critical: 'Storage almost full',
+      failing: 'Data is not being saved'
+    }[status.status] || status.status;
+
+    const failures = status.failures.map(f => `
+      <li class="storage-health__failure">
+        <strong>${escapeHtml(f.label)}</strong>: ${escapeHtml(f.quotaExceeded ? 'storage full' : f.message)}
+        <span class="storage-health__time">${escapeHtml(this._formatTime(f.timestamp))}</span>
+      </li>
+    `).join('');
+
+    const largest = status.largestKeys.map(k => `
+      <li><code>${escapeHtml(k.key)}</code> ${escapeHtml(this._formatBytes(k.bytes))}</li>
+    `).join('');
+
+    this.storageContainer.innerHTML = `
+      <div class="storage-health storage-health--${escapeHtml(status.status)}">
+        <div class="health-dashboard__summary">
+          <span class="health-indicator health-indicator--${isOk ? 'ok' : 'degraded'}"></span>
+          <span>${escapeHtml(summary)}: ${escapeHtml(this._formatBytes(status.usedBytes))} of ~${escapeHtml(this._formatBytes(status.quotaBytes))} (${percent}%)</span>
+        </div>
+        <div class="progress-bar"><div class="progress-fill${isOk ? ' success' : ''}" style="width: ${percent}%"></div></div>
+        ${failures ? `<ul class="storage-health__failures">${failures}</ul>` : ''}
+        ${largest ? `
+          <details class="storage-health__keys">
+            <summary>Largest items</summary>
+            <ul>${largest}</ul>
+          </details>
+        ` : ''}
+        <button class="btn btn-sm" data-action="app.freeStorageSpace">Free Space</button>
+      </div>
+    `;
+  }
+
+  _formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+  }
+
+  _formatTime(iso) {
+    const date = new Date(iso);
+    return isNaN(date) ? '' : date.toLocaleTimeString();
+  }
 }
@@ -0,0 +1,103 @@
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  'in-flight': 'Sending',
+  rejected: 'Rejected',
+  duplicate: 'Duplicate',
+  error: 'Error',
+  dropped: 'Dropped',
+  discarded: 'Discarded'
+};
+
+const RESOLUTION_LABELS = {
+  retried: 'Sent again',
+  discarded: 'Discarded'
+};
+
+/**
+ * QueueInspectorRenderer - Offline scan queue inspector (networked)
+ *
+ * Renders NetworkedQueueManager.getInspection(): the scans still queued
+ * (pending, or in flight with the error that kept them queued) and the
+ * history of scans that left the queue without being accepted, newest first.
+ * Queued and unresolved entries offer Retry, Team... and Discard; entries in
+ * flight offer nothing until their result is in. Token and team IDs are
+ * scanner input, so everything is escaped.
+ */
+export class QueueInspectorRenderer {
+  constructor(elements = {}) {
+    this.container = elements.container || document.getElementById('queueInspectorContainer');
+  }
+
+  /**
+   * Render the inspector
+   * @param {Object} inspection - From NetworkedQueueManager.getInspection()
+   * @param {Array} [inspection.pending]
+   * @param {Array} [inspection.history]
+   * @param {boolean} [inspection.connected]
+   */
+  render({ pending = [], history = [], connected = false } = {}) {
+    if (!this.container) return;
+
+    const pendingRows = pending.map(entry => this._row(entry, {
+      status: entry.state,
+      detail: entry.lastError,
+      actions: entry.state === 'in-flight' ? '' : this._actions(entry.clientTxId, { canRetry: connected })
+    }));
+    const historyRows = history.map(entry => this._row(entry, {
+      status: entry.status,
+      detail: [entry.message, entry.lastError].filter(Boolean).join(' - '),
+      time: entry.at,
+      actions: entry.resolution
+        ? `<span class="queue-inspector__resolution">${escapeHtml(RESOLUTION_LABELS[entry.resolution] || entry.resolution)}</span>`
+        : this._actions(entry.clientTxId, { canRetry: true })
+    }));
+
+    this.container.innerHTML = `
+      <section class="queue-inspector__section">
+        <h3>Waiting (${pending.length})</h3>
+        ${connected ? '' : '<p class="queue-inspector__note">Not connected - queued scans are sent when the orchestrator is back</p>'}
+        ${pendingRows.length > 0
+          ? `<ul class="queue-inspector__list">${pendingRows.join('')}</ul>`
+          : '<p class="queue-inspector__empty">No scans waiting</p>'}
+      </section>
+      <section class="queue-inspector__section">
+        <h3>Not Accepted (${history.length})</h3>
+        ${historyRows.length > 0
+          ? `<ul class="queue-inspector__list">${historyRows.join('')}</ul>`
+          : '<p class="queue-inspector__empty">Every uploaded scan was accepted</p>'}
+      </section>
+    `;
+  }
+
+  _row(entry, { status, detail, time, actions }) {
+    return `
+      <li class="queue-inspector__item queue-inspector__item--${escapeHtml(status)}" data-client-tx-id="${escapeHtml(entry.clientTxId)}">
+        <div class="queue-inspector__main">
+          <span class="queue-inspector__status">${escapeHtml(STATUS_LABELS[status] || status)}</span>
+          <strong>${escapeHtml(entry.tokenId)}</strong>
+          <span>Team ${escapeHtml(entry.teamId)}</span>
+          ${time ? `<span class="queue-inspector__time">${escapeHtml(this._formatTime(time))}</span>` : ''}
+        </div>
+        <code class="queue-inspector__id">${escapeHtml(entry.clientTxId)}</code>
+        ${detail ? `<div class="queue-inspector__detail">${escapeHtml(detail)}</div>` : ''}
+        <div class="queue-inspector__actions">${actions}</div>
+      </li>
+    `;
+  }
+
+  _actions(clientTxId, { canRetry }) {
+    const safeId = escapeHtml(clientTxId);
+    return `
+      <button class="btn btn-primary btn-sm" data-action="app.retryQueuedScan" data-arg="${safeId}"${canRetry ? '' : ' disabled'}>Retry</button>
+      <button class="btn btn-secondary btn-sm" data-action="app.editQueuedScanTeam" data-arg="${safeId}">Team...</button>
+      <button class="btn btn-secondary btn-sm" data-action="app.discardQueuedScan" data-arg="${safeId}">Discard</button>
+    `;
+  }
+
+  _formatTime(iso) {
+    const date = new Date(iso);
+    return isNaN(date) ? '' : date.toLocaleTimeString();
+  }
+}
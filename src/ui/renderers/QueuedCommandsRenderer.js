@@ -0,0 +1,70 @@
+import { escapeHtml } from '../../utils/escapeHtml.js';
+import { formatDuration } from '../../utils/formatDuration.js';
+
+/**
+ * QueuedCommandsRenderer - Admin commands queued while offline (admin panel, networked)
+ *
+ * Lists the entries of network/commandQueue, oldest first, with their
+ * payload, age and time left before they expire. Each one can be sent or
+ * discarded, and so can all of them; sending is disabled until the
+ * connection is back. Payloads hold GM input (reasons, notes), so they are
+ * escaped. Hidden when nothing is queued.
+ */
+export class QueuedCommandsRenderer {
+  constructor(elements = {}) {
+    this.container = elements.container || document.getElementById('queued-commands');
+  }
+
+  /**
+   * Render the queued command list
+   * @param {Object} state
+   * @param {Array} [state.entries] - From CommandQueue.getEntries()
+   * @param {boolean} [state.connected] - Whether the orchestrator is reachable
+   * @param {number} [state.now] - Current time in ms (ages and expiry)
+   */
+  render({ entries = [], connected = false, now = Date.now() } = {}) {
+    if (!this.container) return;
+
+    this.container.classList.toggle('queued-commands--active', entries.length > 0);
+    if (entries.length === 0) {
+      this.container.innerHTML = '';
+      return;
+    }
+
+    const disabled = connected ? '' : ' disabled';
+    const rows = entries.map(entry => {
+      const safeId = escapeHtml(entry.id);
+      const timing = `queued ${formatDuration(now - entry.queuedAt, { fallback: '0s' })} ago, ` +
+        `expires in ${formatDuration(entry.expiresAt - now, { fallback: '0s' })}`;
+      return `
+        <li class="queued-commands__item" data-entry-id="${safeId}">
+          <div class="queued-commands__command">
+            <code>${escapeHtml(entry.action)}</code>
+            <span class="queued-commands__payload">${escapeHtml(this._describePayload(entry.payload))}</span>
+            <span class="queued-commands__timing">${timing}</span>
+          </div>
+          <button class="btn btn-primary btn-sm" data-action="app.sendQueuedCommand" data-arg="${safeId}"${disabled}>Send</button>
+          <button class="btn btn-secondary btn-sm" data-action="app.discardQueuedCommand" data-arg="${safeId}">Discard</button>
+        </li>
+      `;
+    }).join('');
+
+    this.container.innerHTML = `
+      <div class="queued-commands__header">
+        <div class="queued-commands__title">${entries.length} command${entries.length !== 1 ? 's' : ''} queued while offline</div>
+        <button class="btn btn-primary btn-sm" data-action="app.sendAllQueuedCommands"${disabled}>Send All</button>
+        <button class="btn btn-secondary btn-sm" data-action="app.discardAllQueuedCommands">Discard All</button>
+      </div>
+      ${connected ? '' : '<div class="queued-commands__note">Waiting for the orchestrator connection</div>'}
+      <ul class="queued-commands__list">${rows}</ul>
+    `;
+  }
+
+  /** "teamId: 001, delta: 500" - fields left out of the command are skipped */
+  _describePayload(payload = {}) {
+    return Object.entries(payload || {})
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(', ');
+  }
+}
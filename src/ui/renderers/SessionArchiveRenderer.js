@@ -0,0 +1,70 @@
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+/**
+ * SessionArchiveRenderer - Archived standalone sessions (admin panel)
+ *
+ * Lists the sessions IndexedDBStorage archived when a new session was
+ * created, with open (read-only), export and purge actions. While an
+ * archived session is open a banner offers the way back to the live one.
+ * Session names are GM input, so every value is escaped.
+ */
+export class SessionArchiveRenderer {
+  constructor(elements = {}) {
+    this.container = elements.container || document.getElementById('session-archive');
+  }
+
+  /**
+   * Render the archive
+   * @param {Object} state
+   * @param {boolean} state.supported - Whether the active storage keeps an archive
+   * @param {Array} [state.sessions] - From listArchivedSessions()
+   * @param {Object|null} [state.openSession] - Archived session being viewed, if any
+   */
+  render({ supported, sessions = [], openSession = null }) {
+    if (!this.container) return;
+
+    if (!supported) {
+      this.container.innerHTML = '<div class="session-archive session-archive--empty">Session archive needs IndexedDB (not available in this browser)</div>';
+      return;
+    }
+
+    const banner = openSession ? `
+      <div class="session-archive__banner">
+        <span>📂 Viewing <strong>${escapeHtml(openSession.name || 'Unnamed Session')}</strong> (read-only)</span>
+        <button class="btn btn-primary" data-action="app.closeArchivedSession">Back to Live Session</button>
+      </div>` : '';
+
+    const rows = sessions.map(session => `
+      <li class="session-archive__item${openSession?.sessionId === session.sessionId ? ' session-archive__item--open' : ''}">
+        <div class="session-archive__info">
+          <strong>${escapeHtml(session.name)}</strong>
+          <span class="session-archive__meta">
+            ${escapeHtml(this._formatDate(session.startTime))} ·
+            ${session.teamCount} team${session.teamCount !== 1 ? 's' : ''} ·
+            ${session.transactionCount} transaction${session.transactionCount !== 1 ? 's' : ''}
+          </span>
+        </div>
+        <span class="session-archive__actions">
+          <button class="btn btn-secondary" data-action="app.openArchivedSession" data-arg="${escapeHtml(session.sessionId)}">View</button>
+          <button class="btn btn-secondary" data-action="app.exportArchivedSession" data-arg="${escapeHtml(session.sessionId)}">Export</button>
+          <button class="btn btn-danger" data-action="app.purgeArchivedSession" data-arg="${escapeHtml(session.sessionId)}">Purge</button>
+        </span>
+      </li>
+    `).join('');
+
+    this.container.innerHTML = `
+      <div class="session-archive">
+        ${banner}
+        ${sessions.length > 0
+          ? `<ul class="session-archive__list">${rows}</ul>`
+          : '<div class="session-archive--empty">No archived sessions yet</div>'}
+      </div>
+    `;
+  }
+
+  _formatDate(iso) {
+    if (!iso) return 'Unknown date';
+    const date = new Date(iso);
+    return isNaN(date) ? 'Unknown date' : date.toLocaleString();
+  }
+}
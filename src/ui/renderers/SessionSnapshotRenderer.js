@@ -0,0 +1,93 @@
+import { escapeHtml } from '../../utils/escapeHtml.js';
+import { formatCurrency } from '../../utils/formatCurrency.js';
+
+/**
+ * SessionSnapshotRenderer - Standalone session snapshots (admin panel)
+ *
+ * Lists the snapshots UnifiedDataManager took (core/sessionSnapshots),
+ * newest first, with preview (the scoreboard as it was), roll back and
+ * delete actions. Snapshots of an earlier session are marked, since rolling
+ * back to one replaces the current session.
+ * Session names and team IDs are GM input, so every value is escaped.
+ */
+export class SessionSnapshotRenderer {
+  constructor(elements = {}) {
+    this.container = elements.container || document.getElementById('session-snapshots');
+  }
+
+  /**
+   * Render the snapshot list
+   * @param {Object} state
+   * @param {boolean} state.supported - Whether the active mode can roll back (standalone)
+   * @param {Array} [state.snapshots] - From listSnapshots()
+   * @param {string|null} [state.previewId] - Snapshot whose scoreboard is expanded
+   * @param {string|null} [state.currentSessionId] - Live session, to mark earlier sessions
+   */
+  render({ supported, snapshots = [], previewId = null, currentSessionId = null }) {
+    if (!this.container) return;
+
+    if (!supported) {
+      this.container.innerHTML = '<div class="session-snapshots--empty">Snapshots are only available in standalone mode</div>';
+      return;
+    }
+
+    if (snapshots.length === 0) {
+      this.container.innerHTML = '<div class="session-snapshots--empty">No snapshots yet</div>';
+      return;
+    }
+
+    const rows = snapshots.map(snapshot => {
+      const safeId = escapeHtml(snapshot.id);
+      const earlier = currentSessionId && snapshot.sessionId !== currentSessionId;
+      const previewing = snapshot.id === previewId;
+      return `
+        <li class="session-snapshots__item${previewing ? ' session-snapshots__item--preview' : ''}" data-snapshot-id="${safeId}">
+          <div class="session-snapshots__row">
+            <div class="session-snapshots__info">
+              <strong>${escapeHtml(snapshot.label)}</strong>
+              <span class="session-snapshots__meta">
+                ${escapeHtml(this._formatTime(snapshot.takenAt))} ·
+                ${escapeHtml(snapshot.sessionName)}${earlier ? ' (earlier session)' : ''} ·
+                ${snapshot.transactionCount} transaction${snapshot.transactionCount !== 1 ? 's' : ''}
+              </span>
+            </div>
+            <span class="session-snapshots__actions">
+              <button class="btn btn-secondary" data-action="app.previewSessionSnapshot" data-arg="${safeId}">${previewing ? 'Hide' : 'Preview'}</button>
+              <button class="btn btn-primary" data-action="app.rollbackToSnapshot" data-arg="${safeId}">Roll Back</button>
+              <button class="btn btn-danger" data-action="app.deleteSessionSnapshot" data-arg="${safeId}">Delete</button>
+            </span>
+          </div>
+          ${previewing ? this._renderScores(snapshot.scores) : ''}
+        </li>
+      `;
+    }).join('');
+
+    this.container.innerHTML = `<ul class="session-snapshots__list">${rows}</ul>`;
+  }
+
+  _renderScores(scores) {
+    if (!scores || scores.length === 0) {
+      return '<div class="session-snapshots__preview session-snapshots--empty">No team scores in this snapshot</div>';
+    }
+    return `
+      <table class="session-snapshots__preview">
+        <thead><tr><th>#</th><th>Team</th><th>Score</th><th>Tokens</th></tr></thead>
+        <tbody>
+          ${scores.map((team, index) => `
+            <tr>
+              <td>${index + 1}</td>
+              <td>${escapeHtml(team.teamId)}</td>
+              <td>${formatCurrency(team.score)}</td>
+              <td>${team.tokenCount}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  _formatTime(iso) {
+    const date = new Date(iso);
+    return isNaN(date) ? 'Unknown time' : date.toLocaleString();
+  }
+}
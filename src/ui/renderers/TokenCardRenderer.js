@@ -0,0 +1,135 @@
+/**
+ * TokenCardRenderer - Token metadata card
+ *
+ * Renders what the token database knows about a token beyond its score:
+ * owner, summary, the team's progress on its group, related evidence
+ * already exposed and an optional image or asset reference. Shared by the
+ * result screen and the game activity (history) cards. Sections and their
+ * order come from CONFIG.TOKEN_CARD_SECTIONS.
+ *
+ * @module ui/renderers/TokenCardRenderer
+ */
+
+import { escapeHtml } from '../../utils/escapeHtml.js';
+import { CONFIG } from '../../utils/config.js';
+
+export class TokenCardRenderer {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.dataManager - UnifiedDataManager (token lookup, group progress, related tokens)
+   * @param {string[]} [deps.sections] - Section names to render, in order
+   * @param {string} [deps.assetBaseUrl] - Prefix for relative asset paths
+   */
+  constructor({ dataManager, sections = CONFIG.TOKEN_CARD_SECTIONS, assetBaseUrl = CONFIG.TOKEN_ASSET_BASE_URL } = {}) {
+    this.dataManager = dataManager;
+    this.sections = sections;
+    this.assetBaseUrl = assetBaseUrl || '';
+  }
+
+  /**
+   * Render the card as an HTML string
+   * @param {string} tokenId
+   * @param {Object|null} [token] - Token data; merged over the database entry
+   * @param {Object} [options]
+   * @param {string} [options.teamId] - Team whose group progress to show
+   * @returns {string} HTML, or '' when there is nothing to show
+   */
+  render(tokenId, token = null, { teamId } = {}) {
+    const data = { ...(this.dataManager?.tokenManager?.findToken?.(tokenId)?.token || {}), ...(token || {}) };
+
+    const builders = {
+      owner: () => this._renderOwner(data),
+      summary: () => this._renderSummary(data),
+      groupProgress: () => this._renderGroupProgress(data, teamId),
+      related: () => this._renderRelated(tokenId),
+      asset: () => this._renderAsset(data)
+    };
+
+    const body = this.sections
+      .map(section => builders[section]?.() || '')
+      .join('');
+
+    return body ? `<div class="token-meta" data-token-id="${escapeHtml(tokenId)}">${body}</div>` : '';
+  }
+
+  /**
+   * Render the card into a container, hiding the container when empty
+   * @param {HTMLElement|null} container
+   * @param {string} tokenId
+   * @param {Object|null} [token]
+   * @param {Object} [options] - See render()
+   */
+  renderInto(container, tokenId, token = null, options = {}) {
+    if (!container) return;
+    const html = this.render(tokenId, token, options);
+    container.innerHTML = html;
+    container.style.display = html ? 'block' : 'none';
+  }
+
+  _renderOwner(data) {
+    if (!data.owner) return '';
+    return `<div class="token-meta__owner"><span class="token-meta__label">Owner</span> ${escapeHtml(data.owner)}</div>`;
+  }
+
+  _renderSummary(data) {
+    if (!data.summary) return '';
+    return `<div class="token-meta__summary">${escapeHtml(data.summary)}</div>`;
+  }
+
+  _renderGroupProgress(data, teamId) {
+    const dm = this.dataManager;
+    if (!teamId || !data.SF_Group || !dm?.getTeamGroupProgress) return '';
+
+    const normalized = dm.normalizeGroupName(dm.parseGroupInfo(data.SF_Group).name);
+    const group = dm.getTeamGroupProgress(teamId).find(g => g.normalizedName === normalized);
+    if (!group) return '';
+
+    return `
+      <div class="token-meta__group">
+        <span class="token-meta__label">${escapeHtml(group.displayName)} (${group.multiplier}x)</span>
+        ${group.collected}/${group.total} for Team ${escapeHtml(teamId)}${group.complete ? ' ✅' : ''}
+        <div class="progress-bar"><div class="progress-fill" style="width: ${group.percentage}%"></div></div>
+      </div>`;
+  }
+
+  _renderRelated(tokenId) {
+    const related = this.dataManager?.getRelatedExposedTokens?.(tokenId) || [];
+    if (related.length === 0) return '';
+
+    return `
+      <div class="token-meta__related">
+        <span class="token-meta__label">Already exposed (${related.length})</span>
+        <ul>
+          ${related.map(r => `<li><strong>${escapeHtml(r.tokenId)}</strong> by Team ${escapeHtml(r.teamId)}${r.summary ? ` — ${escapeHtml(r.summary)}` : ''}</li>`).join('')}
+        </ul>
+      </div>`;
+  }
+
+  _renderAsset(data) {
+    const image = this._assetUrl(data.image);
+    if (image) {
+      return `<div class="token-meta__asset"><img src="${escapeHtml(image)}" alt="${escapeHtml(data.owner || 'Token image')}" loading="lazy"></div>`;
+    }
+
+    const media = this._assetUrl(data.video || data.audio);
+    if (media) {
+      return `<div class="token-meta__asset"><span class="token-meta__label">Asset</span> <a href="${escapeHtml(media)}" target="_blank" rel="noopener">${escapeHtml(data.video || data.audio)}</a></div>`;
+    }
+    return '';
+  }
+
+  /**
+   * Resolve an asset path from tokens.json. Only plain relative paths and
+   * http(s) URLs are accepted, so a token cannot inject a javascript: URL.
+   * @param {string} path
+   * @returns {string|null}
+   * @private
+   */
+  _assetUrl(path) {
+    if (typeof path !== 'string' || !path.trim()) return null;
+    const trimmed = path.trim();
+    if (/^https?:\/\//i.test(trimmed)) return trimmed;
+    if (!/^\/?\w[\w./-]*$/.test(trimmed)) return null;
+    return trimmed.startsWith('/') ? trimmed : `${this.assetBaseUrl}${trimmed}`;
+  }
+}
@@ -0,0 +1,61 @@
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+/**
+ * TokenReportRenderer - Token database lint report (debug view)
+ *
+ * Renders the TokenManager validation report above the debug log: a
+ * one-line summary, then errors and warnings grouped by issue code. Token
+ * IDs and messages come from tokens.json, so every value is escaped.
+ */
+export class TokenReportRenderer {
+  constructor(elements = {}) {
+    this.container = elements.container || document.getElementById('token-report');
+  }
+
+  /**
+   * Render a validation report
+   * @param {Object|null} report - TokenValidationReport, or null before the database loads
+   */
+  render(report) {
+    if (!this.container) return;
+
+    if (!report) {
+      this.container.innerHTML = '<div class="token-report token-report--empty">Token database not loaded</div>';
+      return;
+    }
+
+    const ok = report.errorCount === 0 && report.warningCount === 0;
+    const modifier = report.errorCount > 0 ? 'error' : (report.warningCount > 0 ? 'warning' : 'ok');
+
+    const byCode = new Map();
+    report.issues.forEach(issue => {
+      const key = `${issue.severity}:${issue.code}`;
+      if (!byCode.has(key)) byCode.set(key, { severity: issue.severity, code: issue.code, issues: [] });
+      byCode.get(key).issues.push(issue);
+    });
+
+    const sections = [...byCode.values()].map(group => `
+      <details class="token-report__group token-report__group--${group.severity}" ${group.severity === 'error' ? 'open' : ''}>
+        <summary>${group.severity === 'error' ? '❌' : '⚠️'} ${escapeHtml(group.code)} (${group.issues.length})</summary>
+        <ul>
+          ${group.issues.map(issue => `<li>${escapeHtml(issue.message)}</li>`).join('')}
+        </ul>
+      </details>
+    `).join('');
+
+    this.container.innerHTML = `
+      <div class="token-report token-report--${modifier}">
+        <div class="token-report__summary">
+          <span>${ok ? '✅' : '📋'} Token DB: ${report.tokenCount} tokens, ${report.groupCount} groups —
+            ${report.errorCount} error${report.errorCount !== 1 ? 's' : ''},
+            ${report.warningCount} warning${report.warningCount !== 1 ? 's' : ''}</span>
+          <span class="token-report__actions">
+            <button class="btn btn-secondary" data-action="app.reloadTokenDatabase">Reload Tokens</button>
+            <button class="btn btn-secondary" data-action="app.exportTokenReport">Export Report</button>
+          </span>
+        </div>
+        ${sections}
+      </div>
+    `;
+  }
+}
@@ -0,0 +1,65 @@
+import { escapeHtml } from '../../utils/escapeHtml.js';
+
+/**
+ * UndoHistoryRenderer - GM undo/redo history (admin panel)
+ *
+ * Shows the operations recorded by UnifiedDataManager's command history,
+ * newest first. Only the newest entry of each stack can be undone/redone,
+ * so those two get the buttons; undone entries are listed struck through.
+ * Labels contain token and team IDs (GM input), so they are escaped.
+ */
+export class UndoHistoryRenderer {
+  constructor(elements = {}) {
+    this.container = elements.container || document.getElementById('undo-history');
+  }
+
+  /**
+   * Render the history
+   * @param {Object} history - From UnifiedDataManager.getHistory()
+   * @param {Array} history.undo - Undoable entries, newest first
+   * @param {Array} history.redo - Undone entries, newest first
+   */
+  render({ undo = [], redo = [] }) {
+    if (!this.container) return;
+
+    if (undo.length === 0 && redo.length === 0) {
+      this.container.innerHTML = '<div class="undo-history undo-history--empty">No GM actions to undo in this session</div>';
+      return;
+    }
+
+    const redoRows = [...redo].reverse().map((entry, i) => this._row(entry, {
+      undone: true,
+      button: i === redo.length - 1
+        ? '<button class="btn btn-secondary" data-action="app.redoLastAction">Redo</button>'
+        : ''
+    }));
+    const undoRows = undo.map((entry, i) => this._row(entry, {
+      undone: false,
+      button: i === 0
+        ? '<button class="btn btn-primary" data-action="app.undoLastAction">Undo</button>'
+        : ''
+    }));
+
+    this.container.innerHTML = `
+      <ul class="undo-history">
+        ${redoRows.join('')}
+        ${undoRows.join('')}
+      </ul>
+    `;
+  }
+
+  _row(entry, { undone, button }) {
+    return `
+      <li class="undo-history__item${undone ? ' undo-history__item--undone' : ''}">
+        <span class="undo-history__label">${escapeHtml(entry.label)}</span>
+        <span class="undo-history__time">${escapeHtml(this._formatTime(entry.timestamp))}</span>
+        ${button}
+      </li>
+    `;
+  }
+
+  _formatTime(iso) {
+    const date = new Date(iso);
+    return isNaN(date) ? '' : date.toLocaleTimeString();
+  }
+}
@@ -17,6 +17,8 @@ import { formatDuration } from '../utils/formatDuration.js';
 import { showToast as sharedShowToast } from '../utils/showToast.js';
 import { GameOpsRenderer } from './renderers/GameOpsRenderer.js';
 import { GameAdminRenderer } from './renderers/GameAdminRenderer.js';
+import { TokenCardRenderer } from './renderers/TokenCardRenderer.js';
+import { CONFIG } from '../utils/config.js';
 
 /**
  * UIManager - Shared-infra shell + domain renderer coordination
@@ -82,7 +84,8 @@ class UIManager {
       result: document.getElementById('resultScreen'),
       history: document.getElementById('historyScreen'),
       scoreboard: document.getElementById('scoreboardScreen'),
-      teamDetails: document.getElementById('teamDetailsScreen')
+      teamDetails: document.getElementById('teamDetailsScreen'),
+      queueInspector: document.getElementById('queueInspectorScreen')
     };
 
     // Initialize error display container
@@ -131,14 +134,15 @@ class UIManager {
    * @param {string} message - Notification message
    * @param {string} type - Toast type: 'info', 'success', 'warning', 'error'
    * @param {number} duration - Duration in milliseconds (default 3000)
+   * @param {Object} [options] - { action: { label, onClick } } adds a button (e.g. Undo)
    */
-  showToast(message, type = 'info', duration = 3000) {
+  showToast(message, type = 'info', duration = 3000, options) {
     // Delegate to shared utility (F-GMS-14 consolidation).
     // Keeps the #error-container in sync with initErrorDisplay().
     if (!this.errorContainer) {
       this.initErrorDisplay();
     }
-    sharedShowToast(message, type, duration);
+    sharedShowToast(message, type, duration, options);
   }
 
   /**
@@ -151,11 +155,13 @@ class UIManager {
     if (current && current.id !== 'historyScreen' &&
       current.id !== 'scoreboardScreen' &&
       current.id !== 'teamDetailsScreen' &&
+      current.id !== 'queueInspectorScreen' &&
       current.id !== 'gameModeScreen' &&
       current.id !== 'loadingScreen' &&
       screenName !== 'history' &&
       screenName !== 'scoreboard' &&
-      screenName !== 'teamDetails') {
+      screenName !== 'teamDetails' &&
+      screenName !== 'queueInspector') {
       this.previousScreen = current.id.replace('Screen', '');
     }
 
@@ -194,7 +200,8 @@ class UIManager {
 
     const dismissHandler = (event) => {
       // Don't dismiss if clicking any button (let data-action handlers handle navigation)
-      if (event.target.closest('button')) {
+      // or using the what-if preview
+      if (event.target.closest('button, input, a, .score-what-if')) {
         return;
       }
       resultScreen.removeEventListener('click', dismissHandler);
@@ -392,8 +399,9 @@ class UIManager {
    * @param {Object} token - Token data
    * @param {string} tokenId - Token ID
    * @param {boolean} isUnknown - Whether token is unknown
+   * @param {Array<{tokenId: string, reason: string}>} [suggestions] - Near misses for an unknown token
    */
-  showTokenResult(token, tokenId, isUnknown) {
+  showTokenResult(token, tokenId, isUnknown, suggestions = []) {
     const dataSource = this.dataManager;
     if (!dataSource || !this.settings) return;
 
@@ -412,6 +420,10 @@ class UIManager {
       statusEl.innerHTML = `
         <h2>Unknown Token</h2>
         <p style="font-size: 14px;">Not in database</p>
+        ${suggestions.length > 0 ? `
+        <p class="token-suggestions" style="font-size: 12px;">Did you mean: ${suggestions.map(s =>
+          `<strong>${escapeHtml(s.tokenId)}</strong>${s.reason === 'reversed-uid' ? ' (reversed UID)' : ''}`
+        ).join(', ')}?</p>` : ''}
       `;
       rfidEl.textContent = tokenId;
       typeEl.textContent = 'UNKNOWN';
@@ -456,10 +468,43 @@ class UIManager {
       }
     }
 
+    // Metadata card (owner, group progress, related evidence, asset); the
+    // summary already has its own row above
+    const cardEl = document.getElementById('resultTokenCard');
+    if (cardEl) {
+      if (isUnknown) {
+        cardEl.innerHTML = '';
+        cardEl.style.display = 'none';
+      } else {
+        new TokenCardRenderer({
+          dataManager: dataSource,
+          sections: CONFIG.TOKEN_CARD_SECTIONS.filter(section => section !== 'summary')
+        }).renderInto(cardEl, tokenId, token, { teamId: this.app?.currentTeamId });
+      }
+    }
+
+    // What-if preview only makes sense for a known token in black market mode
+    const whatIf = document.getElementById('resultWhatIf');
+    if (whatIf) {
+      whatIf.style.display = (!isUnknown && this.settings.mode === 'blackmarket') ? 'block' : 'none';
+      const output = document.getElementById('resultWhatIfOutput');
+      if (output) output.innerHTML = '';
+    }
+
     this.showScreen('result');
     // Quick-dismiss is now handled by showScreen('result') -> _enableResultScreenQuickDismiss()
   }
 
+  /**
+   * Render a what-if score preview
+   * @param {HTMLElement} container - Target container
+   * @param {Object} simulation - From dataManager.simulateScoreChange()
+   */
+  renderScoreSimulation(container, simulation) {
+    this._syncRendererDeps();
+    this._gameOpsRenderer.renderScoreSimulation(container, simulation);
+  }
+
   /**
    * Format timestamp to time string (HH:MM)
    * @param {string} timestamp - ISO timestamp
@@ -480,6 +525,16 @@ class UIManager {
     this._syncRendererDeps();
     this._gameOpsRenderer.renderGameActivity(container, options);
   }
+
+  /**
+   * Game activity shown in a container (with its filters applied) as CSV
+   * @param {HTMLElement|null} container - Container rendered by renderGameActivity
+   * @returns {string} CSV
+   */
+  exportGameActivityCsv(container) {
+    this._syncRendererDeps();
+    return this._gameOpsRenderer.exportGameActivityCsv(container);
+  }
 }
 
 // Export class (not pre-created instance)
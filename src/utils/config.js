@@ -9,7 +9,20 @@ export const CONFIG = {
     ANIMATION_DURATION: 200,
     MODE_TOGGLE_SCALE: 1.1,
     SCAN_SIMULATION_DELAY: 1000,
-    NFC_PULSE_INTERVAL: 2000
+    NFC_PULSE_INTERVAL: 2000,
+    TOKEN_RELOAD_INTERVAL: 0, // ms between tokens.json polls while editing tokens (0 = off; Reload Tokens still works)
+    // Sections of the token metadata card, in display order
+    // ('owner', 'summary', 'groupProgress', 'related', 'asset')
+    TOKEN_CARD_SECTIONS: ['owner', 'summary', 'groupProgress', 'related', 'asset'],
+    TOKEN_ASSET_BASE_URL: '', // Prefix for relative token image/audio/video paths
+    // Standalone persistence: 'indexeddb' (session archive, falls back to
+    // localStorage when unavailable) or 'localstorage'
+    STANDALONE_STORAGE: 'indexeddb',
+    UNDO_TOAST_DURATION: 8000, // How long the Undo button stays on a GM action toast
+    SESSION_SNAPSHOT_INTERVAL: 300000, // Automatic standalone session snapshots (0 disables)
+    SESSION_SNAPSHOT_LIMIT: 12, // Snapshots kept in localStorage (oldest dropped first)
+    SESSION_SNAPSHOT_MAX_BYTES: 1048576, // Size cap of all snapshots in localStorage (oldest dropped first)
+    SYNC_DELTA_MAX_GAP: 600000 // Offline longer than this and a reconnect asks for sync:full, not a delta
 };
 
 // Export as default as well for convenience
@@ -21,6 +21,12 @@ export function bindDOMEvents(app, dataManager, settings, debug, uiManager, conn
   function safeAdminAction(actionPromise, actionName) {
     if (actionPromise && typeof actionPromise.catch === 'function') {
       actionPromise.catch(err => {
+        if (err.code === 'COMMAND_DEFERRED') {
+          // Queued for review on reconnect (network/commandQueue), not lost
+          debug.log(`Command deferred: ${actionName}`);
+          uiManager?.showToast?.(err.message, 'warning');
+          return;
+        }
         debug.log(`Command failed: ${actionName} — ${err.message}`, true);
         // AC-2: surface to the operator, not just the debug panel.
         // Guarded for test harnesses that may not inject a uiManager.
@@ -0,0 +1,22 @@
+/**
+ * downloadFile - Trigger a browser download of generated content
+ *
+ * @module utils/downloadFile
+ */
+
+/**
+ * @param {string} content - File body
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,21 @@
+/**
+ * normalizeTokenId - Canonical form for fuzzy token ID comparison
+ *
+ * NFC readers report the same UID in different shapes ("04:A1:B2",
+ * "04-a1-b2", "04a1b2"). Stripping separators and lowercasing gives the
+ * form TokenManager matches on and the token validator checks for
+ * collisions.
+ *
+ * @module utils/normalizeTokenId
+ */
+
+/**
+ * @param {string} id - Raw token ID
+ * @returns {string} ID without colons/hyphens, lowercased ('' for non-strings)
+ */
+export function normalizeTokenId(id) {
+  if (typeof id !== 'string') return '';
+  return id.replace(/[:-]/g, '').toLowerCase();
+}
+
+export default normalizeTokenId;
@@ -17,8 +17,11 @@
  * @param {string} message - Notification message
  * @param {string} [type='info'] - Toast type: 'info' | 'success' | 'warning' | 'error'
  * @param {number} [duration=3000] - Auto-dismiss duration in milliseconds
+ * @param {Object} [options]
+ * @param {{label: string, onClick: Function}} [options.action] - Button shown in
+ *   the toast (e.g. Undo); clicking it runs onClick and dismisses the toast
  */
-export function showToast(message, type = 'info', duration = 3000) {
+export function showToast(message, type = 'info', duration = 3000, { action } = {}) {
   let container = document.getElementById('error-container');
   if (!container) {
     container = document.createElement('div');
@@ -31,6 +34,17 @@ export function showToast(message, type = 'info', duration = 3000) {
   toast.className = `toast toast-${type}`;
   toast.textContent = message;
 
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      toast.remove();
+      action.onClick();
+    }, { once: true });
+    toast.appendChild(button);
+  }
+
   container.appendChild(toast);
 
   setTimeout(() => {
@@ -19,6 +19,7 @@ jest.mock('../../src/ui/uiManager.js', () => ({
     updateModeDisplay: jest.fn(),
     updateHistoryStats: jest.fn(),
     renderGameActivity: jest.fn(),
+    exportGameActivityCsv: jest.fn(() => 'Token ID\n'),
     renderScoreboard: jest.fn(),
     renderTeamDetails: jest.fn(),
     showToast: jest.fn(),
@@ -37,6 +38,7 @@ jest.mock('../../src/ui/settings.js', () => ({
 jest.mock('../../src/core/tokenManager.js', () => ({
   default: {
     findToken: jest.fn(),
+    suggestTokens: jest.fn(() => []),
     getGroupInventory: jest.fn(() => ({}))
   }
 }));
@@ -80,7 +82,12 @@ const createMockDataManager = () => ({
   resumeSession: jest.fn().mockResolvedValue({ success: true }),
   endSession: jest.fn().mockResolvedValue(),
   resetScores: jest.fn().mockResolvedValue({ success: true }),
-  getCurrentSession: jest.fn(() => ({ sessionId: 'test-123', status: 'active' }))
+  getCurrentSession: jest.fn(() => ({ sessionId: 'test-123', status: 'active' })),
+  // Undo/redo of GM operations
+  recordAction: jest.fn(),
+  getHistory: jest.fn(() => ({ undo: [], redo: [] })),
+  undo: jest.fn().mockResolvedValue({ success: false, error: 'Nothing to undo' }),
+  redo: jest.fn().mockResolvedValue({ success: false, error: 'Nothing to redo' })
 });
 
 jest.mock('../../src/utils/nfcHandler.js', () => ({
@@ -618,6 +625,22 @@ describe('App', () => {
       expect(app.dataManager.markTokenAsScanned).toHaveBeenCalledWith('unknown');
     });
 
+    it('should pass near-miss suggestions for an unknown token to the result screen', async () => {
+      const TokenManager = require('../../src/core/tokenManager.js').default;
+      const UIManager = require('../../src/ui/uiManager.js').default;
+      const suggestions = [{ tokenId: 'sof002', reason: 'one-edit' }];
+      TokenManager.findToken.mockReturnValue(null);
+      TokenManager.suggestTokens.mockReturnValueOnce(suggestions);
+      mockSessionModeManager.isStandalone.mockReturnValue(true);
+      app.currentTeamId = '123';
+      app.dataManager.isTokenScanned.mockReturnValue(false);
+
+      await app.processNFCRead({ id: 'sof009', source: 'nfc', raw: 'sof009' });
+
+      expect(TokenManager.suggestTokens).toHaveBeenCalledWith('sof009');
+      expect(UIManager.showTokenResult).toHaveBeenCalledWith(null, 'sof009', true, suggestions);
+    });
+
     it('should process known token', async () => {
       const TokenManager = require('../../src/core/tokenManager.js').default;
       const UIManager = require('../../src/ui/uiManager.js').default;
@@ -702,6 +725,8 @@ describe('App', () => {
       await app.recordTransaction(token, 'test123', false);
 
       expect(app.networkedSession.getService).toHaveBeenCalledWith('queueManager');
+      // Recorded for undo only once the orchestrator accepts it
+      expect(app.dataManager.recordAction).not.toHaveBeenCalled();
     });
 
     it('should calculate points for blackmarket mode', async () => {
@@ -762,6 +787,22 @@ describe('App', () => {
       expect(UIManager.showScreen).toHaveBeenCalledWith('scan');
     });
 
+    it('should download the filtered activity of the given container as CSV', () => {
+      const UIManager = require('../../src/ui/uiManager.js').default;
+      const container = document.createElement('div');
+      container.id = 'admin-game-activity';
+      document.body.appendChild(container);
+      URL.createObjectURL = jest.fn(() => 'blob:history');
+      URL.revokeObjectURL = jest.fn();
+
+      app.exportHistory('admin-game-activity');
+
+      expect(UIManager.exportGameActivityCsv).toHaveBeenCalledWith(container);
+      expect(URL.createObjectURL).toHaveBeenCalled();
+      expect(UIManager.showToast).toHaveBeenCalledWith('History exported', 'info');
+      container.remove();
+    });
+
     it('should default to teamEntry if no previous screen', () => {
       const UIManager = require('../../src/ui/uiManager.js').default;
       UIManager.previousScreen = null;
@@ -952,12 +993,40 @@ describe('App', () => {
         mockSessionModeManager.isStandalone.mockReturnValue(true);
         mockSessionModeManager.isNetworked.mockReturnValue(false);
 
-        // Mock prompt
+        // Mock prompt; decline custom scoring
         global.prompt = jest.fn(() => 'Test Session');
+        global.confirm = jest.fn(() => false);
+
+        await app.adminCreateSession();
+
+        expect(app.dataManager.createSession).toHaveBeenCalledWith('Test Session', [], { scoringProfile: null });
+      });
+
+      it('should pass a custom scoring profile in standalone mode', async () => {
+        mockSessionModeManager.isStandalone.mockReturnValue(true);
+        const profile = { name: 'House Rules', baseValues: { 3: 1000 } };
+        global.prompt = jest.fn()
+          .mockReturnValueOnce('Test Session')
+          .mockReturnValueOnce(JSON.stringify(profile));
+        global.confirm = jest.fn(() => true);
+
+        await app.adminCreateSession();
+
+        expect(app.dataManager.createSession).toHaveBeenCalledWith('Test Session', [], { scoringProfile: profile });
+        expect(JSON.parse(localStorage.getItem('scoringProfile:last'))).toEqual(profile);
+      });
+
+      it('should not create a session from an invalid scoring profile', async () => {
+        mockSessionModeManager.isStandalone.mockReturnValue(true);
+        global.prompt = jest.fn()
+          .mockReturnValueOnce('Test Session')
+          .mockReturnValueOnce('{"name": ""}');
+        global.confirm = jest.fn(() => true);
 
         await app.adminCreateSession();
 
-        expect(app.dataManager.createSession).toHaveBeenCalledWith('Test Session', []);
+        expect(app.dataManager.createSession).not.toHaveBeenCalled();
+        expect(app.uiManager.showError).toHaveBeenCalledWith(expect.stringContaining('Invalid scoring profile'));
       });
     });
 
@@ -1011,4 +1080,388 @@ describe('App', () => {
       });
     });
   });
+
+  describe('Transaction notes and disputes', () => {
+    it('should save a standalone note', async () => {
+      mockSessionModeManager.isStandalone.mockReturnValue(true);
+      mockDataManager.getTransactions.mockReturnValue([{ id: 'tx-1', tokenId: 'tok1', teamId: '001' }]);
+      mockDataManager.annotateTransaction = jest.fn().mockResolvedValue({ success: true });
+      global.prompt = jest.fn(() => 'Scanned twice by mistake');
+
+      await app.editTransactionNote('tx-1');
+
+      expect(mockDataManager.annotateTransaction).toHaveBeenCalledWith('tx-1', { note: 'Scanned twice by mistake' });
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('Note saved', 'success');
+    });
+
+    it('should flag a networked dispute through an admin command', async () => {
+      mockDataManager.getTransactions.mockReturnValue([{ id: 'tx-1', tokenId: 'tok1', teamId: '001' }]);
+      const annotateTransaction = jest.fn().mockResolvedValue({});
+      app.viewController.adminInstances = { adminOps: { annotateTransaction } };
+      global.prompt = jest.fn(() => 'Team 002 claims it');
+
+      await app.toggleTransactionDispute('tx-1');
+
+      expect(annotateTransaction).toHaveBeenCalledWith('tx-1', { note: 'Team 002 claims it', disputed: true });
+    });
+
+    it('should resolve a dispute without asking and keep the note', async () => {
+      mockSessionModeManager.isStandalone.mockReturnValue(true);
+      mockDataManager.getTransactions.mockReturnValue([{ id: 'tx-1', tokenId: 'tok1', teamId: '001', disputed: true, note: 'x' }]);
+      mockDataManager.annotateTransaction = jest.fn().mockResolvedValue({ success: true });
+      global.prompt = jest.fn();
+
+      await app.toggleTransactionDispute('tx-1');
+
+      expect(global.prompt).not.toHaveBeenCalled();
+      expect(mockDataManager.annotateTransaction).toHaveBeenCalledWith('tx-1', { disputed: false });
+    });
+
+    it('should do nothing when the note prompt is cancelled', async () => {
+      mockSessionModeManager.isStandalone.mockReturnValue(true);
+      mockDataManager.getTransactions.mockReturnValue([{ id: 'tx-1', tokenId: 'tok1', teamId: '001' }]);
+      mockDataManager.annotateTransaction = jest.fn();
+      global.prompt = jest.fn(() => null);
+
+      await app.editTransactionNote('tx-1');
+
+      expect(mockDataManager.annotateTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Undo / Redo', () => {
+    const entry ={ id: 'h1', type: 'score:adjust', label: 'Adjust team 001 by +500' };
+
+    it('should offer Undo on the toast after a standalone score adjustment', async () => {
+      mockSessionModeManager.isStandalone.mockReturnValue(true);
+      mockDataManager.adjustTeamScore = jest.fn().mockResolvedValue({ success: true });
+      app.currentInterventionTeamId = '001';
+      document.getElementById('scoreAdjustmentInput').value = '500';
+
+      await app.adjustTeamScore();
+
+      const [message, type, , options] = app.uiManager.showToast.mock.calls.at(-1);
+      expect(message).toBe('Score adjusted: +500 points');
+      expect(type).toBe('success');
+      expect(options.action.label).toBe('Undo');
+
+      mockDataManager.undo.mockResolvedValue({ success: true, entry });
+      await options.action.onClick();
+      expect(mockDataManager.undo).toHaveBeenCalled();
+    });
+
+    it('should record networked score adjustments sent through admin commands', async () => {
+      mockSessionModeManager.isStandalone.mockReturnValue(false);
+      const adjustScore = jest.fn().mockResolvedValue({});
+      app.viewController.adminInstances = { adminOps: { adjustScore } };
+      app.currentInterventionTeamId = '001';
+      document.getElementById('scoreAdjustmentInput').value = '-200';
+      document.getElementById('scoreAdjustmentReason').value = 'Penalty';
+
+      await app.adjustTeamScore();
+
+      expect(adjustScore).toHaveBeenCalledWith('001', -200, 'Penalty');
+      expect(mockDataManager.recordAction).toHaveBeenCalledWith('score:adjust', { teamId: '001', delta: -200, reason: 'Penalty' });
+    });
+
+    it('should record a networked deletion with the transaction it removed', async () => {
+      global.confirm = jest.fn(() => true);
+      const transaction = { id: 'tx-9', tokenId: 'tok9', teamId: '002', mode: 'blackmarket' };
+      mockDataManager.getTransactions.mockReturnValue([transaction]);
+      const deleteTransaction = jest.fn().mockResolvedValue({});
+      app.viewController.adminInstances = { adminOps: { deleteTransaction } };
+
+      await app.deleteTeamTransaction('tx-9');
+
+      expect(deleteTransaction).toHaveBeenCalledWith('tx-9');
+      expect(mockDataManager.recordAction).toHaveBeenCalledWith('transaction:delete', { transaction });
+    });
+
+    it('should move a standalone transaction to another team with a reason', async () => {
+      mockSessionModeManager.isStandalone.mockReturnValue(true);
+      mockDataManager.getTransactions.mockReturnValue([{ id: 'tx-1', tokenId: 'tok1', teamId: '001' }]);
+      mockDataManager.reassignTransaction = jest.fn().mockResolvedValue({ success: true });
+      global.prompt = jest.fn().mockReturnValueOnce(' 002 ').mockReturnValueOnce('Tapped the wrong team');
+
+      await app.reassignTeamTransaction('tx-1');
+
+      expect(mockDataManager.reassignTransaction).toHaveBeenCalledWith('tx-1', '002', 'Tapped the wrong team');
+      expect(app.uiManager.showToast.mock.calls.at(-1)[0]).toBe('Moved to team 002');
+    });
+
+    it('should send a networked move as an admin command and record it', async () => {
+      const transaction = { id: 'tx-1', tokenId: 'tok1', teamId: '001' };
+      mockDataManager.getTransactions.mockReturnValue([transaction]);
+      const reassignTransaction = jest.fn().mockResolvedValue({});
+      app.viewController.adminInstances = { adminOps: { reassignTransaction } };
+      global.prompt = jest.fn().mockReturnValueOnce('002').mockReturnValueOnce('');
+
+      await app.reassignTeamTransaction('tx-1');
+
+      expect(reassignTransaction).toHaveBeenCalledWith('tx-1', '002', 'Reassigned by GM');
+      expect(mockDataManager.recordAction).toHaveBeenCalledWith('transaction:reassign', {
+        transaction, fromTeamId: '001', toTeamId: '002', reason: 'Reassigned by GM'
+      });
+    });
+
+    it('should not move a transaction to its own team', async () => {
+      mockDataManager.getTransactions.mockReturnValue([{ id: 'tx-1', tokenId: 'tok1', teamId: '001' }]);
+      global.prompt = jest.fn(() => '001');
+
+      await app.reassignTeamTransaction('tx-1');
+
+      expect(app.uiManager.showError).toHaveBeenCalledWith('Transaction is already credited to team 001');
+    });
+
+    it('should report what was undone and offer Redo', async () => {
+      mockDataManager.undo.mockResolvedValue({ success: true, entry });
+
+      await app.undoLastAction();
+
+      const [message, , , options] = app.uiManager.showToast.mock.calls.at(-1);
+      expect(message).toBe('Undone: Adjust team 001 by +500');
+      expect(options.action.label).toBe('Redo');
+    });
+
+    it('should show why an undo failed', async () => {
+      mockDataManager.undo.mockResolvedValue({ success: false, error: 'Socket not connected', entry });
+
+      await app.undoLastAction();
+
+      expect(app.uiManager.showError).toHaveBeenCalledWith('Undo failed: Socket not connected');
+    });
+
+    it('should show why a redo failed', async () => {
+      await app.redoLastAction();
+
+      expect(app.uiManager.showError).toHaveBeenCalledWith('Redo failed: Nothing to redo');
+    });
+  });
+
+  describe('Session Bundle Import', () => {
+    const bundle = { format: 'aln-session-bundle', version: 1, session: { sessionId: 'LOCAL_OLD', name: 'Thursday' } };
+
+    beforeEach(() => {
+      app.dataManager.validateSessionBundle = jest.fn(() => ({ valid: true, errors: [], warnings: [], unknownTokens: [] }));
+      app.dataManager.importSessionBundle = jest.fn().mockResolvedValue({ sessionId: 'LOCAL_NEW', name: 'Thursday' });
+      app.dataManager.hasSessionArchive = jest.fn(() => true);
+      app.dataManager.getCurrentSession.mockReturnValue({ sessionId: 'LOCAL_CUR', name: 'Friday' });
+    });
+
+    it('should reject a file that is not JSON', async () => {
+      expect(await app._gameAdmin.importSessionBundleText('not json')).toBe(false);
+      expect(app.uiManager.showError).toHaveBeenCalledWith('Import failed: file is not valid JSON');
+    });
+
+    it('should report validation errors without importing', async () => {
+      app.dataManager.validateSessionBundle.mockReturnValue({ valid: false, errors: ['Not a session bundle'], warnings: [] });
+
+      expect(await app._gameAdmin.importSessionBundleText('{}')).toBe(false);
+
+      expect(app.uiManager.showError).toHaveBeenCalledWith('Import failed: Not a session bundle');
+      expect(app.dataManager.importSessionBundle).not.toHaveBeenCalled();
+    });
+
+    it('should ask before replacing the current session', async () => {
+      global.confirm = jest.fn(() => false);
+
+      expect(await app._gameAdmin.importSessionBundleText(JSON.stringify(bundle))).toBe(false);
+
+      expect(global.confirm).toHaveBeenCalledWith('Replace the current session "Friday"? It will be archived.');
+      expect(app.dataManager.importSessionBundle).not.toHaveBeenCalled();
+    });
+
+    it('should confirm warnings and import the bundle', async () => {
+      app.dataManager.validateSessionBundle.mockReturnValue({
+        valid: true, errors: [], warnings: ['1 token not in the loaded tokens.json: zzz'], unknownTokens: ['zzz']
+      });
+      global.confirm = jest.fn(() => true);
+
+      expect(await app._gameAdmin.importSessionBundleText(JSON.stringify(bundle))).toBe(true);
+
+      expect(global.confirm.mock.calls[0][0]).toContain('zzz');
+      expect(app.dataManager.importSessionBundle).toHaveBeenCalledWith(bundle);
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('Imported "Thursday"', 'success');
+    });
+  });
+
+  describe('Pending Commands', () => {
+    it('should cancel a pending command on the networked client bus', () => {
+      const commandBus = { cancel: jest.fn(() => true), getPending: jest.fn(() => []) };
+      app.networkedSession = { services: { client: { commandBus } } };
+
+      app.cancelCommand('cmd-1');
+
+      expect(commandBus.cancel).toHaveBeenCalledWith('cmd-1', 'Cancelled by GM');
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('Command cancelled', 'info');
+    });
+
+    it('should do nothing without a networked session', () => {
+      app.networkedSession = null;
+
+      expect(() => app.refreshCommandStatus()).not.toThrow();
+      app.cancelCommand('cmd-1');
+      expect(app.uiManager.showToast).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Scan Queue Inspector', () => {
+    let queueManager;
+
+    beforeEach(() => {
+      queueManager = {
+        getInspection: jest.fn(() => ({
+          pending: [{ clientTxId: 'tx-1', tokenId: 'tok1', teamId: '001', state: 'pending', lastError: null }],
+          history: [
+            { clientTxId: 'tx-2', tokenId: 'tok2', teamId: '001', status: 'rejected', resolution: null },
+            { clientTxId: 'tx-3', tokenId: 'tok3', teamId: '002', status: 'dropped', resolution: 'discarded' }
+          ],
+          connected: true
+        })),
+        retryEntry: jest.fn(() => 'tx-9'),
+        editEntryTeam: jest.fn(() => 'tx-9'),
+        discardEntry: jest.fn(() => true)
+      };
+      app.networkedSession = { services: { queueManager } };
+      app.dataManager.markTokenAsScanned = jest.fn();
+      document.body.innerHTML = '<div id="queueInspectorScreen" class="screen"><div id="queueInspectorContainer"></div></div>';
+    });
+
+    afterEach(() => {
+      document.body.innerHTML = '';
+    });
+
+    it('should render the queue and show the inspector screen', () => {
+      app.showQueueInspector();
+
+      expect(document.getElementById('queueInspectorContainer').textContent).toContain('tok2');
+      expect(app.uiManager.showScreen).toHaveBeenCalledWith('queueInspector');
+    });
+
+    it('should only re-render on queue events while the inspector is showing', () => {
+      app.refreshQueueInspector();
+      expect(queueManager.getInspection).not.toHaveBeenCalled();
+
+      document.getElementById('queueInspectorScreen').classList.add('active');
+      app.refreshQueueInspector();
+      expect(queueManager.getInspection).toHaveBeenCalled();
+    });
+
+    it('should retry a rejected scan and mark its token scanned again', () => {
+      app.retryQueuedScan('tx-2');
+
+      expect(queueManager.retryEntry).toHaveBeenCalledWith('tx-2');
+      expect(app.dataManager.markTokenAsScanned).toHaveBeenCalledWith('tok2');
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('Retrying tok2', 'info');
+    });
+
+    it('should explain when a scan cannot be retried now', () => {
+      queueManager.retryEntry.mockReturnValue(null);
+
+      app.retryQueuedScan('tx-1');
+
+      expect(app.uiManager.showError).toHaveBeenCalledWith(expect.stringContaining('Cannot retry tok1'));
+      expect(app.dataManager.markTokenAsScanned).not.toHaveBeenCalled();
+    });
+
+    it('should send a scan for the team the GM enters', () => {
+      global.prompt = jest.fn(() => ' 003 ');
+
+      app.editQueuedScanTeam('tx-1');
+
+      expect(queueManager.editEntryTeam).toHaveBeenCalledWith('tx-1', '003');
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('tok1 will be sent for team 003', 'success');
+    });
+
+    it('should discard a scan after a confirm and ignore resolved entries', () => {
+      global.confirm = jest.fn(() => true);
+
+      app.discardQueuedScan('tx-3');
+      expect(global.confirm).not.toHaveBeenCalled();
+
+      app.discardQueuedScan('tx-1');
+      expect(queueManager.discardEntry).toHaveBeenCalledWith('tx-1');
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('Discarded tok1', 'info');
+    });
+
+    it('should do nothing without a networked session', () => {
+      app.networkedSession = null;
+
+      app.showQueueInspector();
+      app.retryQueuedScan('tx-1');
+      expect(app.uiManager.showScreen).not.toHaveBeenCalledWith('queueInspector');
+    });
+  });
+
+  describe('Queued Commands', () => {
+    let commandBus;
+    let commandQueue;
+
+    beforeEach(() => {
+      commandBus = { sendQueued: jest.fn().mockResolvedValue({ success: true }), getPending: jest.fn(() => []) };
+      commandQueue = {
+        getEntries: jest.fn(() => [
+          { id: 'q-1', action: 'score:adjust', payload: {} },
+          { id: 'q-2', action: 'cue:fire', payload: {} },
+          { id: 'q-3', action: 'cue:enable', payload: {} }
+        ]),
+        remove: jest.fn(() => true),
+        clear: jest.fn()
+      };
+      app.networkedSession = { services: { client: { commandBus, isConnected: true }, commandQueue } };
+    });
+
+    it('should send a queued command the GM confirmed', async () => {
+      await app.sendQueuedCommand('q-1');
+
+      expect(commandBus.sendQueued).toHaveBeenCalledWith('q-1');
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('Queued command sent', 'success');
+    });
+
+    it('should send all queued commands in order and stop once they cannot be sent', async () => {
+      commandBus.sendQueued
+        .mockResolvedValueOnce({ success: true })
+        .mockRejectedValueOnce(new Error('Socket not connected'));
+
+      await app.sendAllQueuedCommands();
+
+      expect(commandBus.sendQueued.mock.calls).toEqual([['q-1'], ['q-2']]);
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('Sent 1 of 3 queued commands', 'warning');
+      expect(app.uiManager.showError).toHaveBeenCalledWith('Queued command not sent: cue:fire: Socket not connected');
+    });
+
+    it('should keep sending past a command the orchestrator rejected', async () => {
+      commandBus.sendQueued.mockRejectedValueOnce(Object.assign(new Error('Team not found'), { code: 'COMMAND_FAILED' }));
+
+      await app.sendAllQueuedCommands();
+
+      expect(commandBus.sendQueued).toHaveBeenCalledTimes(3);
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('Sent 2 of 3 queued commands', 'warning');
+    });
+
+    it('should discard one queued command, or all of them after a confirm', () => {
+      app.discardQueuedCommand('q-2');
+      expect(commandQueue.remove).toHaveBeenCalledWith('q-2');
+      expect(app.uiManager.showToast).toHaveBeenCalledWith('Queued command discarded', 'info');
+
+      global.confirm = jest.fn(() => false);
+      app.discardAllQueuedCommands();
+      expect(commandQueue.clear).not.toHaveBeenCalled();
+
+      global.confirm = jest.fn(() => true);
+      app.discardAllQueuedCommands();
+      expect(global.confirm).toHaveBeenCalledWith('Discard 3 queued commands without sending?');
+      expect(commandQueue.clear).toHaveBeenCalled();
+    });
+
+    it('should do nothing without a networked session', async () => {
+      app.networkedSession = null;
+
+      expect(() => app.refreshQueuedCommands()).not.toThrow();
+      await app.sendQueuedCommand('q-1');
+      await app.sendAllQueuedCommands();
+      app.discardQueuedCommand('q-1');
+      expect(app.uiManager.showToast).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,48 @@
+/**
+ * MemoryRecordStore - In-memory stand-in for IdbRecordStore
+ * jsdom has no IndexedDB. Records survive across IndexedDBStorage instances
+ * that share the store, which is how a page reload is simulated.
+ */
+
+import { STORES } from '../../src/core/storage/idbRecordStore.js';
+
+export class MemoryRecordStore {
+  constructor() {
+    this.stores = Object.fromEntries(Object.keys(STORES).map(name => [name, new Map()]));
+    this.writes = [];
+  }
+
+  async open() {}
+
+  close() {}
+
+  _key(storeName, keyOrRecord, isRecord) {
+    const { keyPath } = STORES[storeName];
+    if (!isRecord) return JSON.stringify(keyOrRecord);
+    return JSON.stringify(Array.isArray(keyPath) ? keyPath.map(k => keyOrRecord[k]) : keyOrRecord[keyPath]);
+  }
+
+  async getAll(storeName) {
+    return [...this.stores[storeName].values()].map(r => structuredClone(r));
+  }
+
+  async getBySession(storeName, sessionId) {
+    return (await this.getAll(storeName)).filter(r => r.sessionId === sessionId);
+  }
+
+  async write(operations) {
+    this.writes.push(operations);
+    operations.forEach(op => {
+      if (op.put) this.stores[op.store].set(this._key(op.store, op.put, true), structuredClone(op.put));
+      else this.stores[op.store].delete(this._key(op.store, op.delete, false));
+    });
+  }
+
+  async deleteSession(sessionId) {
+    Object.keys(STORES).forEach(name => {
+      for (const [key, record] of this.stores[name]) {
+        if (record.sessionId === sessionId) this.stores[name].delete(key);
+      }
+    });
+  }
+}
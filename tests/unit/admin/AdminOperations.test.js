@@ -83,6 +83,46 @@ describe('AdminOperations', () => {
     });
   });
 
+  describe('reassignTransaction', () => {
+    it('sends transaction:reassign with the destination team and reason', async () => {
+      await ops.reassignTransaction('tx-123', '002', 'Wrong team');
+      expect(sendCommand).toHaveBeenCalledWith(
+        mockConnection,
+        'transaction:reassign',
+        { transactionId: 'tx-123', teamId: '002', reason: 'Wrong team' }
+      );
+    });
+
+    it('defaults the reason when none is given', async () => {
+      await ops.reassignTransaction('tx-123', '002');
+      expect(sendCommand).toHaveBeenCalledWith(
+        mockConnection,
+        'transaction:reassign',
+        { transactionId: 'tx-123', teamId: '002', reason: 'Reassigned by GM' }
+      );
+    });
+  });
+
+  describe('annotateTransaction', () => {
+    it('sends transaction:annotate with the note and dispute flag', async () => {
+      await ops.annotateTransaction('tx-123', { note: 'Checked', disputed: true });
+      expect(sendCommand).toHaveBeenCalledWith(
+        mockConnection,
+        'transaction:annotate',
+        { transactionId: 'tx-123', note: 'Checked', disputed: true }
+      );
+    });
+
+    it('sends an empty annotation when none is given', async () => {
+      await ops.annotateTransaction('tx-123');
+      expect(sendCommand).toHaveBeenCalledWith(
+        mockConnection,
+        'transaction:annotate',
+        { transactionId: 'tx-123', note: undefined, disputed: undefined }
+      );
+    });
+  });
+
   describe('checkService', () => {
     it('sends service:check with serviceId', async () => {
       await ops.checkService('vlc');
@@ -270,7 +270,8 @@ describe('AdminModule - ES6 Exports', () => {
         // Verify gm:command was sent with correct action
         expect(mockConnection.send).toHaveBeenCalledWith('gm:command', {
           action: 'score:reset',
-          payload: {}
+          payload: {},
+          requestId: expect.any(String)
         });
       });
 
@@ -295,7 +296,8 @@ describe('AdminModule - ES6 Exports', () => {
         // Verify gm:command was sent with correct payload
         expect(mockConnection.send).toHaveBeenCalledWith('gm:command', {
           action: 'score:adjust',
-          payload: { teamId: '001', delta: 500, reason: 'Manual adjustment' }
+          payload: { teamId: '001', delta: 500, reason: 'Manual adjustment' },
+          requestId: expect.any(String)
         });
       });
 
@@ -318,7 +320,8 @@ describe('AdminModule - ES6 Exports', () => {
         // Verify gm:command was sent with correct payload
         expect(mockConnection.send).toHaveBeenCalledWith('gm:command', {
           action: 'transaction:delete',
-          payload: { transactionId: 'tx-12345' }
+          payload: { transactionId: 'tx-12345' },
+          requestId: expect.any(String)
         });
       });
 
@@ -350,6 +353,46 @@ describe('AdminModule - ES6 Exports', () => {
         await expect(ops.adjustScore('001', 100, 'Test')).rejects.toThrow('No active session');
       });
     });
+
+    describe('request IDs', () => {
+      const ack = (payload) => mockConnection.dispatchEvent(
+        new CustomEvent('message:received', { detail: { type: 'gm:command:ack', payload } })
+      );
+      const sentRequestId = (call) => mockConnection.send.mock.calls[call][1].requestId;
+
+      it('should resolve same-action commands by their echoed requestId, in any order', async () => {
+        const ops = new AdminOperations(mockConnection);
+        // Once the backend has echoed a requestId, same-action commands are not serialized
+        const warmup = ops.resetScores();
+        ack({ action: 'score:reset', requestId: sentRequestId(0), success: true });
+        await warmup;
+
+        const first = ops.deleteTransaction('tx-1');
+        const second = ops.deleteTransaction('tx-2');
+        expect(sentRequestId(1)).not.toBe(sentRequestId(2));
+
+        ack({ action: 'transaction:delete', requestId: sentRequestId(2), success: false, message: 'tx-2 not found' });
+        ack({ action: 'transaction:delete', requestId: sentRequestId(1), success: true });
+
+        await expect(first).resolves.toMatchObject({ success: true });
+        await expect(second).rejects.toThrow('tx-2 not found');
+      });
+
+      it('should ignore an ack echoing another requestId', async () => {
+        jest.useFakeTimers();
+        try {
+          const ops = new AdminOperations(mockConnection);
+          const pending = ops.resetScores();
+
+          ack({ action: 'score:reset', requestId: 'cmd-someone-else', success: true });
+          jest.advanceTimersByTime(5000);
+
+          await expect(pending).rejects.toThrow('score:reset timeout');
+        } finally {
+          jest.useRealTimers();
+        }
+      });
+    });
   });
 
   describe('MonitoringDisplay', () => {
@@ -316,6 +316,27 @@ describe('SessionModeManager - ES6 Module (Simple State Manager)', () => {
     });
   });
 
+  describe('promoteToNetworked()', () => {
+    it('should move a locked standalone station to networked mode', () => {
+      const instance = new SessionModeManager();
+      instance.setMode('standalone');
+
+      instance.promoteToNetworked();
+
+      expect(instance.isNetworked()).toBe(true);
+      expect(instance.isLocked()).toBe(true);
+      expect(localStorage.getItem('gameSessionMode')).toBe('networked');
+    });
+
+    it('should refuse anything but standalone', () => {
+      const instance = new SessionModeManager();
+      expect(() => instance.promoteToNetworked()).toThrow('Only a standalone session can be promoted');
+
+      instance.setMode('networked');
+      expect(() => instance.promoteToNetworked()).toThrow('current mode: networked');
+    });
+  });
+
   describe('Integration Scenarios', () => {
     it('should handle typical networked mode flow', () => {
       const instance = new SessionModeManager();
@@ -0,0 +1,341 @@
+/**
+ * @jest-environment jsdom
+ *
+ * Session promotion — moving a standalone game onto the orchestrator
+ */
+
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  SessionPromotion,
+  buildReplayTransactions,
+  buildReplayTimeline,
+  reconcileScores
+} from '../../../src/app/sessionPromotion.js';
+
+function validToken() {
+  const payload = btoa(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 3600 }));
+  return `header.${payload}.signature`;
+}
+
+const SESSION = {
+  sessionId: 'LOCAL_1',
+  name: 'Friday Game',
+  status: 'active',
+  transactions: [
+    { tokenId: 'tok2', teamId: '002', mode: 'blackmarket', timestamp: '2026-10-19T20:05:00.000Z' },
+    { tokenId: 'unk', teamId: '001', mode: 'blackmarket', timestamp: '2026-10-19T20:01:00.000Z', isUnknown: true },
+    { tokenId: 'tok1', teamId: '001', mode: 'detective', summary: 'Seen at the docks', timestamp: '2026-10-19T20:00:00.000Z' }
+  ],
+  teams: {
+    '001': { teamId: '001', score: 0, adminAdjustments: [{ delta: 500, reason: 'Bonus' }] },
+    '002': { teamId: '002', score: 40000, adminAdjustments: [] }
+  }
+};
+
+describe('buildReplayTransactions', () => {
+  it('should order by timestamp, stamp the device and skip unknown tokens', () => {
+    const { transactions, skipped } = buildReplayTransactions(SESSION, 'GM_1');
+
+    expect(skipped).toBe(1);
+    expect(transactions.map(t => t.tokenId)).toEqual(['tok1', 'tok2']);
+    expect(transactions[0]).toEqual({
+      tokenId: 'tok1',
+      teamId: '001',
+      deviceId: 'GM_1',
+      deviceType: 'gm',
+      mode: 'detective',
+      summary: 'Seen at the docks',
+      timestamp: '2026-10-19T20:00:00.000Z'
+    });
+  });
+
+  it('should keep recorded order for equal timestamps', () => {
+    const ts = '2026-10-19T20:00:00.000Z';
+    const { transactions } = buildReplayTransactions({
+      transactions: ['a', 'b', 'c'].map(tokenId => ({ tokenId, teamId: '001', mode: 'blackmarket', timestamp: ts }))
+    }, 'GM_1');
+
+    expect(transactions.map(t => t.tokenId)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('buildReplayTimeline', () => {
+  const scan = (tokenId, time) => ({ tokenId, teamId: '001', mode: 'blackmarket', timestamp: `2026-10-19T20:${time}:00.000Z` });
+
+  it('should replay the reset after the scans it cleared and adjustments where they happened', () => {
+    const { steps } = buildReplayTimeline({
+      transactions: [scan('a', '00'), scan('b', '10'), scan('c', '20'), scan('d', '30')],
+      scoresResetAt: '2026-10-19T20:15:00.000Z',
+      teams: {
+        '001': { teamId: '001', adminAdjustments: [{ delta: -200, reason: 'Penalty', timestamp: '2026-10-19T20:25:00.000Z' }] },
+        '002': { teamId: '002', adminAdjustments: [{ delta: 300, reason: 'Bonus', timestamp: '2026-10-19T20:40:00.000Z' }] }
+      }
+    }, 'GM_1');
+
+    expect(steps.map(step => step.type === 'transactions' ? step.transactions.map(t => t.tokenId).join('') : step.type))
+      .toEqual(['ab', 'reset', 'c', 'adjustment', 'd', 'adjustment']);
+    expect(steps[3]).toEqual({ type: 'adjustment', teamId: '001', delta: -200, reason: 'Penalty', timestamp: '2026-10-19T20:25:00.000Z' });
+  });
+
+  it('should replay a scan before an event with the same timestamp', () => {
+    const { steps } = buildReplayTimeline({
+      transactions: [scan('a', '00')],
+      scoresResetAt: '2026-10-19T20:00:00.000Z',
+      teams: {}
+    }, 'GM_1');
+
+    expect(steps.map(step => step.type)).toEqual(['transactions', 'reset']);
+  });
+});
+
+describe('reconcileScores', () => {
+  it('should report per-team differences including teams only one side has', () => {
+    const result = reconcileScores(
+      [{ teamId: '001', score: 500 }, { teamId: '002', score: 40000 }],
+      [{ teamId: '002', score: 30000 }, { teamId: '003', score: 100 }]
+    );
+
+    expect(result.matched).toBe(false);
+    expect(result.teams).toEqual([
+      { teamId: '001', local: 500, backend: 0, difference: -500 },
+      { teamId: '002', local: 40000, backend: 30000, difference: -10000 },
+      { teamId: '003', local: 0, backend: 100, difference: 100 }
+    ]);
+  });
+
+  it('should match identical totals', () => {
+    expect(reconcileScores([{ teamId: '001', score: 5 }], [{ teamId: '001', score: 5 }]).matched).toBe(true);
+  });
+});
+
+describe('SessionPromotion', () => {
+  let app;
+  let services;
+  let modules;
+  let backendScores;
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.className = 'standalone-mode';
+    global.confirm = jest.fn(() => true);
+    global.alert = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    backendScores = [{ teamId: '001', score: 500 }, { teamId: '002', score: 40000 }];
+
+    modules = {
+      sessionManager: {
+        createSession: jest.fn().mockResolvedValue({}),
+        startGame: jest.fn().mockResolvedValue({}),
+        pauseSession: jest.fn().mockResolvedValue({})
+      },
+      adminOperations: {
+        adjustScore: jest.fn().mockResolvedValue({}),
+        resetScores: jest.fn().mockResolvedValue({})
+      }
+    };
+
+    const client = {
+      listeners: [],
+      addEventListener: jest.fn((type, handler) => client.listeners.push(handler)),
+      removeEventListener: jest.fn((type, handler) => {
+        client.listeners = client.listeners.filter(h => h !== handler);
+      }),
+      socket: {
+        emit: jest.fn(() => {
+          client.listeners.slice().forEach(h => h({ detail: { type: 'sync:full' } }));
+        })
+      }
+    };
+
+    services = {
+      client,
+      queueManager: {
+        replayInOrder: jest.fn(async (txs) => txs.map(transaction => ({ transaction, status: 'accepted' })))
+      },
+      adminController: { getModule: jest.fn(name => modules[name]) }
+    };
+
+    app = {
+      pendingPromotion: null,
+      settings: { deviceId: 'GM_1' },
+      debug: { log: jest.fn() },
+      sessionModeManager: {
+        isStandalone: jest.fn(() => true),
+        promoteToNetworked: jest.fn(),
+        clearMode: jest.fn(),
+        setMode: jest.fn()
+      },
+      dataManager: {
+        sessionState: null,
+        isReadOnly: jest.fn(() => false),
+        getCurrentSession: jest.fn(() => SESSION),
+        getTransactions: jest.fn(() => SESSION.transactions),
+        getScoringProfile: jest.fn(() => null),
+        exportSessionBundle: jest.fn(() => ({ session: JSON.parse(JSON.stringify(SESSION)) })),
+        getTeamScores: jest.fn(() => backendScores),
+        restoreStandaloneMode: jest.fn()
+      },
+      uiManager: { showError: jest.fn(), showToast: jest.fn() },
+      showConnectionWizard: jest.fn(),
+      networkedSession: null
+    };
+    app._initializeNetworkedMode = jest.fn(async () => {
+      app.networkedSession = {
+        getService: jest.fn(name => services[name]),
+        destroy: jest.fn().mockResolvedValue()
+      };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refuse when not in standalone mode', async () => {
+    app.sessionModeManager.isStandalone.mockReturnValue(false);
+
+    expect(await new SessionPromotion(app).start()).toBe(false);
+    expect(app.uiManager.showError).toHaveBeenCalled();
+    expect(app.dataManager.exportSessionBundle).not.toHaveBeenCalled();
+  });
+
+  it('should refuse while an archived session is open', async () => {
+    app.dataManager.isReadOnly.mockReturnValue(true);
+
+    expect(await new SessionPromotion(app).start()).toBe(false);
+    expect(app.uiManager.showError).toHaveBeenCalledWith(expect.stringContaining('archived'));
+  });
+
+  it('should do nothing when the GM declines', async () => {
+    global.confirm.mockReturnValue(false);
+
+    expect(await new SessionPromotion(app).start()).toBe(false);
+    expect(app.sessionModeManager.promoteToNetworked).not.toHaveBeenCalled();
+  });
+
+  it('should wait for the connection wizard without a valid token', async () => {
+    const promotion = new SessionPromotion(app);
+
+    expect(await promotion.start()).toBe(false);
+    expect(app.pendingPromotion).toBe(promotion);
+    expect(app.showConnectionWizard).toHaveBeenCalled();
+    expect(app._initializeNetworkedMode).not.toHaveBeenCalled();
+
+    promotion.cancel();
+    expect(app.pendingPromotion).toBeNull();
+  });
+
+  it('should create, start and replay the session, then apply adjustments', async () => {
+    localStorage.setItem('aln_auth_token', validToken());
+
+    expect(await new SessionPromotion(app).start()).toBe(true);
+
+    expect(app.sessionModeManager.promoteToNetworked).toHaveBeenCalled();
+    expect(modules.sessionManager.createSession).toHaveBeenCalledWith('Friday Game', ['001', '002']);
+    expect(modules.sessionManager.startGame).toHaveBeenCalled();
+    expect(services.queueManager.replayInOrder.mock.calls[0][0].map(t => t.tokenId)).toEqual(['tok1', 'tok2']);
+    expect(modules.adminOperations.adjustScore).toHaveBeenCalledWith('001', 500, 'Bonus');
+    expect(modules.sessionManager.pauseSession).not.toHaveBeenCalled();
+
+    const report = global.alert.mock.calls[0][0];
+    expect(report).toContain('Accepted: 2');
+    expect(report).toContain('Unknown tokens skipped: 1');
+    expect(report).toContain('(all match)');
+    expect(app.uiManager.showToast).toHaveBeenCalledWith('Session moved to the orchestrator', 'success', 5000);
+  });
+
+  it('should replay the score reset between the scans before and after it', async () => {
+    localStorage.setItem('aln_auth_token', validToken());
+    const calls = [];
+    services.queueManager.replayInOrder.mockImplementation(async (txs) => {
+      calls.push(txs.map(t => t.tokenId).join(','));
+      return txs.map(transaction => ({ transaction, status: 'accepted' }));
+    });
+    modules.adminOperations.resetScores.mockImplementation(async () => calls.push('reset'));
+    app.dataManager.exportSessionBundle.mockReturnValue({
+      session: { ...SESSION, scoresResetAt: '2026-10-19T20:02:00.000Z' }
+    });
+
+    await new SessionPromotion(app).start();
+
+    expect(calls).toEqual(['tok1', 'reset', 'tok2']);
+    expect(global.alert.mock.calls[0][0]).toContain('Accepted: 2');
+  });
+
+  it('should leave later steps alone once a scan stays queued', async () => {
+    localStorage.setItem('aln_auth_token', validToken());
+    services.queueManager.replayInOrder.mockImplementation(async (txs) => txs.map(transaction => ({ transaction, status: 'pending' })));
+    app.dataManager.exportSessionBundle.mockReturnValue({
+      session: { ...SESSION, scoresResetAt: '2026-10-19T20:02:00.000Z' }
+    });
+
+    await new SessionPromotion(app).start();
+
+    expect(services.queueManager.replayInOrder.mock.calls.map(([txs]) => txs.map(t => t.tokenId)))
+      .toEqual([['tok1'], ['tok2']]);
+    expect(modules.adminOperations.resetScores).not.toHaveBeenCalled();
+    expect(modules.adminOperations.adjustScore).not.toHaveBeenCalled();
+    const report = global.alert.mock.calls[0][0];
+    expect(report).toContain('Still queued: 2');
+    expect(report).toContain('Resets/adjustments not applied (scans still queued): 2');
+  });
+
+  it('should report score differences after replay', async () => {
+    localStorage.setItem('aln_auth_token', validToken());
+    const promotion = new SessionPromotion(app);
+    app.dataManager.getTeamScores
+      .mockReturnValueOnce([{ teamId: '001', score: 500 }, { teamId: '002', score: 40000 }])
+      .mockReturnValue([{ teamId: '001', score: 500 }, { teamId: '002', score: 30000 }]);
+
+    await promotion.start();
+
+    const report = global.alert.mock.calls[0][0];
+    expect(report).toContain('(DIFFERENCES)');
+    expect(report).toContain('✗ Team 002: local $40,000, orchestrator $30,000 (-10,000)');
+  });
+
+  it('should pause the backend session when the standalone one was paused', async () => {
+    localStorage.setItem('aln_auth_token', validToken());
+    app.dataManager.exportSessionBundle.mockReturnValue({ session: { ...SESSION, status: 'paused' } });
+
+    await new SessionPromotion(app).start();
+
+    expect(modules.sessionManager.pauseSession).toHaveBeenCalled();
+  });
+
+  it('should stay standalone when the connection fails', async () => {
+    localStorage.setItem('aln_auth_token', validToken());
+    app._initializeNetworkedMode.mockRejectedValue(new Error('Connection refused'));
+
+    expect(await new SessionPromotion(app).start()).toBe(false);
+
+    expect(app.dataManager.restoreStandaloneMode).toHaveBeenCalled();
+    expect(app.sessionModeManager.setMode).toHaveBeenCalledWith('standalone');
+    expect(document.body.classList.contains('standalone-mode')).toBe(true);
+    expect(app.uiManager.showError).toHaveBeenCalledWith(expect.stringContaining('Connection refused'));
+    expect(modules.sessionManager.createSession).not.toHaveBeenCalled();
+  });
+
+  it('should roll back when the GM keeps the running orchestrator session', async () => {
+    localStorage.setItem('aln_auth_token', validToken());
+    app.dataManager.sessionState = { id: 'backend-1', name: 'Other Game', status: 'active' };
+    global.confirm.mockReturnValueOnce(true).mockReturnValueOnce(false);
+
+    expect(await new SessionPromotion(app).start()).toBe(false);
+
+    expect(app.networkedSession).toBeNull();
+    expect(app.dataManager.restoreStandaloneMode).toHaveBeenCalled();
+    expect(modules.sessionManager.createSession).not.toHaveBeenCalled();
+  });
+
+  it('should surface a migration failure without rolling back', async () => {
+    localStorage.setItem('aln_auth_token', validToken());
+    modules.sessionManager.startGame.mockRejectedValue(new Error('Command timeout'));
+
+    expect(await new SessionPromotion(app).start()).toBe(false);
+
+    expect(app.dataManager.restoreStandaloneMode).not.toHaveBeenCalled();
+    expect(app.uiManager.showError).toHaveBeenCalledWith(expect.stringContaining('Promotion incomplete: Command timeout'));
+  });
+});
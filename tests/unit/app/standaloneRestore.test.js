@@ -19,6 +19,8 @@ import { App } from '../../../src/app/app.js';
 import { SessionModeManager } from '../../../src/app/sessionModeManager.js';
 import { UnifiedDataManager } from '../../../src/core/unifiedDataManager.js';
 import TeamRegistry from '../../../src/core/teamRegistry.js';
+import { IndexedDBStorage } from '../../../src/core/storage/IndexedDBStorage.js';
+import { MemoryRecordStore } from '../../helpers/memoryRecordStore.js';
 import {
   determineInitialScreen,
   applyInitialScreenDecision
@@ -172,6 +174,32 @@ describe('Standalone restore after reload (F-GMS-01)', () => {
     expect(dataManager.getTransactions()).toHaveLength(0);
   });
 
+  it('fresh selection archives a live IndexedDB session instead of loading it', async () => {
+    localStorage.removeItem('standaloneSession');
+    const recordStore = new MemoryRecordStore();
+    const previous = new IndexedDBStorage({ tokenManager: mockTokenManager, recordStore });
+    await previous.initialize();
+    await previous.createSession('Last Game', []);
+    await previous.addTransaction({
+      id: 'tx-old', tokenId: 'old001', teamId: 'Team Alpha', mode: 'blackmarket',
+      points: 10000, memoryType: 'Personal', group: '', timestamp: new Date().toISOString()
+    });
+    await previous.flush();
+    jest.spyOn(dataManager, '_createStandaloneStrategy').mockImplementation(async () => {
+      const strategy = new IndexedDBStorage({ tokenManager: mockTokenManager, recordStore });
+      await strategy.initialize();
+      return strategy;
+    });
+
+    await app.selectGameMode('standalone');
+
+    expect(dataManager.getCurrentSession().name).toBeUndefined();
+    expect(dataManager.getTransactions()).toHaveLength(0);
+    expect(dataManager.isTokenScanned('old001')).toBe(false);
+    const archived = await dataManager.listArchivedSessions();
+    expect(archived.map(s => s.name)).toEqual(['Last Game']);
+  });
+
   it('reload → team select → scan completes end-to-end', async () => {
     await restoreAfterReload();
 
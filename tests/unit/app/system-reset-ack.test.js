@@ -1,43 +1,38 @@
 /**
- * app.adminResetAndCreateNew - system:reset ack action filtering (AC-3)
+ * app.adminResetAndCreateNew - system:reset goes through the command bus (AC-3)
  *
- * The inline system:reset path must ignore gm:command:ack envelopes whose
- * action is not 'system:reset' (a racing ack must not resolve/reject the
- * reset promise on the wrong event).
+ * The reset waits for its own gm:command:ack: an ack for another action
+ * (a racing command) must not resolve or reject it, and no ack within the
+ * command's timeout fails the reset without creating a session.
  */
-import { describe, it, expect, jest, beforeEach } from '@jest/globals';
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
 // app.js default-exports the singleton INSTANCE; the class is the NAMED export.
 import { App } from '../../../src/app/app.js';
+import { CommandBus } from '../../../src/network/commandBus.js';
 
-describe('app.adminResetAndCreateNew - ack action filter (AC-3)', () => {
+describe('app.adminResetAndCreateNew - system:reset via the command bus (AC-3)', () => {
   let app;
-  let fakeSocket;
+  let connection;
   let sessionManager;
 
+  const deliverAck = (data) => {
+    connection.dispatchEvent(new CustomEvent('message:received', {
+      detail: { type: 'gm:command:ack', payload: data }
+    }));
+  };
+
   beforeEach(() => {
     // confirm() -> true, prompt() -> session name
     global.confirm = jest.fn(() => true);
     global.prompt = jest.fn(() => 'New Game');
     global.alert = jest.fn();
 
-    // Fake socket modelling real socket.once one-shot semantics: only ONE
-    // gm:command:ack handler is registered at a time, removed BEFORE it fires
-    // (so the production re-arm via socket.once(...) inside the handler is
-    // genuinely exercised, and an un-re-armed handler drops the next ack).
-    fakeSocket = {
-      _ackHandler: null,
-      once: jest.fn((event, cb) => { if (event === 'gm:command:ack') fakeSocket._ackHandler = cb; }),
-      off: jest.fn((event, cb) => { if (event === 'gm:command:ack' && fakeSocket._ackHandler === cb) fakeSocket._ackHandler = null; }),
-      emit: jest.fn(),
-      _deliverAck(payload) {
-        const cb = this._ackHandler;
-        this._ackHandler = null; // one-shot removal before invoke (real socket.once)
-        if (cb) cb(payload);
-      },
-    };
+    // OrchestratorClient stand-in: send() puts the command on the wire,
+    // acks arrive as message:received
+    connection = Object.assign(new EventTarget(), { send: jest.fn() });
 
     sessionManager = {
-      connection: { socket: fakeSocket },
+      connection,
       createSession: jest.fn().mockResolvedValue({}),
     };
 
@@ -49,44 +44,56 @@ describe('app.adminResetAndCreateNew - ack action filter (AC-3)', () => {
     app.viewController = { adminInstances: { sessionManager } };
   });
 
+  afterEach(() => {
+    CommandBus.for(connection).destroy();
+    jest.useRealTimers();
+  });
+
+  it('sends system:reset through the connection command bus', async () => {
+    const resetPromise = app.adminResetAndCreateNew();
+    await Promise.resolve();
+
+    expect(connection.send).toHaveBeenCalledWith('gm:command', expect.objectContaining({
+      action: 'system:reset',
+      payload: {},
+      requestId: expect.any(String)
+    }));
+
+    deliverAck({ action: 'system:reset', success: true });
+    await resetPromise;
+    expect(sessionManager.createSession).toHaveBeenCalledWith('New Game');
+  });
+
   it('ignores a foreign (failed) ack and resolves on the system:reset ack', async () => {
     const resetPromise = app.adminResetAndCreateNew();
+    await Promise.resolve();
 
-    // Wait a microtask for socket.once to register.
+    // A racing ack for a DIFFERENT action arrives first, and it FAILED: it
+    // must neither reject the reset nor settle it
+    deliverAck({ action: 'session:create', success: false, message: 'nope' });
     await Promise.resolve();
-    expect(fakeSocket._ackHandler).toBeDefined();
+    expect(CommandBus.for(connection).getPending()).toHaveLength(1);
 
-    // A racing ack for a DIFFERENT action arrives first, and it FAILED — under
-    // current (unfiltered) code this rejects the reset (the catch swallows it and
-    // createSession is never called). With the action filter it must be ignored
-    // and the listener re-armed.
-    fakeSocket._deliverAck({ event: 'gm:command:ack', data: { action: 'session:create', success: false, message: 'nope' }, timestamp: '' });
-    // The genuine reset ack arrives next — must resolve the wait.
-    fakeSocket._deliverAck({ event: 'gm:command:ack', data: { action: 'system:reset', success: true }, timestamp: '' });
+    // The genuine reset ack arrives next and resolves the wait
+    deliverAck({ action: 'system:reset', success: true });
 
     await resetPromise;
-    // The decisive assertion: createSession only runs if the reset wait resolved,
-    // which only happens if the foreign ack was ignored (not rejected) and the
-    // matching system:reset ack was observed.
     expect(sessionManager.createSession).toHaveBeenCalledWith('New Game');
   });
 
-  it('removes the ack listener on the 5s timeout (no dangling re-arm leak)', async () => {
+  it('fails the reset on the 5s timeout without creating a session', async () => {
     jest.useFakeTimers();
 
     const resetPromise = app.adminResetAndCreateNew();
     await Promise.resolve();
-    expect(fakeSocket._ackHandler).not.toBeNull();
 
-    // Fire the 5s timeout (no ack ever arrives).
     jest.advanceTimersByTime(5000);
-    await resetPromise; // adminResetAndCreateNew swallows the rejection via try/catch
+    await resetPromise; // adminResetAndCreateNew reports the rejection via try/catch
 
-    // The armed one-shot listener must be removed on timeout, else a late ack
-    // would re-invoke ackHandler and re-arm forever.
-    expect(fakeSocket.off).toHaveBeenCalledWith('gm:command:ack', expect.any(Function));
-    expect(fakeSocket._ackHandler).toBeNull();
-
-    jest.useRealTimers();
+    expect(sessionManager.createSession).not.toHaveBeenCalled();
+    expect(app.uiManager.showError).toHaveBeenCalledWith(
+      'Failed to reset and create session: system:reset timeout after 5000ms'
+    );
+    expect(CommandBus.for(connection).getPending()).toEqual([]);
   });
 });
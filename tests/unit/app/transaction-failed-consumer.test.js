@@ -18,7 +18,7 @@ describe('app transaction:failed consumer (P3.4)', () => {
   beforeEach(() => {
     document.body.innerHTML = '';
     uiManager = { showError: jest.fn(), showToast: jest.fn(), showScreen: jest.fn() };
-    dataManager = { unmarkTokenAsScanned: jest.fn() };
+    dataManager = { unmarkTokenAsScanned: jest.fn(), recordAction: jest.fn() };
     app = new App({ debug: { log: jest.fn() }, uiManager, dataManager });
     // _wireNetworkedSessionEvents early-returns if networkedSession is null; give
     // it a bare EventTarget to listen on, then wire.
@@ -144,4 +144,27 @@ describe('app transaction:failed consumer (P3.4)', () => {
     expect(uiManager.showScreen).not.toHaveBeenCalled();
     expect(document.getElementById('resultStatus').textContent).toBe('');
   });
+
+  it('does NOT record a rejected scan for undo', () => {
+    // Undoing it would delete whichever transaction matches its token and team,
+    // e.g. the one another station recorded
+    app.networkedSession.dispatchEvent(new CustomEvent('transaction:failed', {
+      detail: { transaction: { tokenId: 'dup', teamId: '001', clientTxId: 'c1' }, status: 'duplicate', message: 'Token already claimed by Team X' }
+    }));
+
+    expect(dataManager.recordAction).not.toHaveBeenCalled();
+  });
+
+  it('records an accepted scan for undo under the orchestrator transaction ID', () => {
+    app.networkedSession.dispatchEvent(new CustomEvent('transaction:accepted', {
+      detail: {
+        transaction: { tokenId: 'abc', teamId: '001', clientTxId: 'c1' },
+        result: { status: 'accepted', clientTxId: 'c1', transactionId: 'tx-42' }
+      }
+    }));
+
+    expect(dataManager.recordAction).toHaveBeenCalledWith('transaction:add', {
+      transaction: { tokenId: 'abc', teamId: '001', clientTxId: 'c1', id: 'tx-42' }
+    });
+  });
 });
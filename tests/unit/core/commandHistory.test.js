@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { CommandHistory } from '../../../src/core/commandHistory.js';
+
+describe('CommandHistory', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new CommandHistory({ limit: 3 });
+  });
+
+  it('should describe recorded actions', () => {
+    const transaction = { tokenId: 'tok1', teamId: '001' };
+    expect(history.record('transaction:add', { transaction }).label).toBe('Scan tok1 for team 001');
+    expect(history.record('transaction:delete', { transaction }).label).toBe('Delete tok1 from team 001');
+    expect(history.record('score:adjust', { teamId: '002', delta: 500 }).label).toBe('Adjust team 002 by +500');
+    expect(history.record('score:adjust', { teamId: '002', delta: -500 }).label).toBe('Adjust team 002 by -500');
+  });
+
+  it('should reject unknown action types', () => {
+    expect(() => history.record('session:end', {})).toThrow('unknown action type "session:end"');
+  });
+
+  it('should copy params so later mutation does not change the entry', () => {
+    const transaction = { tokenId: 'tok1', teamId: '001' };
+    const entry = history.record('transaction:add', { transaction });
+    transaction.teamId = '999';
+
+    expect(entry.params.transaction.teamId).toBe('001');
+  });
+
+  it('should move entries between stacks newest first', () => {
+    history.record('score:adjust', { teamId: '001', delta: 1 });
+    history.record('score:adjust', { teamId: '001', delta: 2 });
+
+    expect(history.completeUndo().params.delta).toBe(2);
+    expect(history.peekUndo().params.delta).toBe(1);
+    expect(history.peekRedo().params.delta).toBe(2);
+
+    history.completeRedo({ teamId: '001', delta: 2, note: 'replaced' });
+    expect(history.peekUndo().params.note).toBe('replaced');
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('should clear redo when a new action is recorded', () => {
+    history.record('score:adjust', { teamId: '001', delta: 1 });
+    history.completeUndo();
+    history.record('score:adjust', { teamId: '001', delta: 3 });
+
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('should drop the oldest entries past the limit', () => {
+    [1, 2, 3, 4].forEach(delta => history.record('score:adjust', { teamId: '001', delta }));
+
+    expect(history.getEntries().undo.map(e => e.params.delta)).toEqual([4, 3, 2]);
+  });
+
+  it('should return nothing when a stack is empty', () => {
+    expect(history.completeUndo()).toBeNull();
+    expect(history.completeRedo()).toBeNull();
+    expect(history.peekUndo()).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { buildDetectiveStandings } from '../../../src/core/detectiveScoring.js';
+
+const config = { ENABLED: true, POINTS_PER_EXPOSURE: 1, FIRST_EXPOSER_BONUS: 2 };
+
+const exposure = (overrides = {}) => ({
+  mode: 'detective',
+  teamId: 'Alpha',
+  tokenId: 'tok1',
+  owner: 'Marcus',
+  timestamp: '2026-01-01T20:00:00Z',
+  ...overrides
+});
+
+describe('buildDetectiveStandings', () => {
+  it('should award reputation per exposure and a first-exposer bonus per character', () => {
+    const standings = buildDetectiveStandings({
+      transactions: [
+        exposure({ teamId: 'Bravo', tokenId: 'tok2', timestamp: '2026-01-01T20:05:00Z' }),
+        exposure(),
+        exposure({ teamId: 'Bravo', tokenId: 'tok3', owner: 'Victoria', timestamp: '2026-01-01T20:10:00Z' })
+      ],
+      options: { config }
+    });
+
+    // Alpha exposed Marcus first despite appearing second in the log
+    expect(standings.teams).toEqual([
+      { teamId: 'Bravo', reputation: 4, exposures: 2, firstExposures: 1 },
+      { teamId: 'Alpha', reputation: 3, exposures: 1, firstExposures: 1 }
+    ]);
+    expect(standings.characters).toEqual([
+      { owner: 'Marcus', exposures: 2, firstExposedBy: 'Alpha', teams: ['Alpha', 'Bravo'] },
+      { owner: 'Victoria', exposures: 1, firstExposedBy: 'Bravo', teams: ['Bravo'] }
+    ]);
+  });
+
+  it('should ignore black market sales and unknown tokens', () => {
+    const standings = buildDetectiveStandings({
+      transactions: [
+        exposure({ mode: 'blackmarket' }),
+        exposure({ isUnknown: true })
+      ],
+      options: { config }
+    });
+
+    expect(standings.teams).toEqual([]);
+    expect(standings.characters).toEqual([]);
+  });
+
+  it('should resolve missing owners through the token manager', () => {
+    const tokenManager = { findToken: jest.fn(() => ({ token: { owner: 'Sofia' }, matchedId: 'tok1' })) };
+
+    const standings = buildDetectiveStandings({
+      transactions: [exposure({ owner: undefined })],
+      tokenManager,
+      options: { config }
+    });
+
+    expect(tokenManager.findToken).toHaveBeenCalledWith('tok1');
+    expect(standings.characters[0].owner).toBe('Sofia');
+  });
+
+  it('should score an exposure without a known owner but award no first-exposer bonus', () => {
+    const standings = buildDetectiveStandings({
+      transactions: [exposure({ owner: undefined })],
+      options: { config }
+    });
+
+    expect(standings.teams[0]).toEqual({ teamId: 'Alpha', reputation: 1, exposures: 1, firstExposures: 0 });
+  });
+
+  it('should apply the transaction filter', () => {
+    const standings = buildDetectiveStandings({
+      transactions: [exposure({ status: 'duplicate' })],
+      options: { config, transactionFilter: tx => !tx.status || tx.status === 'accepted' }
+    });
+
+    expect(standings.teams).toEqual([]);
+  });
+
+  it('should report the track as disabled by default', () => {
+    const standings = buildDetectiveStandings({ transactions: [] });
+
+    expect(standings.enabled).toBe(false);
+  });
+});
@@ -50,6 +50,17 @@ describe('buildGameActivity', () => {
     expect(result.stats.claimedWithoutDiscovery).toBe(1);
   });
 
+  it('should carry the transaction id, note and dispute flag on claim events', () => {
+    const result = buildGameActivity({
+      transactions: [{
+        id: 'tx-1', tokenId: 'tok1', teamId: 'TeamA', mode: 'blackmarket',
+        timestamp: '2026-01-01T00:00:00Z', points: 100, note: 'Checked', disputed: true
+      }],
+      playerScans: [], tokenManager: mockTokenManager
+    });
+    expect(result.tokens[0].events[0]).toMatchObject({ transactionId: 'tx-1', note: 'Checked', disputed: true });
+  });
+
   it('should apply transactionFilter when provided', () => {
     const txs = [
       { tokenId: 'tok1', teamId: 'A', mode: 'blackmarket', timestamp: '2026-01-01T00:00:00Z', points: 100, status: 'accepted', memoryType: 'Personal', valueRating: 1 },
@@ -0,0 +1,127 @@
+// ALNScanner/tests/unit/core/historyQuery.test.js
+import { describe, it, expect } from '@jest/globals';
+import {
+  queryGameActivity,
+  getHistoryFilterOptions,
+  gameActivityToCsv,
+  describeActivityToken
+} from '../../../src/core/historyQuery.js';
+
+const claim = (teamId, timestamp, extra = {}) => ({
+  type: 'claim', transactionId: `tx-${teamId}-${timestamp}`, timestamp, mode: 'blackmarket', teamId, points: 0, ...extra
+});
+
+const TOKENS = [
+  {
+    tokenId: 'alr001',
+    tokenData: { SF_MemoryType: 'Personal', SF_Group: 'Marcus Sucks (x2)' },
+    potentialValue: 10000,
+    events: [
+      { type: 'discovery', timestamp: '2025-11-11T10:00:00Z', deviceId: 'player-1' },
+      claim('001', '2025-11-11T10:05:00Z', { points: 10000, note: 'Scanned twice' })
+    ],
+    status: 'claimed',
+    discoveredByPlayers: true
+  },
+  {
+    tokenId: 'sec042',
+    tokenData: { SF_MemoryType: 'Technical' },
+    potentialValue: 750000,
+    events: [claim('002', '2025-11-11T11:00:00Z', { mode: 'detective', points: 0, disputed: true, summary: 'Server logs' })],
+    status: 'claimed',
+    discoveredByPlayers: false
+  },
+  {
+    tokenId: 'doc019',
+    tokenData: { SF_MemoryType: 'Business' },
+    potentialValue: 25000,
+    events: [{ type: 'discovery', timestamp: '2025-11-11T09:00:00Z', deviceId: 'player-2' }],
+    status: 'available',
+    discoveredByPlayers: true
+  }
+];
+
+const ids = tokens => tokens.map(t => t.tokenId);
+
+describe('historyQuery', () => {
+  describe('queryGameActivity', () => {
+    it('should return every token, latest activity first, for an empty query', () => {
+      expect(ids(queryGameActivity(TOKENS))).toEqual(['sec042', 'alr001', 'doc019']);
+    });
+
+    it('should search token ID, group, summary, notes and the token database owner', () => {
+      const lookupToken = id => (id === 'doc019' ? { owner: 'Victoria Kingsley' } : null);
+
+      expect(ids(queryGameActivity(TOKENS, { text: 'MARCUS' }))).toEqual(['alr001']);
+      expect(ids(queryGameActivity(TOKENS, { text: 'server logs' }))).toEqual(['sec042']);
+      expect(ids(queryGameActivity(TOKENS, { text: 'twice' }))).toEqual(['alr001']);
+      expect(ids(queryGameActivity(TOKENS, { text: 'kingsley' }, { lookupToken }))).toEqual(['doc019']);
+    });
+
+    it('should filter by status', () => {
+      expect(ids(queryGameActivity(TOKENS, { status: 'available' }))).toEqual(['doc019']);
+      expect(ids(queryGameActivity(TOKENS, { status: 'disputed' }))).toEqual(['sec042']);
+      expect(ids(queryGameActivity(TOKENS, { status: 'undiscovered' }))).toEqual(['sec042']);
+    });
+
+    it('should filter by team, mode, memory type and device', () => {
+      expect(ids(queryGameActivity(TOKENS, { teamId: '001' }))).toEqual(['alr001']);
+      expect(ids(queryGameActivity(TOKENS, { mode: 'detective' }))).toEqual(['sec042']);
+      expect(ids(queryGameActivity(TOKENS, { memoryType: 'Business' }))).toEqual(['doc019']);
+      expect(ids(queryGameActivity(TOKENS, { deviceId: 'player-1' }))).toEqual(['alr001']);
+    });
+
+    it('should keep tokens with any event inside the time range', () => {
+      const result = queryGameActivity(TOKENS, { from: '2025-11-11T10:04:00Z', to: '2025-11-11T10:30:00Z' });
+      expect(ids(result)).toEqual(['alr001']);
+      expect(ids(queryGameActivity(TOKENS, { from: '2025-11-11T10:30:00Z' }))).toEqual(['sec042']);
+    });
+
+    it('should sort by the requested order', () => {
+      expect(ids(queryGameActivity(TOKENS, { sort: 'oldest' }))).toEqual(['doc019', 'alr001', 'sec042']);
+      expect(ids(queryGameActivity(TOKENS, { sort: 'value' }))).toEqual(['sec042', 'doc019', 'alr001']);
+      expect(ids(queryGameActivity(TOKENS, { sort: 'token' }))).toEqual(['alr001', 'doc019', 'sec042']);
+      expect(ids(queryGameActivity(TOKENS, { sort: 'team' }))).toEqual(['alr001', 'sec042', 'doc019']);
+    });
+
+    it('should not reorder the input array', () => {
+      const input = [...TOKENS];
+      queryGameActivity(input, { sort: 'token' });
+      expect(input).toEqual(TOKENS);
+    });
+  });
+
+  describe('getHistoryFilterOptions', () => {
+    it('should list the teams, memory types and devices present', () => {
+      expect(getHistoryFilterOptions(TOKENS)).toEqual({
+        teams: ['001', '002'],
+        memoryTypes: ['Business', 'Personal', 'Technical'],
+        devices: ['player-1', 'player-2']
+      });
+    });
+  });
+
+  describe('describeActivityToken', () => {
+    it('should prefer the activity data over the database entry', () => {
+      const meta = describeActivityToken(TOKENS[0], () => ({ SF_Group: 'Old Group', owner: 'Marcus' }));
+      expect(meta).toEqual({ memoryType: 'Personal', group: 'Marcus Sucks (x2)', owner: 'Marcus', summary: '' });
+    });
+  });
+
+  describe('gameActivityToCsv', () => {
+    it('should write one row per claim and one per unclaimed token, quoting where needed', () => {
+      const csv = gameActivityToCsv(TOKENS);
+      const lines = csv.trim().split('\n');
+
+      expect(lines[0]).toBe('Token ID,Status,Memory Type,Group,Owner,Team,Mode,Points,Claimed At,Discovered By Players,Devices,Disputed,Note,Summary');
+      expect(lines[1]).toBe('alr001,claimed,Personal,Marcus Sucks (x2),,001,blackmarket,10000,2025-11-11T10:05:00Z,yes,player-1,,Scanned twice,');
+      expect(lines[2]).toBe('sec042,claimed,Technical,,,002,detective,0,2025-11-11T11:00:00Z,no,,yes,,Server logs');
+      expect(lines[3]).toBe('doc019,available,Business,,,,,,,yes,player-2,,,');
+    });
+
+    it('should escape quotes, commas and newlines', () => {
+      const token = { ...TOKENS[0], events: [claim('001', '2025-11-11T10:05:00Z', { note: 'Said "no", twice\nthen yes' })] };
+      expect(gameActivityToCsv([token])).toContain('"Said ""no"", twice\nthen yes"');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import {
+  replayTeamScores,
+  diffReplayedScores,
+  auditSessionScores
+} from '../../../src/core/scoreReplay.js';
+
+const tokens = [
+  { SF_RFID: 'srv1', SF_Group: 'Server Logs (x3)' },
+  { SF_RFID: 'srv2', SF_Group: 'Server Logs (x3)' },
+  { SF_RFID: 'solo', SF_Group: 'Solo (x2)' },
+  { SF_RFID: 'loose', SF_Group: '' }
+];
+
+const sale = (id, tokenId, teamId, points, timestamp, group = '') => ({
+  id, tokenId, teamId, points, timestamp, group, mode: 'blackmarket'
+});
+
+describe('scoreReplay', () => {
+  describe('replayTeamScores', () => {
+    it('should rebuild base score and token counts from sales', () => {
+      const replayed = replayTeamScores({
+        transactions: [
+          sale('t1', 'loose', 'A', 10000, '2026-01-01T20:00:00Z'),
+          { id: 't2', tokenId: 'srv1', teamId: 'A', mode: 'detective', timestamp: '2026-01-01T20:01:00Z' }
+        ],
+        tokens
+      });
+
+      expect(replayed.A).toMatchObject({ score: 10000, baseScore: 10000, bonusPoints: 0, tokensScanned: 2 });
+      expect(replayed.A.entries.map(e => e.type)).toEqual(['sale', 'unscored']);
+      expect(replayed.A.entries[1].detail).toBe('srv1 exposed (detective)');
+    });
+
+    it('should pay a group bonus once every group token is sold', () => {
+      const replayed = replayTeamScores({
+        transactions: [
+          sale('t1', 'srv1', 'A', 10000, '2026-01-01T20:00:00Z', 'Server Logs (x3)'),
+          sale('t2', 'srv2', 'A', 20000, '2026-01-01T20:05:00Z', 'Server Logs (x3)')
+        ],
+        tokens
+      });
+
+      expect(replayed.A.bonusPoints).toBe(60000);
+      expect(replayed.A.score).toBe(90000);
+      expect(replayed.A.completedGroups).toEqual(['Server Logs']);
+      expect(replayed.A.entries[2]).toMatchObject({ type: 'group-bonus', amount: 60000, balance: 90000 });
+    });
+
+    it('should not pay bonuses for single-token groups or without a token database', () => {
+      const txs = [
+        sale('t1', 'solo', 'A', 10000, '2026-01-01T20:00:00Z', 'Solo (x2)'),
+        sale('t2', 'srv1', 'B', 10000, '2026-01-01T20:01:00Z', 'Server Logs (x3)'),
+        sale('t3', 'srv2', 'B', 10000, '2026-01-01T20:02:00Z', 'Server Logs (x3)')
+      ];
+
+      expect(replayTeamScores({ transactions: txs, tokens }).A.bonusPoints).toBe(0);
+      expect(replayTeamScores({ transactions: txs }).B.bonusPoints).toBe(0);
+    });
+
+    it('should interleave admin adjustments by timestamp', () => {
+      const replayed = replayTeamScores({
+        transactions: [
+          sale('t1', 'loose', 'A', 10000, '2026-01-01T20:00:00Z'),
+          sale('t2', 'srv1', 'A', 5000, '2026-01-01T20:10:00Z')
+        ],
+        teams: {
+          A: { teamId: 'A', adminAdjustments: [{ delta: -2000, reason: 'Wrong team', timestamp: '2026-01-01T20:05:00Z' }] }
+        },
+        tokens
+      });
+
+      expect(replayed.A.entries.map(e => [e.type, e.balance])).toEqual([
+        ['sale', 10000], ['adjustment', 8000], ['sale', 13000]
+      ]);
+      expect(replayed.A.adjustmentTotal).toBe(-2000);
+      expect(replayed.A.score).toBe(13000);
+    });
+
+    it('should zero scores at a reset but keep completed groups', () => {
+      const replayed = replayTeamScores({
+        transactions: [
+          sale('t1', 'srv1', 'A', 10000, '2026-01-01T20:00:00Z', 'Server Logs (x3)'),
+          sale('t2', 'srv2', 'A', 10000, '2026-01-01T20:01:00Z', 'Server Logs (x3)'),
+          sale('t3', 'loose', 'A', 7000, '2026-01-01T20:10:00Z')
+        ],
+        scoresResetAt: '2026-01-01T20:05:00Z',
+        tokens
+      });
+
+      expect(replayed.A).toMatchObject({ score: 7000, baseScore: 7000, bonusPoints: 0, tokensScanned: 3 });
+      expect(replayed.A.completedGroups).toEqual(['Server Logs']);
+      expect(replayed.A.entries.find(e => e.type === 'reset').amount).toBe(-60000);
+    });
+
+    it('should score a reassigned sale for its current team and explain the move on both', () => {
+      const moved = {
+        ...sale('t1', 'loose', 'B', 10000, '2026-01-01T20:00:00Z'),
+        reassignments: [{ fromTeamId: 'A', toTeamId: 'B', reason: 'Wrong team tapped', timestamp: '2026-01-01T20:02:00Z' }]
+      };
+
+      const replayed = replayTeamScores({ transactions: [moved], tokens });
+
+      expect(replayed.A).toMatchObject({ score: 0, tokensScanned: 0 });
+      expect(replayed.A.entries).toEqual([expect.objectContaining({
+        type: 'reassignment', amount: 0, transactionId: 't1', timestamp: '2026-01-01T20:02:00Z',
+        detail: 'loose moved to team B: Wrong team tapped'
+      })]);
+      expect(replayed.B).toMatchObject({ score: 10000, tokensScanned: 1 });
+      expect(replayed.B.entries[0].detail).toBe('Sold loose (moved from team A: Wrong team tapped)');
+    });
+  });
+
+  describe('diffReplayedScores', () => {
+    it('should report only fields that disagree', () => {
+      const replayed = replayTeamScores({
+        transactions: [sale('t1', 'loose', 'A', 10000, '2026-01-01T20:00:00Z')]
+      });
+      const diffs = diffReplayedScores(replayed, {
+        A: { score: 12000, baseScore: 10000, bonusPoints: 0, tokensScanned: 1, completedGroups: ['Ghost'] }
+      });
+
+      expect(diffs.A).toEqual([
+        { field: 'score', stored: 12000, replayed: 10000 },
+        { field: 'completedGroups', stored: ['Ghost'], replayed: [] }
+      ]);
+    });
+
+    it('should flag stored teams with no transactions behind them', () => {
+      const diffs = diffReplayedScores({}, { B: { score: 500, tokensScanned: 0 } });
+      expect(diffs.B).toEqual([{ field: 'score', stored: 500, replayed: 0 }]);
+    });
+  });
+
+  describe('auditSessionScores', () => {
+    it('should report a balanced session', () => {
+      const audit = auditSessionScores({
+        transactions: [sale('t1', 'loose', 'A', 10000, '2026-01-01T20:00:00Z')],
+        teams: { A: { teamId: 'A', score: 10000, baseScore: 10000, bonusPoints: 0, tokensScanned: 1, completedGroups: [] } }
+      }, tokens);
+
+      expect(audit.balanced).toBe(true);
+      expect(audit.teams).toHaveLength(1);
+      expect(audit.teams[0].discrepancies).toEqual([]);
+    });
+
+    it('should handle a missing session', () => {
+      expect(auditSessionScores(null)).toEqual({ balanced: true, teams: [] });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, afterEach } from '@jest/globals';
+import {
+  SCORING_CONFIG,
+  applyScoringProfile,
+  calculateTokenValue,
+  getDefaultScoringProfile,
+  parseGroupInfo,
+  validateScoringProfile
+} from '../../../src/core/scoring.js';
+
+describe('scoring profiles', () => {
+  afterEach(() => {
+    applyScoringProfile(null);
+  });
+
+  describe('getDefaultScoringProfile', () => {
+    it('should prefill the build-time values', () => {
+      const profile = getDefaultScoringProfile('House Rules');
+
+      expect(profile.name).toBe('House Rules');
+      expect(profile.baseValues[3]).toBe(SCORING_CONFIG.BASE_VALUES[3]);
+      expect(profile.typeMultipliers.Technical).toBe(SCORING_CONFIG.TYPE_MULTIPLIERS.Technical);
+      expect(profile.groupMultipliers).toEqual({});
+    });
+
+    it('should pass validation', () => {
+      expect(validateScoringProfile(getDefaultScoringProfile())).toEqual([]);
+    });
+  });
+
+  describe('validateScoringProfile', () => {
+    it('should reject non-objects', () => {
+      expect(validateScoringProfile(null)).toEqual(['Scoring profile must be an object']);
+      expect(validateScoringProfile([])).toEqual(['Scoring profile must be an object']);
+    });
+
+    it('should require a name', () => {
+      expect(validateScoringProfile({ name: ' ' })).toEqual(['Scoring profile needs a name']);
+    });
+
+    it('should reject unknown ratings and negative values', () => {
+      const errors = validateScoringProfile({ name: 'Bad', baseValues: { 9: 100, 2: -1 } });
+
+      expect(errors).toContain('baseValues: unknown key "9"');
+      expect(errors).toContain('baseValues.2 must be a number >= 0');
+    });
+
+    it('should validate the detective track block', () => {
+      expect(validateScoringProfile({ name: 'Bad', detective: { enabled: 'yes', pointsPerExposure: -1 } }))
+        .toEqual(['detective.enabled must be true or false', 'detective.pointsPerExposure must be a number >= 0']);
+    });
+
+    it('should reject group multipliers below 1', () => {
+      expect(validateScoringProfile({ name: 'Bad', groupMultipliers: { 'Server Logs': 0.5 } }))
+        .toEqual(['groupMultipliers.Server Logs must be a number >= 1']);
+    });
+  });
+
+  describe('applyScoringProfile', () => {
+    it('should merge overrides over the defaults', () => {
+      const defaultRating2 = SCORING_CONFIG.BASE_VALUES[2];
+      applyScoringProfile({ name: 'High Stakes', baseValues: { 3: 1000 }, typeMultipliers: { Technical: 2 } });
+
+      expect(SCORING_CONFIG.BASE_VALUES[3]).toBe(1000);
+      expect(SCORING_CONFIG.BASE_VALUES[2]).toBe(defaultRating2);
+      expect(calculateTokenValue({ valueRating: 3, memoryType: 'Technical' })).toBe(2000);
+      expect(SCORING_CONFIG.PROFILE.name).toBe('High Stakes');
+    });
+
+    it('should override group multipliers by normalized name', () => {
+      applyScoringProfile({ name: 'Groups', groupMultipliers: { 'server  LOGS': 4 } });
+
+      expect(parseGroupInfo('Server Logs (x2)')).toEqual({ name: 'Server Logs', multiplier: 4 });
+      expect(parseGroupInfo('Ungrouped')).toEqual({ name: 'Ungrouped', multiplier: 1 });
+    });
+
+    it('should toggle the detective track per session', () => {
+      applyScoringProfile({ name: 'Detectives', detective: { enabled: true, firstExposerBonus: 5 } });
+
+      expect(SCORING_CONFIG.DETECTIVE).toEqual({ ENABLED: true, POINTS_PER_EXPOSURE: 1, FIRST_EXPOSER_BONUS: 5 });
+
+      applyScoringProfile(null);
+      expect(SCORING_CONFIG.DETECTIVE.ENABLED).toBe(false);
+    });
+
+    it('should restore the defaults when given null', () => {
+      const defaults = getDefaultScoringProfile();
+      applyScoringProfile({ name: 'Temp', baseValues: { 1: 1 }, groupMultipliers: { 'Server Logs': 4 } });
+      applyScoringProfile(null);
+
+      expect(SCORING_CONFIG.BASE_VALUES[1]).toBe(defaults.baseValues[1]);
+      expect(parseGroupInfo('Server Logs (x2)').multiplier).toBe(2);
+      expect(SCORING_CONFIG.PROFILE).toBeNull();
+    });
+
+    it('should throw and leave scoring untouched for an invalid profile', () => {
+      const before = SCORING_CONFIG.BASE_VALUES[3];
+
+      expect(() => applyScoringProfile({ name: 'Bad', baseValues: { 3: 'lots' } }))
+        .toThrow('Invalid scoring profile: baseValues.3 must be a number >= 0');
+      expect(SCORING_CONFIG.BASE_VALUES[3]).toBe(before);
+    });
+  });
+});
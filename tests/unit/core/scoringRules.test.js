@@ -0,0 +1,157 @@
+import {
+  validateScoringRules,
+  normalizeScoringRules,
+  ruleMatches,
+  evaluateScoringRules
+} from '../../../src/core/scoringRules.js';
+
+const normalizeGroup = (name) => name.trim().toLowerCase();
+
+const facts = (overrides = {}) => ({
+  memoryType: 'Technical',
+  rating: 3,
+  group: 'server logs',
+  teamId: '001',
+  timestamp: '2026-01-01T20:30:00',
+  elapsedMinutes: 45,
+  normalizeGroup,
+  ...overrides
+});
+
+describe('scoringRules', () => {
+  describe('validateScoringRules', () => {
+    it('should accept a missing rule set', () => {
+      expect(validateScoringRules(undefined)).toEqual([]);
+    });
+
+    it('should reject a non-array rule set', () => {
+      expect(validateScoringRules({})).toEqual(['Scoring rules must be an array']);
+    });
+
+    it('should report every problem in one pass', () => {
+      const errors = validateScoringRules([
+        { multiplier: 2 },
+        { id: 'a', multiplier: -1 },
+        { id: 'a', bonus: 10 },
+        { id: 'b' },
+        { id: 'c', multiplier: 2, when: { time: { daily: { start: '25:00', end: '10:00' } } } }
+      ]);
+      expect(errors).toEqual([
+        'Rule #1 is missing a string id',
+        'Rule "a" has an invalid multiplier',
+        'Rule "a" is defined more than once',
+        'Rule "b" has no multiplier or bonus',
+        'Rule "c" has an invalid daily window (expected HH:MM)'
+      ]);
+    });
+  });
+
+  describe('normalizeScoringRules', () => {
+    beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+    afterEach(() => console.warn.mockRestore());
+
+    it('should drop invalid and duplicate rules but keep order', () => {
+      const rules = normalizeScoringRules([
+        { id: 'first', multiplier: 2 },
+        { id: 'broken' },
+        { id: 'first', bonus: 1 },
+        { id: 'second', bonus: 100 }
+      ]);
+      expect(rules.map(r => r.id)).toEqual(['first', 'second']);
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return an empty set for non-arrays', () => {
+      expect(normalizeScoringRules(null)).toEqual([]);
+      expect(normalizeScoringRules('nope')).toEqual([]);
+    });
+  });
+
+  describe('ruleMatches', () => {
+    it('should match a rule with no conditions', () => {
+      expect(ruleMatches({ id: 'all', multiplier: 2 }, facts())).toBe(true);
+    });
+
+    it('should match memory type as scalar or list', () => {
+      expect(ruleMatches({ when: { memoryType: 'Technical' } }, facts())).toBe(true);
+      expect(ruleMatches({ when: { memoryType: ['Personal', 'Business'] } }, facts())).toBe(false);
+    });
+
+    it('should match rating as list or range', () => {
+      expect(ruleMatches({ when: { rating: [3, 4] } }, facts())).toBe(true);
+      expect(ruleMatches({ when: { rating: { min: 4 } } }, facts())).toBe(false);
+      expect(ruleMatches({ when: { rating: { min: 2, max: 3 } } }, facts())).toBe(true);
+    });
+
+    it('should normalize rule group names before comparing', () => {
+      expect(ruleMatches({ when: { group: '  Server Logs ' } }, facts())).toBe(true);
+      expect(ruleMatches({ when: { group: 'Marcus Sucks' } }, facts())).toBe(false);
+    });
+
+    it('should compare team ids as strings', () => {
+      expect(ruleMatches({ when: { team: [1, '001'] } }, facts())).toBe(true);
+      expect(ruleMatches({ when: { team: '002' } }, facts())).toBe(false);
+    });
+
+    it('should match absolute time windows', () => {
+      const when = { time: { from: '2026-01-01T20:00:00', until: '2026-01-01T21:00:00' } };
+      expect(ruleMatches({ when }, facts())).toBe(true);
+      expect(ruleMatches({ when }, facts({ timestamp: '2026-01-01T21:00:00' }))).toBe(false);
+    });
+
+    it('should match daily clock windows including ones that wrap midnight', () => {
+      const evening = { time: { daily: { start: '20:00', end: '21:00' } } };
+      const overnight = { time: { daily: { start: '23:00', end: '01:00' } } };
+      expect(ruleMatches({ when: evening }, facts())).toBe(true);
+      expect(ruleMatches({ when: overnight }, facts())).toBe(false);
+      expect(ruleMatches({ when: overnight }, facts({ timestamp: '2026-01-02T00:15:00' }))).toBe(true);
+    });
+
+    it('should match elapsed minutes and fail without a session start', () => {
+      const when = { time: { elapsedMinutes: { min: 30, max: 60 } } };
+      expect(ruleMatches({ when }, facts())).toBe(true);
+      expect(ruleMatches({ when }, facts({ elapsedMinutes: NaN }))).toBe(false);
+    });
+
+    it('should not match time rules when the timestamp is missing', () => {
+      expect(ruleMatches({ when: { time: {} } }, facts({ timestamp: undefined }))).toBe(false);
+    });
+  });
+
+  describe('evaluateScoringRules', () => {
+    it('should return the base value when no rules apply', () => {
+      expect(evaluateScoringRules([], 250000, facts())).toEqual({ value: 250000, appliedRules: [] });
+    });
+
+    it('should apply matching rules in order (multiplier then bonus)', () => {
+      const rules = [
+        { id: 'double', description: 'Double hour', multiplier: 2 },
+        { id: 'flat', bonus: 1000 },
+        { id: 'personal-only', when: { memoryType: 'Personal' }, multiplier: 10 }
+      ];
+      const result = evaluateScoringRules(rules, 50000, facts());
+      expect(result.value).toBe(101000);
+      expect(result.appliedRules).toEqual([
+        { id: 'double', description: 'Double hour' },
+        { id: 'flat', description: undefined }
+      ]);
+    });
+
+    it('should stop after a matching rule flagged stop', () => {
+      const rules = [
+        { id: 'decay-late', when: { time: { elapsedMinutes: { min: 30 } } }, multiplier: 0.5, stop: true },
+        { id: 'never', multiplier: 100 }
+      ];
+      expect(evaluateScoringRules(rules, 50000, facts()).value).toBe(25000);
+    });
+
+    it('should round and never go negative', () => {
+      const rules = [
+        { id: 'third', multiplier: 1 / 3 },
+        { id: 'penalty', bonus: -1000000 }
+      ];
+      expect(evaluateScoringRules(rules.slice(0, 1), 10000, facts()).value).toBe(3333);
+      expect(evaluateScoringRules(rules, 10000, facts()).value).toBe(0);
+    });
+  });
+});
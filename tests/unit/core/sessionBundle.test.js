@@ -0,0 +1,98 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  createSessionBundle,
+  validateSessionBundle
+} from '../../../src/core/sessionBundle.js';
+
+describe('sessionBundle', () => {
+  const sessionData = () => ({
+    sessionId: 'LOCAL_1',
+    name: 'Friday Game',
+    status: 'active',
+    startTime: '2026-10-16T19:00:00.000Z',
+    mode: 'standalone',
+    scoringProfile: null,
+    transactions: [
+      { id: 'tx-1', tokenId: 'tok1', teamId: '001', mode: 'blackmarket', points: 50000 },
+      { id: 'tx-2', tokenId: 'tok2', teamId: '002', mode: 'detective', points: 0 }
+    ],
+    teams: {
+      '001': { teamId: '001', score: 50500, baseScore: 50000, bonusPoints: 0, adminAdjustments: [{ delta: 500, reason: 'Bonus' }] }
+    }
+  });
+
+  const tokenManager = (known = ['tok1', 'tok2'], version = 'abc123') => ({
+    version,
+    findToken: jest.fn(id => (known.includes(id) ? { token: {}, matchedId: id } : null))
+  });
+
+  describe('createSessionBundle', () => {
+    it('should wrap a copy of the session with format, version and token hash', () => {
+      const data = sessionData();
+      const bundle = createSessionBundle({ sessionData: data, tokenDatabaseHash: 'abc123' });
+
+      expect(bundle).toMatchObject({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, tokenDatabaseHash: 'abc123' });
+      expect(bundle.exportedAt).toEqual(expect.any(String));
+      expect(bundle.session).toEqual(data);
+      expect(bundle.session.teams).not.toBe(data.teams);
+    });
+  });
+
+  describe('validateSessionBundle', () => {
+    const bundle = (overrides = {}) => ({
+      ...createSessionBundle({ sessionData: sessionData(), tokenDatabaseHash: 'abc123' }),
+      ...overrides
+    });
+
+    it('should accept a bundle that matches the loaded tokens', () => {
+      expect(validateSessionBundle(bundle(), { tokenManager: tokenManager() }))
+        .toEqual({ valid: true, errors: [], warnings: [], unknownTokens: [] });
+    });
+
+    it('should reject anything that is not a bundle', () => {
+      expect(validateSessionBundle({ sessionId: 'x' }).errors).toEqual(['Not a session bundle']);
+      expect(validateSessionBundle(null).valid).toBe(false);
+    });
+
+    it('should reject bundles from a newer format version', () => {
+      const result = validateSessionBundle(bundle({ version: BUNDLE_VERSION + 1 }));
+      expect(result.errors[0]).toContain('Unsupported bundle version');
+    });
+
+    it('should reject malformed transactions and teams', () => {
+      const b = bundle();
+      b.session.transactions.push({ id: 'tx-3', teamId: '001', mode: 'blackmarket' });
+      b.session.transactions.push({ id: 'tx-4', tokenId: 'tok3', teamId: '001', mode: 'heist' });
+      b.session.teams['002'] = { teamId: '003', score: 0 };
+
+      const { valid, errors } = validateSessionBundle(b);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        'Transaction 3 needs a tokenId and teamId',
+        'Transaction 4 has unknown mode "heist"',
+        'Team "002" is malformed'
+      ]);
+    });
+
+    it('should reject an invalid scoring profile', () => {
+      const b = bundle();
+      b.session.scoringProfile = { name: '' };
+
+      expect(validateSessionBundle(b).errors).toContain('Scoring profile: Scoring profile needs a name');
+    });
+
+    it('should warn about a different token database and unknown tokens', () => {
+      const result = validateSessionBundle(bundle(), { tokenManager: tokenManager(['tok1'], 'def456') });
+
+      expect(result.valid).toBe(true);
+      expect(result.unknownTokens).toEqual(['tok2']);
+      expect(result.warnings).toEqual([
+        'Recorded against a different tokens.json; recorded points are kept as-is',
+        '1 token not in the loaded tokens.json: tok2'
+      ]);
+    });
+  });
+});
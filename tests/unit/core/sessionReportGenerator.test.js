@@ -1,4 +1,5 @@
 import { SessionReportGenerator } from '../../../src/core/sessionReportGenerator.js';
+import { setScoringRules } from '../../../src/core/scoring.js';
 
 // Shared test fixtures
 const mockTokenDatabase = {
@@ -207,6 +208,21 @@ describe('SessionReportGenerator', () => {
       expect(whiteIdx).toBeLessThan(shadowIdx);
     });
 
+    it('should name the scoring profile when the session used one', () => {
+      const summary = generator._buildSessionSummary(
+        mockSession, mockScores, mockTransactions, mockPlayerScans,
+        { name: 'House Rules', baseValues: { 3: 1000 }, groupMultipliers: { 'Server Logs': 4 } }
+      );
+      expect(summary).toContain('- **Scoring Profile:** House Rules (base values, 1 group multiplier)');
+    });
+
+    it('should omit the scoring profile line for default scoring', () => {
+      const summary = generator._buildSessionSummary(
+        mockSession, mockScores, mockTransactions, mockPlayerScans
+      );
+      expect(summary).not.toContain('Scoring Profile');
+    });
+
     it('should include player scan count', () => {
       const summary = generator._buildSessionSummary(
         mockSession, mockScores, mockTransactions, mockPlayerScans
@@ -215,6 +231,30 @@ describe('SessionReportGenerator', () => {
     });
   });
 
+  describe('_buildReputationLines()', () => {
+    const standings = {
+      enabled: true,
+      pointsPerExposure: 1,
+      firstExposerBonus: 2,
+      teams: [{ teamId: 'Whitemetal Inc.', reputation: 5, exposures: 3, firstExposures: 1 }],
+      characters: [{ owner: 'Marcus', exposures: 3, firstExposedBy: 'Whitemetal Inc.', teams: ['Whitemetal Inc.'] }]
+    };
+
+    it('should render team and character tables when the track is enabled', () => {
+      const section = generator._buildDetectiveSection(mockTransactions, standings);
+
+      expect(section).toContain('### Detective Reputation');
+      expect(section).toContain('| Whitemetal Inc. | 5 | 3 | 1 |');
+      expect(section).toContain('| Marcus | 3 | Whitemetal Inc. |');
+      expect(section.trimEnd().endsWith('---')).toBe(true);
+    });
+
+    it('should render nothing when the track is disabled', () => {
+      expect(generator._buildReputationLines({ ...standings, enabled: false })).toEqual([]);
+      expect(generator._buildReputationLines(null)).toEqual([]);
+    });
+  });
+
   describe('_buildDetectiveSection()', () => {
     it('should only include detective mode transactions', () => {
       const section = generator._buildDetectiveSection(mockTransactions);
@@ -270,6 +310,17 @@ describe('SessionReportGenerator', () => {
       expect(section).toContain('alr001/ALEX');
     });
 
+    it('should name scoring rules that adjusted a sale', () => {
+      setScoringRules([{ id: 'tech-bonus', when: { memoryType: 'Technical' }, multiplier: 2 }]);
+      try {
+        const section = generator._buildScoringTimeline(mockTransactions, mockScores, mockSession);
+        expect(section).toContain('$150,000 × 5x; rules: tech-bonus)');
+        expect(section).not.toContain('Business, $25,000 × 3x; rules');
+      } finally {
+        setScoringRules([]);
+      }
+    });
+
     it('should show adjustment reason with GM station', () => {
       const section = generator._buildScoringTimeline(mockTransactions, mockScoresWithAdjustments);
       expect(section).toContain('Puzzle bonus (GM_STATION_1)');
@@ -347,6 +398,44 @@ describe('SessionReportGenerator', () => {
     });
   });
 
+  describe('_buildDisputesSection()', () => {
+    const disputedTransactions = [
+      { tokenId: 'mab001', teamId: 'Shadow Corp', mode: 'blackmarket', points: 150000, status: 'accepted',
+        timestamp: '2026-02-16T20:30:00.000Z', disputed: true, note: 'Whitemetal says | they scanned it' },
+      { tokenId: 'sof001', teamId: 'Whitemetal Inc.', mode: 'detective', status: 'accepted',
+        timestamp: '2026-02-16T19:45:00.000Z', disputed: true },
+      { tokenId: 'alr001', teamId: 'Shadow Corp', mode: 'blackmarket', points: 20000, status: 'accepted',
+        timestamp: '2026-02-16T19:30:00.000Z', note: 'Checked, fine' }
+    ];
+
+    it('should list only disputed transactions, oldest first, with their notes', () => {
+      const section = generator._buildDisputesSection(disputedTransactions);
+      const rows = section.split('\n').filter(l => l.startsWith('|') && !l.startsWith('|---')).slice(1);
+
+      expect(section).toContain('## Disputed Transactions');
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toContain('| sof001 | Whitemetal Inc. | Detective | — | — |');
+      expect(rows[1]).toContain('| mab001 | Shadow Corp | Sale | $150,000 | Whitemetal says \\| they scanned it |');
+      expect(section).not.toContain('alr001');
+    });
+
+    it('should come after Player Activity, at the end of the report', () => {
+      const report = generator.generate({
+        session: mockSession, scores: mockScores, transactions: disputedTransactions, playerScans: []
+      });
+      expect(report.indexOf('## Disputed Transactions')).toBeGreaterThan(report.indexOf('## Player Activity'));
+      expect(report.trimEnd().endsWith('| Whitemetal says \\| they scanned it |')).toBe(true);
+    });
+
+    it('should leave the section out when nothing is disputed', () => {
+      expect(generator._buildDisputesSection(mockTransactions)).toBeNull();
+      const report = generator.generate({
+        session: mockSession, scores: mockScores, transactions: mockTransactions, playerScans: []
+      });
+      expect(report).not.toContain('Disputed');
+    });
+  });
+
   describe('_buildPlayerActivitySection()', () => {
     it('should list all player scans', () => {
       const section = generator._buildPlayerActivitySection(
@@ -0,0 +1,163 @@
+// ALNScanner/tests/unit/core/sessionSnapshots.test.js
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { storageHealth } from '../../../src/core/storageHealth.js';
+import {
+  SessionSnapshotStore,
+  SNAPSHOTS_KEY,
+  summarizeScores
+} from '../../../src/core/sessionSnapshots.js';
+
+const session = (overrides = {}) => ({
+  sessionId: 'S1',
+  name: 'Friday',
+  transactions: [{ id: 'tx-1', tokenId: 'tok1', teamId: '001', points: 5000 }],
+  teams: {
+    '001': { teamId: '001', score: 5000, tokensScanned: 1 },
+    '002': { teamId: '002', score: 9000, tokensScanned: 2 }
+  },
+  ...overrides
+});
+
+describe('SessionSnapshotStore', () => {
+  let store;
+  let mockDebug;
+
+  const stored = () => JSON.parse(localStorage.getItem(SNAPSHOTS_KEY));
+
+  beforeEach(() => {
+    localStorage.clear();
+    mockDebug = { log: jest.fn() };
+    store = new SessionSnapshotStore({ limit: 3, debug: mockDebug });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  it('should store a copy of the session and return its summary', () => {
+    const data = session();
+    const summary = store.take(data, 'reset');
+    data.transactions.length = 0;
+
+    expect(summary).toMatchObject({
+      sessionId: 'S1',
+      sessionName: 'Friday',
+      reason: 'reset',
+      label: 'Before score reset',
+      transactionCount: 1
+    });
+    expect(summary.id).toMatch(/^SNAP_/);
+    expect(summary.session).toBeUndefined();
+    expect(store.get(summary.id).session.transactions).toHaveLength(1);
+    expect(stored()).toHaveLength(1);
+  });
+
+  it('should summarize scores highest first', () => {
+    expect(summarizeScores(session())).toEqual([
+      { teamId: '002', score: 9000, tokenCount: 2 },
+      { teamId: '001', score: 5000, tokenCount: 1 }
+    ]);
+  });
+
+  it('should skip empty sessions and unchanged automatic snapshots', () => {
+    expect(store.take(session({ transactions: [], teams: {} }), 'manual')).toBeNull();
+
+    expect(store.take(session(), 'interval')).not.toBeNull();
+    expect(store.take(session(), 'interval')).toBeNull();
+    expect(store.take(session(), 'manual')).not.toBeNull();
+    expect(store.take(session({ name: 'Renamed' }), 'interval')).not.toBeNull();
+  });
+
+  it('should list newest first and drop the oldest over the limit', () => {
+    ['manual', 'reset', 'end', 'new-session'].forEach(reason => store.take(session(), reason));
+
+    expect(store.list().map(s => s.reason)).toEqual(['new-session', 'end', 'reset']);
+  });
+
+  it('should reload snapshots from localStorage and delete them', () => {
+    const { id } = store.take(session(), 'manual');
+
+    const reloaded = new SessionSnapshotStore();
+    expect(reloaded.list().map(s => s.id)).toEqual([id]);
+    expect(reloaded.remove(id)).toBe(true);
+    expect(reloaded.remove(id)).toBe(false);
+    expect(localStorage.getItem(SNAPSHOTS_KEY)).toBeNull();
+  });
+
+  it('should discard unreadable snapshots', () => {
+    localStorage.setItem(SNAPSHOTS_KEY, '{not json');
+
+    expect(store.list()).toEqual([]);
+    expect(mockDebug.log).toHaveBeenCalledWith('Discarding unreadable session snapshots', true);
+  });
+
+  it('should drop the oldest snapshots over the size cap', () => {
+    store = new SessionSnapshotStore({ limit: 10, debug: mockDebug });
+    store.take(session(), 'manual');
+    store.maxBytes = localStorage.getItem(SNAPSHOTS_KEY).length * 2 * 2.5;
+    ['reset', 'end'].forEach(reason => store.take(session(), reason));
+
+    expect(stored().map(s => s.reason)).toEqual(['reset', 'end']);
+  });
+
+  it('should give up the oldest snapshots when the session no longer fits', () => {
+    store.take(session(), 'manual');
+    store.take(session(), 'reset');
+
+    const quotaError = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    const original = Storage.prototype.setItem;
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+      if (key === 'standaloneSession' && (JSON.parse(localStorage.getItem(SNAPSHOTS_KEY)) || []).length > 1) throw quotaError;
+      return original.call(this, key, value);
+    });
+
+    storageHealth.setItem('standaloneSession', '{}', 'Standalone session');
+
+    expect(localStorage.getItem('standaloneSession')).toBe('{}');
+    expect(stored().map(s => s.reason)).toEqual(['reset']);
+    expect(store.list().map(s => s.reason)).toEqual(['reset']);
+  });
+
+  it('should drop the oldest snapshots when storage is full', () => {
+    store.take(session(), 'manual');
+    store.take(session(), 'reset');
+
+    const quotaError = Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    const original = Storage.prototype.setItem;
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+      if (key === SNAPSHOTS_KEY && JSON.parse(value).length > 1) throw quotaError;
+      return original.call(this, key, value);
+    });
+
+    store.take(session(), 'end');
+
+    expect(stored().map(s => s.reason)).toEqual(['end']);
+    expect(store.list().map(s => s.reason)).toEqual(['end']);
+  });
+
+  it('should refuse a session larger than the size cap and keep the older snapshots', () => {
+    store.take(session(), 'manual');
+    store.maxBytes = localStorage.getItem(SNAPSHOTS_KEY).length * 2 * 1.5;
+    const big = session({ transactions: Array.from({ length: 50 }, (_, i) => ({ id: `tx-${i}`, tokenId: `tok${i}`, teamId: '001' })) });
+
+    const result = store.take(big, 'reset');
+
+    expect(result).toEqual({ error: expect.stringContaining('too large to snapshot') });
+    expect(stored().map(s => s.reason)).toEqual(['manual']);
+    expect(store.list().map(s => s.reason)).toEqual(['manual']);
+    expect(mockDebug.log).toHaveBeenCalledWith(expect.stringContaining('too large to snapshot'), true);
+  });
+
+  it('should report a snapshot that storage cannot hold even alone', () => {
+    store.take(session(), 'manual');
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw Object.assign(new Error('full'), { name: 'QuotaExceededError' });
+    });
+
+    expect(store.take(session(), 'reset')).toEqual({ error: 'Storage is full' });
+    jest.restoreAllMocks();
+    expect(stored().map(s => s.reason)).toEqual(['manual']);
+    expect(store.list().map(s => s.reason)).toEqual(['manual']);
+  });
+});
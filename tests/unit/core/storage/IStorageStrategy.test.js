@@ -33,11 +33,26 @@ describe('IStorageStrategy Interface', () => {
     await expect(strategy.adjustTeamScore('001', 100, 'test')).rejects.toThrow('must be implemented');
   });
 
+  it('should throw on reassignTransaction() if not implemented', async () => {
+    const strategy = new IStorageStrategy();
+    await expect(strategy.reassignTransaction('tx-1', '002', 'test')).rejects.toThrow('must be implemented');
+  });
+
+  it('should throw on annotateTransaction() if not implemented', async () => {
+    const strategy = new IStorageStrategy();
+    await expect(strategy.annotateTransaction('tx-1', { note: 'test' })).rejects.toThrow('must be implemented');
+  });
+
   it('should throw on getGameActivity() if not implemented', () => {
     const strategy = new IStorageStrategy();
     expect(() => strategy.getGameActivity()).toThrow('must be implemented');
   });
 
+  it('should throw on getDetectiveStandings() if not implemented', () => {
+    const strategy = new IStorageStrategy();
+    expect(() => strategy.getDetectiveStandings()).toThrow('must be implemented');
+  });
+
   it('should throw on createSession() if not implemented', async () => {
     const strategy = new IStorageStrategy();
     await expect(strategy.createSession('Test', [])).rejects.toThrow('must be implemented');
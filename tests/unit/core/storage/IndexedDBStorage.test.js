@@ -0,0 +1,474 @@
+// ALNScanner/tests/unit/core/storage/IndexedDBStorage.test.js
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { IndexedDBStorage } from '../../../../src/core/storage/IndexedDBStorage.js';
+import { IdbRecordStore } from '../../../../src/core/storage/idbRecordStore.js';
+import { MemoryRecordStore } from '../../../helpers/memoryRecordStore.js';
+import { applyScoringProfile, SCORING_CONFIG } from '../../../../src/core/scoring.js';
+import { storageHealth } from '../../../../src/core/storageHealth.js';
+import { JOURNAL_KEY, JOURNAL_COMPACT_THRESHOLD } from '../../../../src/core/storage/sessionJournal.js';
+
+describe('IndexedDBStorage Strategy', () => {
+  let storage;
+  let recordStore;
+  let mockTokenManager;
+  let mockDebug;
+
+  const tx = (tokenId, teamId = '001', extra = {}) => ({
+    id: `tx-${tokenId}`,
+    tokenId,
+    teamId,
+    mode: 'blackmarket',
+    valueRating: 3,
+    memoryType: 'Personal',
+    group: '',
+    timestamp: new Date().toISOString(),
+    ...extra
+  });
+
+  const createStorage = async () => {
+    const instance = new IndexedDBStorage({ tokenManager: mockTokenManager, debug: mockDebug, recordStore });
+    await instance.initialize();
+    return instance;
+  };
+
+  beforeEach(async () => {
+    localStorage.clear();
+    applyScoringProfile(null);
+    recordStore = new MemoryRecordStore();
+    mockTokenManager = { getAllTokens: jest.fn(() => []), findToken: jest.fn() };
+    mockDebug = { log: jest.fn() };
+    storage = await createStorage();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+    applyScoringProfile(null);
+  });
+
+  describe('persistence', () => {
+    it('should restore transactions, teams and adjustments after a reload', async () => {
+      await storage.createSession('Friday Game', []);
+      await storage.addTransaction(tx('tok1'));
+      await storage.addTransaction(tx('tok2', '002'));
+      await storage.adjustTeamScore('001', 500, 'Bonus');
+      await storage.flush();
+
+      const reloaded = await createStorage();
+
+      expect(reloaded.getCurrentSession().name).toBe('Friday Game');
+      expect(reloaded.getTransactions().map(t => t.tokenId)).toEqual(['tok1', 'tok2']);
+      expect(reloaded.getTransactions()[0]).not.toHaveProperty('seq');
+      expect(reloaded.getTransactions()[0]).not.toHaveProperty('sessionId');
+      expect(reloaded.sessionData.teams['001'].adminAdjustments).toHaveLength(1);
+      expect(reloaded.getTeamScores()).toEqual(storage.getTeamScores());
+      expect(reloaded.scannedTokens.has('tok1')).toBe(true);
+    });
+
+    it('should keep a session that started on a previous day', async () => {
+      await storage.createSession('Late Night', []);
+      await storage.addTransaction(tx('tok1'));
+      storage.sessionData.startTime = new Date(Date.now() - 86400000).toISOString();
+      storage._saveSession();
+      await storage.flush();
+
+      const reloaded = await createStorage();
+
+      expect(reloaded.getCurrentSession().name).toBe('Late Night');
+      expect(reloaded.getTransactions()).toHaveLength(1);
+    });
+
+    it('should write only the new transaction when one is added', async () => {
+      await storage.createSession('Game', []);
+      await storage.addTransaction(tx('tok1'));
+      await storage.flush();
+      recordStore.writes = [];
+
+      await storage.addTransaction(tx('tok2'));
+      await storage.flush();
+
+      const txPuts = recordStore.writes.flat().filter(op => op.store === 'transactions' && op.put);
+      expect(txPuts.map(op => op.put.tokenId)).toEqual(['tok2']);
+    });
+
+    it('should delete the record of a removed transaction', async () => {
+      await storage.createSession('Game', []);
+      await storage.addTransaction(tx('tok1'));
+      await storage.addTransaction(tx('tok2'));
+      await storage.removeTransaction('tx-tok1');
+      await storage.flush();
+
+      const reloaded = await createStorage();
+      expect(reloaded.getTransactions().map(t => t.tokenId)).toEqual(['tok2']);
+    });
+
+    it('should rewrite transactions edited in place via persistTransactions()', async () => {
+      await storage.createSession('Game', []);
+      await storage.addTransaction(tx('tok1'));
+      storage.sessionData.transactions[0].memoryType = 'Technical';
+      storage.persistTransactions();
+      await storage.flush();
+
+      const reloaded = await createStorage();
+      expect(reloaded.getTransactions()[0].memoryType).toBe('Technical');
+    });
+
+    it('should persist a reassigned transaction and both teams', async () => {
+      await storage.createSession('Game', []);
+      await storage.addTransaction(tx('tok1', '001', { points: 5000 }));
+      await storage.reassignTransaction('tx-tok1', '002', 'Wrong team');
+      await storage.flush();
+
+      const reloaded = await createStorage();
+      expect(reloaded.getTransactions()[0]).toMatchObject({ teamId: '002', reassignments: [{ fromTeamId: '001', reason: 'Wrong team' }] });
+      expect(reloaded.sessionData.teams['001'].score).toBe(0);
+      expect(reloaded.sessionData.teams['002'].score).toBe(5000);
+    });
+
+    it('should persist transaction notes and dispute flags', async () => {
+      await storage.createSession('Game', []);
+      await storage.addTransaction(tx('tok1', '001', { points: 5000 }));
+      await storage.annotateTransaction('tx-tok1', { note: 'Team says 002 scanned it', disputed: true });
+      await storage.flush();
+
+      const reloaded = await createStorage();
+      expect(reloaded.getTransactions()[0]).toMatchObject({ note: 'Team says 002 scanned it', disputed: true });
+    });
+
+    it('should not share references between records and live data', async () => {
+      await storage.createSession('Game', []);
+      await storage.addTransaction(tx('tok1'));
+      await storage.flush();
+
+      const [put] = recordStore.writes.flat().filter(op => op.store === 'transactions' && op.put);
+      expect(put.put).not.toBe(storage.sessionData.transactions[0]);
+    });
+
+    it('should log and continue when a write fails', async () => {
+      recordStore.write = jest.fn().mockRejectedValue(new Error('QuotaExceededError'));
+
+      await storage.createSession('Game', []);
+      await storage.flush();
+
+      expect(mockDebug.log).toHaveBeenCalledWith('IndexedDB write failed: QuotaExceededError', true);
+    });
+
+    it('should carry a failed write into the next one and report it until then', async () => {
+      await storage.createSession('Game', []);
+      await storage.flush();
+      const write = recordStore.write.bind(recordStore);
+      recordStore.write = jest.fn().mockRejectedValueOnce(new Error('QuotaExceededError')).mockImplementation(write);
+
+      await storage.addTransaction(tx('tok1', '001', { points: 5000 }));
+      await storage.flush();
+      expect(storageHealth.getStatus().failures[0]).toMatchObject({ key: 'indexeddb', label: 'Session archive (IndexedDB)' });
+
+      await storage.addTransaction(tx('tok2', '001', { points: 5000 }));
+      await storage.flush();
+      expect(storageHealth.getStatus().failures).toEqual([]);
+
+      const reloaded = await createStorage();
+      expect(reloaded.getTransactions().map(t => t.tokenId)).toEqual(['tok1', 'tok2']);
+    });
+
+    it('should replay journaled changes whose write never landed', async () => {
+      await storage.createSession('Game', []);
+      await storage.addTransaction(tx('tok1', '001', { points: 5000 }));
+      await storage.flush();
+      const write = recordStore.write;
+      recordStore.write = jest.fn().mockRejectedValue(new Error('tab closed'));
+
+      await storage.addTransaction(tx('tok2', '001', { points: 5000 }));
+      await storage.adjustTeamScore('001', -1000, 'Penalty');
+      await storage.flush();
+      recordStore.write = write;
+
+      const reloaded = await createStorage();
+
+      expect(reloaded.getTransactions().map(t => t.tokenId)).toEqual(['tok1', 'tok2']);
+      expect(reloaded.scannedTokens.has('tok2')).toBe(true);
+      expect(reloaded.sessionData.teams['001'].score).toBe(9000);
+      expect(reloaded.sessionData).not.toHaveProperty('journalSeq');
+      expect(mockDebug.log).toHaveBeenCalledWith('Recovered 2 journaled change(s) missing from the saved session');
+
+      // The recovered state is written, so a second reload replays nothing
+      await reloaded.flush();
+      const again = await createStorage();
+      expect(again.sessionData.teams['001'].adminAdjustments).toHaveLength(1);
+    });
+
+    it('should compact the journal once its changes are in the database', async () => {
+      await storage.createSession('Game', []);
+      for (let i = 0; i < JOURNAL_COMPACT_THRESHOLD; i++) {
+        await storage.addTransaction(tx(`tok${i}`));
+      }
+      await storage.flush();
+
+      const journal = JSON.parse(localStorage.getItem(JOURNAL_KEY) || '[]');
+      expect(journal.length).toBeLessThan(JOURNAL_COMPACT_THRESHOLD);
+    });
+  });
+
+  describe('legacy migration', () => {
+    it('should import the localStorage session once and remove the key', async () => {
+      localStorage.setItem('standaloneSession', JSON.stringify({
+        sessionId: 'LOCAL_OLD',
+        name: 'Old Game',
+        startTime: new Date(Date.now() - 3 * 86400000).toISOString(),
+        transactions: [tx('tok1')],
+        teams: {},
+        mode: 'standalone'
+      }));
+      recordStore = new MemoryRecordStore();
+
+      const migrated = await createStorage();
+
+      expect(migrated.getCurrentSession().sessionId).toBe('LOCAL_OLD');
+      expect(localStorage.getItem('standaloneSession')).toBeNull();
+      expect((await recordStore.getAll('transactions'))).toHaveLength(1);
+    });
+
+    it('should prefer the IndexedDB session over a leftover localStorage blob', async () => {
+      await storage.createSession('Current', []);
+      await storage.flush();
+      localStorage.setItem('standaloneSession', JSON.stringify({ sessionId: 'LOCAL_OLD', transactions: [] }));
+
+      const reloaded = await createStorage();
+      expect(reloaded.getCurrentSession().name).toBe('Current');
+    });
+  });
+
+  describe('archive', () => {
+    beforeEach(async () => {
+      await storage.createSession('Thursday', []);
+      await storage.addTransaction(tx('tok1'));
+      await storage.addTransaction(tx('tok2', '002'));
+      await storage.createSession('Friday', []);
+      await storage.flush();
+    });
+
+    it('should archive the previous session when a new one is created', async () => {
+      const archived = await storage.listArchivedSessions();
+
+      expect(archived).toHaveLength(1);
+      expect(archived[0]).toMatchObject({ name: 'Thursday', transactionCount: 2, teamCount: 2 });
+      expect(archived[0].archivedAt).toEqual(expect.any(String));
+      expect(storage.getCurrentSession().name).toBe('Friday');
+    });
+
+    it('should not archive a session that recorded nothing', async () => {
+      await storage.createSession('Saturday', []);
+      await storage.flush();
+
+      const archived = await storage.listArchivedSessions();
+      expect(archived.map(s => s.name)).toEqual(['Thursday']);
+      expect((await recordStore.getAll('sessions')).map(s => s.name)).not.toContain('Friday');
+    });
+
+    it('should keep saving after deleting an empty session fails', async () => {
+      recordStore.deleteSession = jest.fn().mockRejectedValue(new Error('AbortError'));
+      // Start later than Friday, so the reload picks Saturday as the live session
+      jest.useFakeTimers({ now: Date.now() + 60000, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+      await storage.createSession('Saturday', []);
+      jest.useRealTimers();
+      await storage.addTransaction(tx('tok3'));
+
+      await expect(storage.flush()).resolves.toBeUndefined();
+      expect(mockDebug.log).toHaveBeenCalledWith('IndexedDB write failed: AbortError', true);
+      const reloaded = await createStorage();
+      expect(reloaded.getCurrentSession().name).toBe('Saturday');
+      expect(reloaded.getTransactions().map(t => t.tokenId)).toEqual(['tok3']);
+    });
+
+    it('should archive the live session and start blank on archiveLiveSession()', async () => {
+      await storage.addTransaction(tx('tok3'));
+      await storage.archiveLiveSession();
+
+      expect(storage.getCurrentSession().name).toBeUndefined();
+      expect(storage.getTransactions()).toEqual([]);
+      expect(storage.scannedTokens.size).toBe(0);
+      expect((await storage.listArchivedSessions()).map(s => s.name).sort()).toEqual(['Friday', 'Thursday']);
+
+      const reloaded = await createStorage();
+      expect(reloaded.getTransactions()).toEqual([]);
+    });
+
+    it('should reload the live session, not an archived one', async () => {
+      const reloaded = await createStorage();
+      expect(reloaded.getCurrentSession().name).toBe('Friday');
+      expect(reloaded.getTransactions()).toEqual([]);
+    });
+
+    it('should open an archived session read-only and emit session:switched', async () => {
+      const handler = jest.fn();
+      storage.addEventListener('session:switched', handler);
+      const [{ sessionId }] = await storage.listArchivedSessions();
+
+      await storage.openArchivedSession(sessionId);
+
+      expect(storage.isReadOnly()).toBe(true);
+      expect(storage.getCurrentSession().name).toBe('Thursday');
+      expect(storage.getTransactions()).toHaveLength(2);
+      expect(storage.scannedTokens.has('tok1')).toBe(true);
+      expect(handler.mock.calls[0][0].detail).toMatchObject({ readOnly: true, session: { name: 'Thursday' } });
+    });
+
+    it('should reject mutations while an archived session is open', async () => {
+      const [{ sessionId }] = await storage.listArchivedSessions();
+      await storage.openArchivedSession(sessionId);
+      recordStore.writes = [];
+
+      expect(await storage.addTransaction(tx('tok3'))).toEqual({ success: false, error: 'Archived session is read-only' });
+      expect((await storage.removeTransaction('tx-tok1')).success).toBe(false);
+      expect((await storage.adjustTeamScore('001', 100)).success).toBe(false);
+      expect((await storage.reassignTransaction('tx-tok1', '002')).success).toBe(false);
+      expect((await storage.annotateTransaction('tx-tok1', { disputed: true })).success).toBe(false);
+      expect((await storage.resetScores()).success).toBe(false);
+      await expect(storage.createSession('Nope', [])).rejects.toThrow('read-only');
+      await expect(storage.endSession()).rejects.toThrow('read-only');
+      expect(storage.getTransactions()).toHaveLength(2);
+      expect(recordStore.writes).toEqual([]);
+    });
+
+    it('should return to the live session on close', async () => {
+      const [{ sessionId }] = await storage.listArchivedSessions();
+      await storage.openArchivedSession(sessionId);
+
+      storage.closeArchivedSession();
+
+      expect(storage.isReadOnly()).toBe(false);
+      expect(storage.getCurrentSession().name).toBe('Friday');
+      expect(storage.scannedTokens.size).toBe(0);
+      expect((await storage.addTransaction(tx('tok3'))).success).toBe(true);
+    });
+
+    it('should apply the archived session scoring profile while it is open', async () => {
+      await storage.createSession('Custom', [], {
+        scoringProfile: { name: 'House', baseValues: { 3: 9999 } }
+      });
+      await storage.addTransaction(tx('tok9'));
+      await storage.createSession('Plain', []);
+      await storage.flush();
+      const custom = (await storage.listArchivedSessions()).find(s => s.name === 'Custom');
+
+      await storage.openArchivedSession(custom.sessionId);
+      expect(SCORING_CONFIG.BASE_VALUES[3]).toBe(9999);
+
+      storage.closeArchivedSession();
+      expect(SCORING_CONFIG.PROFILE).toBeNull();
+    });
+
+    it('should refuse to open the live session as an archive', async () => {
+      await expect(storage.openArchivedSession(storage.sessionData.sessionId))
+        .rejects.toThrow('Archived session not found');
+    });
+
+    it('should export an archived session with its records', async () => {
+      const [{ sessionId }] = await storage.listArchivedSessions();
+
+      const exported = await storage.exportArchivedSession(sessionId);
+
+      expect(exported.exportedAt).toEqual(expect.any(String));
+      expect(exported.session.name).toBe('Thursday');
+      expect(exported.session.transactions.map(t => t.tokenId)).toEqual(['tok1', 'tok2']);
+      expect(Object.keys(exported.session.teams).sort()).toEqual(['001', '002']);
+    });
+
+    it('should purge an archived session and all of its records', async () => {
+      const [{ sessionId }] = await storage.listArchivedSessions();
+
+      expect(await storage.purgeArchivedSession(sessionId)).toEqual({ success: true });
+
+      expect(await storage.listArchivedSessions()).toEqual([]);
+      expect(await recordStore.getBySession('transactions', sessionId)).toEqual([]);
+    });
+
+    it('should archive the live session when a bundle is imported', async () => {
+      await storage.addTransaction(tx('tok5'));
+      const imported = await storage.importSession({
+        sessionId: 'LOCAL_OTHER', name: 'Imported', startTime: new Date().toISOString(),
+        transactions: [tx('tok7')], teams: {}
+      });
+      await storage.flush();
+
+      expect((await storage.listArchivedSessions()).map(s => s.name).sort()).toEqual(['Friday', 'Thursday']);
+      const reloaded = await createStorage();
+      expect(reloaded.getCurrentSession().sessionId).toBe(imported.sessionId);
+      expect(reloaded.getTransactions().map(t => t.tokenId)).toEqual(['tok7']);
+    });
+
+    it('should roll back to an archived session, archiving the live one', async () => {
+      const [{ sessionId }] = await storage.listArchivedSessions();
+      const snapshot = (await storage.exportArchivedSession(sessionId)).session;
+      snapshot.transactions.pop();
+      await storage.addTransaction(tx('tok5'));
+
+      await storage.restoreSnapshot(snapshot);
+      await storage.flush();
+
+      expect((await storage.listArchivedSessions()).map(s => s.name)).toEqual(['Friday']);
+      const reloaded = await createStorage();
+      expect(reloaded.getCurrentSession()).toMatchObject({ sessionId, name: 'Thursday' });
+      expect(reloaded.getTransactions().map(t => t.tokenId)).toEqual(['tok1']);
+    });
+
+    it('should still roll back when clearing the archived copy fails', async () => {
+      const [{ sessionId }] = await storage.listArchivedSessions();
+      const snapshot = (await storage.exportArchivedSession(sessionId)).session;
+      await storage.addTransaction(tx('tok5'));
+      recordStore.deleteSession = jest.fn().mockRejectedValue(new Error('AbortError'));
+
+      await storage.restoreSnapshot(snapshot);
+      await expect(storage.flush()).resolves.toBeUndefined();
+
+      expect(mockDebug.log).toHaveBeenCalledWith('IndexedDB write failed: AbortError', true);
+      const reloaded = await createStorage();
+      expect(reloaded.getCurrentSession()).toMatchObject({ sessionId, name: 'Thursday' });
+      expect(reloaded.getTransactions().map(t => t.tokenId)).toEqual(['tok1', 'tok2']);
+    });
+
+    it('should roll back the live session in place', async () => {
+      await storage.addTransaction(tx('tok5'));
+      const snapshot = JSON.parse(JSON.stringify(storage.sessionData));
+      await storage.addTransaction(tx('tok6'));
+
+      await storage.restoreSnapshot(snapshot);
+      await storage.flush();
+
+      const reloaded = await createStorage();
+      expect(reloaded.getTransactions().map(t => t.tokenId)).toEqual(['tok5']);
+      expect((await storage.listArchivedSessions()).map(s => s.name)).toEqual(['Thursday']);
+    });
+
+    it('should not purge the live session or the open archived session', async () => {
+      expect((await storage.purgeArchivedSession(storage.sessionData.sessionId)).success).toBe(false);
+
+      const [{ sessionId }] = await storage.listArchivedSessions();
+      await storage.openArchivedSession(sessionId);
+      expect((await storage.purgeArchivedSession(sessionId)).success).toBe(false);
+    });
+  });
+});
+
+describe('IndexedDBStorage dispose', () => {
+  it('should close the database after pending writes, and log a failed close', async () => {
+    const recordStore = new MemoryRecordStore();
+    const debug = { log: jest.fn() };
+    const storage = new IndexedDBStorage({ tokenManager: { getAllTokens: () => [] }, debug, recordStore });
+    await storage.initialize();
+    recordStore.close = jest.fn(() => { throw new Error('Already closed'); });
+
+    storage.dispose();
+    await storage.flush();
+    await Promise.resolve();
+
+    expect(recordStore.close).toHaveBeenCalled();
+    expect(debug.log).toHaveBeenCalledWith('Failed to close IndexedDB: Already closed', true);
+  });
+});
+
+describe('IdbRecordStore', () => {
+  it('should report support only when an IDBFactory is available', () => {
+    expect(IdbRecordStore.isSupported(undefined)).toBe(false);
+    expect(IdbRecordStore.isSupported({ open: () => {} })).toBe(true);
+  });
+});
@@ -1,6 +1,8 @@
 // ALNScanner/tests/unit/core/storage/LocalStorage.test.js
 import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import { LocalStorage } from '../../../../src/core/storage/LocalStorage.js';
+import { setScoringRules, applyScoringProfile, SCORING_CONFIG } from '../../../../src/core/scoring.js';
+import { storageHealth } from '../../../../src/core/storageHealth.js';
 
 describe('LocalStorage Strategy', () => {
   let storage;
@@ -54,6 +56,30 @@ describe('LocalStorage Strategy', () => {
     });
   });
 
+  describe('save failures', () => {
+    it('should keep the session in memory and report the failure when storage is full', async () => {
+      const quotaError = new Error('quota');
+      quotaError.name = 'QuotaExceededError';
+      const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw quotaError; });
+
+      const result = await storage.addTransaction({
+        id: 'tx-1', tokenId: 'token1', teamId: '001', mode: 'blackmarket', points: 100, timestamp: new Date().toISOString()
+      });
+
+      expect(result.success).toBe(true);
+      expect(storage.getTransactions()).toHaveLength(1);
+      expect(mockDebug.log).toHaveBeenCalledWith('Failed to save session: quota', true);
+      expect(storageHealth.getStatus().failures).toEqual(expect.arrayContaining([
+        expect.objectContaining({ key: 'standaloneSession', label: 'Standalone session' }),
+        expect.objectContaining({ key: 'standaloneJournal', label: 'Transaction journal' })
+      ]));
+
+      setItem.mockRestore();
+      storage.persistTransactions();
+      expect(storageHealth.getStatus().failures).toEqual([]);
+    });
+  });
+
   describe('addTransaction', () => {
     it('should add transaction to session', async () => {
       const tx = {
@@ -166,6 +192,22 @@ describe('LocalStorage Strategy', () => {
       expect(scores[0].score).toBe(0); // Detective mode = no scoring
     });
 
+    it('should price unpriced blackmarket transactions with active scoring rules', async () => {
+      setScoringRules([{ id: 'team-double', when: { team: 'Team Alpha' }, multiplier: 2 }]);
+      try {
+        await storage.addTransaction({
+          id: 'tx-rules', tokenId: 'token1', teamId: 'Team Alpha', mode: 'blackmarket',
+          valueRating: 3, memoryType: 'Technical', timestamp: new Date().toISOString()
+        });
+
+        const expected = SCORING_CONFIG.BASE_VALUES[3] * SCORING_CONFIG.TYPE_MULTIPLIERS.Technical * 2;
+        expect(storage.getTransactions()[0].points).toBe(expected);
+        expect(storage.getTeamScores()[0].score).toBe(expected);
+      } finally {
+        setScoringRules([]);
+      }
+    });
+
     it('should return error for transaction without teamId', async () => {
       const result = await storage.addTransaction({
         id: 'tx-1',
@@ -251,6 +293,32 @@ describe('LocalStorage Strategy', () => {
       expect(scores[0].bonusScore).toBe(0);
       expect(storage.sessionData.teams['001'].completedGroups).toEqual([]);
     });
+
+    it('should rescore teams against a changed group index and report only changed teams', async () => {
+      mockTokenManager.getAllTokens.mockReturnValue([
+        { SF_RFID: 'g1t1', SF_Group: 'GroupA (x2)' },
+        { SF_RFID: 'g1t2', SF_Group: 'GroupA (x2)' },
+        { SF_RFID: 'g1t3', SF_Group: 'GroupA (x2)' }
+      ]);
+      await storage.addTransaction({ id: 'tx-1', tokenId: 'g1t1', teamId: '001', mode: 'blackmarket', points: 10000, group: 'GroupA (x2)' });
+      await storage.addTransaction({ id: 'tx-2', tokenId: 'g1t2', teamId: '001', mode: 'blackmarket', points: 10000, group: 'GroupA (x2)' });
+      await storage.addTransaction({ id: 'tx-3', tokenId: 'other', teamId: '002', mode: 'blackmarket', points: 5000 });
+      const listener = jest.fn();
+      storage.addEventListener('team-score:updated', listener);
+
+      expect(storage.rescoreTeams()).toEqual([]);
+      expect(listener).not.toHaveBeenCalled();
+
+      // g1t3 left the group: team 001 now holds all of it
+      mockTokenManager.getAllTokens.mockReturnValue([
+        { SF_RFID: 'g1t1', SF_Group: 'GroupA (x2)' },
+        { SF_RFID: 'g1t2', SF_Group: 'GroupA (x2)' }
+      ]);
+
+      expect(storage.rescoreTeams()).toEqual([{ teamId: '001', before: 20000, after: 40000 }]);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(localStorage.getItem('standaloneSession')).teams['001'].score).toBe(40000);
+    });
   });
 
   describe('removeTransaction', () => {
@@ -275,6 +343,20 @@ describe('LocalStorage Strategy', () => {
       expect(storage.getTeamScores()[0].score).toBe(25000);
     });
 
+    it('should keep admin adjustments when a scan is removed or added', async () => {
+      const add = (id, points) => storage.addTransaction({
+        id, tokenId: id, teamId: '001', mode: 'blackmarket', points, timestamp: new Date().toISOString()
+      });
+      await add('tx-1', 1000);
+      await storage.adjustTeamScore('001', 200, 'Bonus');
+      await add('tx-2', 500);
+      expect(storage.sessionData.teams['001'].score).toBe(1700);
+
+      await storage.removeTransaction('tx-2');
+
+      expect(storage.sessionData.teams['001'].score).toBe(1200);
+    });
+
     it('should return error for non-existent transaction', async () => {
       const result = await storage.removeTransaction('non-existent');
       expect(result.success).toBe(false);
@@ -338,6 +420,147 @@ describe('LocalStorage Strategy', () => {
     });
   });
 
+  describe('reassignTransaction', () => {
+    const add = (id, tokenId, teamId, points, group = '') => storage.addTransaction({
+      id, tokenId, teamId, mode: 'blackmarket', points, group, timestamp: new Date().toISOString()
+    });
+
+    it('should move the points and log the reason on the transaction', async () => {
+      await add('tx-1', 'token1', '001', 10000);
+      await add('tx-2', 'token2', '001', 5000);
+
+      const result = await storage.reassignTransaction('tx-1', '002', 'Wrong team tapped');
+
+      expect(result).toMatchObject({ success: true, fromTeamId: '001', toTeamId: '002' });
+      expect(storage.sessionData.teams['001'].score).toBe(5000);
+      expect(storage.sessionData.teams['002']).toMatchObject({ score: 10000, tokensScanned: 1 });
+      expect(storage.getTransactions()[0].teamId).toBe('002');
+      expect(storage.getTransactions()[0].reassignments).toEqual([
+        { fromTeamId: '001', toTeamId: '002', reason: 'Wrong team tapped', timestamp: expect.any(String) }
+      ]);
+      expect(JSON.parse(localStorage.getItem('standaloneSession')).transactions[0].teamId).toBe('002');
+    });
+
+    it('should re-run group completion for both teams', async () => {
+      mockTokenManager.getAllTokens.mockReturnValue([
+        { SF_RFID: 'g1', SF_Group: 'GroupA (x2)' },
+        { SF_RFID: 'g2', SF_Group: 'GroupA (x2)' }
+      ]);
+      await add('tx-1', 'g1', '001', 10000, 'GroupA (x2)');
+      await add('tx-2', 'g2', '002', 10000, 'GroupA (x2)');
+
+      await storage.reassignTransaction('tx-2', '001', 'Both tokens were 001\'s');
+
+      expect(storage.sessionData.teams['001']).toMatchObject({ score: 40000, completedGroups: ['GroupA'] });
+      expect(storage.sessionData.teams['002']).toMatchObject({ score: 0, tokensScanned: 0 });
+
+      await storage.reassignTransaction('tx-1', '002', 'Actually split');
+
+      expect(storage.sessionData.teams['001']).toMatchObject({ score: 10000, completedGroups: [] });
+      expect(storage.sessionData.teams['002'].score).toBe(10000);
+    });
+
+    it('should keep admin adjustments when rescoring', async () => {
+      await add('tx-1', 'token1', '001', 1000);
+      await add('tx-2', 'token2', '001', 500);
+      await storage.adjustTeamScore('001', 200, 'Bonus');
+      expect(storage.sessionData.teams['001'].score).toBe(1700);
+
+      await storage.reassignTransaction('tx-2', '002', 'Wrong team');
+
+      expect(storage.sessionData.teams['001']).toMatchObject({ score: 1200, baseScore: 1000 });
+      expect(storage.sessionData.teams['002'].score).toBe(500);
+      expect(storage.auditScores().balanced).toBe(true);
+    });
+
+    it('should not bring back points from before a score reset', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T20:00:00Z') });
+      try {
+        await add('tx-1', 'token1', '001', 1000);
+        await add('tx-2', 'token2', '002', 500);
+        await add('tx-3', 'token3', '002', 10);
+        jest.advanceTimersByTime(1000);
+        await storage.resetScores();
+        jest.advanceTimersByTime(1000);
+        await add('tx-4', 'token4', '002', 40);
+
+        await storage.reassignTransaction('tx-3', '001', 'Wrong team');
+
+        expect(storage.sessionData.teams['001'].score).toBe(0);
+        expect(storage.sessionData.teams['002'].score).toBe(40);
+        expect(storage.auditScores().balanced).toBe(true);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should keep the token scanned', async () => {
+      await add('tx-1', 'token1', '001', 10000);
+      await storage.reassignTransaction('tx-1', '002', 'Wrong team');
+      expect(storage.scannedTokens.has('token1')).toBe(true);
+    });
+
+    it('should emit transaction:reassigned and score updates for both teams', async () => {
+      await add('tx-1', 'token1', '001', 10000);
+      const reassigned = jest.fn();
+      const scores = jest.fn();
+      storage.addEventListener('transaction:reassigned', reassigned);
+      storage.addEventListener('team-score:updated', scores);
+
+      await storage.reassignTransaction('tx-1', '002', 'Wrong team');
+
+      expect(reassigned.mock.calls[0][0].detail).toMatchObject({ fromTeamId: '001', toTeamId: '002', reason: 'Wrong team' });
+      expect(scores.mock.calls.map(c => c[0].detail.teamId)).toEqual(['001', '002']);
+    });
+
+    it('should refuse unknown transactions, a missing team and the same team', async () => {
+      await add('tx-1', 'token1', '001', 10000);
+
+      expect((await storage.reassignTransaction('nope', '002')).error).toBe('Transaction not found: nope');
+      expect((await storage.reassignTransaction('tx-1', '')).error).toBe('Destination team is required');
+      expect((await storage.reassignTransaction('tx-1', '001')).error).toBe('Transaction is already credited to team 001');
+    });
+  });
+
+  describe('annotateTransaction', () => {
+    beforeEach(async () => {
+      await storage.addTransaction({
+        id: 'tx-1', tokenId: 'token1', teamId: '001', mode: 'blackmarket', points: 10000,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    it('should set the note and dispute flag without touching the score', async () => {
+      const annotated = jest.fn();
+      storage.addEventListener('transaction:annotated', annotated);
+
+      const result = await storage.annotateTransaction('tx-1', { note: '  Team 002 says it was theirs ', disputed: true });
+
+      expect(result.success).toBe(true);
+      expect(storage.getTransactions()[0]).toMatchObject({
+        note: 'Team 002 says it was theirs', disputed: true, annotatedAt: expect.any(String)
+      });
+      expect(storage.sessionData.teams['001'].score).toBe(10000);
+      expect(JSON.parse(localStorage.getItem('standaloneSession')).transactions[0].disputed).toBe(true);
+      expect(annotated.mock.calls[0][0].detail.transaction.id).toBe('tx-1');
+    });
+
+    it('should leave omitted fields alone and remove an empty note', async () => {
+      await storage.annotateTransaction('tx-1', { note: 'Checked', disputed: true });
+
+      await storage.annotateTransaction('tx-1', { disputed: false });
+      expect(storage.getTransactions()[0]).toMatchObject({ note: 'Checked', disputed: false });
+
+      await storage.annotateTransaction('tx-1', { note: '' });
+      expect(storage.getTransactions()[0]).not.toHaveProperty('note');
+    });
+
+    it('should refuse unknown transactions and empty annotations', async () => {
+      expect((await storage.annotateTransaction('nope', { note: 'x' })).error).toBe('Transaction not found: nope');
+      expect((await storage.annotateTransaction('tx-1', {})).error).toBe('Nothing to annotate');
+    });
+  });
+
   describe('adjustTeamScore', () => {
     it('should adjust existing team score', async () => {
       // Create team via transaction
@@ -400,6 +623,23 @@ describe('LocalStorage Strategy', () => {
     });
   });
 
+  describe('getDetectiveStandings', () => {
+    it('should track detective exposures without touching Black Market scores', async () => {
+      mockTokenManager.findToken.mockReturnValue({ token: { owner: 'Marcus' }, matchedId: 'tok1' });
+      await storage.addTransaction({
+        id: 'tx-1', tokenId: 'tok1', teamId: '001', mode: 'detective', points: 0,
+        timestamp: new Date().toISOString()
+      });
+
+      const standings = storage.getDetectiveStandings();
+      const expected = SCORING_CONFIG.DETECTIVE.POINTS_PER_EXPOSURE + SCORING_CONFIG.DETECTIVE.FIRST_EXPOSER_BONUS;
+
+      expect(standings.teams[0]).toEqual({ teamId: '001', reputation: expected, exposures: 1, firstExposures: 1 });
+      expect(standings.characters[0].owner).toBe('Marcus');
+      expect(storage.getTeamScores()[0].score).toBe(0);
+    });
+  });
+
   describe('getGameActivity', () => {
     it('should return empty activity for new session', () => {
       const activity = storage.getGameActivity();
@@ -450,6 +690,45 @@ describe('LocalStorage Strategy', () => {
       expect(storage.getTransactions()).toHaveLength(0);
     });
 
+    it('should apply and persist a session scoring profile', async () => {
+      const profile = { name: 'House Rules', baseValues: { 3: 1000 }, typeMultipliers: { Technical: 2 } };
+      try {
+        await storage.createSession('Custom Game', [], { scoringProfile: profile });
+        await storage.addTransaction({
+          id: 'tx-1', tokenId: 'token1', teamId: '001', mode: 'blackmarket',
+          valueRating: 3, memoryType: 'Technical', timestamp: new Date().toISOString()
+        });
+
+        expect(storage.getTransactions()[0].points).toBe(2000);
+        expect(JSON.parse(localStorage.getItem('standaloneSession')).scoringProfile).toEqual(profile);
+
+        // A reload re-applies the stored profile
+        applyScoringProfile(null);
+        const reloaded = new LocalStorage({ tokenManager: mockTokenManager, debug: mockDebug });
+        await reloaded.initialize();
+        expect(SCORING_CONFIG.PROFILE).toEqual(profile);
+      } finally {
+        applyScoringProfile(null);
+      }
+    });
+
+    it('should restore default scoring for a session without a profile', async () => {
+      applyScoringProfile({ name: 'Leftover', baseValues: { 3: 1 } });
+
+      await storage.createSession('Plain Game', []);
+
+      expect(SCORING_CONFIG.PROFILE).toBeNull();
+      expect(SCORING_CONFIG.BASE_VALUES[3]).toBe(50000);
+    });
+
+    it('should reject an invalid scoring profile without replacing the session', async () => {
+      const before = storage.getCurrentSession().sessionId;
+
+      await expect(storage.createSession('Bad', [], { scoringProfile: { name: '' } }))
+        .rejects.toThrow('Invalid scoring profile');
+      expect(storage.getCurrentSession().sessionId).toBe(before);
+    });
+
     it('should get current session', () => {
       const session = storage.getCurrentSession();
 
@@ -555,6 +834,97 @@ describe('LocalStorage Strategy', () => {
     });
   });
 
+  describe('write-ahead journal', () => {
+    const scan = (id, tokenId, teamId = '001', points = 100) => ({
+      id, tokenId, teamId, mode: 'blackmarket', points, timestamp: new Date().toISOString()
+    });
+
+    // Snapshot writes fail (as if the tab died mid-save); journal writes still land
+    const failSnapshotWrites = () => {
+      const setItem = Storage.prototype.setItem;
+      return jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+        if (key === 'standaloneSession') throw new Error('tab closed');
+        return setItem.call(this, key, value);
+      });
+    };
+
+    const reload = async () => {
+      const reloaded = new LocalStorage({ tokenManager: mockTokenManager, debug: mockDebug });
+      await reloaded.initialize();
+      return reloaded;
+    };
+
+    it('should recover scans, deletions and adjustments the snapshot missed', async () => {
+      await storage.createSession('Game', []);
+      await storage.addTransaction(scan('tx-1', 'token1'));
+      await storage.addTransaction(scan('tx-2', 'token2'));
+
+      const spy = failSnapshotWrites();
+      await storage.addTransaction(scan('tx-3', 'token3', '002', 300));
+      await storage.removeTransaction('tx-1');
+      await storage.adjustTeamScore('002', 50, 'Bonus');
+      spy.mockRestore();
+
+      const reloaded = await reload();
+
+      expect(reloaded.getTransactions().map(tx => tx.id)).toEqual(['tx-2', 'tx-3']);
+      expect(reloaded.scannedTokens.has('token1')).toBe(false);
+      expect(reloaded.scannedTokens.has('token3')).toBe(true);
+      expect(reloaded.sessionData.teams['002'].score).toBe(350);
+      expect(reloaded.sessionData.teams['002'].adminAdjustments).toHaveLength(1);
+      expect(reloaded.sessionData).not.toHaveProperty('journalSeq');
+      expect(mockDebug.log).toHaveBeenCalledWith('Recovered 3 journaled change(s) missing from the saved session');
+
+      // The recovered state is saved, so a second reload replays nothing
+      const again = await reload();
+      expect(again.getTransactions()).toHaveLength(2);
+      expect(again.sessionData.teams['002'].adminAdjustments).toHaveLength(1);
+    });
+
+    it('should not replay changes the snapshot already holds', async () => {
+      await storage.createSession('Game', []);
+      await storage.addTransaction(scan('tx-1', 'token1'));
+      await storage.adjustTeamScore('001', 25, 'Bonus');
+
+      const reloaded = await reload();
+
+      expect(reloaded.getTransactions()).toHaveLength(1);
+      expect(reloaded.sessionData.teams['001'].adminAdjustments).toHaveLength(1);
+      expect(JSON.parse(localStorage.getItem('standaloneSession')).journalSeq).toBe(2);
+    });
+
+    it('should ignore journal entries of another session', async () => {
+      await storage.createSession('First', []);
+      const spy = failSnapshotWrites();
+      await storage.addTransaction(scan('tx-1', 'token1'));
+      spy.mockRestore();
+      await storage.createSession('Second', []);
+
+      const reloaded = await reload();
+
+      expect(reloaded.getCurrentSession().name).toBe('Second');
+      expect(reloaded.getTransactions()).toHaveLength(0);
+    });
+
+    it('should rebuild a session whose first save never landed', async () => {
+      const spy = failSnapshotWrites();
+      await storage.createSession('Game', []);
+      await storage.addTransaction(scan('tx-1', 'token1'));
+      await storage.addTransaction(scan('tx-2', 'token2', '002', 300));
+      await storage.adjustTeamScore('002', 50, 'Bonus');
+      spy.mockRestore();
+      expect(localStorage.getItem('standaloneSession')).toBeNull();
+
+      const reloaded = await reload();
+
+      expect(reloaded.sessionData.sessionId).toBe(storage.sessionData.sessionId);
+      expect(reloaded.getTransactions().map(tx => tx.id)).toEqual(['tx-1', 'tx-2']);
+      expect(reloaded.scannedTokens.has('token2')).toBe(true);
+      expect(reloaded.sessionData.teams['002'].score).toBe(350);
+      expect(JSON.parse(localStorage.getItem('standaloneSession')).sessionId).toBe(storage.sessionData.sessionId);
+    });
+  });
+
   describe('dispose', () => {
     it('should not throw when called', () => {
       expect(() => storage.dispose()).not.toThrow();
@@ -612,6 +982,35 @@ describe('LocalStorage Strategy', () => {
     });
   });
 
+  describe('auditScores', () => {
+    it('should balance against the transaction log after a reset', async () => {
+      await storage.createSession('Test Session', []);
+      await storage.addTransaction({
+        id: 'tx-001', tokenId: 'token-1', teamId: 'Team Alpha',
+        mode: 'blackmarket', points: 50000, timestamp: new Date().toISOString()
+      });
+
+      await storage.resetScores();
+
+      expect(storage.sessionData.scoresResetAt).toEqual(expect.any(String));
+      const audit = storage.auditScores();
+      expect(audit.balanced).toBe(true);
+      expect(audit.teams[0].replayed.score).toBe(0);
+    });
+
+    it('should flag stored totals that drift from the log', async () => {
+      await storage.addTransaction({
+        id: 'tx-001', tokenId: 'token-1', teamId: 'Team Alpha',
+        mode: 'blackmarket', points: 50000, timestamp: new Date().toISOString()
+      });
+      storage.sessionData.teams['Team Alpha'].baseScore = 99999;
+
+      const audit = storage.auditScores();
+      expect(audit.balanced).toBe(false);
+      expect(audit.teams[0].discrepancies).toContainEqual({ field: 'baseScore', stored: 99999, replayed: 50000 });
+    });
+  });
+
   describe('Session Lifecycle', () => {
     let storage;
 
@@ -701,4 +1100,49 @@ describe('LocalStorage Strategy', () => {
       });
     });
   });
+  describe('importSession', () => {
+    const exported = () => ({
+      sessionId: 'LOCAL_OTHER_DEVICE',
+      name: 'Friday Game',
+      status: 'active',
+      startTime: new Date().toISOString(),
+      mode: 'standalone',
+      scoringProfile: { name: 'House', baseValues: { 3: 7777 } },
+      transactions: [{ id: 'tx-1', tokenId: 'tok1', teamId: '001', mode: 'blackmarket', points: 7777 }],
+      teams: { '001': { teamId: '001', score: 7777, baseScore: 7777, bonusPoints: 0, adminAdjustments: [] } }
+    });
+
+    afterEach(() => applyScoringProfile(null));
+
+    it('should restore the session under a fresh id', async () => {
+      const session = await storage.importSession(exported());
+
+      expect(session.name).toBe('Friday Game');
+      expect(session.sessionId).not.toBe('LOCAL_OTHER_DEVICE');
+      expect(storage.sessionData.importedFrom).toBe('LOCAL_OTHER_DEVICE');
+      expect(storage.getTransactions()).toHaveLength(1);
+      expect(storage.getTeamScores()[0].score).toBe(7777);
+      expect(storage.scannedTokens.has('tok1')).toBe(true);
+      expect(SCORING_CONFIG.BASE_VALUES[3]).toBe(7777);
+      expect(JSON.parse(localStorage.getItem('standaloneSession')).importedFrom).toBe('LOCAL_OTHER_DEVICE');
+    });
+
+    it('should emit session:switched', async () => {
+      const handler = jest.fn();
+      storage.addEventListener('session:switched', handler);
+
+      await storage.importSession(exported());
+
+      expect(handler.mock.calls[0][0].detail).toMatchObject({ readOnly: false, session: { name: 'Friday Game' } });
+    });
+
+    it('should keep the current session when the scoring profile is invalid', async () => {
+      await storage.createSession('Current', []);
+      const data = exported();
+      data.scoringProfile = { name: '' };
+
+      await expect(storage.importSession(data)).rejects.toThrow('Invalid scoring profile');
+      expect(storage.getCurrentSession().name).toBe('Current');
+    });
+  });
 });
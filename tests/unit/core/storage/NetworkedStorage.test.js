@@ -5,9 +5,13 @@ import { NetworkedStorage } from '../../../../src/core/storage/NetworkedStorage.
 describe('NetworkedStorage Strategy', () => {
   let storage;
   let mockSocket;
+  let mockClient;
+  let ackResponse;
   let mockTokenManager;
   let mockDebug;
 
+  const sentCommand = (action, payload) => ['gm:command', { action, payload, requestId: expect.any(String) }];
+
   beforeEach(() => {
     mockSocket = {
       emit: jest.fn(),
@@ -15,6 +19,16 @@ describe('NetworkedStorage Strategy', () => {
       connected: true
     };
 
+    // OrchestratorClient stand-in: acknowledges every command with ackResponse
+    ackResponse = { success: true };
+    mockClient = Object.assign(new EventTarget(), {
+      send: jest.fn((event, { action, requestId }) => queueMicrotask(() => {
+        mockClient.dispatchEvent(new CustomEvent('message:received', {
+          detail: { type: 'gm:command:ack', payload: { action, requestId, ...ackResponse } }
+        }));
+      }))
+    });
+
     mockTokenManager = {
       findToken: jest.fn(),
       getGroupInventory: jest.fn(() => ({}))
@@ -24,6 +38,7 @@ describe('NetworkedStorage Strategy', () => {
 
     storage = new NetworkedStorage({
       socket: mockSocket,
+      client: mockClient,
       tokenManager: mockTokenManager,
       debug: mockDebug
     });
@@ -32,6 +47,7 @@ describe('NetworkedStorage Strategy', () => {
   describe('constructor', () => {
     it('should create instance with dependencies', () => {
       expect(storage.socket).toBe(mockSocket);
+      expect(storage.client).toBe(mockClient);
       expect(storage.tokenManager).toBe(mockTokenManager);
       expect(storage.debug).toBe(mockDebug);
     });
@@ -56,6 +72,17 @@ describe('NetworkedStorage Strategy', () => {
       expect(JSON.parse(localStorage.getItem('networkedScannedTokens:sess-1'))).toContain('tok-1');
     });
 
+    it('drops the guards of earlier sessions when the session changes', () => {
+      localStorage.setItem('networkedScannedTokens:sess-0', JSON.stringify(['tok-old']));
+      storage.setSessionId('sess-1');
+      storage.scannedTokens.add('tok-1');
+      storage.persistScannedTokens();
+
+      storage.setSessionId('sess-1');
+      expect(localStorage.getItem('networkedScannedTokens:sess-0')).toBeNull();
+      expect(localStorage.getItem('networkedScannedTokens:sess-1')).not.toBeNull();
+    });
+
     it('rehydrates marks for the persisted session at init', async () => {
       localStorage.setItem('networkedSessionId', 'sess-2');
       localStorage.setItem('networkedScannedTokens:sess-2', JSON.stringify(['tok-9']));
@@ -172,25 +199,34 @@ describe('NetworkedStorage Strategy', () => {
   });
 
   describe('removeTransaction', () => {
-    it('should emit gm:command with transaction:delete action', async () => {
+    it('should send transaction:delete through the command bus', async () => {
       await storage.removeTransaction('tx-123');
 
-      expect(mockSocket.emit).toHaveBeenCalledWith(
-        'gm:command',
-        expect.objectContaining({
-          data: expect.objectContaining({
-            action: 'transaction:delete',
-            payload: { transactionId: 'tx-123' }
-          })
-        })
-      );
+      expect(mockClient.send).toHaveBeenCalledWith(...sentCommand('transaction:delete', { transactionId: 'tx-123' }));
+      expect(mockSocket.emit).not.toHaveBeenCalled();
     });
 
-    it('should return pending result', async () => {
+    it('should succeed once the orchestrator acknowledges it', async () => {
       const result = await storage.removeTransaction('tx-123');
 
-      expect(result.success).toBe(true);
-      expect(result.pending).toBe(true);
+      expect(result).toEqual({ success: true });
+    });
+
+    it('should return the error of a rejected command', async () => {
+      ackResponse = { success: false, message: 'Transaction not found' };
+
+      const result = await storage.removeTransaction('tx-123');
+
+      expect(result).toEqual({ success: false, error: 'Transaction not found' });
+      expect(mockDebug.log).toHaveBeenCalledWith('[NetworkedStorage] transaction:delete failed: Transaction not found', true);
+    });
+
+    it('should return error without a client to send with', async () => {
+      storage.client = null;
+
+      const result = await storage.removeTransaction('tx-123');
+
+      expect(result).toEqual({ success: false, error: 'Not connected to the orchestrator' });
     });
 
     it('should return error when socket is disconnected', async () => {
@@ -200,27 +236,16 @@ describe('NetworkedStorage Strategy', () => {
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('Socket not connected');
-      expect(mockSocket.emit).not.toHaveBeenCalled();
+      expect(mockClient.send).not.toHaveBeenCalled();
     });
   });
 
   describe('adjustTeamScore', () => {
-    it('should emit gm:command with score:adjust action', async () => {
-      await storage.adjustTeamScore('001', 5000, 'Bonus');
+    it('should send score:adjust through the command bus', async () => {
+      const result = await storage.adjustTeamScore('001', 5000, 'Bonus');
 
-      expect(mockSocket.emit).toHaveBeenCalledWith(
-        'gm:command',
-        expect.objectContaining({
-          data: expect.objectContaining({
-            action: 'score:adjust',
-            payload: expect.objectContaining({
-              teamId: '001',
-              delta: 5000,
-              reason: 'Bonus'
-            })
-          })
-        })
-      );
+      expect(result).toEqual({ success: true });
+      expect(mockClient.send).toHaveBeenCalledWith(...sentCommand('score:adjust', { teamId: '001', delta: 5000, reason: 'Bonus' }));
     });
 
     it('should return error when socket is disconnected', async () => {
@@ -230,7 +255,43 @@ describe('NetworkedStorage Strategy', () => {
 
       expect(result.success).toBe(false);
       expect(result.error).toBe('Socket not connected');
-      expect(mockSocket.emit).not.toHaveBeenCalled();
+      expect(mockClient.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reassignTransaction', () => {
+    it('should send transaction:reassign through the command bus', async () => {
+      const result = await storage.reassignTransaction('tx-1', '002', 'Wrong team');
+
+      expect(result).toEqual({ success: true });
+      expect(mockClient.send).toHaveBeenCalledWith(
+        ...sentCommand('transaction:reassign', { transactionId: 'tx-1', teamId: '002', reason: 'Wrong team' })
+      );
+    });
+
+    it('should return error when socket is disconnected', async () => {
+      mockSocket.connected = false;
+
+      expect((await storage.reassignTransaction('tx-1', '002', 'Wrong team')).error).toBe('Socket not connected');
+      expect(mockClient.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('annotateTransaction', () => {
+    it('should send transaction:annotate through the command bus', async () => {
+      const result = await storage.annotateTransaction('tx-1', { note: 'Checked', disputed: true });
+
+      expect(result).toEqual({ success: true });
+      expect(mockClient.send).toHaveBeenCalledWith(
+        ...sentCommand('transaction:annotate', { transactionId: 'tx-1', note: 'Checked', disputed: true })
+      );
+    });
+
+    it('should return error when socket is disconnected', async () => {
+      mockSocket.connected = false;
+
+      expect((await storage.annotateTransaction('tx-1', { disputed: true })).error).toBe('Socket not connected');
+      expect(mockClient.send).not.toHaveBeenCalled();
     });
   });
 
@@ -336,32 +397,34 @@ describe('NetworkedStorage Strategy', () => {
     });
   });
 
+  describe('getDetectiveStandings', () => {
+    it('should derive reputation from accepted detective transactions only', () => {
+      storage.setTransactions([
+        { id: 'tx-1', tokenId: 'tok1', teamId: '001', mode: 'detective', owner: 'Marcus', status: 'accepted' },
+        { id: 'tx-2', tokenId: 'tok2', teamId: '002', mode: 'detective', owner: 'Marcus', status: 'duplicate' }
+      ]);
+
+      const standings = storage.getDetectiveStandings();
+
+      expect(standings.teams).toHaveLength(1);
+      expect(standings.teams[0].teamId).toBe('001');
+      expect(standings.characters[0]).toMatchObject({ owner: 'Marcus', exposures: 1, firstExposedBy: '001' });
+    });
+  });
+
   describe('session lifecycle', () => {
-    it('should emit gm:command for createSession', async () => {
+    it('should send session:create through the command bus', async () => {
       await storage.createSession('Test Game', ['Team1', 'Team2']);
 
-      expect(mockSocket.emit).toHaveBeenCalledWith(
-        'gm:command',
-        expect.objectContaining({
-          data: expect.objectContaining({
-            action: 'session:create',
-            payload: { name: 'Test Game', teams: ['Team1', 'Team2'] }
-          })
-        })
+      expect(mockClient.send).toHaveBeenCalledWith(
+        ...sentCommand('session:create', { name: 'Test Game', teams: ['Team1', 'Team2'] })
       );
     });
 
-    it('should emit gm:command for endSession', async () => {
+    it('should send session:end through the command bus', async () => {
       await storage.endSession();
 
-      expect(mockSocket.emit).toHaveBeenCalledWith(
-        'gm:command',
-        expect.objectContaining({
-          data: expect.objectContaining({
-            action: 'session:end'
-          })
-        })
-      );
+      expect(mockClient.send).toHaveBeenCalledWith(...sentCommand('session:end', {}));
     });
 
     it('should return session info when session ID is set', () => {
@@ -421,7 +484,7 @@ describe('NetworkedStorage Strategy', () => {
       // Local cache pruned
       expect(storage.transactions).toEqual([{ id: 'tx-2' }]);
       // CRITICAL: cache-only — must NOT echo gm:command transaction:delete
-      expect(mockSocket.emit).not.toHaveBeenCalled();
+      expect(mockClient.send).not.toHaveBeenCalled();
     });
 
     it('should emit transaction:deleted when a broadcast removal prunes the cache (F-GMS-03)', () => {
@@ -443,7 +506,31 @@ describe('NetworkedStorage Strategy', () => {
 
       expect(storage.transactions).toHaveLength(1);
       expect(seen).toEqual([]);
-      expect(mockSocket.emit).not.toHaveBeenCalled();
+      expect(mockClient.send).not.toHaveBeenCalled();
+    });
+
+    it('should move a cached transaction on a reassignment broadcast without re-emitting the command', () => {
+      storage.transactions = [{ id: 'tx-1', tokenId: 'abc', teamId: '001' }];
+      const seen = [];
+      storage.addEventListener('transaction:reassigned', (e) => seen.push(e.detail));
+
+      storage.reassignTransactionFromBroadcast({ transactionId: 'tx-1', fromTeamId: '001', toTeamId: '002', reason: 'Wrong team' });
+
+      expect(storage.transactions[0].teamId).toBe('002');
+      expect(seen[0]).toMatchObject({ fromTeamId: '001', toTeamId: '002', reason: 'Wrong team' });
+      expect(mockClient.send).not.toHaveBeenCalled();
+    });
+
+    it('should annotate a cached transaction on a transaction:annotated broadcast', () => {
+      storage.transactions = [{ id: 'tx-1', tokenId: 'abc', teamId: '001', note: 'Old' }];
+      const seen = [];
+      storage.addEventListener('transaction:annotated', (e) => seen.push(e.detail));
+
+      storage.annotateTransactionFromBroadcast({ transactionId: 'tx-1', disputed: true, annotatedAt: '2026-10-19T20:00:00.000Z' });
+
+      expect(storage.transactions[0]).toMatchObject({ note: 'Old', disputed: true, annotatedAt: '2026-10-19T20:00:00.000Z' });
+      expect(seen[0].transaction.id).toBe('tx-1');
+      expect(mockClient.send).not.toHaveBeenCalled();
     });
 
     it('should set backend scores', () => {
@@ -0,0 +1,89 @@
+// ALNScanner/tests/unit/core/storage/sessionJournal.test.js
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import {
+  SessionJournal,
+  JOURNAL_KEY,
+  JOURNAL_COMPACT_THRESHOLD
+} from '../../../../src/core/storage/sessionJournal.js';
+
+describe('SessionJournal', () => {
+  let journal;
+  let mockDebug;
+
+  const stored = () => JSON.parse(localStorage.getItem(JOURNAL_KEY));
+
+  beforeEach(() => {
+    localStorage.clear();
+    mockDebug = { log: jest.fn() };
+    journal = new SessionJournal({ debug: mockDebug });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  it('should write each entry with a sequence number and a copy of its data', () => {
+    const data = { transactionId: 'tx-1' };
+    journal.append('S1', 'remove', data);
+    data.transactionId = 'changed';
+
+    expect(stored()).toEqual([
+      expect.objectContaining({ seq: 1, sessionId: 'S1', op: 'remove', data: { transactionId: 'tx-1' } })
+    ]);
+  });
+
+  it('should continue numbering after the snapshot and the stored entries', () => {
+    journal.append('S1', 'remove', { transactionId: 'tx-1' });
+
+    const reloaded = new SessionJournal();
+    reloaded.load(0);
+    expect(reloaded.append('S1', 'remove', { transactionId: 'tx-2' }).seq).toBe(2);
+
+    const afterSnapshot = new SessionJournal();
+    afterSnapshot.load(10);
+    expect(afterSnapshot.append('S1', 'remove', { transactionId: 'tx-3' }).seq).toBe(11);
+  });
+
+  it('should return only the session entries after the snapshot', () => {
+    journal.append('S1', 'remove', { transactionId: 'a' });
+    journal.append('S2', 'remove', { transactionId: 'b' });
+    journal.append('S1', 'remove', { transactionId: 'c' });
+
+    expect(journal.entriesAfter('S1', 1).map(e => e.data.transactionId)).toEqual(['c']);
+  });
+
+  it('should discard an unreadable journal', () => {
+    localStorage.setItem(JOURNAL_KEY, '{not json');
+
+    expect(journal.load()).toEqual([]);
+    expect(mockDebug.log).toHaveBeenCalledWith('Discarding unreadable session journal', true);
+  });
+
+  it('should only compact once the threshold is reached', () => {
+    for (let i = 0; i < JOURNAL_COMPACT_THRESHOLD - 1; i++) {
+      journal.append('S1', 'remove', { transactionId: `tx-${i}` });
+    }
+    journal.compact('S1', journal.lastSeq);
+    expect(journal.size).toBe(JOURNAL_COMPACT_THRESHOLD - 1);
+
+    journal.append('S1', 'remove', { transactionId: 'last' });
+    journal.compact('S1', journal.lastSeq - 1);
+    expect(journal.size).toBe(1);
+    expect(stored()).toHaveLength(1);
+  });
+
+  it('should compact right away after a failed write', () => {
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('quota');
+    });
+    journal.append('S1', 'remove', { transactionId: 'tx-1' });
+    expect(mockDebug.log).toHaveBeenCalledWith('Failed to write session journal: quota', true);
+    jest.restoreAllMocks();
+
+    journal.compact('S1', journal.lastSeq);
+
+    expect(journal.size).toBe(0);
+    expect(localStorage.getItem(JOURNAL_KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import {
+  StorageHealthMonitor,
+  isQuotaExceededError,
+  measureStorage
+} from '../../../src/core/storageHealth.js';
+
+function quotaError() {
+  const error = new Error('The quota has been exceeded.');
+  error.name = 'QuotaExceededError';
+  return error;
+}
+
+describe('isQuotaExceededError', () => {
+  it('should recognise the quota error names and legacy codes', () => {
+    expect(isQuotaExceededError(quotaError())).toBe(true);
+    expect(isQuotaExceededError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+    expect(isQuotaExceededError({ code: 22 })).toBe(true);
+    expect(isQuotaExceededError(new Error('nope'))).toBe(false);
+    expect(isQuotaExceededError(undefined)).toBe(false);
+  });
+});
+
+describe('measureStorage', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('should estimate bytes per key, largest first', () => {
+    localStorage.setItem('a', 'x');
+    localStorage.setItem('bb', 'xxxx');
+
+    expect(measureStorage(localStorage)).toEqual({
+      usedBytes: 16,
+      keys: [{ key: 'bb', bytes: 12 }, { key: 'a', bytes: 4 }]
+    });
+  });
+});
+
+describe('StorageHealthMonitor', () => {
+  let monitor;
+  let changes;
+
+  beforeEach(() => {
+    localStorage.clear();
+    monitor = new StorageHealthMonitor({ quotaBytes: 1000, warnRatio: 0.5, criticalRatio: 0.9 });
+    changes = [];
+    monitor.addEventListener('storage-health:changed', (e) => changes.push(e.detail));
+  });
+
+  it('should write through and stay healthy under the warning level', () => {
+    monitor.setItem('key', 'value');
+
+    expect(localStorage.getItem('key')).toBe('value');
+    expect(monitor.getStatus()).toMatchObject({ status: 'healthy', usedBytes: 16, quotaBytes: 1000 });
+  });
+
+  it('should report warning and critical usage once per change', () => {
+    monitor.setItem('big', 'x'.repeat(300));
+    monitor.setItem('big', 'x'.repeat(310));
+    monitor.setItem('big', 'x'.repeat(460));
+
+    expect(changes.map(c => c.status)).toEqual(['warning', 'critical']);
+  });
+
+  it('should not re-read every key on each write', () => {
+    localStorage.setItem('other', 'x'.repeat(100));
+    monitor.setItem('big', 'x'.repeat(100));
+    const getItem = jest.spyOn(Storage.prototype, 'getItem');
+
+    monitor.setItem('big', 'x'.repeat(200));
+    monitor.setItem('big', 'x'.repeat(300));
+
+    expect(getItem).not.toHaveBeenCalled();
+    expect(changes.map(c => c.status)).toEqual(['healthy', 'warning']);
+    getItem.mockRestore();
+  });
+
+  it('should measure afresh when the status is requested', () => {
+    monitor.setItem('key', 'value');
+    localStorage.setItem('direct', 'x'.repeat(300));
+
+    expect(monitor.getStatus()).toMatchObject({ status: 'warning', usedBytes: 16 + 612 });
+  });
+
+  it('should prune stale scan guards and retry when the quota is exceeded', () => {
+    localStorage.setItem('networkedSessionId', 's2');
+    localStorage.setItem('networkedScannedTokens:s1', '["a","b"]');
+    localStorage.setItem('networkedScannedTokens:s2', '["c"]');
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementationOnce(() => { throw quotaError(); });
+
+    monitor.setItem('standaloneSession', '{}', 'Standalone session');
+
+    expect(setItem).toHaveBeenCalledTimes(2);
+    expect(localStorage.getItem('networkedScannedTokens:s1')).toBeNull();
+    expect(localStorage.getItem('networkedScannedTokens:s2')).toBe('["c"]');
+    expect(localStorage.getItem('standaloneSession')).toBe('{}');
+    expect(monitor.getStatus().failures).toEqual([]);
+    setItem.mockRestore();
+  });
+
+  it('should evict expendable data, oldest first, until the write fits', () => {
+    const entries = ['old', 'new'];
+    monitor.registerEvictable('snapshots', () => entries.shift() !== undefined);
+    monitor.registerEvictable('standaloneSession', () => { throw new Error('never evicted for itself'); });
+    const setItem = jest.spyOn(Storage.prototype, 'setItem')
+      .mockImplementationOnce(() => { throw quotaError(); })
+      .mockImplementationOnce(() => { throw quotaError(); });
+
+    monitor.setItem('standaloneSession', '{}', 'Standalone session');
+
+    expect(entries).toEqual([]);
+    expect(setItem).toHaveBeenCalledTimes(3);
+    expect(localStorage.getItem('standaloneSession')).toBe('{}');
+    setItem.mockRestore();
+  });
+
+  it('should record the failure and rethrow when nothing can be freed', () => {
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => { throw quotaError(); });
+
+    expect(() => monitor.setItem('standaloneSession', '{}', 'Standalone session')).toThrow('quota');
+
+    const status = monitor.getStatus();
+    expect(status.status).toBe('failing');
+    expect(status.failures[0]).toMatchObject({ key: 'standaloneSession', label: 'Standalone session', quotaExceeded: true });
+    expect(changes.at(-1).status).toBe('failing');
+    setItem.mockRestore();
+
+    monitor.setItem('standaloneSession', '{}', 'Standalone session');
+    expect(monitor.getStatus()).toMatchObject({ status: 'healthy', failures: [] });
+  });
+
+  it('should track failures reported by other stores until cleared', () => {
+    monitor.reportFailure('Session archive (IndexedDB)', new Error('disk full'), 'indexeddb');
+    expect(monitor.getStatus().failures[0]).toMatchObject({ label: 'Session archive (IndexedDB)', message: 'disk full' });
+
+    monitor.clearFailure('indexeddb');
+    expect(monitor.getStatus().status).toBe('healthy');
+  });
+
+  it('should remove an empty offline queue when pruning', () => {
+    localStorage.setItem('networkedTempQueue', '[]');
+    localStorage.setItem('standaloneSession', '{}');
+
+    const result = monitor.prune();
+
+    expect(result.removed).toEqual(['networkedTempQueue']);
+    expect(result.freedBytes).toBe(40);
+    expect(localStorage.getItem('standaloneSession')).toBe('{}');
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, jest } from '@jest/globals';
-import TokenManager, { TokenManagerClass } from '../../../src/core/tokenManager.js';
+import TokenManager, { TokenManagerClass, diffTokenDatabases, formatTokenDiff } from '../../../src/core/tokenManager.js';
 
 /**
  * TokenManager Tests - Validating Real Behavior
@@ -13,7 +13,9 @@ describe('TokenManager - ES6 Module', () => {
     // Reset singleton state
     TokenManager.database = {};
     TokenManager.groupInventory = null;
+    TokenManager.validationReport = null;
     TokenManager._dataManagerHelpers = null;
+    TokenManager._idIndex = null;
 
     // Mock fetch for loadDatabase tests
     global.fetch = jest.fn();
@@ -45,6 +47,23 @@ describe('TokenManager - ES6 Module', () => {
       expect(TokenManager.groupInventory).toBeDefined();
     });
 
+    it('should lint the database after loading', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        url: 'tokens.json',
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve({
+          "token1": { SF_RFID: "token1", SF_ValueRating: 9, SF_MemoryType: "Technical", SF_Group: "" }
+        })
+      });
+
+      await TokenManager.loadDatabase();
+
+      expect(TokenManager.validationReport).toMatchObject({ tokenCount: 1, valid: false });
+      expect(TokenManager.validationReport.issues[0].code).toBe('invalid-rating');
+      expect(TokenManager.getValidationReport()).toBe(TokenManager.validationReport);
+    });
+
     it('should fall back to data/tokens.json when root is missing (HTTP-3)', async () => {
       const mockTokens = {
         "token2": { SF_RFID: "token2", SF_ValueRating: 5, SF_MemoryType: "Business" }
@@ -114,6 +133,95 @@ describe('TokenManager - ES6 Module', () => {
   // Scanner now fails hard if tokens.json cannot be loaded.
   // This ensures proper token data is always available for game sessions.
 
+  describe('reloadDatabase', () => {
+    const jsonResponse = (body) => ({
+      ok: true,
+      url: 'tokens.json',
+      headers: { get: () => 'application/json' },
+      json: () => Promise.resolve(body)
+    });
+    const original = {
+      "tok1": { SF_RFID: "tok1", SF_ValueRating: 3, SF_MemoryType: "Technical", SF_Group: "" },
+      "tok2": { SF_RFID: "tok2", SF_ValueRating: 2, SF_MemoryType: "Personal", SF_Group: "" }
+    };
+
+    beforeEach(async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(original));
+      await TokenManager.loadDatabase();
+    });
+
+    it('should swap in changed content, bypass the HTTP cache and emit a diff', async () => {
+      const listener = jest.fn();
+      TokenManager.addEventListener('tokens:reloaded', listener);
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        "tok1": { ...original.tok1, SF_ValueRating: 4 },
+        "TOK:3": { SF_RFID: "TOK:3", SF_ValueRating: 1, SF_MemoryType: "Business", SF_Group: "" }
+      }));
+
+      const result = await TokenManager.reloadDatabase();
+      TokenManager.removeEventListener('tokens:reloaded', listener);
+
+      expect(global.fetch).toHaveBeenLastCalledWith('tokens.json', { cache: 'no-store' });
+      expect(result).toEqual({
+        success: true,
+        changed: true,
+        diff: { added: ['TOK:3'], removed: ['tok2'], changed: [{ tokenId: 'tok1', fields: ['SF_ValueRating'] }] }
+      });
+      expect(TokenManager.findToken('tok3').matchedId).toBe('TOK:3');
+      expect(TokenManager.groupInventory).toBeDefined();
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].detail.diff).toBe(result.diff);
+    });
+
+    it('should report unchanged content without emitting', async () => {
+      const listener = jest.fn();
+      TokenManager.addEventListener('tokens:reloaded', listener);
+      global.fetch.mockResolvedValueOnce(jsonResponse(JSON.parse(JSON.stringify(original))));
+
+      const result = await TokenManager.reloadDatabase();
+      TokenManager.removeEventListener('tokens:reloaded', listener);
+
+      expect(result).toEqual({ success: true, changed: false });
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should keep the current database when the reload fails', async () => {
+      global.fetch.mockResolvedValue({ ok: false });
+
+      const result = await TokenManager.reloadDatabase();
+
+      expect(result.success).toBe(false);
+      expect(TokenManager.database).toBe(original);
+    });
+
+    it('should poll for changes until stopped', async () => {
+      jest.useFakeTimers();
+      const spy = jest.spyOn(TokenManager, 'reloadDatabase').mockResolvedValue({ success: true, changed: false });
+
+      TokenManager.watchForUpdates(1000);
+      jest.advanceTimersByTime(2500);
+      TokenManager.stopWatching();
+      jest.advanceTimersByTime(2000);
+
+      expect(spy).toHaveBeenCalledTimes(2);
+      spy.mockRestore();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('diffTokenDatabases / formatTokenDiff', () => {
+    it('should list added, removed and changed tokens with changed fields', () => {
+      const diff = diffTokenDatabases(
+        { a: { SF_ValueRating: 1, summary: 'x' }, b: {} },
+        { a: { SF_ValueRating: 1, summary: 'y', owner: 'Sam' }, c: {} }
+      );
+
+      expect(diff).toEqual({ added: ['c'], removed: ['b'], changed: [{ tokenId: 'a', fields: ['summary', 'owner'] }] });
+      expect(formatTokenDiff(diff)).toBe('1 added, 1 removed, 1 changed');
+      expect(formatTokenDiff(diffTokenDatabases({ a: {} }, { a: {} }))).toBe('no token changes');
+    });
+  });
+
   describe('buildGroupInventory', () => {
     beforeEach(() => {
       TokenManager.database = {
@@ -208,6 +316,44 @@ describe('TokenManager - ES6 Module', () => {
 
       expect(result).toBeNull();
     });
+
+    it('should rebuild the index when the database is replaced', () => {
+      expect(TokenManager.findToken('ABC123')).not.toBeNull();
+
+      TokenManager.database = { "XYZ:99": { SF_RFID: "XYZ:99" } };
+
+      expect(TokenManager.findToken('ABC123')).toBeNull();
+      expect(TokenManager.findToken('xyz99').matchedId).toBe('XYZ:99');
+    });
+  });
+
+  describe('suggestTokens', () => {
+    beforeEach(() => {
+      TokenManager.database = {
+        "04:A1:B2:C3": { SF_RFID: "04:A1:B2:C3" },
+        "sof002": { SF_RFID: "sof002" },
+        "sof003": { SF_RFID: "sof003" },
+        "mab001": { SF_RFID: "mab001" }
+      };
+    });
+
+    it('should suggest a UID read in reversed byte order', () => {
+      expect(TokenManager.suggestTokens('C3:B2:A1:04')).toEqual([
+        { tokenId: '04:A1:B2:C3', reason: 'reversed-uid' }
+      ]);
+    });
+
+    it('should suggest IDs one substitution, insertion or deletion away', () => {
+      expect(TokenManager.suggestTokens('sof00').map(s => s.tokenId)).toEqual(['sof002', 'sof003']);
+      expect(TokenManager.suggestTokens('mab0011')).toEqual([{ tokenId: 'mab001', reason: 'one-edit' }]);
+      expect(TokenManager.suggestTokens('MAB091')).toEqual([{ tokenId: 'mab001', reason: 'one-edit' }]);
+    });
+
+    it('should respect the limit and return nothing for distant IDs', () => {
+      expect(TokenManager.suggestTokens('sof004', { limit: 1 })).toHaveLength(1);
+      expect(TokenManager.suggestTokens('zzz999')).toEqual([]);
+      expect(TokenManager.suggestTokens('')).toEqual([]);
+    });
   });
 
   describe('getAllTokens', () => {
@@ -0,0 +1,86 @@
+import { validateTokenDatabase } from '../../../src/core/tokenValidator.js';
+
+const scoringConfig = {
+  BASE_VALUES: { 1: 10000, 2: 25000, 3: 50000, 4: 75000, 5: 150000 },
+  TYPE_MULTIPLIERS: { Personal: 1, Business: 3, Technical: 5, UNKNOWN: 0 }
+};
+
+const token = (id, overrides = {}) => ({
+  SF_RFID: id, SF_ValueRating: 3, SF_MemoryType: 'Technical', SF_Group: '', ...overrides
+});
+
+const codes = (report) => report.issues.map(i => i.code);
+
+describe('validateTokenDatabase', () => {
+  it('should pass a clean database', () => {
+    const report = validateTokenDatabase({
+      a1: token('a1', { SF_Group: 'Logs (x2)' }),
+      a2: token('a2', { SF_Group: 'Logs (x2)' })
+    }, { scoringConfig });
+
+    expect(report).toMatchObject({ tokenCount: 2, groupCount: 1, errorCount: 0, warningCount: 0, valid: true });
+    expect(report.issues).toEqual([]);
+  });
+
+  it('should flag missing required fields as errors and missing SF_Group as a warning', () => {
+    const report = validateTokenDatabase({
+      a1: { SF_RFID: 'a1', SF_ValueRating: 3 }
+    }, { scoringConfig });
+
+    expect(report.issues).toEqual([
+      expect.objectContaining({ severity: 'error', code: 'missing-field', tokenId: 'a1', message: expect.stringContaining('SF_MemoryType') }),
+      expect.objectContaining({ severity: 'warning', code: 'missing-field', tokenId: 'a1' })
+    ]);
+    expect(report.valid).toBe(false);
+  });
+
+  it('should flag out-of-range ratings and unknown memory types', () => {
+    const report = validateTokenDatabase({
+      a1: token('a1', { SF_ValueRating: 7 }),
+      a2: token('a2', { SF_MemoryType: 'Mystery' }),
+      a3: token('a3', { SF_MemoryType: 'UNKNOWN' })
+    }, { scoringConfig });
+
+    expect(codes(report)).toEqual(['invalid-rating', 'unknown-memory-type', 'unknown-memory-type']);
+    expect(report.issues[0].message).toContain('expected 1-5');
+  });
+
+  it('should flag keys that disagree with SF_RFID', () => {
+    const report = validateTokenDatabase({ a1: token('b1') }, { scoringConfig });
+    expect(codes(report)).toEqual(['rfid-mismatch']);
+  });
+
+  it('should flag IDs that collide under fuzzy matching', () => {
+    const report = validateTokenDatabase({
+      'AB:CD': token('AB:CD'),
+      abcd: token('abcd')
+    }, { scoringConfig });
+
+    expect(codes(report)).toEqual(['duplicate-id', 'duplicate-id']);
+    expect(report.issues[1].message).toContain('"AB:CD"');
+  });
+
+  it('should warn about inconsistent multipliers and single-token bonus groups', () => {
+    const report = validateTokenDatabase({
+      a1: token('a1', { SF_Group: 'Logs (x2)' }),
+      a2: token('a2', { SF_Group: 'logs (x3)' }),
+      solo: token('solo', { SF_Group: 'Solo (x4)' })
+    }, { scoringConfig });
+
+    expect(report.issues).toEqual([
+      expect.objectContaining({ severity: 'warning', code: 'inconsistent-multiplier', tokenId: null }),
+      expect.objectContaining({ severity: 'warning', code: 'single-token-group', tokenId: 'solo' })
+    ]);
+    expect(report.valid).toBe(true);
+  });
+
+  it('should sort errors before warnings', () => {
+    const report = validateTokenDatabase({
+      solo: token('solo', { SF_Group: 'Solo (x4)' }),
+      bad: 'not a token'
+    }, { scoringConfig });
+
+    expect(report.issues.map(i => i.severity)).toEqual(['error', 'warning']);
+    expect(report.issues[0].code).toBe('invalid-token');
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from '@jest/globals';
+import { applyAnnotation, getDisputedTransactions } from '../../../src/core/transactionAnnotations.js';
+
+describe('applyAnnotation', () => {
+  it('should set a trimmed note, the dispute flag and the timestamp', () => {
+    const tx = { id: 'tx-1' };
+    applyAnnotation(tx, { note: '  Checked  ', disputed: 1, annotatedAt: '2026-10-19T20:00:00.000Z' });
+    expect(tx).toEqual({ id: 'tx-1', note: 'Checked', disputed: true, annotatedAt: '2026-10-19T20:00:00.000Z' });
+  });
+
+  it('should leave undefined fields unchanged', () => {
+    const tx = { id: 'tx-1', note: 'Checked', disputed: true };
+    applyAnnotation(tx, { disputed: false });
+    expect(tx).toEqual({ id: 'tx-1', note: 'Checked', disputed: false });
+  });
+
+  it('should remove the note when it is empty or blank', () => {
+    const tx = { id: 'tx-1', note: 'Checked' };
+    applyAnnotation(tx, { note: '   ' });
+    expect(tx).not.toHaveProperty('note');
+  });
+});
+
+describe('getDisputedTransactions', () => {
+  it('should return disputed transactions oldest first', () => {
+    const result = getDisputedTransactions([
+      { id: 'b', disputed: true, timestamp: '2026-10-19T20:05:00.000Z' },
+      { id: 'c', timestamp: '2026-10-19T20:01:00.000Z' },
+      { id: 'a', disputed: true, timestamp: '2026-10-19T20:00:00.000Z' }
+    ]);
+    expect(result.map(tx => tx.id)).toEqual(['a', 'b']);
+  });
+
+  it('should handle a missing list', () => {
+    expect(getDisputedTransactions(undefined)).toEqual([]);
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import { UnifiedDataManager } from '../../../src/core/unifiedDataManager.js';
 
 describe('UnifiedDataManager', () => {
@@ -116,6 +116,63 @@ describe('UnifiedDataManager', () => {
       expect(manager.getActiveStrategyType()).toBe('networked');
     });
 
+    it('should fall back to LocalStorage without IndexedDB', async () => {
+      manager = new UnifiedDataManager({
+        tokenManager: mockTokenManager,
+        sessionModeManager: mockSessionModeManager
+      });
+
+      await manager.initializeStandaloneMode();
+
+      expect(manager._localStrategy.constructor.name).toBe('LocalStorage');
+      expect(manager.hasSessionArchive()).toBe(false);
+      expect(manager.isReadOnly()).toBe(false);
+      await expect(manager.listArchivedSessions()).resolves.toEqual([]);
+      await expect(manager.openArchivedSession('LOCAL_X')).rejects.toThrow('Session archive is only available');
+    });
+
+    it('should fall back to LocalStorage when IndexedDB fails to open', async () => {
+      globalThis.indexedDB = { open: jest.fn(() => { throw new Error('SecurityError'); }) };
+      const mockDebug = { log: jest.fn() };
+      try {
+        manager = new UnifiedDataManager({
+          tokenManager: mockTokenManager,
+          sessionModeManager: mockSessionModeManager,
+          debug: mockDebug
+        });
+
+        await manager.initializeStandaloneMode();
+
+        expect(globalThis.indexedDB.open).toHaveBeenCalled();
+        expect(manager._localStrategy.constructor.name).toBe('LocalStorage');
+        expect(manager.getActiveStrategyType()).toBe('local');
+      } finally {
+        delete globalThis.indexedDB;
+      }
+    });
+
+    it('should restore the standalone strategy after an abandoned networked start', async () => {
+      localStorage.clear();
+      manager = new UnifiedDataManager({
+        tokenManager: mockTokenManager,
+        sessionModeManager: mockSessionModeManager
+      });
+      await manager.initializeStandaloneMode();
+      await manager.addTransaction({
+        id: 'tx-1', tokenId: 'tok1', teamId: '001', mode: 'blackmarket',
+        points: 100, valueRating: 1, memoryType: 'Personal', timestamp: new Date().toISOString()
+      });
+      await manager.initializeNetworkedMode({ on: jest.fn(), off: jest.fn(), emit: jest.fn(), connected: false });
+      manager.resetForNewSession('backend-session');
+
+      manager.restoreStandaloneMode();
+
+      expect(manager.getActiveStrategyType()).toBe('local');
+      expect(manager._networkedStrategy).toBeNull();
+      expect(manager.getTransactions()).toHaveLength(1);
+      expect(manager.isTokenScanned('tok1')).toBe(true);
+    });
+
     it('should not be ready before initialization', () => {
       manager = new UnifiedDataManager({
         tokenManager: mockTokenManager,
@@ -339,6 +396,583 @@ describe('UnifiedDataManager', () => {
       const eventNames = listeners.map(l => l.eventName);
       expect(eventNames).toContain('session:updated');
     });
+
+    it('should forward session:switched from the archive', () => {
+      const handler = jest.fn();
+      manager.addEventListener('session:switched', handler);
+
+      manager._localStrategy.dispatchEvent(new CustomEvent('session:switched', {
+        detail: { session: { sessionId: 'LOCAL_OLD' }, readOnly: true }
+      }));
+
+      expect(handler.mock.calls[0][0].detail).toEqual({ session: { sessionId: 'LOCAL_OLD' }, readOnly: true });
+    });
+  });
+
+  describe('session bundles', () => {
+    beforeEach(async () => {
+      localStorage.clear();
+      mockTokenManager.version = 'abc123';
+      mockTokenManager.findToken.mockImplementation(id => ({ token: {}, matchedId: id }));
+      manager = new UnifiedDataManager({
+        tokenManager: mockTokenManager,
+        sessionModeManager: mockSessionModeManager
+      });
+      await manager.initializeStandaloneMode();
+    });
+
+    it('should round-trip a session through a bundle', async () => {
+      await manager.createSession('Friday', []);
+      await manager.addTransaction({
+        id: 'tx-1', tokenId: 'tok1', teamId: '001', mode: 'blackmarket',
+        points: 5000, valueRating: 1, memoryType: 'Personal', timestamp: new Date().toISOString()
+      });
+      const bundle = JSON.parse(JSON.stringify(manager.exportSessionBundle()));
+      expect(bundle.tokenDatabaseHash).toBe('abc123');
+
+      await manager.createSession('Saturday', []);
+      const session = await manager.importSessionBundle(bundle);
+
+      expect(session.name).toBe('Friday');
+      expect(manager.getTransactions()).toHaveLength(1);
+      expect(manager.isTokenScanned('tok1')).toBe(true);
+    });
+
+    it('should refuse an invalid bundle', async () => {
+      await expect(manager.importSessionBundle({ format: 'something-else' }))
+        .rejects.toThrow('Invalid session bundle: Not a session bundle');
+    });
+
+    it('should be unavailable in networked mode', () => {
+      manager._activeStrategy = { sessionData: {} };
+      expect(() => manager.exportSessionBundle()).toThrow('only available in standalone mode');
+    });
+  });
+
+  describe('session snapshots', () => {
+    const scan = (id, tokenId, teamId, points) => ({
+      id, tokenId, teamId, mode: 'blackmarket', points,
+      valueRating: 1, memoryType: 'Personal', timestamp: new Date().toISOString()
+    });
+
+    beforeEach(async () => {
+      localStorage.clear();
+      manager = new UnifiedDataManager({
+        tokenManager: mockTokenManager,
+        sessionModeManager: mockSessionModeManager
+      });
+      await manager.initializeStandaloneMode();
+      await manager.createSession('Friday', []);
+      await manager.addTransaction(scan('tx-1', 'tok1', '001', 5000));
+      await manager.adjustTeamScore('001', 100, 'Bonus');
+    });
+
+    afterEach(() => {
+      manager.dispose();
+    });
+
+    it('should snapshot before a score reset and roll the reset back', async () => {
+      const changed = jest.fn();
+      manager.addEventListener('snapshots:changed', changed);
+
+      await manager.resetScores();
+      expect(manager.getTeamScores()[0].score).toBe(0);
+
+      const [snapshot] = manager.listSnapshots();
+      expect(snapshot).toMatchObject({ reason: 'reset', label: 'Before score reset', transactionCount: 1 });
+      expect(snapshot.scores).toEqual([{ teamId: '001', score: 5100, tokenCount: 1 }]);
+      expect(changed).toHaveBeenCalled();
+
+      const sessionId = manager.getCurrentSession().sessionId;
+      await manager.rollbackToSnapshot(snapshot.id);
+
+      expect(manager.getCurrentSession().sessionId).toBe(sessionId);
+      expect(manager.getTeamScores()[0].score).toBe(5100);
+      expect(manager.isTokenScanned('tok1')).toBe(true);
+      expect(manager.listSnapshots()[0].reason).toBe('rollback');
+    });
+
+    it('should roll back past a new session', async () => {
+      await manager.createSession('Saturday', []);
+      const snapshot = manager.listSnapshots().find(s => s.reason === 'new-session');
+
+      await manager.rollbackToSnapshot(snapshot.id);
+
+      expect(manager.getCurrentSession().name).toBe('Friday');
+      expect(manager.getTransactions().map(t => t.id)).toEqual(['tx-1']);
+    });
+
+    it('should snapshot before ending a session', async () => {
+      await manager.endSession();
+      expect(manager.listSnapshots()[0].reason).toBe('end');
+    });
+
+    it('should take automatic snapshots only when the session changed', async () => {
+      jest.useFakeTimers();
+      try {
+        manager.startAutoSnapshots(1000);
+        jest.advanceTimersByTime(1000);
+        jest.advanceTimersByTime(1000);
+        expect(manager.listSnapshots().filter(s => s.reason === 'interval')).toHaveLength(1);
+
+        await manager.adjustTeamScore('001', 50, 'More');
+        jest.advanceTimersByTime(1000);
+        expect(manager.listSnapshots().filter(s => s.reason === 'interval')).toHaveLength(2);
+
+        manager.stopAutoSnapshots();
+        await manager.adjustTeamScore('001', 50, 'Even more');
+        jest.advanceTimersByTime(5000);
+        expect(manager.listSnapshots().filter(s => s.reason === 'interval')).toHaveLength(2);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should report a session too large to snapshot instead of announcing it', () => {
+      const changed = jest.fn();
+      manager.addEventListener('snapshots:changed', changed);
+      manager.snapshots.maxBytes = 100;
+
+      expect(manager.takeSnapshot()).toEqual({ error: expect.stringContaining('too large to snapshot') });
+      expect(changed).not.toHaveBeenCalled();
+      expect(manager.listSnapshots()).toEqual([]);
+    });
+
+    it('should reject unknown snapshots and be unavailable in networked mode', async () => {
+      await expect(manager.rollbackToSnapshot('SNAP_missing')).rejects.toThrow('Snapshot not found');
+
+      manager._activeStrategy = { sessionData: {} };
+      expect(manager.takeSnapshot()).toBeNull();
+      await expect(manager.rollbackToSnapshot('x')).rejects.toThrow('only available in standalone mode');
+    });
+  });
+
+  describe('undo / redo', () => {
+    const tx = (id, tokenId, teamId, points) => ({
+      id, tokenId, teamId, mode: 'blackmarket', points,
+      valueRating: 1, memoryType: 'Personal', timestamp: new Date().toISOString()
+    });
+
+    describe('standalone', () => {
+      beforeEach(async () => {
+        localStorage.clear();
+        manager = new UnifiedDataManager({
+          tokenManager: mockTokenManager,
+          sessionModeManager: mockSessionModeManager
+        });
+        await manager.initializeStandaloneMode();
+        await manager.createSession('Friday', []);
+      });
+
+      it('should undo and redo a scan', async () => {
+        await manager.addTransaction(tx('tx-1', 'tok1', '001', 5000));
+
+        expect((await manager.undo()).success).toBe(true);
+        expect(manager.getTransactions()).toHaveLength(0);
+        expect(manager.isTokenScanned('tok1')).toBe(false);
+
+        expect((await manager.redo()).success).toBe(true);
+        expect(manager.getTransactions().map(t => t.id)).toEqual(['tx-1']);
+        expect(manager.getTeamScores()[0].score).toBe(5000);
+      });
+
+      it('should restore a deleted transaction with its points', async () => {
+        await manager.addTransaction(tx('tx-1', 'tok1', '001', 5000));
+        await manager.removeTransaction('tx-1');
+
+        const result = await manager.undo();
+
+        expect(result.entry.label).toBe('Delete tok1 from team 001');
+        expect(manager.getTransactions()[0]).toMatchObject({ id: 'tx-1', points: 5000 });
+        expect(manager.isTokenScanned('tok1')).toBe(true);
+        expect(manager.getHistory().undo.map(e => e.type)).toEqual(['transaction:add']);
+      });
+
+      it('should offset a score adjustment with the opposite adjustment', async () => {
+        await manager.addTransaction(tx('tx-1', 'tok1', '001', 5000));
+        await manager.adjustTeamScore('001', -3000, 'Wrong sign');
+
+        await manager.undo();
+
+        const team = manager._activeStrategy.sessionData.teams['001'];
+        expect(team.score).toBe(5000);
+        expect(team.adminAdjustments.map(a => [a.delta, a.reason])).toEqual([
+          [-3000, 'Wrong sign'],
+          [3000, 'Undo: Wrong sign']
+        ]);
+        expect(manager.canRedo()).toBe(true);
+      });
+
+      it('should move a reassigned transaction back on undo', async () => {
+        await manager.addTransaction(tx('tx-1', 'tok1', '001', 5000));
+        await manager.reassignTransaction('tx-1', '002', 'Wrong team');
+
+        const result = await manager.undo();
+
+        expect(result.entry.label).toBe('Move tok1 from team 001 to team 002');
+        expect(manager.getTransactions()[0].teamId).toBe('001');
+        expect(manager.getTransactions()[0].reassignments.map(r => r.reason)).toEqual(['Wrong team', 'Undo: Wrong team']);
+
+        await manager.redo();
+        expect(manager.getTransactions()[0].teamId).toBe('002');
+      });
+
+      it('should drop the redo stack when a new action is recorded', async () => {
+        await manager.addTransaction(tx('tx-1', 'tok1', '001', 5000));
+        await manager.undo();
+        await manager.addTransaction(tx('tx-2', 'tok2', '001', 1000));
+
+        expect(manager.canRedo()).toBe(false);
+        expect((await manager.redo()).error).toBe('Nothing to redo');
+      });
+
+      it('should keep the entry when the strategy refuses the inverse', async () => {
+        await manager.addTransaction(tx('tx-1', 'tok1', '001', 5000));
+        await manager.removeTransaction('tx-1');
+        await manager.pauseSession();
+
+        const result = await manager.undo();
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('paused');
+        expect(manager.canUndo()).toBe(true);
+      });
+
+      it('should clear history when the session changes and announce it', async () => {
+        const handler = jest.fn();
+        manager.addEventListener('history:changed', handler);
+        await manager.addTransaction(tx('tx-1', 'tok1', '001', 5000));
+
+        await manager.createSession('Saturday', []);
+
+        expect(manager.canUndo()).toBe(false);
+        expect(handler.mock.calls.map(c => c[0].detail.canUndo)).toEqual([true, false]);
+      });
+    });
+
+    describe('networked', () => {
+      let socket;
+      let client;
+
+      beforeEach(async () => {
+        localStorage.clear();
+        socket = { on: jest.fn(), off: jest.fn(), emit: jest.fn(), connected: true };
+        // OrchestratorClient stand-in that acknowledges every command
+        client = Object.assign(new EventTarget(), {
+          send: jest.fn((event, { action, requestId }) => queueMicrotask(() => {
+            client.dispatchEvent(new CustomEvent('message:received', {
+              detail: { type: 'gm:command:ack', payload: { action, requestId, success: true } }
+            }));
+          }))
+        });
+        manager = new UnifiedDataManager({
+          tokenManager: mockTokenManager,
+          sessionModeManager: mockSessionModeManager
+        });
+        await manager.initializeNetworkedMode(socket);
+        manager._networkedStrategy.client = client;
+      });
+
+      const commands = () => client.send.mock.calls
+        .filter(([event]) => event === 'gm:command')
+        .map(([, { requestId: _requestId, ...command }]) => command);
+
+      it('should undo an admin adjustment with a compensating score:adjust', async () => {
+        manager.recordAction('score:adjust', { teamId: '001', delta: 500, reason: 'Bonus' });
+
+        const result = await manager.undo();
+
+        expect(result).toMatchObject({ success: true });
+        expect(commands()).toEqual([
+          { action: 'score:adjust', payload: { teamId: '001', delta: -500, reason: 'Undo: Bonus' } }
+        ]);
+      });
+
+      it('should undo a queued scan once the orchestrator has confirmed it', async () => {
+        manager.recordAction('transaction:add', { transaction: { tokenId: 'tok1', teamId: '001', mode: 'blackmarket' } });
+
+        expect((await manager.undo()).error).toContain('not yet confirmed');
+
+        manager.setTransactions([{ id: 'srv-1', tokenId: 'tok1', teamId: '001', mode: 'blackmarket', status: 'accepted' }]);
+        expect((await manager.undo()).success).toBe(true);
+        expect(commands()).toEqual([{ action: 'transaction:delete', payload: { transactionId: 'srv-1' } }]);
+      });
+
+      it('should undo a reassignment with a transaction:reassign back to the original team', async () => {
+        manager.setTransactions([{ id: 'srv-1', tokenId: 'tok1', teamId: '002' }]);
+        manager.recordAction('transaction:reassign', {
+          transaction: { id: 'srv-1', tokenId: 'tok1', teamId: '001' }, fromTeamId: '001', toTeamId: '002', reason: 'Wrong team'
+        });
+
+        await manager.undo();
+
+        expect(commands()).toEqual([
+          { action: 'transaction:reassign', payload: { transactionId: 'srv-1', teamId: '001', reason: 'Undo: Wrong team' } }
+        ]);
+      });
+
+      it('should resubmit a deleted transaction on undo', async () => {
+        const transaction = { id: 'srv-1', tokenId: 'tok1', teamId: '001', deviceId: 'GM_1', mode: 'detective', summary: 'Note' };
+        manager.recordAction('transaction:delete', { transaction });
+
+        await manager.undo();
+
+        const submit = socket.emit.mock.calls.find(([event]) => event === 'transaction:submit');
+        expect(submit[1].data).toMatchObject({ tokenId: 'tok1', teamId: '001', deviceId: 'GM_1', mode: 'detective', summary: 'Note' });
+      });
+
+      it('should move the entry to redo only once the orchestrator acknowledges the undo', async () => {
+        const sent = [];
+        client.send.mockImplementation((event, command) => sent.push(command));
+        manager.recordAction('score:adjust', { teamId: '001', delta: 500, reason: 'Bonus' });
+
+        const undo = manager.undo();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(sent).toHaveLength(1);
+        expect(manager.getHistory().undo).toHaveLength(1);
+        expect(manager.canRedo()).toBe(false);
+
+        client.dispatchEvent(new CustomEvent('message:received', {
+          detail: { type: 'gm:command:ack', payload: { action: 'score:adjust', requestId: sent[0].requestId, success: true } }
+        }));
+
+        expect((await undo).success).toBe(true);
+        expect(manager.canUndo()).toBe(false);
+        expect(manager.canRedo()).toBe(true);
+      });
+
+      it('should keep the entry when the orchestrator rejects the undo', async () => {
+        client.send.mockImplementation((event, { action, requestId }) => queueMicrotask(() => {
+          client.dispatchEvent(new CustomEvent('message:received', {
+            detail: { type: 'gm:command:ack', payload: { action, requestId, success: false, message: 'Team not found' } }
+          }));
+        }));
+        manager.recordAction('score:adjust', { teamId: '001', delta: 500, reason: 'Bonus' });
+
+        expect(await manager.undo()).toMatchObject({ success: false, error: 'Team not found' });
+        expect(manager.canUndo()).toBe(true);
+        expect(manager.canRedo()).toBe(false);
+      });
+
+      it('should fail without a connection and keep the entry', async () => {
+        manager.recordAction('score:adjust', { teamId: '001', delta: 500, reason: 'Bonus' });
+        socket.connected = false;
+
+        expect((await manager.undo()).error).toBe('Socket not connected');
+        expect(manager.canUndo()).toBe(true);
+      });
+
+      it('should clear history at a session boundary', () => {
+        manager.recordAction('score:adjust', { teamId: '001', delta: 500, reason: 'Bonus' });
+
+        manager.resetForNewSession('sess-2');
+
+        expect(manager.getHistory()).toEqual({ undo: [], redo: [] });
+      });
+    });
+  });
+
+  describe('getTeamGroupProgress', () => {
+    beforeEach(async () => {
+      localStorage.clear();
+      const database = {
+        srv1: { SF_RFID: 'srv1', SF_ValueRating: 1, SF_MemoryType: 'Personal', SF_Group: 'Server Logs (x3)' },
+        srv2: { SF_RFID: 'srv2', SF_ValueRating: 2, SF_MemoryType: 'Personal', SF_Group: 'Server Logs (x3)' },
+        memo: { SF_RFID: 'memo', SF_ValueRating: 1, SF_MemoryType: 'Personal', SF_Group: 'Memo (x2)' },
+        plain1: { SF_RFID: 'plain1', SF_ValueRating: 1, SF_MemoryType: 'Personal', SF_Group: 'Plain' },
+        plain2: { SF_RFID: 'plain2', SF_ValueRating: 1, SF_MemoryType: 'Personal', SF_Group: 'Plain' }
+      };
+      const inventory = {
+        'server logs': { normalizedName: 'server logs', displayName: 'Server Logs', multiplier: 3, tokens: new Set(['srv1', 'srv2']) },
+        memo: { normalizedName: 'memo', displayName: 'Memo', multiplier: 2, tokens: new Set(['memo']) },
+        plain: { normalizedName: 'plain', displayName: 'Plain', multiplier: 1, tokens: new Set(['plain1', 'plain2']) }
+      };
+      mockTokenManager.database = database;
+      mockTokenManager.getGroupInventory.mockReturnValue(inventory);
+
+      manager = new UnifiedDataManager({ tokenManager: mockTokenManager, sessionModeManager: mockSessionModeManager });
+      await manager.initializeStandaloneMode();
+      await manager.createSession('Progress', []);
+    });
+
+    it('should report collected vs total, potential bonus and outstanding tokens for bonus groups only', async () => {
+      await manager.addTransaction({ id: 'tx1', tokenId: 'srv1', teamId: 'A', mode: 'blackmarket', points: 12000, group: 'Server Logs (x3)' });
+      await manager.addTransaction({ id: 'tx2', tokenId: 'srv2', teamId: 'A', mode: 'detective', group: 'Server Logs (x3)' });
+
+      const srv2Value = manager.calculateTokenValue({ valueRating: 2, memoryType: 'Personal' });
+      const progress = manager.getTeamGroupProgress('A');
+
+      expect(progress).toEqual([{
+        normalizedName: 'server logs',
+        displayName: 'Server Logs',
+        multiplier: 3,
+        collected: 1,
+        total: 2,
+        percentage: 50,
+        complete: false,
+        collectedTokenIds: ['srv1'],
+        outstandingTokenIds: ['srv2'],
+        potentialBonus: (12000 + srv2Value) * 2
+      }]);
+    });
+
+    it('should mark a group complete once every token is sold', async () => {
+      await manager.addTransaction({ id: 'tx1', tokenId: 'srv1', teamId: 'A', mode: 'blackmarket', points: 1000, group: 'Server Logs (x3)' });
+      await manager.addTransaction({ id: 'tx2', tokenId: 'srv2', teamId: 'A', mode: 'blackmarket', points: 2000, group: 'Server Logs (x3)' });
+
+      expect(manager.getTeamGroupProgress('A')[0]).toMatchObject({ complete: true, percentage: 100, potentialBonus: 6000 });
+      expect(manager.getTeamGroupProgress('B')[0]).toMatchObject({ collected: 0, complete: false });
+    });
+  });
+
+  describe('simulateScoreChange', () => {
+    const database = {
+      srv1: { SF_RFID: 'srv1', SF_ValueRating: 1, SF_MemoryType: 'Personal', SF_Group: 'Server Logs (x3)' },
+      srv2: { SF_RFID: 'srv2', SF_ValueRating: 2, SF_MemoryType: 'Personal', SF_Group: 'Server Logs (x3)' },
+      loose: { SF_RFID: 'loose', SF_ValueRating: 1, SF_MemoryType: 'Personal', SF_Group: '' }
+    };
+
+    beforeEach(async () => {
+      localStorage.clear();
+      mockTokenManager.database = database;
+      mockTokenManager.findToken.mockImplementation(id => (database[id] ? { token: database[id], matchedId: id } : null));
+      mockTokenManager.getGroupInventory.mockReturnValue({
+        'server logs': { normalizedName: 'server logs', displayName: 'Server Logs', multiplier: 3, tokens: new Set(['srv1', 'srv2']) }
+      });
+
+      manager = new UnifiedDataManager({ tokenManager: mockTokenManager, sessionModeManager: mockSessionModeManager });
+      await manager.initializeStandaloneMode();
+      await manager.createSession('What if', []);
+      await manager.addTransaction({ id: 'tx1', tokenId: 'srv1', teamId: 'A', mode: 'blackmarket', points: 5000, group: 'Server Logs (x3)' });
+      await manager.addTransaction({ id: 'tx2', tokenId: 'loose', teamId: 'B', mode: 'blackmarket', points: 40000, group: '' });
+    });
+
+    it('should project the token value, group completion bonus and rank change', () => {
+      const srv2Value = manager.calculateTokenValue({ valueRating: 2, memoryType: 'Personal' });
+      const sim = manager.simulateScoreChange('A', { tokenId: 'srv2' });
+
+      expect(sim).toMatchObject({
+        teamId: 'A',
+        tokenId: 'srv2',
+        known: true,
+        alreadyScanned: false,
+        tokenValue: srv2Value,
+        completesGroup: { displayName: 'Server Logs', multiplier: 3, bonus: (5000 + srv2Value) * 2 },
+        currentScore: 5000,
+        currentRank: 2,
+        teamCount: 2
+      });
+      expect(sim.projectedScore).toBe(5000 + srv2Value + (5000 + srv2Value) * 2);
+      expect(sim.delta).toBe(sim.projectedScore - 5000);
+      expect(sim.projectedRank).toBe(1);
+    });
+
+    it('should preview a manual adjustment without recording anything', () => {
+      const sim = manager.simulateScoreChange('B', { delta: -45000 });
+
+      expect(sim).toMatchObject({ currentScore: 40000, projectedScore: -5000, delta: -45000, currentRank: 1, projectedRank: 2 });
+      expect(manager.getTeamScores().find(t => t.teamId === 'B').score).toBe(40000);
+      expect(manager.getTransactions()).toHaveLength(2);
+    });
+
+    it('should flag unknown and already-scanned tokens', () => {
+      expect(manager.simulateScoreChange('B', { tokenId: 'nope' })).toMatchObject({ known: false, tokenValue: 0, delta: 0 });
+      expect(manager.simulateScoreChange('B', { tokenId: 'srv1' })).toMatchObject({ known: true, alreadyScanned: true, completesGroup: null });
+    });
+
+    it('should rank a team with no score yet last', () => {
+      expect(manager.simulateScoreChange('C', {})).toMatchObject({ currentScore: 0, currentRank: 3, teamCount: 3 });
+    });
+  });
+
+  describe('token hot-reload', () => {
+    let tokenManager;
+
+    beforeEach(async () => {
+      localStorage.clear();
+      const database = {
+        tok1: { SF_RFID: 'tok1', SF_MemoryType: 'Technical', SF_ValueRating: 4, SF_Group: 'Logs (x2)' }
+      };
+      tokenManager = Object.assign(new EventTarget(), {
+        ...mockTokenManager,
+        findToken: jest.fn(id => (database[id] ? { token: database[id], matchedId: id } : null))
+      });
+      manager = new UnifiedDataManager({ tokenManager, sessionModeManager: mockSessionModeManager });
+      await manager.initializeStandaloneMode();
+      await manager.createSession('Rehearsal', []);
+      await manager.addTransaction({
+        id: 'tx1', tokenId: 'tok1', teamId: 'A', mode: 'detective', memoryType: 'Personal', valueRating: 1, group: ''
+      });
+      await manager.addTransaction({
+        id: 'tx2', tokenId: 'gone', teamId: 'A', mode: 'detective', memoryType: 'Business', valueRating: 2, group: ''
+      });
+    });
+
+    it('should refresh token metadata on recorded transactions and persist it', () => {
+      expect(manager.reenrichTransactions()).toBe(2);
+
+      const [tx1, tx2] = manager.getTransactions();
+      expect(tx1).toMatchObject({ memoryType: 'Technical', valueRating: 4, group: 'Logs (x2)', isUnknown: false });
+      expect(tx2).toMatchObject({ memoryType: 'UNKNOWN', valueRating: 0, group: 'Unknown: gone', isUnknown: true });
+      expect(JSON.parse(localStorage.getItem('standaloneSession')).transactions[0].memoryType).toBe('Technical');
+
+      expect(manager.reenrichTransactions()).toBe(0);
+    });
+
+    it('should re-enrich and re-emit when the token manager reloads', () => {
+      const listener = jest.fn();
+      manager.addEventListener('tokens:reloaded', listener);
+      const diff = { added: [], removed: ['gone'], changed: [] };
+
+      tokenManager.dispatchEvent(new CustomEvent('tokens:reloaded', { detail: { diff, version: 'abc' } }));
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].detail).toEqual({ diff, version: 'abc', reenriched: 2, scoreChanges: [] });
+    });
+
+    it('should rescore teams whose group bonus changed and report it', async () => {
+      const tokens = {
+        bm1: { SF_RFID: 'bm1', SF_MemoryType: 'Personal', SF_ValueRating: 1, SF_Group: '' },
+        bm2: { SF_RFID: 'bm2', SF_MemoryType: 'Personal', SF_ValueRating: 1, SF_Group: '' }
+      };
+      tokenManager.findToken = jest.fn(id => (tokens[id] ? { token: tokens[id], matchedId: id } : null));
+      tokenManager.getAllTokens = jest.fn(() => Object.values(tokens));
+      await manager.addTransaction({ id: 'tx3', tokenId: 'bm1', teamId: 'B', mode: 'blackmarket', group: '', points: 1000 });
+      await manager.addTransaction({ id: 'tx4', tokenId: 'bm2', teamId: 'B', mode: 'blackmarket', group: '', points: 1000 });
+      const listener = jest.fn();
+      manager.addEventListener('tokens:reloaded', listener);
+
+      // The two tokens now form a x2 group
+      tokens.bm1.SF_Group = 'Pair (x2)';
+      tokens.bm2.SF_Group = 'Pair (x2)';
+      tokenManager.dispatchEvent(new CustomEvent('tokens:reloaded', { detail: {} }));
+
+      expect(listener.mock.calls[0][0].detail.scoreChanges).toEqual([{ teamId: 'B', before: 2000, after: 4000 }]);
+      expect(manager.getTeamScores().find(t => t.teamId === 'B').score).toBe(4000);
+      expect(manager.auditTeamScores().balanced).toBe(true);
+    });
+
+    it('should leave networked transactions as the orchestrator recorded them', async () => {
+      await manager.initializeNetworkedMode({ on: jest.fn(), off: jest.fn(), emit: jest.fn(), connected: true });
+      const recorded = { id: 'srv1', tokenId: 'tok1', teamId: 'A', mode: 'blackmarket', memoryType: 'Personal', valueRating: 1, group: '' };
+      manager._networkedStrategy.addTransactionFromBroadcast({ ...recorded });
+      const listener = jest.fn();
+      manager.addEventListener('tokens:reloaded', listener);
+
+      tokenManager.dispatchEvent(new CustomEvent('tokens:reloaded', { detail: {} }));
+
+      expect(manager.getTransactions()[0]).toEqual(recorded);
+      expect(listener.mock.calls[0][0].detail).toMatchObject({ reenriched: 0, scoreChanges: [] });
+    });
+
+    it('should stop listening after dispose', () => {
+      const spy = jest.spyOn(manager, 'reenrichTransactions');
+      manager.dispose();
+
+      tokenManager.dispatchEvent(new CustomEvent('tokens:reloaded', { detail: {} }));
+
+      expect(spy).not.toHaveBeenCalled();
+    });
   });
 
   describe('advanced methods', () => {
@@ -558,4 +1192,42 @@ describe('UnifiedDataManager', () => {
       expect(owners).toContain('Ørjan');
     });
   });
+
+  describe('getRelatedExposedTokens', () => {
+    beforeEach(async () => {
+      manager = new UnifiedDataManager({
+        tokenManager: mockTokenManager,
+        sessionModeManager: mockSessionModeManager
+      });
+      await manager.initializeStandaloneMode();
+      mockTokenManager.findToken = jest.fn(tokenId => {
+        const owners = { t1: 'Alex Reeves', t2: 'Alex Reeves', t3: 'Ashley White', t4: 'Alex Reeves' };
+        return owners[tokenId]
+          ? { token: { owner: owners[tokenId], summary: `Summary ${tokenId}` }, matchedId: tokenId }
+          : null;
+      });
+    });
+
+    it('returns other exposed tokens of the same owner, most recent first', async () => {
+      await manager.addTransaction({ tokenId: 't2', teamId: 'A', mode: 'detective', points: 0, timestamp: '2026-06-02T10:00:00.000Z' });
+      await manager.addTransaction({ tokenId: 't3', teamId: 'B', mode: 'detective', points: 0, timestamp: '2026-06-02T10:01:00.000Z' });
+      await manager.addTransaction({ tokenId: 't4', teamId: 'C', mode: 'detective', points: 0, timestamp: '2026-06-02T10:02:00.000Z' });
+
+      expect(manager.getRelatedExposedTokens('t1')).toEqual([
+        { tokenId: 't4', teamId: 'C', summary: 'Summary t4', timestamp: '2026-06-02T10:02:00.000Z' },
+        { tokenId: 't2', teamId: 'A', summary: 'Summary t2', timestamp: '2026-06-02T10:00:00.000Z' }
+      ]);
+    });
+
+    it('ignores black market sales and the token itself', async () => {
+      await manager.addTransaction({ tokenId: 't1', teamId: 'A', mode: 'detective', points: 0, timestamp: new Date().toISOString() });
+      await manager.addTransaction({ tokenId: 't2', teamId: 'B', mode: 'blackmarket', points: 100, timestamp: new Date().toISOString() });
+
+      expect(manager.getRelatedExposedTokens('t1')).toEqual([]);
+    });
+
+    it('returns an empty array for tokens without an owner', () => {
+      expect(manager.getRelatedExposedTokens('unknown')).toEqual([]);
+    });
+  });
 });
@@ -0,0 +1,324 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { CommandBus, getCommandDefinition, DEFAULT_COMMAND_TIMEOUT } from '../../../src/network/commandBus.js';
+import { CommandQueue, DEFAULT_DEFER_MAX_AGE } from '../../../src/network/commandQueue.js';
+
+describe('CommandBus', () => {
+  let connection;
+  let bus;
+  let events;
+
+  const sent = () => connection.send.mock.calls.map(([, data]) => data);
+  const ack = (payload) => connection.dispatchEvent(
+    new CustomEvent('message:received', { detail: { type: 'gm:command:ack', payload } })
+  );
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  beforeEach(() => {
+    connection = new EventTarget();
+    connection.send = jest.fn();
+    bus = new CommandBus(connection);
+    events = [];
+    ['command:sent', 'command:acked', 'command:failed', 'command:timeout', 'command:cancelled', 'command:deferred'].forEach(type => {
+      bus.addEventListener(type, e => events.push({ type, ...e.detail }));
+    });
+  });
+
+  afterEach(() => {
+    bus.destroy();
+    jest.useRealTimers();
+  });
+
+  describe('command definitions', () => {
+    it('should fill in defaults for unknown actions', () => {
+      expect(getCommandDefinition('custom:thing')).toEqual({
+        action: 'custom:thing',
+        timeout: DEFAULT_COMMAND_TIMEOUT,
+        required: [],
+        idempotent: false,
+        deferrable: false,
+        maxAge: DEFAULT_DEFER_MAX_AGE
+      });
+      expect(getCommandDefinition('bluetooth:pair').timeout).toBe(45000);
+      expect(getCommandDefinition('cue:enable').idempotent).toBe(true);
+      expect(getCommandDefinition('cue:fire')).toMatchObject({ deferrable: true, maxAge: 60000 });
+      expect(getCommandDefinition('score:reset').deferrable).toBe(false);
+    });
+
+    it('should reject a payload missing a required field without sending it', async () => {
+      await expect(bus.send('cue:fire', {})).rejects.toMatchObject({
+        code: 'COMMAND_INVALID', message: 'cue:fire is missing cueId'
+      });
+      expect(connection.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('acks', () => {
+    it('should resolve with the ack data and emit sent and acked', async () => {
+      const result = bus.send('video:play', {});
+      const { requestId } = sent()[0];
+      expect(sent()[0]).toEqual({ action: 'video:play', payload: {}, requestId });
+
+      ack({ action: 'video:play', requestId, success: true, message: 'Playing' });
+
+      await expect(result).resolves.toEqual({ action: 'video:play', requestId, success: true, message: 'Playing' });
+      expect(events.map(e => e.type)).toEqual(['command:sent', 'command:acked']);
+      expect(events[1]).toMatchObject({ requestId, action: 'video:play', duration: expect.any(Number) });
+      expect(bus.getPending()).toEqual([]);
+    });
+
+    it('should reject a failed ack with its response', async () => {
+      const result = bus.send('score:reset', {});
+      ack({ action: 'score:reset', success: false, message: 'No active session' });
+
+      await expect(result).rejects.toMatchObject({
+        code: 'COMMAND_FAILED', message: 'No active session', response: { success: false }
+      });
+      expect(events.at(-1)).toMatchObject({ type: 'command:failed', message: 'No active session' });
+    });
+
+    it('should ignore acks for other commands', async () => {
+      jest.useFakeTimers();
+      const result = bus.send('score:reset', {});
+
+      ack({ action: 'score:adjust', success: true });
+      ack({ action: 'score:reset', requestId: 'cmd-other', success: true });
+      jest.advanceTimersByTime(DEFAULT_COMMAND_TIMEOUT);
+
+      await expect(result).rejects.toMatchObject({ code: 'COMMAND_TIMEOUT', message: 'score:reset timeout after 5000ms' });
+      expect(events.at(-1)).toMatchObject({ type: 'command:timeout', timeout: 5000 });
+    });
+
+    it('should reject when the connection cannot send', async () => {
+      connection.send.mockImplementation(() => { throw new Error('Socket not connected'); });
+      await expect(bus.send('video:play', {})).rejects.toThrow('Socket not connected');
+      expect(bus.getPending()).toEqual([]);
+    });
+  });
+
+  describe('same-action commands', () => {
+    it('should send them one at a time while acks are matched by action', async () => {
+      const first = bus.send('cue:fire', { cueId: 'a' });
+      const second = bus.send('cue:fire', { cueId: 'b' });
+
+      expect(sent()).toHaveLength(1);
+      expect(bus.getPending().map(c => c.state)).toEqual(['sent', 'waiting']);
+
+      ack({ action: 'cue:fire', success: true, message: 'a' });
+      await expect(first).resolves.toMatchObject({ message: 'a' });
+      await flush();
+      expect(sent()[1].payload).toEqual({ cueId: 'b' });
+
+      ack({ action: 'cue:fire', success: true, message: 'b' });
+      await expect(second).resolves.toMatchObject({ message: 'b' });
+    });
+
+    it('should send them together once the backend echoes requestIds', async () => {
+      const warmup = bus.send('video:play', {});
+      ack({ action: 'video:play', requestId: sent()[0].requestId, success: true });
+      await warmup;
+
+      const first = bus.send('cue:fire', { cueId: 'a' });
+      const second = bus.send('cue:fire', { cueId: 'b' });
+      expect(sent()).toHaveLength(3);
+
+      ack({ action: 'cue:fire', requestId: sent()[2].requestId, success: true, message: 'b' });
+      ack({ action: 'cue:fire', requestId: sent()[1].requestId, success: true, message: 'a' });
+
+      await expect(first).resolves.toMatchObject({ message: 'a' });
+      await expect(second).resolves.toMatchObject({ message: 'b' });
+    });
+  });
+
+  describe('resends', () => {
+    const learnEcho = async () => {
+      const warmup = bus.send('video:play', {});
+      ack({ action: 'video:play', requestId: sent()[0].requestId, success: true });
+      await warmup;
+      connection.send.mockClear();
+      events.length = 0;
+    };
+
+    it('should resend an unacked idempotent command halfway through its timeout, keeping the deadline', async () => {
+      await learnEcho();
+      jest.useFakeTimers();
+      const result = bus.send('cue:enable', { cueId: 'a' });
+
+      jest.advanceTimersByTime(2500);
+      expect(sent()).toHaveLength(2);
+      expect(sent()[1].requestId).toBe(sent()[0].requestId);
+      expect(events.filter(e => e.type === 'command:sent').map(e => e.attempt)).toEqual([1, 2]);
+
+      jest.advanceTimersByTime(2500);
+      await expect(result).rejects.toMatchObject({ code: 'COMMAND_TIMEOUT' });
+    });
+
+    it('should not resend commands that are not idempotent, or when retries are disabled', async () => {
+      await learnEcho();
+      jest.useFakeTimers();
+      bus.send('cue:fire', { cueId: 'a' }).catch(() => {});
+      bus.send('cue:enable', { cueId: 'a' }, { retries: 0 }).catch(() => {});
+
+      jest.advanceTimersByTime(5000);
+      expect(sent()).toHaveLength(2);
+    });
+
+    it('should not resend before the backend has echoed a requestId', async () => {
+      jest.useFakeTimers();
+      bus.send('cue:enable', { cueId: 'a' }).catch(() => {});
+
+      jest.advanceTimersByTime(5000);
+      expect(sent()).toHaveLength(1);
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should cancel a pending command by requestId and ignore its late ack', async () => {
+      const result = bus.send('video:play', {});
+      const { requestId } = sent()[0];
+
+      expect(bus.cancel(requestId, 'Changed my mind')).toBe(true);
+      ack({ action: 'video:play', requestId, success: true });
+
+      await expect(result).rejects.toMatchObject({ code: 'COMMAND_CANCELLED', message: 'video:play cancelled: Changed my mind' });
+      expect(events.at(-1)).toMatchObject({ type: 'command:cancelled', reason: 'Changed my mind' });
+      expect(bus.cancel(requestId)).toBe(false);
+    });
+
+    it('should cancel through an AbortSignal', async () => {
+      const controller = new AbortController();
+      const result = bus.send('video:play', {}, { signal: controller.signal });
+
+      controller.abort();
+
+      await expect(result).rejects.toMatchObject({ code: 'COMMAND_CANCELLED' });
+      await expect(bus.send('video:play', {}, { signal: controller.signal })).rejects.toMatchObject({ code: 'COMMAND_CANCELLED' });
+    });
+
+    it('should cancel every pending command and forget the backend on reset', async () => {
+      bus.echoesRequestIds = true;
+      const first = bus.send('video:play', {});
+      const second = bus.send('cue:fire', { cueId: 'a' });
+
+      bus.reset();
+
+      await expect(first).rejects.toThrow('cancelled: Connection closed');
+      await expect(second).rejects.toThrow('cancelled: Connection closed');
+      expect(bus.echoesRequestIds).toBe(false);
+      expect(bus.getPending()).toEqual([]);
+    });
+
+    it('should send a waiting command once the command ahead of it is cancelled', async () => {
+      bus.send('cue:fire', { cueId: 'a' }).catch(() => {});
+      const second = bus.send('cue:fire', { cueId: 'b' });
+
+      bus.cancel(sent()[0].requestId);
+      await flush();
+
+      expect(sent()[1].payload).toEqual({ cueId: 'b' });
+      ack({ action: 'cue:fire', success: true });
+      await expect(second).resolves.toMatchObject({ success: true });
+    });
+  });
+
+  describe('deferral', () => {
+    let queue;
+
+    beforeEach(() => {
+      localStorage.clear();
+      queue = new CommandQueue({ debug: { log: () => {}, error: () => {} } });
+      bus.deferTo(queue);
+    });
+
+    afterEach(() => {
+      queue.destroy();
+    });
+
+    const disconnect = () => connection.send.mockImplementation(() => { throw new Error('Socket not connected'); });
+
+    it('should queue a deferrable command that cannot be sent', async () => {
+      disconnect();
+
+      const error = await bus.send('score:adjust', { teamId: '001', delta: 5 }).catch(e => e);
+
+      expect(error).toMatchObject({
+        code: 'COMMAND_DEFERRED',
+        message: 'Not connected - score:adjust queued for review on reconnect'
+      });
+      expect(queue.getEntries()).toEqual([error.entry]);
+      expect(error.entry).toMatchObject({ action: 'score:adjust', payload: { teamId: '001', delta: 5 } });
+      expect(events.at(-1)).toMatchObject({ type: 'command:deferred', action: 'score:adjust', entryId: error.entry.id });
+      expect(bus.getPending()).toEqual([]);
+    });
+
+    it('should queue cues with their own shorter expiry', async () => {
+      disconnect();
+      const error = await bus.send('cue:fire', { cueId: 'intro' }).catch(e => e);
+      expect(error.entry.expiresAt - error.entry.queuedAt).toBe(60000);
+    });
+
+    it('should not queue commands that are not deferrable, opted out, or without a queue', async () => {
+      disconnect();
+      await expect(bus.send('score:reset', {})).rejects.toThrow('Socket not connected');
+      await expect(bus.send('score:adjust', { teamId: '001', delta: 5 }, { defer: false })).rejects.toThrow('Socket not connected');
+
+      bus.deferTo(null);
+      await expect(bus.send('cue:fire', { cueId: 'intro' })).rejects.toThrow('Socket not connected');
+      expect(queue.getEntries()).toEqual([]);
+    });
+
+    it('should not queue a command that was sent and then lost with the connection', async () => {
+      const result = bus.send('score:adjust', { teamId: '001', delta: 5 });
+      bus.reset();
+
+      await expect(result).rejects.toMatchObject({ code: 'COMMAND_CANCELLED' });
+      expect(queue.getEntries()).toEqual([]);
+    });
+
+    it('should send a queued command on request and remove it once acked', async () => {
+      const entry = queue.add({ action: 'score:adjust', payload: { teamId: '001', delta: 5 } });
+
+      const result = bus.sendQueued(entry.id);
+      expect(bus.sendQueued(entry.id)).toBe(result);
+      expect(sent()).toEqual([{ action: 'score:adjust', payload: { teamId: '001', delta: 5 }, requestId: expect.any(String) }]);
+      expect(queue.getEntries()).toHaveLength(1);
+
+      ack({ action: 'score:adjust', success: true });
+      await expect(result).resolves.toMatchObject({ success: true });
+      expect(queue.getEntries()).toEqual([]);
+    });
+
+    it('should remove a queued command the orchestrator rejected, and keep one that could not be sent', async () => {
+      const rejected = queue.add({ action: 'transaction:delete', payload: { transactionId: 'tx-1' } });
+      const result = bus.sendQueued(rejected.id);
+      ack({ action: 'transaction:delete', success: false, message: 'Transaction not found' });
+      await expect(result).rejects.toMatchObject({ code: 'COMMAND_FAILED' });
+
+      const kept = queue.add({ action: 'score:adjust', payload: { teamId: '001', delta: 5 } });
+      disconnect();
+      await expect(bus.sendQueued(kept.id)).rejects.toThrow('Socket not connected');
+
+      expect(queue.getEntries().map(e => e.id)).toEqual([kept.id]);
+    });
+
+    it('should refuse a queued command that expired', async () => {
+      jest.useFakeTimers();
+      const entry = queue.add({ action: 'cue:fire', payload: { cueId: 'intro' }, maxAge: 60000 });
+      jest.advanceTimersByTime(60000);
+
+      await expect(bus.sendQueued(entry.id)).rejects.toMatchObject({ code: 'COMMAND_EXPIRED' });
+      expect(connection.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('CommandBus.for', () => {
+    it('should use the connection bus, or create one per connection', () => {
+      const client = new EventTarget();
+      client.commandBus = bus;
+      expect(CommandBus.for(client)).toBe(bus);
+
+      const other = new EventTarget();
+      expect(CommandBus.for(other)).toBe(CommandBus.for(other));
+      expect(CommandBus.for(other)).not.toBe(bus);
+    });
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it, expect } from '@jest/globals';
+import { createRequestId, isAckFor } from '../../../src/network/commandCorrelation.js';
+
+describe('commandCorrelation', () => {
+  it('should generate unique request IDs', () => {
+    const ids = new Set(Array.from({ length: 50 }, () => createRequestId()));
+    expect(ids.size).toBe(50);
+    expect([...ids][0]).toMatch(/^cmd-/);
+  });
+
+  it('should match an ack echoing the requestId only to that request', () => {
+    const command = { action: 'cue:fire', requestId: 'cmd-1' };
+
+    expect(isAckFor({ action: 'cue:fire', requestId: 'cmd-1' }, command)).toBe(true);
+    expect(isAckFor({ action: 'cue:fire', requestId: 'cmd-2' }, command)).toBe(false);
+  });
+
+  it('should match an ack without a requestId by action name', () => {
+    const command = { action: 'cue:fire', requestId: 'cmd-1' };
+
+    expect(isAckFor({ action: 'cue:fire' }, command)).toBe(true);
+    expect(isAckFor({ action: 'cue:stop', requestId: null }, command)).toBe(false);
+    expect(isAckFor(null, command)).toBe(false);
+  });
+});
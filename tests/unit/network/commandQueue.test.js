@@ -0,0 +1,113 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { CommandQueue, COMMAND_QUEUE_KEY, DEFAULT_DEFER_MAX_AGE } from '../../../src/network/commandQueue.js';
+
+describe('CommandQueue', () => {
+  let now;
+  let queue;
+  let events;
+  const debug = { log: jest.fn(), error: jest.fn() };
+
+  const create = () => {
+    const created = new CommandQueue({ debug, now: () => now });
+    ['commands:changed', 'commands:expired'].forEach(type => {
+      created.addEventListener(type, e => events.push({ type, ...e.detail }));
+    });
+    return created;
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    now = 1000000;
+    events = [];
+    queue = create();
+  });
+
+  afterEach(() => {
+    queue.destroy();
+    jest.useRealTimers();
+  });
+
+  it('should queue a command with its expiry and persist it', () => {
+    const entry = queue.add({ action: 'score:adjust', payload: { teamId: '001', delta: 500 } });
+
+    expect(entry).toEqual({
+      id: expect.any(String),
+      action: 'score:adjust',
+      payload: { teamId: '001', delta: 500 },
+      queuedAt: now,
+      expiresAt: now + DEFAULT_DEFER_MAX_AGE
+    });
+    expect(JSON.parse(localStorage.getItem(COMMAND_QUEUE_KEY))).toEqual([entry]);
+    expect(events).toEqual([{ type: 'commands:changed', queuedCount: 1, nextExpiry: entry.expiresAt }]);
+  });
+
+  it('should survive a reload', () => {
+    const entry = queue.add({ action: 'cue:fire', payload: { cueId: 'intro' }, maxAge: 60000 });
+    queue.destroy();
+
+    queue = create();
+    expect(queue.getEntries()).toEqual([entry]);
+  });
+
+  it('should remove entries and the storage key once empty', () => {
+    const entry = queue.add({ action: 'transaction:delete', payload: { transactionId: 'tx-1' } });
+
+    expect(queue.remove(entry.id)).toBe(true);
+    expect(queue.remove(entry.id)).toBe(false);
+    expect(queue.getEntries()).toEqual([]);
+    expect(localStorage.getItem(COMMAND_QUEUE_KEY)).toBeNull();
+  });
+
+  it('should drop expired entries instead of returning them', () => {
+    const cue = queue.add({ action: 'cue:fire', payload: { cueId: 'intro' }, maxAge: 60000 });
+    const adjust = queue.add({ action: 'score:adjust', payload: { teamId: '001', delta: 5 } });
+    events.length = 0;
+
+    now += 60000;
+
+    expect(queue.get(cue.id)).toBeNull();
+    expect(queue.getEntries()).toEqual([adjust]);
+    expect(events[0]).toEqual({ type: 'commands:expired', entries: [cue] });
+    expect(events[1]).toMatchObject({ type: 'commands:changed', queuedCount: 1 });
+  });
+
+  it('should expire entries on a timer while nobody looks at the queue', () => {
+    jest.useFakeTimers();
+    queue.add({ action: 'cue:fire', payload: { cueId: 'intro' }, maxAge: 60000 });
+
+    now += 60000;
+    jest.advanceTimersByTime(60000);
+
+    expect(events.map(e => e.type)).toEqual(['commands:changed', 'commands:expired', 'commands:changed']);
+    expect(queue.getStatus()).toEqual({ queuedCount: 0, nextExpiry: null });
+  });
+
+  it('should drop entries that expired before a reload', () => {
+    queue.add({ action: 'cue:fire', payload: { cueId: 'intro' }, maxAge: 60000 });
+    queue.destroy();
+
+    now += 120000;
+    queue = create();
+    expect(queue.getEntries()).toEqual([]);
+    expect(localStorage.getItem(COMMAND_QUEUE_KEY)).toBeNull();
+  });
+
+  it('should clear every entry', () => {
+    queue.add({ action: 'cue:fire', payload: { cueId: 'a' } });
+    queue.add({ action: 'cue:fire', payload: { cueId: 'b' } });
+
+    queue.clear();
+
+    expect(queue.getStatus().queuedCount).toBe(0);
+    expect(events.at(-1)).toEqual({ type: 'commands:changed', queuedCount: 0, nextExpiry: null });
+  });
+
+  it('should start empty when the stored queue is corrupt', () => {
+    queue.destroy();
+    localStorage.setItem(COMMAND_QUEUE_KEY, '{not json');
+
+    queue = create();
+    expect(queue.getEntries()).toEqual([]);
+    expect(debug.error).toHaveBeenCalled();
+  });
+});
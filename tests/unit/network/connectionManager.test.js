@@ -166,6 +166,18 @@ describe('ConnectionManager - Connection Lifecycle', () => {
       );
     });
 
+    it('should offer the sync cursor resume point in the handshake', async () => {
+      const resumePoint = { sessionId: 'session-1', versions: { transactions: 12 } };
+      connectionManager.syncCursor = { getResumePoint: jest.fn(() => resumePoint) };
+
+      await connectionManager.connect();
+
+      expect(mockClient.connect).toHaveBeenCalledWith(
+        connectionManager.token,
+        { deviceId: 'TEST_GM', deviceType: 'gm', sync: resumePoint }
+      );
+    });
+
     it('should emit connecting event before connection attempt', async () => {
       const connectingHandler = jest.fn();
       connectionManager.addEventListener('connecting', connectingHandler);
@@ -182,6 +182,26 @@ describe('NetworkedQueueManager', () => {
       expect(failedSpy).toHaveBeenCalledTimes(1);
     });
 
+    it('reports transaction:accepted with the result only when the scan is accepted', async () => {
+      mockClient.isConnected = true;
+      const result = { status: 'accepted', transactionId: 'tx-9' };
+      jest.spyOn(queueManager, 'replayTransaction')
+        .mockResolvedValueOnce(result)
+        .mockResolvedValueOnce({ status: 'rejected', message: 'No active session' });
+      const acceptedSpy = jest.fn();
+      queueManager.addEventListener('transaction:accepted', acceptedSpy);
+
+      const id = queueManager.queueTransaction({ tokenId: 'tA', teamId: '001' });
+      queueManager.queueTransaction({ tokenId: 'tR', teamId: '001' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(acceptedSpy).toHaveBeenCalledTimes(1);
+      expect(acceptedSpy.mock.calls[0][0].detail).toEqual({
+        transaction: expect.objectContaining({ tokenId: 'tA', clientTxId: id }),
+        result
+      });
+    });
+
     it('removes the entry and surfaces transaction:failed on a duplicate result (A7/F-SCAN-07)', async () => {
       // Cross-device duplicate: GM-B scans a token GM-A already claimed. The
       // backend answers status 'duplicate' with the claimed-by message. The
@@ -349,6 +369,20 @@ describe('NetworkedQueueManager', () => {
       expect(localStorageMock.removeItem).toHaveBeenCalledWith('networkedTempQueue');
     });
 
+    it('should report each accepted replay as transaction:accepted', async () => {
+      queueManager.tempQueue = [{ tokenId: 'token1', teamId: '001' }, { tokenId: 'token2', teamId: '002' }];
+      jest.spyOn(queueManager, 'replayTransaction')
+        .mockResolvedValueOnce({ status: 'accepted', transactionId: 'tx-1' })
+        .mockResolvedValueOnce({ status: 'duplicate', message: 'Token already claimed' });
+      const acceptedSpy = jest.fn();
+      queueManager.addEventListener('transaction:accepted', acceptedSpy);
+
+      await queueManager.syncQueue();
+
+      expect(acceptedSpy).toHaveBeenCalledTimes(1);
+      expect(acceptedSpy.mock.calls[0][0].detail.transaction.tokenId).toBe('token1');
+    });
+
     it('should keep a transient-failed entry and remove the succeeded one', async () => {
       const transactions = [
         { tokenId: 'token1', teamId: '001' },
@@ -808,6 +842,61 @@ describe('NetworkedQueueManager', () => {
     });
   });
 
+  describe('replayInOrder', () => {
+    beforeEach(() => {
+      mockClient.isConnected = true;
+    });
+
+    it('should replay one at a time in the given order and report each result', async () => {
+      const sent = [];
+      queueManager.replayTransaction = jest.fn(async (tx) => {
+        sent.push(tx.tokenId);
+        expect(queueManager.syncing).toBe(true);
+        return { status: tx.tokenId === 'tBad' ? 'rejected' : 'accepted', message: 'msg' };
+      });
+
+      const results = await queueManager.replayInOrder([
+        { tokenId: 't1', teamId: '001' },
+        { tokenId: 'tBad', teamId: '001' },
+        { tokenId: 't2', teamId: '002' }
+      ]);
+
+      expect(sent).toEqual(['t1', 'tBad', 't2']);
+      expect(results.map(r => r.status)).toEqual(['accepted', 'rejected', 'accepted']);
+      expect(results[0].transaction.clientTxId).toMatch(/^test-device-/);
+      expect(queueManager.tempQueue).toEqual([]);
+      expect(queueManager.syncing).toBe(false);
+    });
+
+    it('should stop at the first transient failure and keep the rest queued in order', async () => {
+      queueManager.replayTransaction = jest.fn()
+        .mockResolvedValueOnce({ status: 'accepted' })
+        .mockRejectedValueOnce(new Error('Transaction replay timeout after 30s: t2'));
+
+      const results = await queueManager.replayInOrder([
+        { tokenId: 't1', teamId: '001' },
+        { tokenId: 't2', teamId: '001' },
+        { tokenId: 't3', teamId: '001' }
+      ]);
+
+      expect(queueManager.replayTransaction).toHaveBeenCalledTimes(2);
+      expect(results.map(r => r.status)).toEqual(['accepted', 'pending', 'pending']);
+      expect(queueManager.tempQueue.map(t => t.tokenId)).toEqual(['t2', 't3']);
+      expect(JSON.parse(localStorageMock.store.networkedTempQueue).map(t => t.tokenId)).toEqual(['t2', 't3']);
+    });
+
+    it('should leave everything queued while disconnected', async () => {
+      mockClient.isConnected = false;
+      queueManager.replayTransaction = jest.fn();
+
+      const results = await queueManager.replayInOrder([{ tokenId: 't1', teamId: '001' }]);
+
+      expect(queueManager.replayTransaction).not.toHaveBeenCalled();
+      expect(results.map(r => r.status)).toEqual(['pending']);
+      expect(queueManager.tempQueue).toHaveLength(1);
+    });
+  });
+
   describe('localStorage persistence', () => {
     it('should save queue to localStorage', () => {
       queueManager.tempQueue = [
@@ -946,6 +1035,124 @@ describe('NetworkedQueueManager', () => {
     });
   });
 
+  describe('queue inspector', () => {
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    it('should record rejected and duplicate results in the outcome history, newest first', async () => {
+      queueManager.tempQueue = [
+        { tokenId: 'tA', teamId: '001', clientTxId: 'a' },
+        { tokenId: 'tB', teamId: '002', clientTxId: 'b' },
+        { tokenId: 'tC', teamId: '003', clientTxId: 'c' }
+      ];
+      mockClient.isConnected = true;
+      jest.spyOn(queueManager, 'replayTransaction')
+        .mockResolvedValueOnce({ status: 'rejected', message: 'Invalid token' })
+        .mockResolvedValueOnce({ status: 'accepted' })
+        .mockResolvedValueOnce({ status: 'duplicate', message: 'Claimed by Team Beta' });
+      const outcomeSpy = jest.fn();
+      queueManager.addEventListener('queue:outcome', outcomeSpy);
+
+      await queueManager.syncQueue();
+
+      expect(queueManager.getInspection().history).toEqual([
+        expect.objectContaining({ clientTxId: 'c', tokenId: 'tC', teamId: '003', status: 'duplicate', message: 'Claimed by Team Beta', resolution: null }),
+        expect.objectContaining({ clientTxId: 'a', tokenId: 'tA', teamId: '001', status: 'rejected', message: 'Invalid token', resolution: null })
+      ]);
+      expect(queueManager.getUnresolvedCount()).toBe(2);
+      expect(outcomeSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should record scans dropped by reconciliation', () => {
+      queueManager.tempQueue = [{ tokenId: 'tA', teamId: '001', clientTxId: 'a' }];
+
+      queueManager.reconcileWithServerState(['tA']);
+
+      expect(queueManager.getInspection().history[0]).toMatchObject({
+        clientTxId: 'a', status: 'dropped', message: 'Already recorded by the orchestrator - not replayed'
+      });
+    });
+
+    it('should show queued entries as pending or in flight with their last error', async () => {
+      mockClient.isConnected = true;
+      queueManager.tempQueue = [{ tokenId: 'tA', teamId: '001', clientTxId: 'a' }];
+      jest.spyOn(queueManager, 'replayTransaction').mockRejectedValueOnce(new Error('Transaction replay timeout after 30s: tA'));
+      await queueManager.syncQueue();
+
+      expect(queueManager.getInspection().pending).toEqual([{
+        clientTxId: 'a', tokenId: 'tA', teamId: '001', timestamp: null, state: 'pending',
+        lastError: 'Transaction replay timeout after 30s: tA'
+      }]);
+
+      queueManager.replayTransaction.mockRestore();
+      queueManager.replayTransaction(queueManager.tempQueue[0]).catch(() => {});
+      expect(queueManager.getInspection().pending[0].state).toBe('in-flight');
+      expect(queueManager.discardEntry('a')).toBe(false);
+      expect(queueManager.editEntryTeam('a', '002')).toBeNull();
+    });
+
+    it('should persist the outcome history across reloads until cleared', () => {
+      queueManager.tempQueue = [{ tokenId: 'tA', teamId: '001', clientTxId: 'a' }];
+      queueManager.reconcileWithServerState(['tA']);
+
+      const reloaded = new NetworkedQueueManager({ client: mockClient, debug: mockDebug });
+      expect(reloaded.getInspection().history).toHaveLength(1);
+
+      reloaded.clearOutcomes();
+      expect(reloaded.getInspection().history).toEqual([]);
+      expect(localStorageMock.store.networkedQueueOutcomes).toBeUndefined();
+      reloaded.destroy();
+    });
+
+    it('should discard a queued entry into the history', () => {
+      queueManager.tempQueue = [{ tokenId: 'tA', teamId: '001', clientTxId: 'a' }];
+
+      expect(queueManager.discardEntry('a')).toBe(true);
+
+      expect(queueManager.tempQueue).toEqual([]);
+      expect(queueManager.getInspection().history[0]).toMatchObject({ status: 'discarded', resolution: 'discarded' });
+      expect(queueManager.getUnresolvedCount()).toBe(0);
+    });
+
+    it('should change the team of a queued entry', () => {
+      queueManager.tempQueue = [{ tokenId: 'tA', teamId: '001', clientTxId: 'a' }];
+
+      expect(queueManager.editEntryTeam('a', '002')).toBe('a');
+      expect(queueManager.tempQueue[0].teamId).toBe('002');
+      expect(JSON.parse(localStorageMock.store.networkedTempQueue)[0].teamId).toBe('002');
+    });
+
+    it('should retry a queued entry only when connected', async () => {
+      queueManager.tempQueue = [{ tokenId: 'tA', teamId: '001', clientTxId: 'a' }];
+      jest.spyOn(queueManager, 'replayTransaction').mockResolvedValue({ status: 'accepted' });
+
+      expect(queueManager.retryEntry('a')).toBeNull();
+
+      mockClient.isConnected = true;
+      expect(queueManager.retryEntry('a')).toBe('a');
+      await flush();
+      expect(queueManager.tempQueue).toEqual([]);
+    });
+
+    it('should queue a rejected scan again, optionally for another team, and mark it resolved', () => {
+      queueManager.tempQueue = [
+        { tokenId: 'tA', teamId: '001', clientTxId: 'a', deviceId: 'test-device' },
+        { tokenId: 'tB', teamId: '001', clientTxId: 'b', deviceId: 'test-device' }
+      ];
+      queueManager.reconcileWithServerState(['tA', 'tB']);
+
+      const retriedId = queueManager.retryEntry('a');
+      const movedId = queueManager.editEntryTeam('b', '002');
+
+      expect(queueManager.tempQueue).toEqual([
+        expect.objectContaining({ tokenId: 'tA', teamId: '001', clientTxId: retriedId, deviceId: 'test-device' }),
+        expect.objectContaining({ tokenId: 'tB', teamId: '002', clientTxId: movedId })
+      ]);
+      expect(retriedId).not.toBe('a');
+      expect(queueManager.getInspection().history.map(o => o.resolution)).toEqual(['retried', 'retried']);
+      expect(queueManager.retryEntry('a')).toBeNull(); // already resolved
+    });
+  });
+
   describe('EventTarget functionality', () => {
     it('should extend EventTarget', () => {
       expect(queueManager).toBeInstanceOf(EventTarget);
@@ -45,6 +45,7 @@ describe('NetworkedSession', () => {
       syncQueue: jest.fn(),
       reconcileWithServerState: jest.fn(),
       clearQueue: jest.fn(),
+      clearOutcomes: jest.fn(),
       addEventListener: jest.fn(),
       removeEventListener: jest.fn(),
       destroy: jest.fn(),
@@ -64,6 +65,8 @@ describe('NetworkedSession', () => {
       setTransactions: jest.fn(),
       removeTransaction: jest.fn(),
       removeTransactionFromBroadcast: jest.fn(),
+      reassignTransactionFromBroadcast: jest.fn(),
+      annotateTransactionFromBroadcast: jest.fn(),
       clearBackendScores: jest.fn(),
       updateTeamScoreFromBackend: jest.fn(),
       updateSessionState: jest.fn(),
@@ -121,6 +124,7 @@ describe('NetworkedSession', () => {
         deviceId: 'GM_TEST',
         token: 'test-token',
         client: mockClient,
+        syncCursor: session.services.syncCursor,
       });
 
       expect(NetworkedQueueManager).toHaveBeenCalledWith({
@@ -283,6 +287,10 @@ describe('NetworkedSession', () => {
         'transaction:failed',
         expect.any(Function)
       );
+      expect(mockQueueManager.removeEventListener).toHaveBeenCalledWith(
+        'transaction:accepted',
+        expect.any(Function)
+      );
     });
 
     it('should reset state to disconnected', async () => {
@@ -356,6 +364,62 @@ describe('NetworkedSession', () => {
 
       expect(authRequiredHandler).toHaveBeenCalledTimes(1);
     });
+
+    it('should forward command bus events until destroyed', async () => {
+      mockClient.commandBus = Object.assign(new EventTarget(), { deferTo: jest.fn() });
+      const handler = jest.fn();
+      session.addEventListener('command:acked', handler);
+
+      await session.initialize();
+      mockClient.commandBus.dispatchEvent(new CustomEvent('command:acked', { detail: { action: 'video:play' } }));
+      expect(handler.mock.calls[0][0].detail).toEqual({ action: 'video:play' });
+
+      await session.destroy();
+      mockClient.commandBus.dispatchEvent(new CustomEvent('command:acked', { detail: { action: 'video:play' } }));
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    describe('queued admin commands', () => {
+      beforeEach(() => {
+        localStorage.clear();
+        mockClient.commandBus = Object.assign(new EventTarget(), { deferTo: jest.fn() });
+      });
+
+      afterEach(async () => {
+        await session.destroy();
+        localStorage.clear();
+      });
+
+      it('should give the client bus a persisted command queue, until destroyed', async () => {
+        await session.initialize();
+        const commandQueue = session.getService('commandQueue');
+        expect(mockClient.commandBus.deferTo).toHaveBeenCalledWith(commandQueue);
+
+        const changed = jest.fn();
+        session.addEventListener('commands:changed', changed);
+        commandQueue.add({ action: 'score:adjust', payload: { teamId: '001', delta: 5 } });
+        expect(changed.mock.calls[0][0].detail).toMatchObject({ queuedCount: 1 });
+
+        await session.destroy();
+        expect(mockClient.commandBus.deferTo).toHaveBeenLastCalledWith(null);
+      });
+
+      it('should ask the GM to review queued commands on connect', async () => {
+        const review = jest.fn();
+        session.addEventListener('commands:review', review);
+        await session.initialize();
+        const connectedHandler = mockConnectionManager.addEventListener.mock.calls.find(
+          (call) => call[0] === 'connected'
+        )[1];
+
+        connectedHandler();
+        expect(review).not.toHaveBeenCalled();
+
+        const entry = session.getService('commandQueue').add({ action: 'cue:fire', payload: { cueId: 'intro' } });
+        connectedHandler();
+        expect(review.mock.calls[0][0].detail).toEqual({ entries: [entry] });
+      });
+    });
   });
 
   describe('lifecycle edge cases', () => {
@@ -625,6 +689,20 @@ describe('NetworkedSession', () => {
       dispatchSpy.mockRestore();
     });
 
+    it('forwards queueManager transaction:accepted as a session event', () => {
+      const reg = mockQueueManager.addEventListener.mock.calls.find(c => c[0] === 'transaction:accepted');
+      expect(reg).toBeDefined();
+
+      const dispatchSpy = jest.spyOn(session, 'dispatchEvent');
+      const detail = { transaction: { tokenId: 'tX' }, result: { status: 'accepted', transactionId: 'tx-1' } };
+      reg[1]({ detail });
+
+      const fwd = dispatchSpy.mock.calls.find(c => c[0]?.type === 'transaction:accepted');
+      expect(fwd[0].detail).toEqual(detail);
+
+      dispatchSpy.mockRestore();
+    });
+
     it('should update DataManager on sync:full event with scores', () => {
       const scores = [
         { teamId: '001', currentScore: 5000 },
@@ -698,6 +776,25 @@ describe('NetworkedSession', () => {
       expect(mockDataManager.removeTransaction).not.toHaveBeenCalled();
     });
 
+    it('should move the cached transaction and rescore both teams on transaction:reassigned', () => {
+      const updatedTeamScores = [{ teamId: '001', currentScore: 0 }, { teamId: '002', currentScore: 5000 }];
+      const payload = { transactionId: 'tx-1', fromTeamId: '001', toTeamId: '002', reason: 'Wrong team', updatedTeamScores };
+
+      messageHandler({ detail: { type: 'transaction:reassigned', payload } });
+
+      expect(mockDataManager.reassignTransactionFromBroadcast).toHaveBeenCalledWith(payload);
+      expect(mockDataManager.updateTeamScoreFromBackend).toHaveBeenCalledWith(updatedTeamScores[0]);
+      expect(mockDataManager.updateTeamScoreFromBackend).toHaveBeenCalledWith(updatedTeamScores[1]);
+    });
+
+    it('should annotate the cached transaction on transaction:annotated', () => {
+      const payload = { transactionId: 'tx-1', note: 'Checked', disputed: true, annotatedAt: '2026-10-19T20:00:00.000Z' };
+
+      messageHandler({ detail: { type: 'transaction:annotated', payload } });
+
+      expect(mockDataManager.annotateTransactionFromBroadcast).toHaveBeenCalledWith(payload);
+    });
+
     it('should clear scores on scores:reset event', () => {
       messageHandler({ detail: { type: 'scores:reset', payload: {} } });
 
@@ -852,6 +949,17 @@ describe('NetworkedSession', () => {
         expect(mockQueueManager.clearQueue).not.toHaveBeenCalled();
       });
 
+      it('drops queued admin commands only on a NEW session boundary', () => {
+        const commandQueue = session.getService('commandQueue');
+        commandQueue.add({ action: 'transaction:delete', payload: { transactionId: 'tx-1' } });
+
+        messageHandler({ detail: { type: 'sync:full', payload: { session: { id: 'old-session-123' }, scores: [], recentTransactions: [] } } });
+        expect(commandQueue.getEntries()).toHaveLength(1);
+
+        messageHandler({ detail: { type: 'sync:full', payload: { session: { id: 'new-session-456' }, scores: [], recentTransactions: [] } } });
+        expect(commandQueue.getEntries()).toEqual([]);
+      });
+
       it('should call setScannedTokensFromServer when deviceScannedTokens present', () => {
         const deviceScannedTokens = ['token1', 'token2'];
         const payload = {
@@ -884,6 +992,92 @@ describe('NetworkedSession', () => {
       });
     });
 
+    describe('sync:delta', () => {
+      const full = {
+        session: { id: 'session-1' },
+        versions: { transactions: 10, scores: 10, playerScans: 3 },
+        scores: [],
+        recentTransactions: []
+      };
+      const delta = (overrides = {}) => ({
+        session: { id: 'session-1', status: 'active' },
+        since: { transactions: 10, scores: 10 },
+        versions: { transactions: 12, scores: 11 },
+        events: [
+          { type: 'transaction:new', payload: { transaction: { id: 'tx-11', tokenId: 'tok1' }, version: 11 } },
+          { type: 'group:completed', payload: { teamId: '001' } },
+          { type: 'transaction:deleted', payload: { transactionId: 'tx-3', version: 12 } },
+          { type: 'score:adjusted', payload: { teamScore: { teamId: '001', currentScore: 500 }, version: 11 } }
+        ],
+        deviceScannedTokens: ['tok1'],
+        ...overrides
+      });
+
+      beforeEach(() => {
+        mockDataManager.currentSessionId = 'session-1';
+        mockDataManager.resetForNewSession = jest.fn();
+        mockClient.socket = { emit: jest.fn() };
+        messageHandler({ detail: { type: 'sync:full', payload: full } });
+        jest.clearAllMocks();
+      });
+
+      it('should resume from the versions of the last sync:full and live messages', () => {
+        messageHandler({ detail: { type: 'player:scan', payload: { tokenId: 'tok9', version: 4 } } });
+
+        expect(session.services.syncCursor.getResumePoint()).toEqual({
+          sessionId: 'session-1',
+          versions: { transactions: 10, scores: 10, playerScans: 4 }
+        });
+      });
+
+      it('should apply only the missed messages, without a bulk restore', () => {
+        const groupCompleted = jest.fn();
+        session.addEventListener('group:completed', groupCompleted);
+
+        messageHandler({ detail: { type: 'sync:delta', payload: delta() } });
+
+        expect(mockDataManager.addTransactionFromBroadcast).toHaveBeenCalledWith({ id: 'tx-11', tokenId: 'tok1' });
+        expect(mockDataManager.removeTransactionFromBroadcast).toHaveBeenCalledWith('tx-3');
+        expect(mockDataManager.updateTeamScoreFromBackend).toHaveBeenCalledWith({ teamId: '001', currentScore: 500 });
+        expect(mockDataManager.updateSessionState).toHaveBeenCalledWith({ id: 'session-1', status: 'active' });
+        expect(groupCompleted).not.toHaveBeenCalled();
+        expect(mockDataManager.setTransactions).not.toHaveBeenCalled();
+        expect(mockDataManager.setScannedTokensFromServer).not.toHaveBeenCalled();
+        expect(mockDataManager.resetForNewSession).not.toHaveBeenCalled();
+        expect(mockQueueManager.reconcileWithServerState).toHaveBeenCalledWith(['tok1']);
+        expect(mockQueueManager.syncQueue).toHaveBeenCalledTimes(1);
+        expect(session.services.syncCursor.getResumePoint().versions).toEqual({ transactions: 12, scores: 11, playerScans: 3 });
+      });
+
+      it('should request sync:full instead when the session changed', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        messageHandler({ detail: { type: 'sync:delta', payload: delta({ session: { id: 'session-2' } }) } });
+
+        expect(mockClient.socket.emit).toHaveBeenCalledWith('sync:request');
+        expect(mockDataManager.addTransactionFromBroadcast).not.toHaveBeenCalled();
+        expect(mockQueueManager.syncQueue).not.toHaveBeenCalled();
+        expect(session.services.syncCursor.getResumePoint().versions.transactions).toBe(10);
+        warn.mockRestore();
+      });
+
+      it('should request sync:full instead when changes are missing from the delta', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        messageHandler({ detail: { type: 'sync:delta', payload: delta({ since: { transactions: 25 } }) } });
+
+        expect(mockClient.socket.emit).toHaveBeenCalledWith('sync:request');
+        expect(mockDataManager.addTransactionFromBroadcast).not.toHaveBeenCalled();
+        warn.mockRestore();
+      });
+
+      it('should mark the start of the offline gap on disconnect', () => {
+        session._disconnectedHandler();
+
+        expect(session.services.syncCursor.disconnectedAt).not.toBeNull();
+      });
+    });
+
     describe('service:state → StateStore', () => {
       let mockStore;
       let storeMessageHandler;
@@ -73,6 +73,16 @@ describe('OrchestratorClient - Dumb Pipe', () => {
       );
     });
 
+    it('should pass a delta sync resume point in the socket auth', async () => {
+      const sync = { sessionId: 'session-1', versions: { transactions: 12 } };
+
+      const connectPromise = client.connect('token', { deviceId: 'TEST_GM', deviceType: 'gm', sync });
+      mockSocket._simulateConnect();
+      await connectPromise;
+
+      expect(global.io.mock.calls[0][1].auth.sync).toEqual(sync);
+    });
+
     it('should emit socket:connected event when connection succeeds', async () => {
       const connectHandler = jest.fn();
       client.addEventListener('socket:connected', connectHandler);
@@ -567,14 +577,21 @@ describe('OrchestratorClient - Dumb Pipe', () => {
     });
 
     it('rejects a chained command with a clean error when the socket was torn down (WS-6)', async () => {
-      // Reconnect churn: _cleanup() nulls the socket between a first same-action
-      // command and a chained follower. The follower's _sendCommandOnce() must
-      // reject with a clean 'Socket not connected' — NOT a raw TypeError from
-      // touching this.socket.on on a null socket (the message a GM would see).
-      client.socket = null;
-      await expect(
-        client._sendCommandOnce('session:addTeam', { teamId: 'B' }, 30)
-      ).rejects.toThrow('Socket not connected');
+      // Reconnect churn: the socket goes away between a first same-action
+      // command and a chained follower. The follower must reject with a clean
+      // 'Socket not connected' — NOT a raw TypeError from touching a null
+      // socket (the message a GM would see).
+      const p = client.connect('token', { deviceId: 'TEST', deviceType: 'gm' });
+      mockSocket._simulateConnect();
+      await p;
+
+      const r1 = client.sendCommand('session:addTeam', { teamId: 'A' });
+      const r2 = client.sendCommand('session:addTeam', { teamId: 'B' });
+      mockSocket.connected = false;
+      mockSocket._simulateMessage('gm:command:ack', { data: { action: 'session:addTeam', success: true } });
+
+      await expect(r1).resolves.toEqual({ success: true, message: '' });
+      await expect(r2).rejects.toThrow('Socket not connected');
     });
 
     it('clears in-flight action chains on cleanup so post-reconnect commands send immediately (WS-6)', async () => {
@@ -584,16 +601,59 @@ describe('OrchestratorClient - Dumb Pipe', () => {
 
       // A same-action command is in flight (never acked) — its chain entry is set.
       const r1 = client.sendCommand('session:addTeam', { teamId: 'A' }, 30);
-      r1.catch(() => {}); // will reject on timeout after cleanup; swallow
-      expect(client._actionChains['session:addTeam']).toBeTruthy();
+      expect(client.commandBus._actionChains['session:addTeam']).toBeTruthy();
 
       // Socket teardown during reconnect churn must drop the stale chain so a
       // post-reconnect command doesn't queue behind a doomed pre-reconnect one.
       client._cleanup();
-      expect(client._actionChains['session:addTeam']).toBeFalsy();
+      expect(client.commandBus._actionChains['session:addTeam']).toBeFalsy();
+      await expect(r1).rejects.toThrow('cancelled: Connection closed');
+    });
+  });
+
+  describe('sendCommand request IDs', () => {
+    const sent = (call) => mockSocket.emit.mock.calls.filter(([event]) => event === 'gm:command')[call][1].data;
 
-      // Let the short timeout fire so no timer dangles into other tests.
-      await new Promise(resolve => setTimeout(resolve, 50));
+    beforeEach(async () => {
+      const p = client.connect('token', { deviceId: 'TEST', deviceType: 'gm' });
+      mockSocket._simulateConnect();
+      await p;
+    });
+
+    it('sends a unique requestId with each command', async () => {
+      const r1 = client.sendCommand('cue:fire', { cueId: 'a' });
+      const r2 = client.sendCommand('video:play', {});
+
+      expect(sent(0)).toEqual({ action: 'cue:fire', payload: { cueId: 'a' }, requestId: expect.any(String) });
+      expect(sent(1).requestId).not.toBe(sent(0).requestId);
+
+      mockSocket._simulateMessage('gm:command:ack', { data: { action: 'video:play', requestId: sent(1).requestId, success: true } });
+      mockSocket._simulateMessage('gm:command:ack', { data: { action: 'cue:fire', requestId: sent(0).requestId, success: true } });
+      await expect(Promise.all([r1, r2])).resolves.toHaveLength(2);
+    });
+
+    it('runs same-action commands concurrently once the backend echoes requestIds', async () => {
+      const warmup = client.sendCommand('cue:fire', { cueId: 'a' });
+      mockSocket._simulateMessage('gm:command:ack', { data: { action: 'cue:fire', requestId: sent(0).requestId, success: true } });
+      await warmup;
+      expect(client.commandBus.echoesRequestIds).toBe(true);
+
+      const r1 = client.sendCommand('cue:fire', { cueId: 'b' });
+      const r2 = client.sendCommand('cue:fire', { cueId: 'c' });
+      // Both are on the wire without waiting for the first ack
+      expect(sent(2).payload).toEqual({ cueId: 'c' });
+
+      mockSocket._simulateMessage('gm:command:ack', { data: { action: 'cue:fire', requestId: sent(2).requestId, success: false, message: 'c failed' } });
+      mockSocket._simulateMessage('gm:command:ack', { data: { action: 'cue:fire', requestId: sent(1).requestId, success: true, message: 'b fired' } });
+
+      await expect(r1).resolves.toEqual({ success: true, message: 'b fired' });
+      await expect(r2).resolves.toEqual({ success: false, message: 'c failed' });
+    });
+
+    it('forgets requestId support on cleanup, since the next socket may reach another backend', async () => {
+      client.commandBus.echoesRequestIds = true;
+      client._cleanup();
+      expect(client.commandBus.echoesRequestIds).toBe(false);
     });
   });
 });
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { SyncCursor } from '../../../src/network/syncCursor.js';
+
+describe('SyncCursor', () => {
+  let now;
+  let cursor;
+
+  const full = {
+    session: { id: 'session-1' },
+    versions: { transactions: 10, scores: 8, music: 2 }
+  };
+
+  beforeEach(() => {
+    now = 1000000;
+    cursor = new SyncCursor({ maxGap: 60000, now: () => now });
+  });
+
+  it('should offer no resume point before a versioned sync:full', () => {
+    expect(cursor.getResumePoint()).toBeNull();
+
+    cursor.observe('sync:full', { session: { id: 'session-1' } });
+    expect(cursor.getResumePoint()).toBeNull();
+  });
+
+  it('should resume from sync:full versions advanced by live messages', () => {
+    cursor.observe('sync:full', full);
+    cursor.observe('transaction:new', { transaction: {}, version: 11 });
+    cursor.observe('score:adjusted', { teamScore: {}, version: 9 });
+    cursor.observe('service:state', { domain: 'music', state: {}, version: 3 });
+    cursor.observe('service:state', { domain: 'video', state: {} });
+    cursor.observe('transaction:deleted', { transactionId: 'tx-1', version: 7 });
+
+    expect(cursor.getResumePoint()).toEqual({
+      sessionId: 'session-1',
+      versions: { transactions: 11, scores: 9, music: 3 }
+    });
+  });
+
+  it('should forget versions when another session starts', () => {
+    cursor.observe('sync:full', full);
+    cursor.observe('session:update', { id: 'session-2', status: 'active' });
+
+    expect(cursor.getResumePoint()).toBeNull();
+  });
+
+  it('should ask for sync:full after a long offline gap', () => {
+    cursor.observe('sync:full', full);
+    cursor.markDisconnected();
+
+    now += 60000;
+    expect(cursor.getResumePoint()).not.toBeNull();
+
+    now += 1;
+    expect(cursor.getResumePoint()).toBeNull();
+  });
+
+  it('should accept a delta that continues from the cursor', () => {
+    cursor.observe('sync:full', full);
+    cursor.markDisconnected();
+    const delta = {
+      session: { id: 'session-1' },
+      since: { transactions: 10, scores: 8 },
+      versions: { transactions: 14, scores: 9 },
+      events: []
+    };
+
+    expect(cursor.checkDelta(delta)).toBeNull();
+    cursor.acceptDelta(delta);
+
+    expect(cursor.disconnectedAt).toBeNull();
+    expect(cursor.getResumePoint().versions).toEqual({ transactions: 14, scores: 9, music: 2 });
+  });
+
+  it('should name why a delta cannot be applied', () => {
+    const delta = { session: { id: 'session-1' }, since: { transactions: 10 }, events: [] };
+    expect(cursor.checkDelta(delta)).toBe('no-cursor');
+
+    cursor.observe('sync:full', full);
+    expect(cursor.checkDelta({ ...delta, session: { id: 'session-2' } })).toBe('session-changed');
+    expect(cursor.checkDelta({ ...delta, since: { transactions: 12 } })).toBe('gap-too-large');
+    expect(cursor.checkDelta({ ...delta, since: { playerScans: 1 } })).toBe('gap-too-large');
+    expect(cursor.checkDelta({ ...delta, events: undefined })).toBe('gap-too-large');
+  });
+});
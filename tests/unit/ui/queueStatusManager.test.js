@@ -78,6 +78,23 @@ describe('QueueStatusManager (F-GMS-11)', () => {
     expect(queueChangedRegistrations).toHaveLength(1);
   });
 
+  it('shows scans needing review and refreshes the inspector on queue outcomes', () => {
+    document.getElementById('queueStatusIndicator').innerHTML += '<span id="queueAttention"></span>';
+    queueManager = makeQueueManager(0);
+    queueManager.getUnresolvedCount = jest.fn(() => 2);
+    app.networkedSession = { services: { queueManager } };
+    app.refreshQueueInspector = jest.fn();
+    manager.init();
+
+    queueManager.dispatchEvent(new CustomEvent('queue:outcome', { detail: {} }));
+
+    const indicator = document.getElementById('queueStatusIndicator');
+    expect(indicator.classList.contains('visible')).toBe(true);
+    expect(indicator.classList.contains('queue-indicator--attention')).toBe(true);
+    expect(document.getElementById('queueAttention').textContent).toBe('2 to review');
+    expect(app.refreshQueueInspector).toHaveBeenCalled();
+  });
+
   it('re-attaches to a NEW queue manager (e.g. session recreated) and detaches the old one', () => {
     const first = makeQueueManager(0);
     app.networkedSession = { services: { queueManager: first } };
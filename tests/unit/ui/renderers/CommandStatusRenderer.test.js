@@ -0,0 +1,46 @@
+import { CommandStatusRenderer } from '../../../../src/ui/renderers/CommandStatusRenderer.js';
+
+describe('CommandStatusRenderer', () => {
+  let container;
+  let renderer;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'command-status';
+    document.body.appendChild(container);
+    renderer = new CommandStatusRenderer({ container });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should hide when nothing is pending', () => {
+    renderer.render({ pending: [] });
+
+    expect(container.classList.contains('command-status--active')).toBe(false);
+    expect(container.innerHTML).toBe('');
+  });
+
+  it('should list pending commands with a cancel action', () => {
+    renderer.render({
+      pending: [
+        { requestId: 'cmd-1', action: 'cue:fire', state: 'sent', attempt: 1, sentAt: 1 },
+        { requestId: 'cmd-2', action: 'cue:fire', state: 'waiting', attempt: 0, sentAt: null },
+        { requestId: 'cmd-3', action: 'cue:enable', state: 'sent', attempt: 2, sentAt: 1 }
+      ]
+    });
+
+    expect(container.classList.contains('command-status--active')).toBe(true);
+    expect(container.textContent).toContain('3 commands pending');
+    const items = container.querySelectorAll('.command-status__item');
+    expect(items[1].textContent).toContain('waiting for the previous one');
+    expect(items[2].textContent).toContain('sent 2 times');
+    expect(items[0].querySelector('[data-action="app.cancelCommand"]').dataset.arg).toBe('cmd-1');
+  });
+
+  it('should escape action names', () => {
+    renderer.render({ pending: [{ requestId: 'cmd-1', action: '<img src=x>', state: 'sent', attempt: 1 }] });
+    expect(container.querySelector('img')).toBeNull();
+  });
+});
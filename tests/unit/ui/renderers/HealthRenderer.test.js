@@ -234,4 +234,37 @@ describe('HealthRenderer', () => {
       expect(renderer._serviceEls['vlc"x'].card).toBeTruthy();
     });
   });
+  describe('renderStorage()', () => {
+    let storageContainer;
+
+    beforeEach(() => {
+      storageContainer = document.createElement('div');
+      renderer = new HealthRenderer({ container, storageContainer });
+    });
+
+    it('shows usage, failures and the free space action', () => {
+      renderer.renderStorage({
+        status: 'failing',
+        usedBytes: 4.5 * 1024 * 1024,
+        quotaBytes: 5 * 1024 * 1024,
+        ratio: 0.9,
+        largestKeys: [{ key: 'standaloneSession', bytes: 3 * 1024 * 1024 }],
+        failures: [{ key: 'standaloneSession', label: 'Standalone <session>', message: 'quota', quotaExceeded: true, timestamp: new Date().toISOString() }]
+      });
+
+      expect(storageContainer.querySelector('.storage-health--failing')).toBeTruthy();
+      expect(storageContainer.textContent).toContain('Data is not being saved: 4.5 MB of ~5.0 MB (90%)');
+      expect(storageContainer.querySelector('.storage-health__failure').textContent).toContain('storage full');
+      expect(storageContainer.innerHTML).toContain('Standalone &lt;session&gt;');
+      expect(storageContainer.querySelector('.storage-health__keys').textContent).toContain('standaloneSession');
+      expect(storageContainer.querySelector('[data-action="app.freeStorageSpace"]')).toBeTruthy();
+    });
+
+    it('omits the failure list when nothing failed', () => {
+      renderer.renderStorage({ status: 'healthy', usedBytes: 100, quotaBytes: 1000, ratio: 0.1, largestKeys: [], failures: [] });
+
+      expect(storageContainer.querySelector('.storage-health__failures')).toBeNull();
+      expect(storageContainer.textContent).toContain('Storage OK: 100 B');
+    });
+  });
 });
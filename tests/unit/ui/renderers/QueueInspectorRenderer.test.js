@@ -0,0 +1,84 @@
+import { QueueInspectorRenderer } from '../../../../src/ui/renderers/QueueInspectorRenderer.js';
+
+describe('QueueInspectorRenderer', () => {
+  let container;
+  let renderer;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'queueInspectorContainer';
+    document.body.appendChild(container);
+    renderer = new QueueInspectorRenderer({ container });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  const actions = (item) => [...item.querySelectorAll('[data-action]')].map(b => b.dataset.action);
+
+  it('should show empty states', () => {
+    renderer.render({ pending: [], history: [], connected: true });
+
+    expect(container.textContent).toContain('No scans waiting');
+    expect(container.textContent).toContain('Every uploaded scan was accepted');
+  });
+
+  it('should list waiting scans with their last error, without actions while in flight', () => {
+    renderer.render({
+      pending: [
+        { clientTxId: 'tx-1', tokenId: 'tok1', teamId: '001', state: 'pending', lastError: 'Transaction replay timeout after 30s: tok1' },
+        { clientTxId: 'tx-2', tokenId: 'tok2', teamId: '002', state: 'in-flight', lastError: null }
+      ],
+      history: [],
+      connected: true
+    });
+
+    const items = container.querySelectorAll('.queue-inspector__item');
+    expect(container.textContent).toContain('Waiting (2)');
+    expect(items[0].textContent).toContain('tx-1');
+    expect(items[0].textContent).toContain('Transaction replay timeout after 30s: tok1');
+    expect(actions(items[0])).toEqual(['app.retryQueuedScan', 'app.editQueuedScanTeam', 'app.discardQueuedScan']);
+    expect(items[0].querySelector('[data-action="app.retryQueuedScan"]').dataset.arg).toBe('tx-1');
+    expect(items[1].textContent).toContain('Sending');
+    expect(actions(items[1])).toEqual([]);
+  });
+
+  it('should disable retrying waiting scans while disconnected', () => {
+    renderer.render({
+      pending: [{ clientTxId: 'tx-1', tokenId: 'tok1', teamId: '001', state: 'pending' }],
+      connected: false
+    });
+
+    expect(container.textContent).toContain('Not connected');
+    expect(container.querySelector('[data-action="app.retryQueuedScan"]').disabled).toBe(true);
+  });
+
+  it('should list outcomes with actions only until they are resolved', () => {
+    renderer.render({
+      pending: [],
+      history: [
+        { clientTxId: 'tx-3', tokenId: 'tok3', teamId: '001', status: 'rejected', message: 'Invalid token', at: '2026-10-19T20:00:00Z', resolution: null },
+        { clientTxId: 'tx-4', tokenId: 'tok4', teamId: '002', status: 'dropped', message: 'Already recorded', resolution: 'retried' }
+      ],
+      connected: false
+    });
+
+    const items = container.querySelectorAll('.queue-inspector__item');
+    expect(container.textContent).toContain('Not Accepted (2)');
+    expect(items[0].classList.contains('queue-inspector__item--rejected')).toBe(true);
+    expect(items[0].textContent).toContain('Invalid token');
+    expect(items[0].querySelector('[data-action="app.retryQueuedScan"]').disabled).toBe(false);
+    expect(actions(items[1])).toEqual([]);
+    expect(items[1].textContent).toContain('Sent again');
+  });
+
+  it('should escape token and team IDs', () => {
+    renderer.render({
+      pending: [{ clientTxId: 'tx-1', tokenId: '<img src=x>', teamId: '<b>1</b>', state: 'pending' }],
+      connected: true
+    });
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.querySelector('b')).toBeNull();
+  });
+});
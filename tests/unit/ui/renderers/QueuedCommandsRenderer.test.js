@@ -0,0 +1,57 @@
+import { QueuedCommandsRenderer } from '../../../../src/ui/renderers/QueuedCommandsRenderer.js';
+
+describe('QueuedCommandsRenderer', () => {
+  let container;
+  let renderer;
+  const now = 1000000;
+  const entries = [
+    { id: 'cmd-1', action: 'score:adjust', payload: { teamId: '001', delta: 500, reason: 'Bonus' }, queuedAt: now - 90000, expiresAt: now + 510000 },
+    { id: 'cmd-2', action: 'cue:fire', payload: { cueId: 'intro' }, queuedAt: now - 15000, expiresAt: now + 45000 }
+  ];
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'queued-commands';
+    document.body.appendChild(container);
+    renderer = new QueuedCommandsRenderer({ container });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should hide when nothing is queued', () => {
+    renderer.render({ entries: [] });
+
+    expect(container.classList.contains('queued-commands--active')).toBe(false);
+    expect(container.innerHTML).toBe('');
+  });
+
+  it('should list queued commands with their payload, age and expiry', () => {
+    renderer.render({ entries, connected: true, now });
+
+    expect(container.classList.contains('queued-commands--active')).toBe(true);
+    expect(container.textContent).toContain('2 commands queued while offline');
+    const items = container.querySelectorAll('.queued-commands__item');
+    expect(items[0].textContent).toContain('teamId: 001, delta: 500, reason: Bonus');
+    expect(items[0].textContent).toContain('queued 1m 30s ago, expires in 8m 30s');
+    expect(items[1].textContent).toContain('expires in 45s');
+    expect(items[1].querySelector('[data-action="app.sendQueuedCommand"]').dataset.arg).toBe('cmd-2');
+    expect(items[1].querySelector('[data-action="app.discardQueuedCommand"]').dataset.arg).toBe('cmd-2');
+    expect(container.querySelector('[data-action="app.sendAllQueuedCommands"]').disabled).toBe(false);
+  });
+
+  it('should disable sending until the connection is back', () => {
+    renderer.render({ entries, connected: false, now });
+
+    expect(container.textContent).toContain('Waiting for the orchestrator connection');
+    container.querySelectorAll('[data-action="app.sendQueuedCommand"], [data-action="app.sendAllQueuedCommands"]')
+      .forEach(button => expect(button.disabled).toBe(true));
+    expect(container.querySelector('[data-action="app.discardAllQueuedCommands"]').disabled).toBe(false);
+  });
+
+  it('should escape payloads', () => {
+    renderer.render({ entries: [{ ...entries[0], payload: { reason: '<img src=x>' } }], connected: true, now });
+    expect(container.querySelector('img')).toBeNull();
+  });
+});
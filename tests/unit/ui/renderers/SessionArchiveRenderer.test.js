@@ -0,0 +1,66 @@
+import { SessionArchiveRenderer } from '../../../../src/ui/renderers/SessionArchiveRenderer.js';
+
+describe('SessionArchiveRenderer', () => {
+  let container;
+  let renderer;
+
+  const archived = (overrides = {}) => ({
+    sessionId: 'LOCAL_1',
+    name: 'Thursday Game',
+    status: 'ended',
+    startTime: '2026-10-15T19:00:00.000Z',
+    archivedAt: '2026-10-16T19:00:00.000Z',
+    transactionCount: 12,
+    teamCount: 1,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'session-archive';
+    document.body.appendChild(container);
+    renderer = new SessionArchiveRenderer({ container });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should explain when the archive is unavailable', () => {
+    renderer.render({ supported: false });
+    expect(container.textContent).toContain('needs IndexedDB');
+  });
+
+  it('should show a placeholder when nothing is archived', () => {
+    renderer.render({ supported: true, sessions: [] });
+    expect(container.textContent).toContain('No archived sessions yet');
+  });
+
+  it('should list sessions with counts and actions', () => {
+    renderer.render({ supported: true, sessions: [archived()] });
+
+    expect(container.textContent).toContain('Thursday Game');
+    expect(container.textContent).toContain('1 team ·');
+    expect(container.textContent).toContain('12 transactions');
+    ['openArchivedSession', 'exportArchivedSession', 'purgeArchivedSession'].forEach(method => {
+      expect(container.querySelector(`[data-action="app.${method}"]`).dataset.arg).toBe('LOCAL_1');
+    });
+  });
+
+  it('should show a read-only banner and mark the open session', () => {
+    renderer.render({
+      supported: true,
+      sessions: [archived(), archived({ sessionId: 'LOCAL_2', name: 'Wednesday' })],
+      openSession: { sessionId: 'LOCAL_1', name: 'Thursday Game' }
+    });
+
+    expect(container.querySelector('.session-archive__banner').textContent).toContain('Thursday Game');
+    expect(container.querySelector('[data-action="app.closeArchivedSession"]')).toBeTruthy();
+    expect(container.querySelectorAll('.session-archive__item--open')).toHaveLength(1);
+  });
+
+  it('should escape session names', () => {
+    renderer.render({ supported: true, sessions: [archived({ name: '<img src=x onerror=alert(1)>' })] });
+    expect(container.querySelector('img')).toBeNull();
+  });
+});
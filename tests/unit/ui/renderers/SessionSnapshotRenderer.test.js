@@ -0,0 +1,69 @@
+import { SessionSnapshotRenderer } from '../../../../src/ui/renderers/SessionSnapshotRenderer.js';
+
+describe('SessionSnapshotRenderer', () => {
+  let container;
+  let renderer;
+
+  const snapshot = (overrides = {}) => ({
+    id: 'SNAP_1',
+    sessionId: 'LOCAL_1',
+    sessionName: 'Friday Game',
+    reason: 'reset',
+    label: 'Before score reset',
+    takenAt: '2026-10-16T20:00:00.000Z',
+    transactionCount: 1,
+    scores: [{ teamId: '001', score: 5000, tokenCount: 1 }],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'session-snapshots';
+    document.body.appendChild(container);
+    renderer = new SessionSnapshotRenderer({ container });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should explain when snapshots are unavailable', () => {
+    renderer.render({ supported: false });
+    expect(container.textContent).toContain('only available in standalone mode');
+  });
+
+  it('should show a placeholder when there are no snapshots', () => {
+    renderer.render({ supported: true, snapshots: [] });
+    expect(container.textContent).toContain('No snapshots yet');
+  });
+
+  it('should list snapshots with their actions and mark earlier sessions', () => {
+    renderer.render({
+      supported: true,
+      snapshots: [snapshot(), snapshot({ id: 'SNAP_2', sessionId: 'LOCAL_0', sessionName: 'Thursday' })],
+      currentSessionId: 'LOCAL_1'
+    });
+
+    const [current, earlier] = container.querySelectorAll('.session-snapshots__item');
+    expect(current.textContent).toContain('Before score reset');
+    expect(current.textContent).toContain('1 transaction');
+    expect(current.textContent).not.toContain('(earlier session)');
+    expect(earlier.textContent).toContain('Thursday (earlier session)');
+    ['previewSessionSnapshot', 'rollbackToSnapshot', 'deleteSessionSnapshot'].forEach(method => {
+      expect(current.querySelector(`[data-action="app.${method}"]`).dataset.arg).toBe('SNAP_1');
+    });
+  });
+
+  it('should show the scoreboard of the previewed snapshot only', () => {
+    renderer.render({ supported: true, snapshots: [snapshot(), snapshot({ id: 'SNAP_2' })], previewId: 'SNAP_1' });
+
+    expect(container.querySelectorAll('.session-snapshots__preview')).toHaveLength(1);
+    expect(container.querySelector('.session-snapshots__preview').textContent).toContain('001');
+    expect(container.querySelector('[data-action="app.previewSessionSnapshot"]').textContent).toBe('Hide');
+  });
+
+  it('should escape session names', () => {
+    renderer.render({ supported: true, snapshots: [snapshot({ sessionName: '<img src=x>' })] });
+    expect(container.querySelector('img')).toBeNull();
+  });
+});
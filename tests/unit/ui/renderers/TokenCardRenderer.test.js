@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import { TokenCardRenderer } from '../../../../src/ui/renderers/TokenCardRenderer.js';
+
+describe('TokenCardRenderer', () => {
+  let dataManager;
+
+  const token = {
+    SF_RFID: 'tok1',
+    SF_Group: 'Server Logs (x3)',
+    owner: 'Marcus',
+    summary: 'Marcus at the server room',
+    image: 'assets/images/tok1.jpg'
+  };
+
+  beforeEach(() => {
+    dataManager = {
+      tokenManager: { findToken: jest.fn(() => ({ token, matchedId: 'tok1' })) },
+      parseGroupInfo: jest.fn(() => ({ name: 'Server Logs', multiplier: 3 })),
+      normalizeGroupName: jest.fn(name => name.toLowerCase()),
+      getTeamGroupProgress: jest.fn(() => [{
+        normalizedName: 'server logs', displayName: 'Server Logs', multiplier: 3,
+        collected: 1, total: 2, percentage: 50, complete: false
+      }]),
+      getRelatedExposedTokens: jest.fn(() => [{ tokenId: 'tok2', teamId: 'Bravo', summary: 'Marcus lied' }])
+    };
+  });
+
+  it('should render every configured section from the token database', () => {
+    const html = new TokenCardRenderer({ dataManager }).render('tok1', null, { teamId: 'Alpha' });
+
+    expect(html).toContain('Marcus at the server room');
+    expect(html).toContain('1/2 for Team Alpha');
+    expect(html).toContain('<strong>tok2</strong> by Team Bravo');
+    expect(html).toContain('src="assets/images/tok1.jpg"');
+    expect(dataManager.getTeamGroupProgress).toHaveBeenCalledWith('Alpha');
+  });
+
+  it('should follow the configured sections and order', () => {
+    const html = new TokenCardRenderer({ dataManager, sections: ['summary', 'owner'] }).render('tok1');
+
+    expect(html.indexOf('token-meta__summary')).toBeLessThan(html.indexOf('token-meta__owner'));
+    expect(html).not.toContain('token-meta__related');
+    expect(html).not.toContain('<img');
+  });
+
+  it('should skip group progress without a team', () => {
+    const html = new TokenCardRenderer({ dataManager }).render('tok1');
+
+    expect(html).not.toContain('token-meta__group');
+  });
+
+  it('should prefix relative assets and reject script URLs', () => {
+    const renderer = new TokenCardRenderer({ dataManager, sections: ['asset'], assetBaseUrl: '/media/' });
+
+    expect(renderer.render('tok1')).toContain('src="/media/assets/images/tok1.jpg"');
+    expect(renderer.render('tok1', { image: 'javascript:alert(1)' })).toBe('');
+  });
+
+  it('should fall back to a video or audio reference', () => {
+    const html = new TokenCardRenderer({ dataManager, sections: ['asset'] })
+      .render('tok1', { image: null, video: 'tok1.mp4' });
+
+    expect(html).toContain('href="tok1.mp4"');
+  });
+
+  it('should escape token content', () => {
+    const html = new TokenCardRenderer({ dataManager, sections: ['owner'] })
+      .render('tok1', { owner: '<img src=x onerror=alert(1)>' });
+
+    expect(html).toContain('&lt;img');
+  });
+
+  it('should render nothing for a token with no metadata', () => {
+    dataManager.tokenManager.findToken.mockReturnValue(null);
+    dataManager.getRelatedExposedTokens.mockReturnValue([]);
+
+    expect(new TokenCardRenderer({ dataManager }).render('tok9', {})).toBe('');
+  });
+
+  it('should hide the container when there is nothing to show', () => {
+    const container = document.createElement('div');
+    dataManager.tokenManager.findToken.mockReturnValue(null);
+    dataManager.getRelatedExposedTokens.mockReturnValue([]);
+
+    new TokenCardRenderer({ dataManager }).renderInto(container, 'tok9');
+
+    expect(container.style.display).toBe('none');
+  });
+});
@@ -0,0 +1,63 @@
+import { TokenReportRenderer } from '../../../../src/ui/renderers/TokenReportRenderer.js';
+
+describe('TokenReportRenderer', () => {
+  let container;
+  let renderer;
+
+  const report = (issues = []) => ({
+    tokenCount: 3,
+    groupCount: 1,
+    errorCount: issues.filter(i => i.severity === 'error').length,
+    warningCount: issues.filter(i => i.severity === 'warning').length,
+    issues
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'token-report';
+    document.body.appendChild(container);
+    renderer = new TokenReportRenderer({ container });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should show a placeholder before the database loads', () => {
+    renderer.render(null);
+    expect(container.textContent).toContain('Token database not loaded');
+  });
+
+  it('should show an ok summary for a clean database', () => {
+    renderer.render(report());
+
+    expect(container.querySelector('.token-report--ok')).toBeTruthy();
+    expect(container.textContent).toContain('3 tokens, 1 groups');
+    expect(container.querySelector('[data-action="app.exportTokenReport"]')).toBeTruthy();
+    expect(container.querySelector('[data-action="app.reloadTokenDatabase"]')).toBeTruthy();
+  });
+
+  it('should group issues by severity and code, opening errors', () => {
+    renderer.render(report([
+      { severity: 'error', code: 'invalid-rating', tokenId: 'a', message: 'bad a' },
+      { severity: 'error', code: 'invalid-rating', tokenId: 'b', message: 'bad b' },
+      { severity: 'warning', code: 'single-token-group', tokenId: 'c', message: 'lonely c' }
+    ]));
+
+    const groups = container.querySelectorAll('.token-report__group');
+    expect(container.querySelector('.token-report--error')).toBeTruthy();
+    expect(groups).toHaveLength(2);
+    expect(groups[0].open).toBe(true);
+    expect(groups[0].querySelectorAll('li')).toHaveLength(2);
+    expect(groups[1].open).toBe(false);
+  });
+
+  it('should escape token-authored messages', () => {
+    renderer.render(report([
+      { severity: 'error', code: 'rfid-mismatch', tokenId: 'x', message: '<img src=x onerror=alert(1)>' }
+    ]));
+
+    expect(container.querySelector('img')).toBeNull();
+    expect(container.textContent).toContain('<img src=x onerror=alert(1)>');
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { UndoHistoryRenderer } from '../../../../src/ui/renderers/UndoHistoryRenderer.js';
+
+const entry = (id, label) => ({ id, label, timestamp: '2026-10-19T20:00:00.000Z' });
+
+describe('UndoHistoryRenderer', () => {
+  let container;
+  let renderer;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="undo-history"></div>';
+    container = document.getElementById('undo-history');
+    renderer = new UndoHistoryRenderer();
+  });
+
+  it('should show an empty state', () => {
+    renderer.render({ undo: [], redo: [] });
+    expect(container.textContent).toContain('No GM actions to undo');
+  });
+
+  it('should list newest first with Undo only on the newest entry', () => {
+    renderer.render({ undo: [entry('h2', 'Second'), entry('h1', 'First')], redo: [] });
+
+    const items = container.querySelectorAll('.undo-history__item');
+    expect([...items].map(i => i.querySelector('.undo-history__label').textContent)).toEqual(['Second', 'First']);
+    expect(items[0].querySelector('[data-action="app.undoLastAction"]')).not.toBeNull();
+    expect(items[1].querySelector('button')).toBeNull();
+  });
+
+  it('should show undone entries above, struck through, with Redo on the next one', () => {
+    // Recorded A, B, C; undid C then B
+    renderer.render({ undo: [entry('h1', 'A')], redo: [entry('h2', 'B'), entry('h3', 'C')] });
+
+    const items = [...container.querySelectorAll('.undo-history__item')];
+    expect(items.map(i => i.querySelector('.undo-history__label').textContent)).toEqual(['C', 'B', 'A']);
+    expect(items[0].classList.contains('undo-history__item--undone')).toBe(true);
+    expect(items[0].querySelector('button')).toBeNull();
+    expect(items[1].querySelector('[data-action="app.redoLastAction"]')).not.toBeNull();
+    expect(items[2].querySelector('[data-action="app.undoLastAction"]')).not.toBeNull();
+  });
+
+  it('should escape labels', () => {
+    renderer.render({ undo: [entry('h1', 'Scan <img src=x> for team 001')], redo: [] });
+    expect(container.querySelector('img')).toBeNull();
+  });
+});
@@ -102,11 +102,13 @@ describe('UIManager - ES6 Module (Pure Rendering Layer)', () => {
 
       <div id="teamDetailsTitle"></div>
       <div id="teamDetailsSummary"></div>
+      <div id="teamGroupProgressSection"></div>
       <div id="teamDetailsContainer"></div>
       <div id="teamBaseScore"></div>
       <div id="teamBonusScore"></div>
       <div id="teamTotalScore"></div>
       <div id="teamAdminAdjustmentsSection"></div>
+      <div id="teamScoreAuditSection"></div>
       <div id="teamInterventionControls"></div>
 
       <div id="resultStatus"></div>
@@ -162,7 +164,7 @@ describe('UIManager - ES6 Module (Pure Rendering Layer)', () => {
 
       expect(uiManager.screens.loading).toBe(document.getElementById('loadingScreen'));
       expect(uiManager.screens.scan).toBe(document.getElementById('scanScreen'));
-      expect(Object.keys(uiManager.screens).length).toBe(8);
+      expect(Object.keys(uiManager.screens).length).toBe(9);
     });
 
     it('should create error container on init()', () => {
@@ -409,6 +411,29 @@ describe('UIManager - ES6 Module (Pure Rendering Layer)', () => {
       expect(document.getElementById('scoreboardContainer').innerHTML).toContain('Local Calculation');
     });
 
+    it('should name the session scoring profile on local scores', () => {
+      mockDataManager.getScoringProfile = jest.fn(() => ({ name: '<b>House</b>' }));
+      uiManager.renderScoreboard();
+
+      const html = document.getElementById('scoreboardContainer').innerHTML;
+      expect(html).toContain('Scoring: &lt;b&gt;House&lt;/b&gt;');
+    });
+
+    it('should show detective reputation alongside scores when the track is enabled', () => {
+      mockDataManager.getDetectiveStandings = jest.fn(() => ({
+        enabled: true,
+        pointsPerExposure: 1,
+        firstExposerBonus: 2,
+        teams: [{ teamId: '001', reputation: 3, exposures: 1, firstExposures: 1 }],
+        characters: [{ owner: '<i>Marcus</i>', exposures: 1, firstExposedBy: '001', teams: ['001'] }]
+      }));
+      uiManager.renderScoreboard();
+
+      const container = document.getElementById('scoreboardContainer');
+      expect(container.querySelector('.scoreboard-reputation').textContent).toContain('3 rep');
+      expect(container.querySelector('.detective-standings').innerHTML).toContain('&lt;i&gt;Marcus&lt;/i&gt;');
+    });
+
     it('should handle missing container gracefully', () => {
       document.getElementById('scoreboardContainer').remove();
 
@@ -465,6 +490,87 @@ describe('UIManager - ES6 Module (Pure Rendering Layer)', () => {
       expect(document.getElementById('teamInterventionControls').style.display).toBe('none');
     });
 
+    it('should render the score audit trail when the data manager supports it', () => {
+      mockDataManager.auditTeamScores = jest.fn(() => ({
+        balanced: false,
+        teams: [{
+          teamId: '001',
+          replayed: {
+            entries: [
+              { type: 'sale', timestamp: '2026-01-01T20:00:00Z', amount: 5000, balance: 5000, detail: 'Sold tok1' },
+              { type: 'adjustment', timestamp: '2026-01-01T20:05:00Z', amount: -7000, balance: -2000, detail: '<b>Penalty</b>' }
+            ]
+          },
+          discrepancies: [{ field: 'score', stored: 5000, replayed: -2000 }]
+        }]
+      }));
+
+      uiManager.renderTeamDetails('001', mockDataManager.transactions);
+
+      const section = document.getElementById('teamScoreAuditSection');
+      expect(section.style.display).toBe('block');
+      expect(section.innerHTML).toContain('1 discrepancy');
+      expect(section.innerHTML).toContain('score: stored $5,000, replay -$2,000');
+      expect(section.querySelectorAll('.audit-entry')).toHaveLength(2);
+      expect(section.innerHTML).toContain('&lt;b&gt;Penalty&lt;/b&gt;');
+    });
+
+    it('should hide the score audit when no audit is available', () => {
+      uiManager.renderTeamDetails('001', mockDataManager.transactions);
+
+      expect(document.getElementById('teamScoreAuditSection').style.display).toBe('none');
+    });
+
+    it('should render a what-if preview with delta, group completion and rank change', () => {
+      const container = document.createElement('div');
+      uiManager.renderScoreSimulation(container, {
+        teamId: '<A>', tokenId: 'srv2', known: true, alreadyScanned: true, tokenValue: 10000,
+        adjustment: -2000, completesGroup: { displayName: 'Server Logs', multiplier: 3, bonus: 30000 },
+        currentScore: 5000, projectedScore: 43000, delta: 38000, currentRank: 3, projectedRank: 1, teamCount: 4
+      });
+
+      expect(container.textContent).toContain('Team <A>');
+      expect(container.textContent).toContain('Sell srv2: +$10,000');
+      expect(container.textContent).toContain('Already scanned');
+      expect(container.textContent).toContain('Completes "Server Logs" (3x): +$30,000');
+      expect(container.textContent).toContain('Adjustment: -$2,000');
+      expect(container.querySelector('.score-simulation__total').textContent)
+        .toMatch(/\$5,000 → \$43,000 \(\+\$38,000\), rank #3 → #1 of 4/);
+    });
+
+    it('should render group progress with collected counts, bonus and outstanding tokens', () => {
+      mockDataManager.getTeamGroupProgress = jest.fn(() => [
+        {
+          normalizedName: 'server logs', displayName: 'Server Logs', multiplier: 3,
+          collected: 1, total: 3, percentage: 33, complete: false,
+          collectedTokenIds: ['srv1'], outstandingTokenIds: ['srv2', '<srv3>'], potentialBonus: 60000
+        },
+        {
+          normalizedName: 'memos', displayName: 'Memos', multiplier: 2,
+          collected: 2, total: 2, percentage: 100, complete: true,
+          collectedTokenIds: ['m1', 'm2'], outstandingTokenIds: [], potentialBonus: 20000
+        }
+      ]);
+
+      uiManager.renderTeamDetails('001', mockDataManager.transactions);
+
+      const section = document.getElementById('teamGroupProgressSection');
+      expect(mockDataManager.getTeamGroupProgress).toHaveBeenCalledWith('001');
+      expect(section.style.display).toBe('block');
+      expect(section.querySelector('summary').textContent).toContain('1/2 complete');
+      const [logs, memos] = section.querySelectorAll('.group-progress');
+      expect(logs.textContent).toContain('1/3');
+      expect(logs.textContent).toContain('Missing: srv2, <srv3>');
+      expect(logs.textContent).toContain('Potential +$60,000');
+      expect(memos.textContent).toContain('Earned +$20,000');
+    });
+
+    it('should hide group progress when there are no bonus groups', () => {
+      uiManager.renderTeamDetails('001', mockDataManager.transactions);
+
+      expect(document.getElementById('teamGroupProgressSection').style.display).toBe('none');
+    });
+
     it('should store team ID in app for intervention handlers', () => {
       uiManager.renderTeamDetails('001', mockDataManager.transactions);
 
@@ -512,6 +618,35 @@ describe('UIManager - ES6 Module (Pure Rendering Layer)', () => {
       expect(document.getElementById('resultStatus').innerHTML).toContain('Unknown Token');
       expect(document.getElementById('resultType').textContent).toBe('UNKNOWN');
       expect(document.getElementById('resultValue').textContent).toBe('$0');
+      expect(document.querySelector('.token-suggestions')).toBeNull();
+    });
+
+    it('should offer the what-if preview only for known tokens in black market mode', () => {
+      document.body.insertAdjacentHTML('beforeend', '<div id="resultWhatIf"><div id="resultWhatIfOutput">old</div></div>');
+      const whatIf = document.getElementById('resultWhatIf');
+
+      mockSettings.mode = 'blackmarket';
+      uiManager.showTokenResult({ SF_MemoryType: 'Technical', SF_ValueRating: 3, SF_Group: '' }, 'token1', false);
+      expect(whatIf.style.display).toBe('block');
+      expect(document.getElementById('resultWhatIfOutput').innerHTML).toBe('');
+
+      uiManager.showTokenResult(null, 'unknown-id', true);
+      expect(whatIf.style.display).toBe('none');
+
+      mockSettings.mode = 'detective';
+      uiManager.showTokenResult({ SF_MemoryType: 'Technical', SF_ValueRating: 3, SF_Group: '' }, 'token1', false);
+      expect(whatIf.style.display).toBe('none');
+    });
+
+    it('should show near-miss suggestions for an unknown token', () => {
+      uiManager.showTokenResult(null, '04a1b3', true, [
+        { tokenId: '04a1b2', reason: 'one-edit' },
+        { tokenId: '<b2a104>', reason: 'reversed-uid' }
+      ]);
+
+      const hint = document.querySelector('.token-suggestions');
+      expect(hint.textContent).toBe('Did you mean: 04a1b2, <b2a104> (reversed UID)?');
+      expect(hint.querySelectorAll('strong')).toHaveLength(2);
     });
 
     it('should display token value in blackmarket mode', () => {
@@ -762,6 +897,95 @@ describe('UIManager - ES6 Module (Pure Rendering Layer)', () => {
       expect(container.innerHTML).toContain('activityFilter');
     });
 
+    describe('filter bar', () => {
+      const activity = () => ({
+        tokens: [
+          {
+            tokenId: 'alr001',
+            tokenData: { SF_MemoryType: 'Personal', SF_ValueRating: 1 },
+            potentialValue: 10000,
+            events: [{ type: 'claim', timestamp: '2025-11-11T10:05:00Z', mode: 'blackmarket', teamId: '001', points: 10000 }],
+            status: 'claimed',
+            discoveredByPlayers: false
+          },
+          {
+            tokenId: 'doc019',
+            tokenData: { SF_MemoryType: 'Business', SF_ValueRating: 2 },
+            potentialValue: 25000,
+            events: [{ type: 'discovery', timestamp: '2025-11-11T09:00:00Z', deviceId: 'player-2' }],
+            status: 'available',
+            discoveredByPlayers: true
+          }
+        ],
+        stats: { totalTokens: 2, available: 1, claimed: 1, claimedWithoutDiscovery: 1, totalPlayerScans: 1 }
+      });
+
+      const cardIds = (container) => [...container.querySelectorAll('.token-card')].map(c => c.dataset.tokenId);
+      const setFilter = (container, field, value) => {
+        const control = container.querySelector(`[data-history-filter="${field}"]`);
+        control.value = value;
+        control.dispatchEvent(new Event(control.tagName === 'SELECT' ? 'change' : 'input'));
+      };
+
+      beforeEach(() => {
+        mockDataManager.getGameActivity = jest.fn(activity);
+      });
+
+      it('should offer the teams, memory types and devices present in the activity', () => {
+        const container = document.getElementById('admin-game-activity');
+        uiManager.renderGameActivity(container, { showFilters: true });
+
+        const options = field => [...container.querySelectorAll(`[data-history-filter="${field}"] option`)].map(o => o.value);
+        expect(options('teamId')).toEqual(['', '001']);
+        expect(options('memoryType')).toEqual(['', 'Business', 'Personal']);
+        expect(options('deviceId')).toEqual(['', 'player-2']);
+        expect(container.querySelector('.activity-filters__count').textContent).toBe('2 of 2 tokens');
+      });
+
+      it('should narrow and re-sort the cards as filters change', () => {
+        const container = document.getElementById('admin-game-activity');
+        uiManager.renderGameActivity(container, { showFilters: true });
+
+        setFilter(container, 'text', 'doc');
+        expect(cardIds(container)).toEqual(['doc019']);
+
+        setFilter(container, 'text', '');
+        setFilter(container, 'sort', 'oldest');
+        expect(cardIds(container)).toEqual(['doc019', 'alr001']);
+
+        setFilter(container, 'status', 'undiscovered');
+        expect(cardIds(container)).toEqual(['alr001']);
+        expect(container.querySelector('.activity-filters__count').textContent).toBe('1 of 2 tokens');
+
+        setFilter(container, 'text', 'no-such-token');
+        expect(container.querySelector('.activity-grid').textContent).toContain('No tokens match the filters');
+      });
+
+      it('should keep the filters when the activity is re-rendered, until cleared', () => {
+        const container = document.getElementById('admin-game-activity');
+        uiManager.renderGameActivity(container, { showFilters: true });
+        setFilter(container, 'memoryType', 'Personal');
+
+        uiManager.renderGameActivity(container, { showFilters: true });
+        expect(container.querySelector('[data-history-filter="memoryType"]').value).toBe('Personal');
+        expect(cardIds(container)).toEqual(['alr001']);
+
+        container.querySelector('[data-history-clear]').click();
+        expect(cardIds(container)).toEqual(['alr001', 'doc019']);
+      });
+
+      it('should export the filtered activity as CSV', () => {
+        const container = document.getElementById('admin-game-activity');
+        uiManager.renderGameActivity(container, { showFilters: true });
+        setFilter(container, 'status', 'available');
+
+        const lines = uiManager.exportGameActivityCsv(container).trim().split('\n');
+        expect(lines).toHaveLength(2);
+        expect(lines[1]).toMatch(/^doc019,available,Business/);
+        expect(container.querySelector('[data-action="app.exportHistory"]').dataset.arg).toBe('admin-game-activity');
+      });
+    });
+
     it('should not render summary when showSummary is false', () => {
       mockDataManager.getGameActivity = jest.fn(() => ({
         tokens: [],
@@ -918,6 +1142,44 @@ describe('UIManager - ES6 Module (Pure Rendering Layer)', () => {
     });
   });
 
+  describe('showTokenResult - metadata card', () => {
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <div id="resultStatus" class="status-message"></div>
+        <div id="resultRfid"></div>
+        <div id="resultType"></div>
+        <div id="resultGroup"></div>
+        <div id="resultValue"></div>
+        <div id="resultTokenCard" style="display: none;"></div>
+        <div id="resultScreen" class="screen"></div>
+      `;
+      uiManager.init();
+      uiManager.settings = { mode: 'detective' };
+      uiManager.app = { currentTeamId: 'Alpha' };
+      uiManager.dataManager = {
+        calculateTokenValue: jest.fn(() => 0),
+        getRelatedExposedTokens: jest.fn(() => [{ tokenId: 'tok2', teamId: 'Bravo', summary: null }])
+      };
+    });
+
+    it('should show owner and related evidence for known tokens', () => {
+      uiManager.showTokenResult({ SF_MemoryType: 'Personal', SF_ValueRating: 2, SF_Group: '', owner: 'Marcus', summary: 'Shown above' }, 'tok1', false);
+
+      const card = document.getElementById('resultTokenCard');
+      expect(card.style.display).toBe('block');
+      expect(card.textContent).toContain('Marcus');
+      expect(card.textContent).toContain('tok2');
+      // The summary keeps its own row on the result screen
+      expect(card.textContent).not.toContain('Shown above');
+    });
+
+    it('should hide the card for unknown tokens', () => {
+      uiManager.showTokenResult(null, 'bad1', true);
+
+      expect(document.getElementById('resultTokenCard').style.display).toBe('none');
+    });
+  });
+
   describe('Utility Methods - _formatTime', () => {
     beforeEach(() => {
       uiManager.init();
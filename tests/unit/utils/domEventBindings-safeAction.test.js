@@ -172,6 +172,23 @@ describe('domEventBindings - safeAdminAction', () => {
     );
   });
 
+  it('should show a warning, not an error, when a command was queued for later (offline)', async () => {
+    mockCueController.fireCue.mockRejectedValueOnce(Object.assign(
+      new Error('Not connected - cue:fire queued for review on reconnect'), { code: 'COMMAND_DEFERRED' }
+    ));
+
+    const btn = document.createElement('button');
+    btn.dataset.action = 'admin.fireCue';
+    btn.dataset.cueId = 'cue-1';
+    document.body.appendChild(btn);
+
+    clickAction(btn);
+    await flushMicrotasks();
+
+    expect(mockUiManager.showToast).toHaveBeenCalledWith('Not connected - cue:fire queued for review on reconnect', 'warning');
+    expect(mockUiManager.showError).not.toHaveBeenCalled();
+  });
+
   it('should log to debug when a bluetooth action rejects', async () => {
     mockBluetoothController.startScan.mockRejectedValueOnce(new Error('Adapter busy'));
 
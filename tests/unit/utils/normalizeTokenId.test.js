@@ -0,0 +1,16 @@
+import { normalizeTokenId } from '../../../src/utils/normalizeTokenId.js';
+
+describe('normalizeTokenId', () => {
+  it('lowercases and strips colons and dashes', () => {
+    expect(normalizeTokenId('04:A1-B2:C3')).toBe('04a1b2c3');
+  });
+
+  it('leaves already-normalized IDs unchanged', () => {
+    expect(normalizeTokenId('sof002')).toBe('sof002');
+  });
+
+  it('returns an empty string for non-strings', () => {
+    expect(normalizeTokenId(null)).toBe('');
+    expect(normalizeTokenId(42)).toBe('');
+  });
+});